@@ -10,4 +10,8 @@ module.exports = {
   globals: {
     shopify: "readonly"
   },
+  // Tests run on Vitest, whose API matches Jest 29 for the jest lint rules
+  settings: {
+    jest: { version: 29 }
+  },
 };
@@ -2,12 +2,25 @@
  * Authentication service for handling OAuth and PKCE flows
  */
 
+/**
+ * Tokens expiring within this window are refreshed ahead of time
+ */
+const TOKEN_REFRESH_SKEW_MS = 60 * 1000;
+
+/**
+ * In-flight refreshes keyed by conversation ID, so concurrent tool calls
+ * don't race to spend the same refresh token
+ */
+const pendingRefreshes = new Map();
+
 /**
  * Generate authorization URL for the customer
  * @param {string} conversationId - The conversation ID to track the auth flow
+ * @param {string} shopId - The shop domain
+ * @param {string} [returnUrl] - Where to send the customer after authorizing
  * @returns {Promise<Object>} - Object containing the auth URL and conversation ID
  */
-export async function generateAuthUrl(conversationId, shopId) {
+export async function generateAuthUrl(conversationId, shopId, returnUrl = null) {
   const { storeCodeVerifier } = await import('./db.server');
 
   // Generate authorization URL for the customer
@@ -18,19 +31,20 @@ export async function generateAuthUrl(conversationId, shopId) {
   // Use the actual app URL for redirect
   const redirectUri = process.env.REDIRECT_URL;
 
-  // Include the conversation ID and shop ID in the state parameter for tracking
-  const state = `${conversationId}-${shopId}`;
+  // Use an opaque, signed state; the conversation and shop are kept server-side
+  const state = await generateSignedState();
 
   // Generate code verifier and challenge
   const verifier = generateCodeVerifier();
   const challenge = await generateCodeChallenge(verifier);
 
-  // Store the code verifier in the database
-  try {
-    await storeCodeVerifier(state, verifier);
-  } catch (error) {
-    console.error('Failed to store code verifier:', error);
-  }
+  // Store the code verifier and flow context in the database.
+  // Without it the callback can't be matched to a conversation, so fail loudly.
+  await storeCodeVerifier(state, verifier, {
+    conversationId,
+    shop: shopId,
+    returnUrl
+  });
 
   // Set code_challenge and code_challenge_method parameters
   const codeChallengeMethod = "S256";
@@ -42,7 +56,7 @@ export async function generateAuthUrl(conversationId, shopId) {
 
 
   // Construct the authorization URL with hardcoded shop ID
-  const authUrl = `${baseAuthUrl}?client_id=${clientId}&scope=${encodeURIComponent(scope)}&redirect_uri=${encodeURIComponent(redirectUri)}&response_type=${responseType}&state=${state}&code_challenge=${challenge}&code_challenge_method=${codeChallengeMethod}`;
+  const authUrl = `${baseAuthUrl}?client_id=${clientId}&scope=${encodeURIComponent(scope)}&redirect_uri=${encodeURIComponent(redirectUri)}&response_type=${responseType}&state=${encodeURIComponent(state)}&code_challenge=${challenge}&code_challenge_method=${codeChallengeMethod}`;
 
   return {
     url: authUrl,
@@ -51,12 +65,11 @@ export async function generateAuthUrl(conversationId, shopId) {
 }
 
 /**
- * Get the base auth URL from the customer MCP endpoint
- * @param {string} conversationId - The conversation ID to track the auth flow
- * @param {string} shopId - The shop ID to track the auth flow
- * @returns {Promise<string|null>} - The base auth URL or null if not found
+ * Get the OAuth authorization server metadata for a conversation's customer account
+ * @param {string} conversationId - The conversation ID
+ * @returns {Promise<Object|null>} - The discovery document or null if not found
  */
-async function getBaseAuthUrl(conversationId, shopId) {
+export async function getAuthorizationServerMetadata(conversationId) {
   const { getCustomerAccountUrl } = await import('./db.server');
   const customerAccountUrl = await getCustomerAccountUrl(conversationId);
 
@@ -69,13 +82,175 @@ async function getBaseAuthUrl(conversationId, shopId) {
   const response = await fetch(endpoint);
 
   if (!response.ok) {
-    console.error('Failed to fetch base auth URL from:', endpoint, response.status);
+    console.error('Failed to fetch authorization server metadata from:', endpoint, response.status);
+
+    return null;
+  }
+
+  return response.json();
+}
+
+/**
+ * Get the base auth URL from the customer MCP endpoint
+ * @param {string} conversationId - The conversation ID to track the auth flow
+ * @param {string} shopId - The shop ID to track the auth flow
+ * @returns {Promise<string|null>} - The base auth URL or null if not found
+ */
+async function getBaseAuthUrl(conversationId, shopId) {
+  const metadata = await getAuthorizationServerMetadata(conversationId);
+  return metadata?.authorization_endpoint || null;
+}
+
+/**
+ * Get the token endpoint for a conversation's customer account
+ * @param {string} conversationId - The conversation ID
+ * @returns {Promise<string|null>} - The token URL or null if not found
+ */
+export async function getTokenEndpoint(conversationId) {
+  const metadata = await getAuthorizationServerMetadata(conversationId);
+  return metadata?.token_endpoint || null;
+}
+
+/**
+ * Check whether a stored customer token is expired or about to expire
+ * @param {Object} token - The customer token record
+ * @returns {boolean} - True if the token should be refreshed before use
+ */
+export function isTokenExpiring(token) {
+  return !token || new Date(token.expiresAt).getTime() - Date.now() < TOKEN_REFRESH_SKEW_MS;
+}
+
+/**
+ * Refresh a conversation's customer access token using its stored refresh token
+ * @param {string} conversationId - The conversation ID
+ * @returns {Promise<Object|null>} - The updated customer token or null if refresh isn't possible
+ */
+export async function refreshCustomerToken(conversationId) {
+  if (pendingRefreshes.has(conversationId)) {
+    return pendingRefreshes.get(conversationId);
+  }
+
+  const refresh = (async () => {
+    const { getCustomerToken, storeCustomerToken } = await import('./db.server');
+    const existingToken = await getCustomerToken(conversationId, { includeExpired: true });
 
+    if (!existingToken?.refreshToken) {
+      console.log('No refresh token stored for conversation:', conversationId);
+      return null;
+    }
+
+    const tokenEndpoint = await getTokenEndpoint(conversationId);
+    if (!tokenEndpoint) {
+      return null;
+    }
+
+    const formData = new URLSearchParams();
+    formData.append('grant_type', 'refresh_token');
+    formData.append('client_id', process.env.SHOPIFY_API_KEY);
+    formData.append('refresh_token', existingToken.refreshToken);
+
+    const response = await fetch(tokenEndpoint, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded'
+      },
+      body: formData
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      console.error('Customer token refresh failed:', response.status, errorText);
+      return null;
+    }
+
+    const tokenResponse = await response.json();
+
+    const expiresAt = new Date();
+    expiresAt.setSeconds(expiresAt.getSeconds() + tokenResponse.expires_in);
+
+    console.log('Refreshed customer token for conversation:', conversationId);
+    return storeCustomerToken(
+      conversationId,
+      tokenResponse.access_token,
+      expiresAt,
+      tokenResponse.refresh_token
+    );
+  })();
+
+  pendingRefreshes.set(conversationId, refresh);
+
+  try {
+    return await refresh;
+  } catch (error) {
+    console.error('Error refreshing customer token:', error);
     return null;
+  } finally {
+    pendingRefreshes.delete(conversationId);
+  }
+}
+
+/**
+ * Import the HMAC key used to sign OAuth state parameters
+ * @param {string} usage - Either "sign" or "verify"
+ * @returns {Promise<CryptoKey>} - The HMAC key
+ */
+async function getStateSigningKey(usage) {
+  const secret = process.env.SHOPIFY_API_SECRET;
+  if (!secret) {
+    throw new Error('SHOPIFY_API_SECRET is required to sign OAuth state');
   }
 
-  const data = await response.json();
-  return data.authorization_endpoint;
+  return crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    [usage]
+  );
+}
+
+/**
+ * Generate an opaque OAuth state parameter: a random nonce and its HMAC signature
+ * @returns {Promise<string>} - The signed state
+ */
+export async function generateSignedState() {
+  const array = new Uint8Array(32);
+  crypto.getRandomValues(array);
+  const nonce = base64UrlEncode(convertBufferToString(array));
+
+  const key = await getStateSigningKey('sign');
+  const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(nonce));
+
+  return `${nonce}.${base64UrlEncode(convertBufferToString(signature))}`;
+}
+
+/**
+ * Verify that a state parameter was signed by this app
+ * @param {string} state - The state parameter from the callback
+ * @returns {Promise<boolean>} - True if the signature is valid
+ */
+export async function verifySignedState(state) {
+  if (typeof state !== 'string') {
+    return false;
+  }
+
+  const [nonce, signature, ...rest] = state.split('.');
+  if (!nonce || !signature || rest.length > 0) {
+    return false;
+  }
+
+  try {
+    const key = await getStateSigningKey('verify');
+    return await crypto.subtle.verify(
+      'HMAC',
+      key,
+      base64UrlDecode(signature),
+      new TextEncoder().encode(nonce)
+    );
+  } catch (error) {
+    console.error('Error verifying OAuth state:', error);
+    return false;
+  }
 }
 
 /**
@@ -129,3 +304,18 @@ function base64UrlEncode(str) {
 
   return base64;
 }
+
+/**
+ * Decode a base64url string into bytes
+ * @param {string} str - The base64url string to decode
+ * @returns {Uint8Array} - The decoded bytes
+ */
+function base64UrlDecode(str) {
+  let base64 = str.replace(/-/g, "+").replace(/_/g, "/");
+  while (base64.length % 4 !== 0) {
+    base64 += "=";
+  }
+
+  const binary = atob(base64);
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+}
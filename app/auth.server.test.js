@@ -0,0 +1,83 @@
+import { createHash } from "node:crypto";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import {
+  generateSignedState,
+  verifySignedState,
+  generateCodeVerifier,
+  generateCodeChallenge
+} from "./auth.server";
+
+describe("signed OAuth state", () => {
+  beforeEach(() => {
+    vi.stubEnv("SHOPIFY_API_SECRET", "test-secret");
+  });
+
+  afterEach(() => {
+    vi.unstubAllEnvs();
+    vi.restoreAllMocks();
+  });
+
+  it("verifies state it signed", async () => {
+    const state = await generateSignedState();
+
+    expect(state).toMatch(/^[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+$/);
+    expect(await verifySignedState(state)).toBe(true);
+  });
+
+  it("uses a new nonce every time", async () => {
+    expect(await generateSignedState()).not.toBe(await generateSignedState());
+  });
+
+  it("doesn't carry the conversation or shop", async () => {
+    const [nonce] = (await generateSignedState()).split(".");
+    expect(Buffer.from(nonce, "base64url")).toHaveLength(32);
+  });
+
+  it("rejects a changed nonce or signature", async () => {
+    const [nonce, signature] = (await generateSignedState()).split(".");
+    const other = (await generateSignedState()).split(".");
+
+    expect(await verifySignedState(`${other[0]}.${signature}`)).toBe(false);
+    expect(await verifySignedState(`${nonce}.${other[1]}`)).toBe(false);
+  });
+
+  it("rejects state signed with another secret", async () => {
+    const state = await generateSignedState();
+    vi.stubEnv("SHOPIFY_API_SECRET", "other-secret");
+
+    expect(await verifySignedState(state)).toBe(false);
+  });
+
+  it("rejects malformed state", async () => {
+    const state = await generateSignedState();
+
+    for (const value of [null, undefined, 42, "", "nonce", "nonce.", ".signature", `${state}.extra`]) {
+      expect(await verifySignedState(value)).toBe(false);
+    }
+  });
+
+  it("rejects state when no secret is configured", async () => {
+    const state = await generateSignedState();
+    vi.stubEnv("SHOPIFY_API_SECRET", "");
+    vi.spyOn(console, "error").mockImplementation(() => {});
+
+    expect(await verifySignedState(state)).toBe(false);
+    await expect(generateSignedState()).rejects.toThrow("SHOPIFY_API_SECRET is required");
+  });
+});
+
+describe("PKCE", () => {
+  it("generates URL-safe verifiers", () => {
+    const verifier = generateCodeVerifier();
+
+    expect(verifier).toMatch(/^[A-Za-z0-9_-]{43}$/);
+    expect(generateCodeVerifier()).not.toBe(verifier);
+  });
+
+  it("derives the S256 challenge", async () => {
+    const verifier = generateCodeVerifier();
+    const expected = createHash("sha256").update(verifier).digest("base64url");
+
+    expect(await generateCodeChallenge(verifier)).toBe(expected);
+  });
+});
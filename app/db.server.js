@@ -1,4 +1,5 @@
 import { PrismaClient } from "@prisma/client";
+import { encryptSecret, decryptSecret } from "./services/encryption.server";
 
 if (process.env.NODE_ENV !== "production") {
   if (!global.prismaGlobal) {
@@ -11,25 +12,121 @@ const prisma = global.prismaGlobal ?? new PrismaClient();
 export default prisma;
 
 /**
- * Store a code verifier for PKCE authentication
- * @param {string} state - The state parameter used in OAuth flow
+ * Encryption contexts for secret columns; bound to the ciphertext so values
+ * can't be swapped between columns. Keep in sync with scripts/reencrypt-secrets.js.
+ */
+const SECRET_CONTEXTS = {
+  verifier: 'CodeVerifier.verifier',
+  accessToken: 'CustomerToken.accessToken',
+  refreshToken: 'CustomerToken.refreshToken',
+  mcpAuthHeaderValue: 'ShopMcpServer.authHeaderValue',
+  mcpOauthClientSecret: 'ShopMcpServer.oauthClientSecret',
+  dataExportBundle: 'CustomerDataExport.bundle'
+};
+
+/**
+ * Messages that are part of a conversation; "summary" rows only record the usage of summary calls
+ */
+const CONVERSATION_MESSAGES = { role: { not: 'summary' } };
+
+/**
+ * Decrypt the secret columns of a code verifier row
+ * @param {Object|null} record - The code verifier row
+ * @returns {Object|null} - The row with a plaintext verifier
+ */
+function decryptCodeVerifier(record) {
+  if (!record) return record;
+  return {
+    ...record,
+    verifier: decryptSecret(record.verifier, SECRET_CONTEXTS.verifier)
+  };
+}
+
+/**
+ * Decrypt the secret columns of a customer token row
+ * @param {Object|null} token - The customer token row
+ * @returns {Object|null} - The row with plaintext tokens
+ */
+function decryptCustomerToken(token) {
+  if (!token) return token;
+  return {
+    ...token,
+    accessToken: decryptSecret(token.accessToken, SECRET_CONTEXTS.accessToken),
+    refreshToken: decryptSecret(token.refreshToken, SECRET_CONTEXTS.refreshToken)
+  };
+}
+
+/**
+ * Decrypt the secret columns of a shop MCP server row and parse its tool list
+ * @param {Object|null} server - The shop MCP server row
+ * @returns {Object|null} - The row with plaintext secrets and enabledTools as an array or null
+ */
+function decryptShopMcpServer(server) {
+  if (!server) return server;
+  return {
+    ...server,
+    authHeaderValue: decryptSecret(server.authHeaderValue, SECRET_CONTEXTS.mcpAuthHeaderValue),
+    oauthClientSecret: decryptSecret(server.oauthClientSecret, SECRET_CONTEXTS.mcpOauthClientSecret),
+    enabledTools: server.enabledTools ? JSON.parse(server.enabledTools) : null
+  };
+}
+
+/**
+ * Prepare shop MCP server fields for storage; fields left undefined are not changed
+ * @param {Object} data - The server fields
+ * @returns {Object} - The fields with encrypted secrets and a serialized tool list
+ */
+function encodeShopMcpServer(data) {
+  const encoded = { ...data };
+
+  if (data.authHeaderValue !== undefined) {
+    encoded.authHeaderValue = encryptSecret(data.authHeaderValue, SECRET_CONTEXTS.mcpAuthHeaderValue);
+  }
+  if (data.oauthClientSecret !== undefined) {
+    encoded.oauthClientSecret = encryptSecret(data.oauthClientSecret, SECRET_CONTEXTS.mcpOauthClientSecret);
+  }
+  if (data.enabledTools !== undefined) {
+    encoded.enabledTools = data.enabledTools ? JSON.stringify(data.enabledTools) : null;
+  }
+
+  return encoded;
+}
+
+/**
+ * Store a code verifier for PKCE authentication along with the flow it belongs to
+ * @param {string} state - The opaque state parameter used in OAuth flow
  * @param {string} verifier - The code verifier to store
+ * @param {Object} [context] - The flow the state belongs to
+ * @param {string} [context.conversationId] - The conversation that started the flow
+ * @param {string} [context.shop] - The shop domain
+ * @param {string} [context.returnUrl] - Where to send the customer afterwards
  * @returns {Promise<Object>} - The saved code verifier object
  */
-export async function storeCodeVerifier(state, verifier) {
+export async function storeCodeVerifier(state, verifier, { conversationId = null, shop = null, returnUrl = null } = {}) {
   // Calculate expiration date (10 minutes from now)
   const expiresAt = new Date();
   expiresAt.setMinutes(expiresAt.getMinutes() + 10);
 
   try {
-    return await prisma.codeVerifier.create({
+    // Clean up old states; consumed ones are kept for a day to detect replays
+    const cleanupBefore = new Date(Date.now() - 24 * 60 * 60 * 1000);
+    await prisma.codeVerifier.deleteMany({
+      where: { expiresAt: { lt: cleanupBefore } }
+    });
+
+    const record = await prisma.codeVerifier.create({
       data: {
-        id: `cv_${Date.now()}`,
+        id: `cv_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`,
         state,
-        verifier,
+        verifier: encryptSecret(verifier, SECRET_CONTEXTS.verifier),
+        conversationId,
+        shop,
+        returnUrl,
         expiresAt
       }
     });
+
+    return decryptCodeVerifier(record);
   } catch (error) {
     console.error('Error storing code verifier:', error);
     throw error;
@@ -37,34 +134,45 @@ export async function storeCodeVerifier(state, verifier) {
 }
 
 /**
- * Get a code verifier by state parameter
+ * Consume a code verifier by state parameter
+ * Each state can be consumed exactly once and only before it expires.
  * @param {string} state - The state parameter used in OAuth flow
- * @returns {Promise<Object|null>} - The code verifier object or null if not found
+ * @returns {Promise<Object>} - { status, record } where status is one of
+ *   "valid", "consumed", "expired", "not_found" or "error"
  */
-export async function getCodeVerifier(state) {
+export async function consumeCodeVerifier(state) {
   try {
-    const verifier = await prisma.codeVerifier.findFirst({
+    const now = new Date();
+
+    // Atomically claim the state so concurrent callbacks can't both use it
+    const { count } = await prisma.codeVerifier.updateMany({
       where: {
         state,
-        expiresAt: {
-          gt: new Date()
-        }
-      }
+        consumedAt: null,
+        expiresAt: { gt: now }
+      },
+      data: { consumedAt: now }
     });
 
-    if (verifier) {
-      // Delete it after retrieval to prevent reuse
-      await prisma.codeVerifier.delete({
-        where: {
-          id: verifier.id
-        }
-      });
+    const record = decryptCodeVerifier(await prisma.codeVerifier.findUnique({
+      where: { state }
+    }));
+
+    if (count === 1 && record) {
+      return { status: 'valid', record };
+    }
+
+    if (!record) {
+      return { status: 'not_found', record: null };
     }
 
-    return verifier;
+    return {
+      status: record.consumedAt ? 'consumed' : 'expired',
+      record
+    };
   } catch (error) {
-    console.error('Error retrieving code verifier:', error);
-    return null;
+    console.error('Error consuming code verifier:', error);
+    return { status: 'error', record: null };
   }
 }
 
@@ -73,10 +181,14 @@ export async function getCodeVerifier(state) {
  * @param {string} conversationId - The conversation ID to associate with the token
  * @param {string} accessToken - The access token to store
  * @param {Date} expiresAt - When the token expires
+ * @param {string} [refreshToken] - The refresh token, if the server issued one
  * @returns {Promise<Object>} - The saved customer token
  */
-export async function storeCustomerToken(conversationId, accessToken, expiresAt) {
+export async function storeCustomerToken(conversationId, accessToken, expiresAt, refreshToken = null) {
   try {
+    const encryptedAccessToken = encryptSecret(accessToken, SECRET_CONTEXTS.accessToken);
+    const encryptedRefreshToken = encryptSecret(refreshToken, SECRET_CONTEXTS.refreshToken);
+
     // Check if a token already exists for this conversation
     const existingToken = await prisma.customerToken.findFirst({
       where: { conversationId }
@@ -84,27 +196,30 @@ export async function storeCustomerToken(conversationId, accessToken, expiresAt)
 
     if (existingToken) {
       // Update existing token
-      return await prisma.customerToken.update({
+      return decryptCustomerToken(await prisma.customerToken.update({
         where: { id: existingToken.id },
         data: {
-          accessToken,
+          accessToken: encryptedAccessToken,
           expiresAt,
+          // Keep the previous refresh token if the server didn't rotate it
+          ...(refreshToken ? { refreshToken: encryptedRefreshToken } : {}),
           updatedAt: new Date()
         }
-      });
+      }));
     }
 
     // Create a new token record
-    return await prisma.customerToken.create({
+    return decryptCustomerToken(await prisma.customerToken.create({
       data: {
         id: `ct_${Date.now()}`,
         conversationId,
-        accessToken,
+        accessToken: encryptedAccessToken,
+        refreshToken: encryptedRefreshToken,
         expiresAt,
         createdAt: new Date(),
         updatedAt: new Date()
       }
-    });
+    }));
   } catch (error) {
     console.error('Error storing customer token:', error);
     throw error;
@@ -114,20 +229,22 @@ export async function storeCustomerToken(conversationId, accessToken, expiresAt)
 /**
  * Get a customer access token by conversation ID
  * @param {string} conversationId - The conversation ID
+ * @param {Object} [options] - Lookup options
+ * @param {boolean} [options.includeExpired] - Also return expired tokens (for refreshing)
  * @returns {Promise<Object|null>} - The customer token or null if not found/expired
  */
-export async function getCustomerToken(conversationId) {
+export async function getCustomerToken(conversationId, { includeExpired = false } = {}) {
   try {
     const token = await prisma.customerToken.findFirst({
       where: {
         conversationId,
-        expiresAt: {
-          gt: new Date() // Only return non-expired tokens
-        }
-      }
+        // Only return non-expired tokens unless asked otherwise
+        ...(includeExpired ? {} : { expiresAt: { gt: new Date() } })
+      },
+      orderBy: { updatedAt: 'desc' }
     });
 
-    return token;
+    return decryptCustomerToken(token);
   } catch (error) {
     console.error('Error retrieving customer token:', error);
     return null;
@@ -137,18 +254,29 @@ export async function getCustomerToken(conversationId) {
 /**
  * Create or update a conversation in the database
  * @param {string} conversationId - The conversation ID
+ * @param {Object} [identity] - Who the conversation belongs to
+ * @param {string} [identity.shop] - The shop domain
+ * @param {string} [identity.customerId] - The logged-in customer ID
  * @returns {Promise<Object>} - The created or updated conversation
+ * @throws {Error} If the conversation belongs to another shop
  */
-export async function createOrUpdateConversation(conversationId) {
+export async function createOrUpdateConversation(conversationId, { shop, customerId } = {}) {
   try {
     const existingConversation = await prisma.conversation.findUnique({
       where: { id: conversationId }
     });
 
     if (existingConversation) {
+      if (shop && existingConversation.shop && existingConversation.shop !== shop) {
+        throw new Error(`Conversation ${conversationId} belongs to another shop`);
+      }
+
       return await prisma.conversation.update({
         where: { id: conversationId },
         data: {
+          // Never clear identity; a shopper may sign in part way through
+          ...(shop && !existingConversation.shop ? { shop } : {}),
+          ...(customerId ? { customerId } : {}),
           updatedAt: new Date()
         }
       });
@@ -156,7 +284,9 @@ export async function createOrUpdateConversation(conversationId) {
 
     return await prisma.conversation.create({
       data: {
-        id: conversationId
+        id: conversationId,
+        shop,
+        customerId
       }
     });
   } catch (error) {
@@ -165,14 +295,80 @@ export async function createOrUpdateConversation(conversationId) {
   }
 }
 
+/**
+ * Get a conversation by ID
+ * @param {string} conversationId - The conversation ID
+ * @returns {Promise<Object|null>} - The conversation or null if not found
+ */
+export async function getConversation(conversationId) {
+  try {
+    return await prisma.conversation.findUnique({
+      where: { id: conversationId }
+    });
+  } catch (error) {
+    console.error('Error retrieving conversation:', error);
+    return null;
+  }
+}
+
+/**
+ * Update the rolling summary of a conversation
+ * @param {string} conversationId - The conversation ID
+ * @param {string} summary - The summary text
+ * @param {Date} summarizedThrough - Creation time of the last message covered by the summary
+ * @returns {Promise<Object>} - The updated conversation
+ */
+export async function updateConversationSummary(conversationId, summary, summarizedThrough) {
+  try {
+    return await prisma.conversation.update({
+      where: { id: conversationId },
+      data: {
+        summary,
+        summarizedThrough
+      }
+    });
+  } catch (error) {
+    console.error('Error updating conversation summary:', error);
+    throw error;
+  }
+}
+
+/**
+ * Update who is answering a conversation
+ * @param {string} conversationId - The conversation ID
+ * @param {string} status - The new status (see CONVERSATION_STATUS in app/services/handoff.server.js)
+ * @param {Object} [escalation] - Details recorded when the assistant hands over to staff
+ * @param {string} [escalation.reason] - Why the assistant handed over
+ * @returns {Promise<Object>} - The updated conversation
+ */
+export async function updateConversationStatus(conversationId, status, { reason } = {}) {
+  try {
+    return await prisma.conversation.update({
+      where: { id: conversationId },
+      data: {
+        status,
+        ...(reason !== undefined ? { escalatedAt: new Date(), escalationReason: reason } : {})
+      }
+    });
+  } catch (error) {
+    console.error('Error updating conversation status:', error);
+    throw error;
+  }
+}
+
 /**
  * Save a message to the database
  * @param {string} conversationId - The conversation ID
- * @param {string} role - The message role (user or assistant)
+ * @param {string} role - The message role (user, assistant, staff, or summary for the usage of a summary call)
  * @param {string} content - The message content
+ * @param {Object} [metadata] - Optional message metadata
+ * @param {string} [metadata.provider] - The LLM provider that produced the message
+ * @param {Object} [metadata.usage] - Token usage and cost of the message (see usage.server.js)
+ * @param {boolean} [metadata.interrupted] - Whether the reply was cut short before it finished
+ * @param {string} [metadata.authorName] - The staff member who wrote a staff message
  * @returns {Promise<Object>} - The saved message
  */
-export async function saveMessage(conversationId, role, content) {
+export async function saveMessage(conversationId, role, content, { provider, usage, interrupted = false, authorName } = {}) {
   try {
     // Ensure the conversation exists
     await createOrUpdateConversation(conversationId);
@@ -182,7 +378,18 @@ export async function saveMessage(conversationId, role, content) {
       data: {
         conversationId,
         role,
-        content
+        content,
+        provider,
+        interrupted,
+        authorName,
+        ...(usage ? {
+          model: usage.model,
+          inputTokens: usage.inputTokens,
+          outputTokens: usage.outputTokens,
+          cacheCreationTokens: usage.cacheCreationTokens,
+          cacheReadTokens: usage.cacheReadTokens,
+          costUsd: usage.costUsd
+        } : {})
       }
     });
   } catch (error) {
@@ -194,12 +401,18 @@ export async function saveMessage(conversationId, role, content) {
 /**
  * Get conversation history
  * @param {string} conversationId - The conversation ID
+ * @param {Object} [options] - History options
+ * @param {Date} [options.since] - Only messages created after this time
  * @returns {Promise<Array>} - Array of messages in the conversation
  */
-export async function getConversationHistory(conversationId) {
+export async function getConversationHistory(conversationId, { since } = {}) {
   try {
     const messages = await prisma.message.findMany({
-      where: { conversationId },
+      where: {
+        conversationId,
+        ...CONVERSATION_MESSAGES,
+        ...(since ? { createdAt: { gt: since } } : {})
+      },
       orderBy: { createdAt: 'asc' }
     });
 
@@ -210,6 +423,110 @@ export async function getConversationHistory(conversationId) {
   }
 }
 
+/**
+ * List a shop's conversations, most recently active first
+ * @param {string} shop - The shop domain
+ * @param {Object} [filters] - Listing filters
+ * @param {string} [filters.search] - Text to find in messages, or a conversation/customer ID
+ * @param {Date} [filters.from] - Only conversations active on or after this date
+ * @param {Date} [filters.to] - Only conversations active on or before this date
+ * @param {Array<string>} [filters.statuses] - Only conversations with one of these statuses
+ * @param {number} [filters.page] - 1-based page number
+ * @param {number} [filters.pageSize] - Conversations per page
+ * @returns {Promise<Object>} - { conversations, total } where each conversation has
+ *   a message count and its first user message
+ */
+export async function getShopConversations(shop, { search, from, to, statuses, page = 1, pageSize = 25 } = {}) {
+  try {
+    const where = {
+      shop,
+      ...(statuses?.length ? { status: { in: statuses } } : {}),
+      ...(from || to ? {
+        updatedAt: {
+          ...(from ? { gte: from } : {}),
+          ...(to ? { lte: to } : {})
+        }
+      } : {}),
+      ...(search ? {
+        OR: [
+          { id: search },
+          { customerId: search },
+          { messages: { some: { ...CONVERSATION_MESSAGES, content: { contains: search, mode: 'insensitive' } } } }
+        ]
+      } : {})
+    };
+
+    const [conversations, total] = await prisma.$transaction([
+      prisma.conversation.findMany({
+        where,
+        orderBy: { updatedAt: 'desc' },
+        skip: (page - 1) * pageSize,
+        take: pageSize,
+        include: {
+          _count: { select: { messages: { where: CONVERSATION_MESSAGES } } },
+          messages: {
+            where: { role: 'user' },
+            orderBy: { createdAt: 'asc' },
+            take: 1
+          }
+        }
+      }),
+      prisma.conversation.count({ where })
+    ]);
+
+    return { conversations, total };
+  } catch (error) {
+    console.error('Error listing shop conversations:', error);
+    return { conversations: [], total: 0 };
+  }
+}
+
+/**
+ * Get a shop's conversation with all of its messages and what it cost
+ * @param {string} shop - The shop domain
+ * @param {string} conversationId - The conversation ID
+ * @returns {Promise<Object|null>} - The conversation with costUsd, including summary calls,
+ *   or null if it doesn't belong to the shop
+ */
+export async function getShopConversation(shop, conversationId) {
+  try {
+    const conversation = await prisma.conversation.findFirst({
+      where: { id: conversationId, shop },
+      include: { messages: { where: CONVERSATION_MESSAGES, orderBy: { createdAt: 'asc' } } }
+    });
+
+    if (!conversation) return null;
+
+    const cost = await prisma.message.aggregate({
+      where: { conversationId },
+      _sum: { costUsd: true }
+    });
+
+    return { ...conversation, costUsd: cost._sum.costUsd || 0 };
+  } catch (error) {
+    console.error('Error retrieving shop conversation:', error);
+    return null;
+  }
+}
+
+/**
+ * List the shops with an installed offline session
+ * @returns {Promise<Array<string>>} - Shop domains
+ */
+export async function getInstalledShops() {
+  try {
+    const sessions = await prisma.session.findMany({
+      where: { isOnline: false },
+      select: { shop: true },
+      distinct: ['shop']
+    });
+    return sessions.map(session => session.shop);
+  } catch (error) {
+    console.error('Error listing installed shops:', error);
+    return [];
+  }
+}
+
 /**
  * Store customer account URL for a conversation
  * @param {string} conversationId - The conversation ID
@@ -253,3 +570,831 @@ export async function getCustomerAccountUrl(conversationId) {
     return null;
   }
 }
+
+/**
+ * Get the active prompt version for a shop and prompt type
+ * @param {string} shop - The shop domain
+ * @param {string} promptType - The prompt type
+ * @returns {Promise<Object|null>} - The active shop prompt or null if none
+ */
+export async function getActiveShopPrompt(shop, promptType) {
+  try {
+    return await prisma.shopPrompt.findFirst({
+      where: { shop, promptType, isActive: true },
+      orderBy: { version: 'desc' }
+    });
+  } catch (error) {
+    console.error('Error retrieving shop prompt:', error);
+    return null;
+  }
+}
+
+/**
+ * Get all prompt versions for a shop and prompt type
+ * @param {string} shop - The shop domain
+ * @param {string} promptType - The prompt type
+ * @returns {Promise<Array>} - Prompt versions, newest first
+ */
+export async function getShopPromptVersions(shop, promptType) {
+  try {
+    return await prisma.shopPrompt.findMany({
+      where: { shop, promptType },
+      orderBy: { version: 'desc' }
+    });
+  } catch (error) {
+    console.error('Error retrieving shop prompt versions:', error);
+    return [];
+  }
+}
+
+/**
+ * Save a new prompt version for a shop and make it the active one
+ * @param {string} shop - The shop domain
+ * @param {string} promptType - The prompt type
+ * @param {string} content - The prompt template
+ * @param {string} [createdBy] - Who saved the version
+ * @returns {Promise<Object>} - The saved shop prompt
+ */
+export async function createShopPromptVersion(shop, promptType, content, createdBy = null) {
+  try {
+    return await prisma.$transaction(async (tx) => {
+      const latest = await tx.shopPrompt.findFirst({
+        where: { shop, promptType },
+        orderBy: { version: 'desc' }
+      });
+
+      await tx.shopPrompt.updateMany({
+        where: { shop, promptType, isActive: true },
+        data: { isActive: false }
+      });
+
+      return tx.shopPrompt.create({
+        data: {
+          shop,
+          promptType,
+          content,
+          createdBy,
+          version: (latest?.version || 0) + 1,
+          isActive: true
+        }
+      });
+    });
+  } catch (error) {
+    console.error('Error saving shop prompt:', error);
+    throw error;
+  }
+}
+
+/**
+ * Make an existing prompt version the active one
+ * @param {string} shop - The shop domain
+ * @param {string} id - The shop prompt ID
+ * @returns {Promise<Object|null>} - The activated shop prompt or null if not found
+ */
+export async function activateShopPromptVersion(shop, id) {
+  try {
+    const prompt = await prisma.shopPrompt.findFirst({
+      where: { id, shop }
+    });
+
+    if (!prompt) {
+      return null;
+    }
+
+    const [, activated] = await prisma.$transaction([
+      prisma.shopPrompt.updateMany({
+        where: { shop, promptType: prompt.promptType, isActive: true },
+        data: { isActive: false }
+      }),
+      prisma.shopPrompt.update({
+        where: { id },
+        data: { isActive: true }
+      })
+    ]);
+
+    return activated;
+  } catch (error) {
+    console.error('Error activating shop prompt:', error);
+    throw error;
+  }
+}
+
+/**
+ * Deactivate all prompt versions so the default template is used
+ * @param {string} shop - The shop domain
+ * @param {string} promptType - The prompt type
+ * @returns {Promise<Object>} - The update result
+ */
+export async function deactivateShopPrompts(shop, promptType) {
+  try {
+    return await prisma.shopPrompt.updateMany({
+      where: { shop, promptType, isActive: true },
+      data: { isActive: false }
+    });
+  } catch (error) {
+    console.error('Error deactivating shop prompts:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the third-party MCP servers a shop has registered
+ * @param {string} shop - The shop domain
+ * @param {Object} [options] - Query options
+ * @param {boolean} [options.enabledOnly] - Only return enabled servers
+ * @returns {Promise<Array>} - Servers with plaintext secrets, oldest first
+ */
+export async function getShopMcpServers(shop, { enabledOnly = false } = {}) {
+  try {
+    const servers = await prisma.shopMcpServer.findMany({
+      where: { shop, ...(enabledOnly ? { enabled: true } : {}) },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    return servers.map(decryptShopMcpServer);
+  } catch (error) {
+    console.error('Error retrieving shop MCP servers:', error);
+    return [];
+  }
+}
+
+/**
+ * Get one of a shop's MCP servers
+ * @param {string} shop - The shop domain
+ * @param {string} id - The server ID
+ * @returns {Promise<Object|null>} - The server with plaintext secrets, or null if not found
+ */
+export async function getShopMcpServer(shop, id) {
+  try {
+    return decryptShopMcpServer(await prisma.shopMcpServer.findFirst({
+      where: { id, shop }
+    }));
+  } catch (error) {
+    console.error('Error retrieving shop MCP server:', error);
+    return null;
+  }
+}
+
+/**
+ * Register a third-party MCP server for a shop
+ * @param {string} shop - The shop domain
+ * @param {Object} data - The server fields
+ * @returns {Promise<Object>} - The saved server
+ */
+export async function createShopMcpServer(shop, data) {
+  try {
+    return decryptShopMcpServer(await prisma.shopMcpServer.create({
+      data: { ...encodeShopMcpServer(data), shop }
+    }));
+  } catch (error) {
+    console.error('Error creating shop MCP server:', error);
+    throw error;
+  }
+}
+
+/**
+ * Update one of a shop's MCP servers
+ * @param {string} shop - The shop domain
+ * @param {string} id - The server ID
+ * @param {Object} data - The fields to change; secrets left undefined are kept
+ * @returns {Promise<Object|null>} - The updated server, or null if not found
+ */
+export async function updateShopMcpServer(shop, id, data) {
+  try {
+    const server = await prisma.shopMcpServer.findFirst({
+      where: { id, shop }
+    });
+
+    if (!server) {
+      return null;
+    }
+
+    return decryptShopMcpServer(await prisma.shopMcpServer.update({
+      where: { id },
+      data: encodeShopMcpServer(data)
+    }));
+  } catch (error) {
+    console.error('Error updating shop MCP server:', error);
+    throw error;
+  }
+}
+
+/**
+ * Remove one of a shop's MCP servers
+ * @param {string} shop - The shop domain
+ * @param {string} id - The server ID
+ * @returns {Promise<boolean>} - True if a server was removed
+ */
+export async function deleteShopMcpServer(shop, id) {
+  try {
+    const { count } = await prisma.shopMcpServer.deleteMany({
+      where: { id, shop }
+    });
+
+    return count > 0;
+  } catch (error) {
+    console.error('Error deleting shop MCP server:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the MCP resources a shop has chosen to add to the system prompt
+ * @param {string} shop - The shop domain
+ * @returns {Promise<Array>} - Resources with server, uri and name
+ */
+export async function getShopMcpResources(shop) {
+  try {
+    return await prisma.shopMcpResource.findMany({
+      where: { shop },
+      orderBy: { createdAt: 'asc' }
+    });
+  } catch (error) {
+    console.error('Error retrieving shop MCP resources:', error);
+    return [];
+  }
+}
+
+/**
+ * Replace the MCP resources a shop adds to the system prompt
+ * @param {string} shop - The shop domain
+ * @param {Array<Object>} resources - Resources with server, uri and name
+ * @returns {Promise<number>} - Number of selected resources
+ */
+export async function setShopMcpResources(shop, resources) {
+  try {
+    const [, created] = await prisma.$transaction([
+      prisma.shopMcpResource.deleteMany({ where: { shop } }),
+      prisma.shopMcpResource.createMany({
+        data: resources.map(({ server, uri, name }) => ({ shop, server, uri, name }))
+      })
+    ]);
+
+    return created.count;
+  } catch (error) {
+    console.error('Error saving shop MCP resources:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get everything stored about a customer's conversations
+ * Token values are never returned; only when they were issued and expire.
+ * @param {string} shop - The shop domain
+ * @param {string} customerId - The Shopify customer ID
+ * @returns {Promise<Object>} - { conversations, tokens, accountUrls }
+ */
+export async function getCustomerConversationData(shop, customerId) {
+  try {
+    const conversations = await prisma.conversation.findMany({
+      where: { shop, customerId },
+      include: { messages: { where: CONVERSATION_MESSAGES, orderBy: { createdAt: 'asc' } } },
+      orderBy: { createdAt: 'asc' }
+    });
+    const conversationIds = conversations.map(conversation => conversation.id);
+
+    const [tokens, accountUrls] = await Promise.all([
+      prisma.customerToken.findMany({
+        where: { conversationId: { in: conversationIds } },
+        select: { conversationId: true, expiresAt: true, createdAt: true, updatedAt: true }
+      }),
+      prisma.customerAccountUrl.findMany({
+        where: { conversationId: { in: conversationIds } }
+      })
+    ]);
+
+    return { conversations, tokens, accountUrls };
+  } catch (error) {
+    console.error('Error retrieving customer conversation data:', error);
+    throw error;
+  }
+}
+
+/**
+ * Permanently delete conversations and everything tied to them
+ * @param {Array<string>} conversationIds - The conversation IDs
+ * @returns {Promise<Object>} - Number of deleted rows per table
+ */
+export async function deleteConversationData(conversationIds) {
+  try {
+    const where = { conversationId: { in: conversationIds } };
+    const [customerTokens, customerAccountUrls, codeVerifiers, analyticsEvents, messages, conversations] = await prisma.$transaction([
+      prisma.customerToken.deleteMany({ where }),
+      prisma.customerAccountUrl.deleteMany({ where }),
+      prisma.codeVerifier.deleteMany({ where }),
+      prisma.analyticsEvent.deleteMany({ where }),
+      prisma.message.deleteMany({ where }),
+      prisma.conversation.deleteMany({ where: { id: { in: conversationIds } } })
+    ]);
+
+    return {
+      conversations: conversations.count,
+      messages: messages.count,
+      customerTokens: customerTokens.count,
+      customerAccountUrls: customerAccountUrls.count,
+      codeVerifiers: codeVerifiers.count,
+      analyticsEvents: analyticsEvents.count
+    };
+  } catch (error) {
+    console.error('Error deleting conversation data:', error);
+    throw error;
+  }
+}
+
+/**
+ * Permanently delete a customer's conversations and data exports
+ * @param {string} shop - The shop domain
+ * @param {string} customerId - The Shopify customer ID
+ * @returns {Promise<Object>} - Number of deleted rows per table
+ */
+export async function deleteCustomerData(shop, customerId) {
+  try {
+    const conversations = await prisma.conversation.findMany({
+      where: { shop, customerId },
+      select: { id: true }
+    });
+
+    const counts = await deleteConversationData(conversations.map(conversation => conversation.id));
+    const dataExports = await prisma.customerDataExport.deleteMany({
+      where: { shop, customerId }
+    });
+
+    return { ...counts, dataExports: dataExports.count };
+  } catch (error) {
+    console.error('Error deleting customer data:', error);
+    throw error;
+  }
+}
+
+/**
+ * Permanently delete everything stored for a shop
+ * Audit log rows are kept as proof of deletion, with customer IDs removed.
+ * @param {string} shop - The shop domain
+ * @returns {Promise<Object>} - Number of deleted rows per table
+ */
+export async function deleteShopData(shop) {
+  try {
+    const conversations = await prisma.conversation.findMany({
+      where: { shop },
+      select: { id: true }
+    });
+
+    const counts = await deleteConversationData(conversations.map(conversation => conversation.id));
+    const [codeVerifiers, analyticsEvents, shopPrompts, mcpServers, mcpResources, dataExports, sessions] = await prisma.$transaction([
+      prisma.codeVerifier.deleteMany({ where: { shop } }),
+      prisma.analyticsEvent.deleteMany({ where: { shop } }),
+      prisma.shopPrompt.deleteMany({ where: { shop } }),
+      prisma.shopMcpServer.deleteMany({ where: { shop } }),
+      prisma.shopMcpResource.deleteMany({ where: { shop } }),
+      prisma.customerDataExport.deleteMany({ where: { shop } }),
+      prisma.session.deleteMany({ where: { shop } }),
+      prisma.complianceAuditLog.updateMany({
+        where: { shop, customerId: { not: null } },
+        data: { customerId: null }
+      })
+    ]);
+
+    return {
+      ...counts,
+      codeVerifiers: counts.codeVerifiers + codeVerifiers.count,
+      analyticsEvents: counts.analyticsEvents + analyticsEvents.count,
+      shopPrompts: shopPrompts.count,
+      mcpServers: mcpServers.count,
+      mcpResources: mcpResources.count,
+      dataExports: dataExports.count,
+      sessions: sessions.count
+    };
+  } catch (error) {
+    console.error('Error deleting shop data:', error);
+    throw error;
+  }
+}
+
+/**
+ * Store a customer data export bundle, encrypted since it holds the customer's personal data
+ * @param {string} shop - The shop domain
+ * @param {string} customerId - The Shopify customer ID
+ * @param {string|null} dataRequestId - The data request ID from the webhook
+ * @param {Object} bundle - The export bundle
+ * @returns {Promise<Object>} - The saved export, without the bundle
+ */
+export async function createCustomerDataExport(shop, customerId, dataRequestId, bundle) {
+  try {
+    return await prisma.customerDataExport.create({
+      data: {
+        shop,
+        customerId,
+        dataRequestId,
+        bundle: encryptSecret(JSON.stringify(bundle), SECRET_CONTEXTS.dataExportBundle)
+      },
+      select: { id: true, shop: true, customerId: true, dataRequestId: true, createdAt: true }
+    });
+  } catch (error) {
+    console.error('Error storing customer data export:', error);
+    throw error;
+  }
+}
+
+/**
+ * List a shop's customer data exports, newest first, without their bundles
+ * @param {string} shop - The shop domain
+ * @returns {Promise<Array>} - The exports
+ */
+export async function getCustomerDataExports(shop) {
+  try {
+    return await prisma.customerDataExport.findMany({
+      where: { shop },
+      select: { id: true, customerId: true, dataRequestId: true, createdAt: true },
+      orderBy: { createdAt: 'desc' }
+    });
+  } catch (error) {
+    console.error('Error retrieving customer data exports:', error);
+    return [];
+  }
+}
+
+/**
+ * Get one of a shop's customer data exports with its decrypted bundle
+ * @param {string} shop - The shop domain
+ * @param {string} exportId - The export ID
+ * @returns {Promise<Object|null>} - The export with the bundle parsed, or null if the shop has no such export
+ */
+export async function getCustomerDataExport(shop, exportId) {
+  try {
+    const dataExport = await prisma.customerDataExport.findFirst({
+      where: { id: exportId, shop }
+    });
+
+    if (!dataExport) return null;
+
+    return {
+      ...dataExport,
+      bundle: JSON.parse(decryptSecret(dataExport.bundle, SECRET_CONTEXTS.dataExportBundle))
+    };
+  } catch (error) {
+    console.error('Error retrieving customer data export:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete one of a shop's customer data exports
+ * @param {string} shop - The shop domain
+ * @param {string} exportId - The export ID
+ * @returns {Promise<boolean>} - True if an export was deleted
+ */
+export async function deleteCustomerDataExport(shop, exportId) {
+  try {
+    const { count } = await prisma.customerDataExport.deleteMany({
+      where: { id: exportId, shop }
+    });
+    return count > 0;
+  } catch (error) {
+    console.error('Error deleting customer data export:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete customer data exports created before a cutoff, from every shop
+ * @param {Date} cutoff - Exports created before this are deleted
+ * @returns {Promise<number>} - Number of deleted exports
+ */
+export async function deleteCustomerDataExportsBefore(cutoff) {
+  try {
+    const { count } = await prisma.customerDataExport.deleteMany({
+      where: { createdAt: { lt: cutoff } }
+    });
+    return count;
+  } catch (error) {
+    console.error('Error deleting expired customer data exports:', error);
+    throw error;
+  }
+}
+
+/**
+ * Record a compliance action in the audit log
+ * @param {Object} entry - The audit entry
+ * @param {string} entry.shop - The shop domain
+ * @param {string} entry.topic - The webhook topic
+ * @param {string} entry.action - What was done
+ * @param {string} [entry.customerId] - The customer the action concerned
+ * @param {Object} [entry.details] - Counts of exported or deleted records
+ * @returns {Promise<Object>} - The saved audit row
+ */
+export async function createComplianceAuditLog({ shop, topic, action, customerId = null, details = null }) {
+  try {
+    return await prisma.complianceAuditLog.create({
+      data: {
+        shop,
+        topic,
+        action,
+        customerId,
+        details: details ? JSON.stringify(details) : null
+      }
+    });
+  } catch (error) {
+    console.error('Error writing compliance audit log:', error);
+    throw error;
+  }
+}
+
+/**
+ * Record analytics events
+ * Failures are logged and swallowed so analytics never break a chat.
+ * @param {Array<Object>} events - Events with shop, type and optional conversationId, name, query, metadata
+ * @returns {Promise<Object|null>} - The createMany result or null on failure
+ */
+export async function recordAnalyticsEvents(events) {
+  if (events.length === 0) return null;
+
+  try {
+    return await prisma.analyticsEvent.createMany({
+      data: events.map(event => ({
+        shop: event.shop,
+        conversationId: event.conversationId || null,
+        type: event.type,
+        name: event.name || null,
+        query: event.query || null,
+        metadata: event.metadata ? JSON.stringify(event.metadata) : null
+      }))
+    });
+  } catch (error) {
+    console.error('Error recording analytics events:', error);
+    return null;
+  }
+}
+
+/**
+ * Count a shop's analytics events by type and name
+ * @param {string} shop - The shop domain
+ * @param {Date} since - Start of the range
+ * @returns {Promise<Array>} - Rows of { type, name, count }
+ */
+export async function getAnalyticsEventCounts(shop, since) {
+  try {
+    const groups = await prisma.analyticsEvent.groupBy({
+      by: ['type', 'name'],
+      where: { shop, createdAt: { gte: since } },
+      _count: { _all: true }
+    });
+
+    return groups.map(group => ({
+      type: group.type,
+      name: group.name,
+      count: group._count._all
+    }));
+  } catch (error) {
+    console.error('Error counting analytics events:', error);
+    return [];
+  }
+}
+
+/**
+ * Count a shop's analytics events per day and type
+ * @param {string} shop - The shop domain
+ * @param {Date} since - Start of the range
+ * @returns {Promise<Array>} - Rows of { day, type, count }, oldest first
+ */
+export async function getDailyAnalyticsEventCounts(shop, since) {
+  try {
+    return await prisma.$queryRaw`
+      SELECT date_trunc('day', "createdAt") AS "day", "type", COUNT(*)::int AS "count"
+      FROM "AnalyticsEvent"
+      WHERE "shop" = ${shop} AND "createdAt" >= ${since}
+      GROUP BY 1, 2
+      ORDER BY 1
+    `;
+  } catch (error) {
+    console.error('Error counting daily analytics events:', error);
+    return [];
+  }
+}
+
+/**
+ * Get the most frequent search queries of a given event type
+ * @param {string} shop - The shop domain
+ * @param {string} type - The event type (e.g. empty searches)
+ * @param {Date} since - Start of the range
+ * @param {number} limit - Maximum number of queries
+ * @returns {Promise<Array>} - Rows of { query, count, lastSeenAt }
+ */
+export async function getTopAnalyticsQueries(shop, type, since, limit) {
+  try {
+    const groups = await prisma.analyticsEvent.groupBy({
+      by: ['query'],
+      where: { shop, type, query: { not: null }, createdAt: { gte: since } },
+      _count: { query: true },
+      _max: { createdAt: true },
+      orderBy: { _count: { query: 'desc' } },
+      take: limit
+    });
+
+    return groups.map(group => ({
+      query: group.query,
+      count: group._count.query,
+      lastSeenAt: group._max.createdAt
+    }));
+  } catch (error) {
+    console.error('Error retrieving top analytics queries:', error);
+    return [];
+  }
+}
+
+/**
+ * Build the message filter for a shop's usage within a date range
+ * @param {string} shop - The shop domain
+ * @param {Date} since - Start of the range
+ * @param {Date} [until] - End of the range (exclusive)
+ * @returns {Object} - Prisma where clause
+ */
+function shopUsageWhere(shop, since, until) {
+  return {
+    role: { in: ['assistant', 'summary'] },
+    conversation: { shop },
+    createdAt: { gte: since, ...(until ? { lt: until } : {}) }
+  };
+}
+
+/**
+ * Sum a shop's token usage and cost within a date range
+ * @param {string} shop - The shop domain
+ * @param {Date} since - Start of the range
+ * @param {Date} [until] - End of the range (exclusive)
+ * @returns {Promise<Object>} - Summed token counts, costUsd and message count
+ */
+export async function getShopUsageTotals(shop, since, until) {
+  try {
+    const result = await prisma.message.aggregate({
+      where: shopUsageWhere(shop, since, until),
+      _sum: {
+        inputTokens: true,
+        outputTokens: true,
+        cacheCreationTokens: true,
+        cacheReadTokens: true,
+        costUsd: true
+      },
+      _count: { _all: true }
+    });
+
+    return {
+      inputTokens: result._sum.inputTokens || 0,
+      outputTokens: result._sum.outputTokens || 0,
+      cacheCreationTokens: result._sum.cacheCreationTokens || 0,
+      cacheReadTokens: result._sum.cacheReadTokens || 0,
+      costUsd: result._sum.costUsd || 0,
+      messages: result._count._all
+    };
+  } catch (error) {
+    console.error('Error summing shop usage:', error);
+    throw error;
+  }
+}
+
+/**
+ * Sum a shop's token usage and cost per model within a date range
+ * @param {string} shop - The shop domain
+ * @param {Date} since - Start of the range
+ * @param {Date} [until] - End of the range (exclusive)
+ * @returns {Promise<Array>} - Rows of { model, provider, inputTokens, outputTokens, cacheCreationTokens, cacheReadTokens, costUsd, messages }
+ */
+export async function getShopUsageByModel(shop, since, until) {
+  try {
+    const groups = await prisma.message.groupBy({
+      by: ['provider', 'model'],
+      where: shopUsageWhere(shop, since, until),
+      _sum: {
+        inputTokens: true,
+        outputTokens: true,
+        cacheCreationTokens: true,
+        cacheReadTokens: true,
+        costUsd: true
+      },
+      _count: { _all: true }
+    });
+
+    return groups.map(group => ({
+      provider: group.provider,
+      model: group.model,
+      inputTokens: group._sum.inputTokens || 0,
+      outputTokens: group._sum.outputTokens || 0,
+      cacheCreationTokens: group._sum.cacheCreationTokens || 0,
+      cacheReadTokens: group._sum.cacheReadTokens || 0,
+      costUsd: group._sum.costUsd || 0,
+      messages: group._count._all
+    }));
+  } catch (error) {
+    console.error('Error summing shop usage by model:', error);
+    return [];
+  }
+}
+
+/**
+ * Get a shop's most expensive conversations within a date range
+ * @param {string} shop - The shop domain
+ * @param {Date} since - Start of the range
+ * @param {Date} [until] - End of the range (exclusive)
+ * @param {number} [limit] - Maximum number of conversations
+ * @returns {Promise<Array>} - Rows of { conversationId, costUsd, inputTokens, outputTokens, messages }
+ */
+export async function getShopConversationCosts(shop, since, until, limit = 10) {
+  try {
+    const groups = await prisma.message.groupBy({
+      by: ['conversationId'],
+      where: shopUsageWhere(shop, since, until),
+      _sum: { costUsd: true, inputTokens: true, outputTokens: true },
+      _count: { _all: true },
+      orderBy: { _sum: { costUsd: 'desc' } },
+      take: limit
+    });
+
+    return groups.map(group => ({
+      conversationId: group.conversationId,
+      costUsd: group._sum.costUsd || 0,
+      inputTokens: group._sum.inputTokens || 0,
+      outputTokens: group._sum.outputTokens || 0,
+      messages: group._count._all
+    }));
+  } catch (error) {
+    console.error('Error retrieving conversation costs:', error);
+    return [];
+  }
+}
+
+/**
+ * Record a rate limit hit and count the hits for the same key in the window
+ * @param {string} key - The rate limit key
+ * @param {Date} windowStart - Start of the sliding window
+ * @returns {Promise<Object>} - { count, oldest } where oldest is the first hit in the window
+ */
+export async function recordRateLimitHit(key, windowStart) {
+  try {
+    const [, count, oldest] = await prisma.$transaction([
+      prisma.rateLimitHit.create({ data: { key } }),
+      prisma.rateLimitHit.count({ where: { key, createdAt: { gt: windowStart } } }),
+      prisma.rateLimitHit.findFirst({
+        where: { key, createdAt: { gt: windowStart } },
+        orderBy: { createdAt: 'asc' },
+        select: { createdAt: true }
+      })
+    ]);
+
+    return { count, oldest: oldest?.createdAt || new Date() };
+  } catch (error) {
+    console.error('Error recording rate limit hit:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete rate limit hits that have left every window
+ * @param {Date} before - Delete hits created before this time
+ * @returns {Promise<number>} - The number of hits deleted
+ */
+export async function deleteRateLimitHitsBefore(before) {
+  try {
+    const result = await prisma.rateLimitHit.deleteMany({
+      where: { createdAt: { lt: before } }
+    });
+    return result.count;
+  } catch (error) {
+    console.error('Error deleting old rate limit hits:', error);
+    return 0;
+  }
+}
+
+/**
+ * Block a rate limit key until a given time
+ * @param {string} key - The rate limit key
+ * @param {Date} expiresAt - When the block ends
+ * @param {string} [reason] - Why the key was blocked
+ * @returns {Promise<Object>} - The block
+ */
+export async function upsertRateLimitBlock(key, expiresAt, reason = null) {
+  try {
+    return await prisma.rateLimitBlock.upsert({
+      where: { key },
+      create: { key, expiresAt, reason },
+      update: { expiresAt, reason }
+    });
+  } catch (error) {
+    console.error('Error blocking rate limit key:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the active block for a rate limit key
+ * @param {string} key - The rate limit key
+ * @returns {Promise<Object|null>} - The block, or null if the key isn't blocked
+ */
+export async function getRateLimitBlock(key) {
+  try {
+    return await prisma.rateLimitBlock.findFirst({
+      where: { key, expiresAt: { gt: new Date() } }
+    });
+  } catch (error) {
+    console.error('Error retrieving rate limit block:', error);
+    throw error;
+  }
+}
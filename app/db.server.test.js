@@ -0,0 +1,149 @@
+import crypto from "node:crypto";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import AppConfig from "./services/config.server";
+import {
+  getConversationHistory,
+  getShopConversations,
+  getShopConversation,
+  getCustomerConversationData,
+  createCustomerDataExport,
+  getCustomerDataExport,
+  deleteCustomerDataExport,
+  deleteCustomerDataExportsBefore
+} from "./db.server";
+
+const prisma = vi.hoisted(() => ({
+  $transaction: vi.fn(queries => Promise.all(queries)),
+  conversation: {
+    findMany: vi.fn(),
+    findFirst: vi.fn(),
+    count: vi.fn()
+  },
+  message: {
+    findMany: vi.fn(),
+    aggregate: vi.fn()
+  },
+  customerToken: { findMany: vi.fn() },
+  customerAccountUrl: { findMany: vi.fn() },
+  customerDataExport: {
+    create: vi.fn(),
+    findFirst: vi.fn(),
+    deleteMany: vi.fn()
+  }
+}));
+
+vi.mock("@prisma/client", () => ({
+  PrismaClient: class {
+    constructor() {
+      return prisma;
+    }
+  }
+}));
+
+const SHOP = "a.myshopify.com";
+
+// Summary rows only record what summary calls cost
+const NOT_SUMMARY = { role: { not: "summary" } };
+
+describe("summary messages", () => {
+  afterEach(() => {
+    vi.resetAllMocks();
+    prisma.$transaction.mockImplementation(queries => Promise.all(queries));
+  });
+
+  it("are left out of the conversation history", async () => {
+    prisma.message.findMany.mockResolvedValue([]);
+    await getConversationHistory("c1");
+
+    expect(prisma.message.findMany.mock.calls[0][0].where).toMatchObject({ conversationId: "c1", ...NOT_SUMMARY });
+  });
+
+  it("are left out of inbox message counts and search", async () => {
+    prisma.conversation.findMany.mockResolvedValue([]);
+    prisma.conversation.count.mockResolvedValue(0);
+    await getShopConversations(SHOP, { search: "tee" });
+
+    const { where, include } = prisma.conversation.findMany.mock.calls[0][0];
+    expect(include._count).toEqual({ select: { messages: { where: NOT_SUMMARY } } });
+    expect(where.OR).toContainEqual({
+      messages: { some: { ...NOT_SUMMARY, content: { contains: "tee", mode: "insensitive" } } }
+    });
+    expect(prisma.conversation.count.mock.calls[0][0].where).toBe(where);
+  });
+
+  it("are left out of the transcript but counted in its cost", async () => {
+    prisma.conversation.findFirst.mockResolvedValue({ id: "c1", shop: SHOP, messages: [] });
+    prisma.message.aggregate.mockResolvedValue({ _sum: { costUsd: 0.25 } });
+
+    const conversation = await getShopConversation(SHOP, "c1");
+
+    expect(prisma.conversation.findFirst.mock.calls[0][0].include.messages.where).toEqual(NOT_SUMMARY);
+    expect(prisma.message.aggregate).toHaveBeenCalledWith({ where: { conversationId: "c1" }, _sum: { costUsd: true } });
+    expect(conversation.costUsd).toBe(0.25);
+  });
+
+  it("are left out of customer data exports", async () => {
+    prisma.conversation.findMany.mockResolvedValue([{ id: "c1", messages: [] }]);
+    prisma.customerToken.findMany.mockResolvedValue([]);
+    prisma.customerAccountUrl.findMany.mockResolvedValue([]);
+
+    await getCustomerConversationData(SHOP, "42");
+
+    expect(prisma.conversation.findMany.mock.calls[0][0].include.messages.where).toEqual(NOT_SUMMARY);
+  });
+});
+
+describe("customer data exports", () => {
+  const { keys, activeKeyId } = AppConfig.encryption;
+
+  beforeEach(() => {
+    AppConfig.encryption.keys = { "2026-10": crypto.randomBytes(32).toString("base64") };
+    AppConfig.encryption.activeKeyId = null;
+  });
+
+  afterEach(() => {
+    AppConfig.encryption.keys = keys;
+    AppConfig.encryption.activeKeyId = activeKeyId;
+    vi.resetAllMocks();
+  });
+
+  it("encrypts the bundle and reads it back for the shop", async () => {
+    const bundle = { customerId: "42", conversations: [{ id: "c1", messages: ["jane@example.com"] }] };
+    await createCustomerDataExport(SHOP, "42", "r1", bundle);
+
+    const { data } = prisma.customerDataExport.create.mock.calls[0][0];
+    expect(data.bundle).toMatch(/^enc:v1:2026-10:/);
+    expect(data.bundle).not.toContain("jane@example.com");
+
+    prisma.customerDataExport.findFirst.mockResolvedValue({ id: "e1", shop: SHOP, customerId: "42", ...data });
+    const dataExport = await getCustomerDataExport(SHOP, "e1");
+
+    expect(prisma.customerDataExport.findFirst).toHaveBeenCalledWith({ where: { id: "e1", shop: SHOP } });
+    expect(dataExport.bundle).toEqual(bundle);
+  });
+
+  it("returns null for another shop's export", async () => {
+    prisma.customerDataExport.findFirst.mockResolvedValue(null);
+    expect(await getCustomerDataExport("b.myshopify.com", "e1")).toBeNull();
+  });
+
+  it("reads exports stored before encryption", async () => {
+    prisma.customerDataExport.findFirst.mockResolvedValue({ id: "e1", bundle: '{"customerId":"42"}' });
+    expect((await getCustomerDataExport(SHOP, "e1")).bundle).toEqual({ customerId: "42" });
+  });
+
+  it("deletes exports only within the shop", async () => {
+    prisma.customerDataExport.deleteMany.mockResolvedValue({ count: 0 });
+
+    expect(await deleteCustomerDataExport(SHOP, "e1")).toBe(false);
+    expect(prisma.customerDataExport.deleteMany).toHaveBeenCalledWith({ where: { id: "e1", shop: SHOP } });
+  });
+
+  it("deletes exports created before a cutoff", async () => {
+    const cutoff = new Date("2026-09-18T00:00:00Z");
+    prisma.customerDataExport.deleteMany.mockResolvedValue({ count: 3 });
+
+    expect(await deleteCustomerDataExportsBefore(cutoff)).toBe(3);
+    expect(prisma.customerDataExport.deleteMany).toHaveBeenCalledWith({ where: { createdAt: { lt: cutoff } } });
+  });
+});
@@ -1,5 +1,83 @@
-import { generateAuthUrl } from "./auth.server";
+import { createHash } from "crypto";
+import { generateAuthUrl, isTokenExpiring, refreshCustomerToken } from "./auth.server";
 import { getCustomerToken } from "./db.server";
+import AppConfig from "./services/config.server";
+
+/**
+ * MCP protocol versions this client speaks, newest first
+ */
+const SUPPORTED_PROTOCOL_VERSIONS = ["2025-06-18", "2025-03-26", "2024-11-05"];
+
+/**
+ * Identifies this client to MCP servers during initialization
+ */
+const CLIENT_INFO = { name: "shop-chat-agent", version: "1.0.0" };
+
+/**
+ * Longest tool name the model accepts
+ */
+const MAX_TOOL_NAME_LENGTH = 64;
+
+/**
+ * Tool lists by shop and MCP endpoint, shared across chat turns so each turn
+ * doesn't have to list tools again before the model can answer
+ */
+const toolListCache = new Map();
+
+/**
+ * Resource contents by shop, MCP endpoint and URI
+ */
+const resourceCache = new Map();
+
+/**
+ * Forgets the cached tool lists and resources of a shop's MCP servers,
+ * e.g. after the merchant changes their server settings.
+ *
+ * @param {string} shopId - ID of the Shopify shop
+ */
+export function clearServerCache(shopId) {
+  for (const cache of [toolListCache, resourceCache]) {
+    for (const key of cache.keys()) {
+      if (key.startsWith(`${shopId} `)) {
+        cache.delete(key);
+      }
+    }
+  }
+}
+
+/**
+ * Fits a tool name into the model's length limit.
+ * Longer names are cut and end in a hash of the full name, so two names that
+ * only differ past the limit still get different exposed names.
+ *
+ * @param {string} name - The full tool name
+ * @returns {string} The name to expose
+ */
+function shortenToolName(name) {
+  if (name.length <= MAX_TOOL_NAME_LENGTH) {
+    return name;
+  }
+
+  const suffix = `_${createHash("sha256").update(name).digest("hex").substring(0, 8)}`;
+  return `${name.substring(0, MAX_TOOL_NAME_LENGTH - suffix.length)}${suffix}`;
+}
+
+/**
+ * Keys an MCP session by endpoint and the credentials sent to it, so servers
+ * at the same URL with different credentials never share a session
+ *
+ * @param {string} endpoint - The endpoint URL
+ * @param {Object} headers - HTTP headers for the requests (e.g. authorization)
+ * @returns {string} The session key
+ */
+function sessionKey(endpoint, headers) {
+  const credentials = Object.entries(headers || {})
+    .map(([name, value]) => [name.toLowerCase(), String(value)])
+    .filter(([name]) => name !== "content-type")
+    .sort(([a], [b]) => a.localeCompare(b));
+
+  return `${endpoint} ${createHash("sha256").update(JSON.stringify(credentials)).digest("hex")}`;
+}
 
 /**
  * Client for interacting with Model Context Protocol (MCP) API endpoints.
@@ -12,12 +90,16 @@ class MCPClient {
    * @param {string} hostUrl - The base URL for the shop
    * @param {string} conversationId - ID for the current conversation
    * @param {string} shopId - ID of the Shopify shop
+   * @param {string} customerMcpEndpoint - The customer MCP endpoint, if known
+   * @param {Object} options - Client options
+   * @param {AbortSignal} options.signal - Aborts in-flight requests when the chat client disconnects
    */
-  constructor(hostUrl, conversationId, shopId, customerMcpEndpoint) {
+  constructor(hostUrl, conversationId, shopId, customerMcpEndpoint, { signal } = {}) {
     this.tools = [];
     this.customerTools = [];
     this.storefrontTools = [];
     // TODO: Make this dynamic, for that first we need to allow access of mcp tools on password proteted demo stores.
+    this.hostUrl = hostUrl;
     this.storefrontMcpEndpoint = `${hostUrl}/api/mcp`;
 
     const accountHostUrl = hostUrl.replace(/(\.myshopify\.com)$/, '.account$1');
@@ -25,27 +107,64 @@ class MCPClient {
     this.customerAccessToken = "";
     this.conversationId = conversationId;
     this.shopId = shopId;
+    this.signal = signal;
+
+    // MCP sessions by endpoint and credentials (see sessionKey): negotiated protocol version,
+    // session ID and server capabilities
+    this.sessions = new Map();
+    // Handshakes in progress by endpoint, so concurrent requests share one `initialize`
+    this.pendingSessions = new Map();
+    this.nextRequestId = 1;
+
+    // Merchant-registered MCP servers by namespace: endpoint, headers and tools
+    this.servers = new Map();
+
+    // Every connected server ("storefront", "customer" or a namespace): endpoint and headers
+    this.endpoints = new Map();
+
+    // Which server and tool name each exposed tool name calls
+    this.toolRoutes = new Map();
+  }
+
+  /**
+   * Ends the MCP sessions opened by this client.
+   * Servers that issued a session ID are told the session is over; failures are ignored.
+   * Each server gets as long to answer as it does to connect, so a hung one can't stall cleanup.
+   *
+   * @returns {Promise<void>}
+   */
+  async close() {
+    const sessions = [...this.sessions.values()];
+    this.sessions.clear();
+
+    await Promise.all(sessions
+      .filter(session => session.sessionId)
+      .map(session => fetch(session.endpoint, {
+        method: "DELETE",
+        headers: {
+          ...session.headers,
+          "Mcp-Session-Id": session.sessionId,
+          "MCP-Protocol-Version": session.protocolVersion
+        },
+        signal: AbortSignal.timeout(AppConfig.mcp.connectTimeoutMs)
+      }).catch(() => {})));
   }
 
   /**
    * Connects to the customer MCP server and retrieves available tools.
    * Attempts to use an existing token or will proceed without authentication.
    *
+   * @param {Object} options - Connection options
+   * @param {number} options.timeoutMs - Gives up on the server after this long
    * @returns {Promise<Array>} Array of available customer tools
    * @throws {Error} If connection to MCP server fails
    */
-  async connectToCustomerServer() {
+  async connectToCustomerServer({ timeoutMs } = {}) {
     try {
       console.log(`Connecting to MCP server at ${this.customerMcpEndpoint}`);
 
       if (this.conversationId) {
-        const dbToken = await getCustomerToken(this.conversationId);
-
-        if (dbToken && dbToken.accessToken) {
-          this.customerAccessToken = dbToken.accessToken;
-        } else {
-          console.log("No token in database for conversation:", this.conversationId);
-        }
+        this.customerAccessToken = await this._loadCustomerAccessToken();
       }
 
       // If we still don't have a token, we'll connect without one
@@ -55,19 +174,11 @@ class MCPClient {
         "Authorization": this.customerAccessToken || ""
       };
 
-      const response = await this._makeJsonRpcRequest(
-        this.customerMcpEndpoint,
-        "tools/list",
-        {},
-        headers
-      );
-
-      // Extract tools from the JSON-RPC response format
-      const toolsData = response.result && response.result.tools ? response.result.tools : [];
-      const customerTools = this._formatToolsData(toolsData);
+      const customerTools = await this._listTools(this.customerMcpEndpoint, headers, timeoutMs);
 
       this.customerTools = customerTools;
-      this.tools = [...this.tools, ...customerTools];
+      this.endpoints.set("customer", { endpoint: this.customerMcpEndpoint, headers });
+      this._indexTools();
 
       return customerTools;
     } catch (e) {
@@ -79,10 +190,12 @@ class MCPClient {
   /**
    * Connects to the storefront MCP server and retrieves available tools.
    *
+   * @param {Object} options - Connection options
+   * @param {number} options.timeoutMs - Gives up on the server after this long
    * @returns {Promise<Array>} Array of available storefront tools
    * @throws {Error} If connection to MCP server fails
    */
-  async connectToStorefrontServer() {
+  async connectToStorefrontServer({ timeoutMs } = {}) {
     try {
       console.log(`Connecting to MCP server at ${this.storefrontMcpEndpoint}`);
 
@@ -90,19 +203,11 @@ class MCPClient {
         "Content-Type": "application/json"
       };
 
-      const response = await this._makeJsonRpcRequest(
-        this.storefrontMcpEndpoint,
-        "tools/list",
-        {},
-        headers
-      );
-
-      // Extract tools from the JSON-RPC response format
-      const toolsData = response.result && response.result.tools ? response.result.tools : [];
-      const storefrontTools = this._formatToolsData(toolsData);
+      const storefrontTools = await this._listTools(this.storefrontMcpEndpoint, headers, timeoutMs);
 
       this.storefrontTools = storefrontTools;
-      this.tools = [...this.tools, ...storefrontTools];
+      this.endpoints.set("storefront", { endpoint: this.storefrontMcpEndpoint, headers });
+      this._indexTools();
 
       return storefrontTools;
     } catch (e) {
@@ -112,21 +217,189 @@ class MCPClient {
   }
 
   /**
-   * Dispatches a tool call to the appropriate MCP server based on the tool name.
+   * Connects to a merchant-registered MCP server and retrieves its tools.
+   * The tools are exposed as `<namespace>__<tool>`; one that still collides
+   * with Shopify's tools or another server's is left out.
    *
-   * @param {string} toolName - Name of the tool to call
+   * @param {Object} server - The server to connect to
+   * @param {string} server.namespace - Unique name for the server's tools
+   * @param {string} server.url - The server's MCP endpoint
+   * @param {Object} server.headers - HTTP headers for every request (e.g. authorization)
+   * @param {Array<string>|null} server.enabledTools - Tools to expose; null exposes every tool
+   * @param {Object} options - Connection options
+   * @param {number} options.timeoutMs - Gives up on the server after this long
+   * @returns {Promise<Array>} Array of the server's exposed tools
+   * @throws {Error} If connection to MCP server fails
+   */
+  async connectToServer({ namespace, url, headers = {}, enabledTools = null }, { timeoutMs } = {}) {
+    try {
+      console.log(`Connecting to MCP server ${namespace} at ${url}`);
+
+      const tools = (await this._listTools(url, headers, timeoutMs))
+        .filter(tool => !enabledTools || enabledTools.includes(tool.name));
+
+      this.servers.set(namespace, { endpoint: url, headers, tools });
+      this.endpoints.set(namespace, { endpoint: url, headers });
+      this._indexTools();
+
+      return tools;
+    } catch (e) {
+      console.error(`Failed to connect to MCP server ${namespace}: `, e);
+      throw e;
+    }
+  }
+
+  /**
+   * Dispatches a tool call to the MCP server that offered the tool.
+   *
+   * @param {string} toolName - Name of the tool to call, as exposed in `tools`
    * @param {Object} toolArgs - Arguments to pass to the tool
    * @returns {Promise<Object>} Result from the tool call
    * @throws {Error} If tool is not found or call fails
    */
   async callTool(toolName, toolArgs) {
-    if (this.customerTools.some(tool => tool.name === toolName)) {
-      return this.callCustomerTool(toolName, toolArgs);
-    } else if (this.storefrontTools.some(tool => tool.name === toolName)) {
-      return this.callStorefrontTool(toolName, toolArgs);
-    } else {
+    const route = this.toolRoutes.get(toolName);
+
+    if (!route) {
       throw new Error(`Tool ${toolName} not found`);
     }
+
+    if (route.server === "customer") {
+      return this.callCustomerTool(route.name, toolArgs);
+    } else if (route.server === "storefront") {
+      return this.callStorefrontTool(route.name, toolArgs);
+    } else {
+      return this.callServerTool(route.server, route.name, toolArgs);
+    }
+  }
+
+  /**
+   * Lists the resources of every connected server that offers them.
+   * A server that fails to answer is skipped.
+   *
+   * @returns {Promise<Array>} Resources with server, uri, name, description and mimeType
+   */
+  async listResources() {
+    const resources = [];
+
+    for (const [server, { endpoint, headers }] of this.endpoints) {
+      try {
+        if (!(await this._supports(endpoint, headers, "resources"))) continue;
+
+        const items = await this._listAll(endpoint, "resources/list", "resources", headers);
+        resources.push(...items.map(resource => ({
+          server,
+          uri: resource.uri,
+          name: resource.name || resource.uri,
+          description: resource.description || "",
+          mimeType: resource.mimeType || null
+        })));
+      } catch (error) {
+        console.warn(`Could not list resources from ${server} MCP server:`, error.message);
+      }
+    }
+
+    return resources;
+  }
+
+  /**
+   * Reads a resource from a connected server.
+   * Contents are cached until the TTL passes or the server sends
+   * `notifications/resources/updated` for the URI.
+   *
+   * @param {string} server - "storefront", "customer" or a merchant server's namespace
+   * @param {string} uri - The resource URI
+   * @returns {Promise<Array>} Text contents with uri, mimeType and text; binary contents are left out
+   * @throws {Error} If the server isn't connected or the read fails
+   */
+  async readResource(server, uri) {
+    const target = this.endpoints.get(server);
+    if (!target) {
+      throw new Error(`MCP server ${server} is not connected`);
+    }
+
+    const cacheKey = `${this.shopId} ${target.endpoint} ${uri}`;
+    const cached = resourceCache.get(cacheKey);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.contents;
+    }
+
+    const response = await this._makeJsonRpcRequest(
+      target.endpoint,
+      "resources/read",
+      { uri },
+      target.headers
+    );
+
+    const contents = (response.result?.contents || [])
+      .filter(content => typeof content.text === "string")
+      .map(content => ({ uri: content.uri || uri, mimeType: content.mimeType || null, text: content.text }));
+
+    resourceCache.set(cacheKey, {
+      contents,
+      expiresAt: Date.now() + AppConfig.mcp.resourcesCacheTtlMs
+    });
+
+    return contents;
+  }
+
+  /**
+   * Lists the prompts of the storefront server and merchant-registered servers.
+   * Merchant servers' prompts are namespaced like their tools.
+   *
+   * @returns {Promise<Array>} Prompts with name, description and arguments
+   */
+  async listPrompts() {
+    const prompts = [];
+
+    for (const [server, { endpoint, headers }] of this.endpoints) {
+      if (server === "customer") continue;
+
+      try {
+        if (!(await this._supports(endpoint, headers, "prompts"))) continue;
+
+        const items = await this._listAll(endpoint, "prompts/list", "prompts", headers);
+        prompts.push(...items.map(prompt => ({
+          name: server === "storefront" ? prompt.name : `${server}__${prompt.name}`,
+          description: prompt.description || "",
+          arguments: prompt.arguments || []
+        })));
+      } catch (error) {
+        console.warn(`Could not list prompts from ${server} MCP server:`, error.message);
+      }
+    }
+
+    return prompts;
+  }
+
+  /**
+   * Gets a prompt by the name listPrompts exposes it under.
+   *
+   * @param {string} name - The prompt name, `<namespace>__<prompt>` for merchant servers
+   * @param {Object} promptArgs - Arguments for the prompt's template
+   * @returns {Promise<Object>} The `prompts/get` result with description and messages
+   * @throws {Error} If the prompt's server isn't connected or the request fails
+   */
+  async getPrompt(name, promptArgs = {}) {
+    const separator = name.indexOf("__");
+    const namespace = separator > 0 ? name.slice(0, separator) : null;
+    const [server, promptName] = namespace && this.servers.has(namespace)
+      ? [namespace, name.slice(separator + 2)]
+      : ["storefront", name];
+
+    const target = this.endpoints.get(server);
+    if (!target) {
+      throw new Error(`MCP server ${server} is not connected`);
+    }
+
+    const response = await this._makeJsonRpcRequest(
+      target.endpoint,
+      "prompts/get",
+      { name: promptName, arguments: promptArgs },
+      target.headers
+    );
+
+    return response.result || { messages: [] };
   }
 
   /**
@@ -155,13 +428,45 @@ class MCPClient {
         headers
       );
 
-      return response.result || response;
+      return this._toToolResult(response.result);
     } catch (error) {
       console.error(`Error calling tool ${toolName}:`, error);
       throw error;
     }
   }
 
+  /**
+   * Calls a tool on a merchant-registered MCP server.
+   *
+   * @param {string} namespace - The server's namespace
+   * @param {string} toolName - Name of the tool on that server
+   * @param {Object} toolArgs - Arguments to pass to the tool
+   * @returns {Promise<Object>} Result from the tool call
+   * @throws {Error} If the tool call fails
+   */
+  async callServerTool(namespace, toolName, toolArgs) {
+    const server = this.servers.get(namespace);
+
+    try {
+      console.log(`Calling ${namespace} tool`, toolName, toolArgs);
+
+      const response = await this._makeJsonRpcRequest(
+        server.endpoint,
+        "tools/call",
+        {
+          name: toolName,
+          arguments: toolArgs,
+        },
+        { ...server.headers, "Content-Type": "application/json" }
+      );
+
+      return this._toToolResult(response.result);
+    } catch (error) {
+      console.error(`Error calling ${namespace} tool ${toolName}:`, error);
+      throw error;
+    }
+  }
+
   /**
    * Calls a tool on the customer MCP server.
    * Handles authentication if needed.
@@ -178,54 +483,53 @@ class MCPClient {
       let accessToken = this.customerAccessToken;
 
       if (!accessToken || accessToken === "") {
-        const dbToken = await getCustomerToken(this.conversationId);
-
-        if (dbToken && dbToken.accessToken) {
-          accessToken = dbToken.accessToken;
-          this.customerAccessToken = accessToken; // Store it for later use
-        } else {
-          console.log("No token in database for conversation:", this.conversationId);
-        }
+        accessToken = await this._loadCustomerAccessToken();
+        this.customerAccessToken = accessToken; // Store it for later use
       }
 
-      const headers = {
-        "Content-Type": "application/json",
-        "Authorization": accessToken
-      };
-
       try {
-        const response = await this._makeJsonRpcRequest(
-          this.customerMcpEndpoint,
-          "tools/call",
-          {
-            name: toolName,
-            arguments: toolArgs,
-          },
-          headers
-        );
-
-        return response.result || response;
+        return await this._callCustomerToolWithToken(toolName, toolArgs, accessToken);
       } catch (error) {
-        // Handle 401 specifically to trigger authentication
-        if (error.status === 401) {
-          console.log("Unauthorized, generating authorization URL for customer");
+        if (error.status !== 401) {
+          // Re-throw other errors
+          throw error;
+        }
+
+        // The token may have been revoked or expired early; try refreshing it once
+        const refreshedToken = await refreshCustomerToken(this.conversationId);
 
-          // Generate auth URL
-          const authResponse = await generateAuthUrl(this.conversationId, this.shopId);
+        if (refreshedToken?.accessToken) {
+          this.customerAccessToken = refreshedToken.accessToken;
 
-          // Instead of retrying, return the auth URL for the front-end
-          return {
-            error: {
-              type: "auth_required",
-              data: `You need to authorize the app to access your customer data. [Click here to authorize](${authResponse.url})`
+          try {
+            return await this._callCustomerToolWithToken(toolName, toolArgs, refreshedToken.accessToken);
+          } catch (retryError) {
+            if (retryError.status !== 401) {
+              throw retryError;
             }
-          };
+          }
         }
 
-        // Re-throw other errors
-        throw error;
+        // Handle 401 specifically to trigger authentication
+        console.log("Unauthorized, generating authorization URL for customer");
+
+        // Generate auth URL
+        const authResponse = await generateAuthUrl(this.conversationId, this.shopId, this.hostUrl);
+
+        // Instead of retrying, return the auth URL for the front-end
+        return {
+          error: {
+            type: "auth_required",
+            data: `You need to authorize the app to access your customer data. [Click here to authorize](${authResponse.url})`
+          }
+        };
       }
     } catch (error) {
+      // An abort must stop the session, not come back as a tool error
+      if (this.signal?.aborted) {
+        throw error;
+      }
+
       console.error(`Error calling tool ${toolName}:`, error);
       return {
         error: {
@@ -237,26 +541,356 @@ class MCPClient {
   }
 
   /**
-   * Makes a JSON-RPC request to the specified endpoint.
+   * Calls a customer tool with the given access token.
+   *
+   * @private
+   * @param {string} toolName - Name of the customer tool to call
+   * @param {Object} toolArgs - Arguments to pass to the tool
+   * @param {string} accessToken - Customer access token
+   * @returns {Promise<Object>} Result from the tool call
+   * @throws {Error} If the request fails (with `status` set for HTTP errors)
+   */
+  async _callCustomerToolWithToken(toolName, toolArgs, accessToken) {
+    const headers = {
+      "Content-Type": "application/json",
+      "Authorization": accessToken
+    };
+
+    const response = await this._makeJsonRpcRequest(
+      this.customerMcpEndpoint,
+      "tools/call",
+      {
+        name: toolName,
+        arguments: toolArgs,
+      },
+      headers
+    );
+
+    return this._toToolResult(response.result);
+  }
+
+  /**
+   * Loads the customer access token for this conversation, refreshing it
+   * with the stored refresh token when it has expired or is about to.
+   *
+   * @private
+   * @returns {Promise<string>} The access token, or an empty string if none is available
+   */
+  async _loadCustomerAccessToken() {
+    const dbToken = await getCustomerToken(this.conversationId, { includeExpired: true });
+
+    if (!dbToken) {
+      console.log("No token in database for conversation:", this.conversationId);
+      return "";
+    }
+
+    if (!isTokenExpiring(dbToken)) {
+      return dbToken.accessToken;
+    }
+
+    const refreshedToken = await refreshCustomerToken(this.conversationId);
+    if (refreshedToken?.accessToken) {
+      return refreshedToken.accessToken;
+    }
+
+    // Fall back to the stored token while it is still technically valid
+    return new Date(dbToken.expiresAt) > new Date() ? dbToken.accessToken : "";
+  }
+
+  /**
+   * Calls a paginated list method, following `nextCursor` pages.
+   *
+   * @private
+   * @param {string} endpoint - The endpoint URL
+   * @param {string} method - The list method, e.g. "tools/list"
+   * @param {string} key - The result field holding the items, e.g. "tools"
+   * @param {Object} headers - HTTP headers for the requests
+   * @param {Object} options - Request options, as for _makeJsonRpcRequest
+   * @returns {Promise<Array>} Items from every page
+   */
+  async _listAll(endpoint, method, key, headers, options) {
+    const items = [];
+    let cursor;
+    let pages = 0;
+
+    do {
+      const response = await this._makeJsonRpcRequest(
+        endpoint,
+        method,
+        cursor ? { cursor } : {},
+        headers,
+        options
+      );
+
+      items.push(...(response.result?.[key] || []));
+      cursor = response.result?.nextCursor;
+    } while (cursor && ++pages < AppConfig.mcp.maxListPages);
+
+    return items;
+  }
+
+  /**
+   * Checks whether a server declared a capability during initialization.
+   *
+   * @private
+   * @param {string} endpoint - The endpoint URL
+   * @param {Object} headers - HTTP headers for the handshake
+   * @param {string} capability - The capability, e.g. "resources"
+   * @returns {Promise<boolean>} True if the server offers it
+   */
+  async _supports(endpoint, headers, capability) {
+    const session = await this._ensureSession(endpoint, headers, this.signal);
+    return Boolean(session.capabilities[capability]);
+  }
+
+  /**
+   * Lists a server's tools, following `nextCursor` pages.
+   * Lists are cached per endpoint until the TTL passes or the server
+   * sends `notifications/tools/list_changed`.
+   *
+   * @private
+   * @param {string} endpoint - The endpoint URL
+   * @param {Object} headers - HTTP headers for the requests
+   * @param {number} timeoutMs - Gives up after this long, if set
+   * @returns {Promise<Array>} The formatted tools
+   */
+  async _listTools(endpoint, headers, timeoutMs) {
+    const cacheKey = `${this.shopId} ${endpoint}`;
+    const cached = toolListCache.get(cacheKey);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.tools;
+    }
+
+    const signal = timeoutMs
+      ? AbortSignal.any([this.signal, AbortSignal.timeout(timeoutMs)].filter(Boolean))
+      : this.signal;
+
+    const toolsData = await this._listAll(endpoint, "tools/list", "tools", headers, { signal });
+    const tools = this._formatToolsData(toolsData);
+    toolListCache.set(cacheKey, {
+      tools,
+      expiresAt: Date.now() + AppConfig.mcp.toolsCacheTtlMs
+    });
+
+    return tools;
+  }
+
+  /**
+   * Rebuilds the exposed tool list from every connected server.
+   * Storefront tools keep their names; a customer tool whose name is already
+   * taken is exposed with a `customer_` prefix so both stay callable.
+   * Merchant-registered servers' tools are always namespaced, and one whose
+   * name collides with any other tool is left out so it can't shadow it.
+   * Names longer than the model allows are shortened without colliding;
+   * a tool whose name is still taken is left out rather than replacing another.
+   *
+   * @private
+   */
+  _indexTools() {
+    this.toolRoutes = new Map();
+    this.tools = [];
+
+    for (const [server, tools] of [["storefront", this.storefrontTools], ["customer", this.customerTools]]) {
+      for (const tool of tools) {
+        let name = tool.name;
+
+        if (this.toolRoutes.has(name)) {
+          name = shortenToolName(`${server}_${tool.name}`);
+          console.warn(`Tool ${tool.name} is offered by more than one MCP server; exposing the ${server} tool as ${name}`);
+        }
+
+        if (this.toolRoutes.has(name)) {
+          console.warn(`Tool ${tool.name} from the ${server} MCP server can't be exposed as ${name}, which is taken; skipping it`);
+          continue;
+        }
+
+        this.toolRoutes.set(name, { server, name: tool.name });
+        this.tools.push({ ...tool, name });
+      }
+    }
+
+    const serverTools = [...this.servers].flatMap(([namespace, { tools }]) => tools.map(tool => ({
+      namespace,
+      tool,
+      name: shortenToolName(`${namespace}__${tool.name}`)
+    })));
+    const nameCounts = new Map();
+    for (const { name } of serverTools) {
+      nameCounts.set(name, (nameCounts.get(name) || 0) + 1);
+    }
+
+    // Servers connect in no particular order, so no merchant tool is allowed
+    // to win a name over another; both are left out
+    for (const { namespace, tool, name } of serverTools) {
+      if (this.toolRoutes.has(name) || nameCounts.get(name) > 1) {
+        console.warn(`Tool ${tool.name} from MCP server ${namespace} collides with another tool as ${name}; skipping it`);
+        continue;
+      }
+
+      this.toolRoutes.set(name, { server: namespace, name: tool.name });
+      this.tools.push({ ...tool, name });
+    }
+  }
+
+  /**
+   * Handles a notification or request the server sent alongside a response.
+   *
+   * @private
+   * @param {string} endpoint - The endpoint URL
+   * @param {Object} message - The JSON-RPC message
+   */
+  _handleServerMessage(endpoint, message) {
+    if (message.method === "notifications/tools/list_changed") {
+      console.log(`Tool list changed at ${endpoint}`);
+      toolListCache.delete(`${this.shopId} ${endpoint}`);
+    } else if (message.method === "notifications/resources/updated" && message.params?.uri) {
+      resourceCache.delete(`${this.shopId} ${endpoint} ${message.params.uri}`);
+    }
+  }
+
+  /**
+   * Opens an MCP session with an endpoint if there isn't one yet.
+   * Concurrent callers wait for the same handshake instead of each starting one.
+   *
+   * @private
+   * @param {string} endpoint - The endpoint URL
+   * @param {Object} headers - HTTP headers for the requests (e.g. authorization)
+   * @param {AbortSignal} signal - Aborts the handshake
+   * @returns {Promise<Object>} The session
+   * @throws {Error} If the server can't be initialized or speaks no supported version
+   */
+  async _ensureSession(endpoint, headers, signal) {
+    const key = sessionKey(endpoint, headers);
+    const existing = this.sessions.get(key);
+    if (existing) {
+      return existing;
+    }
+
+    let pending = this.pendingSessions.get(key);
+    if (!pending) {
+      pending = this._initializeSession(endpoint, headers, signal)
+        .finally(() => this.pendingSessions.delete(key));
+      this.pendingSessions.set(key, pending);
+    }
+
+    return pending;
+  }
+
+  /**
+   * Sends `initialize`, checks the negotiated protocol version, keeps the
+   * session ID the server assigns and confirms with `notifications/initialized`.
+   * The session is only shared once the server has been told it's initialized.
+   *
+   * @private
+   * @param {string} endpoint - The endpoint URL
+   * @param {Object} headers - HTTP headers for the requests (e.g. authorization)
+   * @param {AbortSignal} signal - Aborts the handshake
+   * @returns {Promise<Object>} The session
+   * @throws {Error} If the server can't be initialized or speaks no supported version
+   */
+  async _initializeSession(endpoint, headers, signal) {
+    const { message, response } = await this._postJsonRpc(endpoint, {
+      jsonrpc: "2.0",
+      id: this.nextRequestId++,
+      method: "initialize",
+      params: {
+        protocolVersion: SUPPORTED_PROTOCOL_VERSIONS[0],
+        capabilities: {},
+        clientInfo: CLIENT_INFO
+      }
+    }, headers, { signal });
+
+    const result = message.result || {};
+    if (!SUPPORTED_PROTOCOL_VERSIONS.includes(result.protocolVersion)) {
+      throw new Error(`Unsupported MCP protocol version from ${endpoint}: ${result.protocolVersion}`);
+    }
+
+    const session = {
+      key: sessionKey(endpoint, headers),
+      endpoint,
+      headers,
+      protocolVersion: result.protocolVersion,
+      sessionId: response.headers.get("Mcp-Session-Id"),
+      capabilities: result.capabilities || {},
+      serverInfo: result.serverInfo || null
+    };
+
+    await this._postJsonRpc(endpoint, {
+      jsonrpc: "2.0",
+      method: "notifications/initialized"
+    }, headers, { session, signal });
+
+    this.sessions.set(session.key, session);
+    return session;
+  }
+
+  /**
+   * Makes a JSON-RPC request to the specified endpoint within its MCP session.
+   * A session the server has forgotten (404) is re-initialized once.
    *
    * @private
    * @param {string} endpoint - The endpoint URL
    * @param {string} method - The JSON-RPC method to call
    * @param {Object} params - Parameters for the method
    * @param {Object} headers - HTTP headers for the request
-   * @returns {Promise<Object>} Parsed JSON response
-   * @throws {Error} If the request fails
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Aborts the request; defaults to the client's signal
+   * @returns {Promise<Object>} The JSON-RPC response message
+   * @throws {Error} If the request fails (with `status` set for HTTP errors,
+   *   `code` and `data` set for JSON-RPC errors)
    */
-  async _makeJsonRpcRequest(endpoint, method, params, headers) {
+  async _makeJsonRpcRequest(endpoint, method, params, headers, { signal = this.signal } = {}) {
+    for (let attempt = 0; ; attempt++) {
+      const session = await this._ensureSession(endpoint, headers, signal);
+
+      try {
+        const { message } = await this._postJsonRpc(endpoint, {
+          jsonrpc: "2.0",
+          id: this.nextRequestId++,
+          method: method,
+          params: params
+        }, headers, { session, signal });
+
+        return message;
+      } catch (error) {
+        if (error.status === 404 && session.sessionId && attempt === 0) {
+          console.log(`MCP session expired at ${endpoint}, reconnecting`);
+          // Another request may already have replaced the expired session
+          if (this.sessions.get(session.key) === session) {
+            this.sessions.delete(session.key);
+          }
+          continue;
+        }
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Posts a JSON-RPC request or notification using the Streamable HTTP transport.
+   *
+   * @private
+   * @param {string} endpoint - The endpoint URL
+   * @param {Object} payload - The JSON-RPC message; notifications have no `id`
+   * @param {Object} headers - HTTP headers for the request
+   * @param {Object} options - Request options
+   * @param {Object} options.session - The session the message belongs to, once initialized
+   * @param {AbortSignal} options.signal - Aborts the request
+   * @returns {Promise<Object>} { message, response }; message is null for notifications
+   * @throws {Error} If the request fails or the server answers with a JSON-RPC error
+   */
+  async _postJsonRpc(endpoint, payload, headers, { session, signal = this.signal } = {}) {
     const response = await fetch(endpoint, {
       method: "POST",
-      headers: headers,
-      body: JSON.stringify({
-        jsonrpc: "2.0",
-        method: method,
-        id: 1,
-        params: params
-      }),
+      headers: {
+        ...headers,
+        "Content-Type": "application/json",
+        "Accept": "application/json, text/event-stream",
+        ...(session ? { "MCP-Protocol-Version": session.protocolVersion } : {}),
+        ...(session?.sessionId ? { "Mcp-Session-Id": session.sessionId } : {})
+      },
+      body: JSON.stringify(payload),
+      signal: signal,
     });
 
     if (!response.ok) {
@@ -266,7 +900,132 @@ class MCPClient {
       throw errorObj;
     }
 
-    return await response.json();
+    // Notifications are acknowledged with 202 and no body
+    if (payload.id === undefined) {
+      await response.body?.cancel();
+      return { message: null, response };
+    }
+
+    const contentType = response.headers.get("Content-Type") || "";
+    const message = contentType.includes("text/event-stream")
+      ? await this._readSseResponse(endpoint, response, payload.id)
+      : this._findResponse(endpoint, await response.json(), payload.id);
+
+    if (!message) {
+      throw new Error(`No response to ${payload.method} from ${endpoint}`);
+    }
+
+    if (message.error) {
+      const errorObj = new Error(`MCP error ${message.error.code}: ${message.error.message}`);
+      errorObj.code = message.error.code;
+      errorObj.data = message.error.data;
+      throw errorObj;
+    }
+
+    return { message, response };
+  }
+
+  /**
+   * Finds the response to a request in a JSON body, which may be a batch.
+   * Other messages in the body are passed to _handleServerMessage.
+   *
+   * @private
+   * @param {string} endpoint - The endpoint URL
+   * @param {Object|Array} body - The parsed JSON body
+   * @param {number} id - The request ID
+   * @returns {Object|null} The matching JSON-RPC response
+   */
+  _findResponse(endpoint, body, id) {
+    const messages = Array.isArray(body) ? body : [body];
+    let match = null;
+
+    for (const message of messages) {
+      if (message?.id === id && ("result" in message || "error" in message)) {
+        match = message;
+      } else if (message?.method) {
+        this._handleServerMessage(endpoint, message);
+      }
+    }
+
+    return match;
+  }
+
+  /**
+   * Reads an SSE-framed response until the response to a request arrives.
+   * Notifications sent on the same stream are handled as they arrive.
+   *
+   * @private
+   * @param {string} endpoint - The endpoint URL
+   * @param {Response} response - The streaming response
+   * @param {number} id - The request ID
+   * @returns {Promise<Object|null>} The matching JSON-RPC response
+   */
+  async _readSseResponse(endpoint, response, id) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = "";
+
+    try {
+      while (true) {
+        const { value, done } = await reader.read();
+        buffer += decoder.decode(value, { stream: !done });
+
+        // Events are separated by a blank line; keep the trailing partial event
+        const events = buffer.split(/\r?\n\r?\n/);
+        buffer = done ? "" : events.pop();
+
+        for (const event of events) {
+          const data = event
+            .split(/\r?\n/)
+            .filter(line => line.startsWith("data:"))
+            .map(line => line.slice(5).replace(/^ /, ""))
+            .join("\n");
+
+          if (!data) continue;
+
+          try {
+            const message = this._findResponse(endpoint, JSON.parse(data), id);
+            if (message) {
+              return message;
+            }
+          } catch (e) {
+            console.warn("Ignoring malformed MCP event:", data.substring(0, 200));
+          }
+        }
+
+        if (done) {
+          return null;
+        }
+      }
+    } finally {
+      reader.cancel().catch(() => {});
+    }
+  }
+
+  /**
+   * Converts a `tools/call` result into the shape the chat route expects.
+   * Results flagged `isError` become errors so the model sees them as failures.
+   *
+   * @private
+   * @param {Object} result - The `tools/call` result
+   * @returns {Object} The result, or `{ error: { type, data } }`
+   */
+  _toToolResult(result) {
+    if (!result?.isError) {
+      return result;
+    }
+
+    const message = (result.content || [])
+      .filter(block => block.type === "text" && block.text)
+      .map(block => block.text)
+      .join("\n");
+
+    return {
+      error: {
+        type: "tool_error",
+        data: message || "The tool reported an error"
+      }
+    };
   }
 
   /**
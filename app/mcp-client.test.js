@@ -0,0 +1,204 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import MCPClient, { clearServerCache } from "./mcp-client";
+
+vi.mock("./auth.server", () => ({
+  generateAuthUrl: vi.fn(),
+  isTokenExpiring: vi.fn(),
+  refreshCustomerToken: vi.fn()
+}));
+
+vi.mock("./db.server", () => ({
+  getCustomerToken: vi.fn()
+}));
+
+const SHOP = "a.myshopify.com";
+const SERVER_URL = "https://tools.example/mcp";
+
+/**
+ * Stubs fetch with an MCP server that offers the given tools
+ * @param {Array<string>} toolNames - Names of the tools the server lists
+ * @returns {Array<Object>} The JSON-RPC messages the server received
+ */
+function stubServer(toolNames) {
+  const received = [];
+  let sessionCount = 0;
+
+  vi.stubGlobal("fetch", vi.fn(async (url, { method, body }) => {
+    if (method === "DELETE") {
+      return new Response(null, { status: 204 });
+    }
+
+    const message = JSON.parse(body);
+    received.push(message);
+
+    if (message.id === undefined) {
+      return new Response(null, { status: 202 });
+    }
+
+    const results = {
+      "initialize": { protocolVersion: "2025-06-18", capabilities: { tools: {} } },
+      "tools/list": { tools: toolNames.map(name => ({ name, inputSchema: { type: "object" } })) },
+      "tools/call": { content: [{ type: "text", text: `called ${message.params?.name}` }] }
+    };
+
+    if (message.method === "initialize") {
+      sessionCount++;
+    }
+
+    return Response.json(
+      { jsonrpc: "2.0", id: message.id, result: results[message.method] },
+      { headers: { "Mcp-Session-Id": `s${sessionCount}` } }
+    );
+  }));
+
+  return received;
+}
+
+/**
+ * Connects a client to the stubbed merchant server
+ * @param {string} namespace - Namespace for the server's tools
+ * @returns {Promise<MCPClient>} The connected client
+ */
+async function connect(namespace = "acme") {
+  const client = new MCPClient(`https://${SHOP}`, null, SHOP, null);
+  await client.connectToServer({ namespace, url: SERVER_URL });
+  return client;
+}
+
+describe("MCPClient", () => {
+  beforeEach(() => {
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    clearServerCache(SHOP);
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  describe("tool names", () => {
+    it("exposes merchant tools under their namespace", async () => {
+      stubServer(["lookup_order"]);
+      const client = await connect();
+
+      expect(client.tools.map(tool => tool.name)).toEqual(["acme__lookup_order"]);
+    });
+
+    it("keeps long names unique within the length limit", async () => {
+      const prefix = "x".repeat(70);
+      stubServer([`${prefix}_orders`, `${prefix}_returns`]);
+      const client = await connect();
+      const names = client.tools.map(tool => tool.name);
+
+      expect(names).toHaveLength(2);
+      expect(new Set(names).size).toBe(2);
+      for (const name of names) {
+        expect(name).toMatch(/^acme__x+_[0-9a-f]{8}$/);
+        expect(name).toHaveLength(64);
+      }
+
+      expect((await client.callTool(names[1], {})).content[0].text).toBe(`called ${prefix}_returns`);
+    });
+
+    it("shortens names the same way every time", async () => {
+      stubServer([`${"x".repeat(70)}_orders`]);
+      const first = await connect();
+      const second = await connect();
+
+      expect(second.tools[0].name).toBe(first.tools[0].name);
+    });
+
+    it("doesn't let a merchant tool shadow a Shopify tool", async () => {
+      stubServer(["lookup_order", "acme__lookup_order"]);
+      const client = new MCPClient(`https://${SHOP}`, null, SHOP, null);
+      await client.connectToStorefrontServer();
+      await client.connectToServer({ namespace: "acme", url: SERVER_URL });
+
+      expect(client.tools.map(tool => tool.name)).toEqual([
+        "lookup_order",
+        "acme__lookup_order",
+        "acme__acme__lookup_order"
+      ]);
+      expect(client.toolRoutes.get("acme__lookup_order")).toEqual({ server: "storefront", name: "acme__lookup_order" });
+    });
+
+    it("leaves out merchant tools that collide with each other", async () => {
+      stubServer(["b__c", "c"]);
+      const client = await connect("a");
+      await client.connectToServer({ namespace: "a__b", url: SERVER_URL });
+
+      expect(client.tools.map(tool => tool.name)).toEqual(["a__c", "a__b__b__c"]);
+      await expect(client.callTool("a__b__c", {})).rejects.toThrow("Tool a__b__c not found");
+    });
+  });
+
+  describe("sessions", () => {
+    it("initializes once for concurrent requests", async () => {
+      const received = stubServer(["lookup_order"]);
+      const client = await connect();
+      received.length = 0;
+      client.sessions.clear();
+
+      await Promise.all([
+        client.callTool("acme__lookup_order", {}),
+        client.callTool("acme__lookup_order", {}),
+        client.callTool("acme__lookup_order", {})
+      ]);
+
+      expect(received.map(message => message.method)).toEqual([
+        "initialize",
+        "notifications/initialized",
+        "tools/call",
+        "tools/call",
+        "tools/call"
+      ]);
+    });
+
+    it("retries the handshake after it fails", async () => {
+      stubServer(["lookup_order"]);
+      const client = await connect();
+      client.sessions.clear();
+      vi.spyOn(console, "error").mockImplementation(() => {});
+
+      fetch.mockRejectedValueOnce(new Error("network down"));
+      await expect(client.callTool("acme__lookup_order", {})).rejects.toThrow("network down");
+
+      expect((await client.callTool("acme__lookup_order", {})).content[0].text).toBe("called lookup_order");
+    });
+
+    it("keeps separate sessions for servers at the same URL with different credentials", async () => {
+      stubServer(["lookup_order"]);
+      const client = new MCPClient(`https://${SHOP}`, null, SHOP, null);
+      await client.connectToServer({ namespace: "acme", url: SERVER_URL, headers: { Authorization: "Bearer one" } });
+      await client.connectToServer({ namespace: "other", url: SERVER_URL, headers: { Authorization: "Bearer two" } });
+      fetch.mockClear();
+
+      await client.callTool("acme__lookup_order", {});
+      await client.callTool("other__lookup_order", {});
+
+      const toolCalls = fetch.mock.calls.filter(([, { body }]) => JSON.parse(body).method === "tools/call");
+      expect(toolCalls.map(([, { headers }]) => [headers.Authorization, headers["Mcp-Session-Id"]])).toEqual([
+        ["Bearer one", "s1"],
+        ["Bearer two", "s2"]
+      ]);
+    });
+
+    it("ends sessions with the server's credentials and a timeout", async () => {
+      stubServer(["lookup_order"]);
+      const client = new MCPClient(`https://${SHOP}`, null, SHOP, null);
+      await client.connectToServer({ namespace: "acme", url: SERVER_URL, headers: { Authorization: "Bearer one" } });
+      fetch.mockClear();
+
+      await client.close();
+
+      expect(fetch).toHaveBeenCalledTimes(1);
+      const [url, { method, headers, signal }] = fetch.mock.calls[0];
+      expect(url).toBe(SERVER_URL);
+      expect(method).toBe("DELETE");
+      expect(headers).toMatchObject({ Authorization: "Bearer one", "Mcp-Session-Id": "s1" });
+      expect(signal).toBeInstanceOf(AbortSignal);
+      expect(client.sessions.size).toBe(0);
+    });
+  });
+});
@@ -1,8 +1,13 @@
 import { authenticate } from "../shopify.server";
 import db from "../db.server";
+import {
+  handleCustomerDataRequest,
+  handleCustomerRedact,
+  handleShopRedact
+} from "../services/compliance.server";
 
 export const action = async ({ request }) => {
-  const { shop, session, topic } = await authenticate.webhook(request);
+  const { shop, session, topic, payload } = await authenticate.webhook(request);
 
   console.log(`Received ${topic} webhook for ${shop}`);
 
@@ -12,6 +17,15 @@ export const action = async ({ request }) => {
         await db.session.deleteMany({where: {shop}});
       }
       break;
+    case 'CUSTOMERS_DATA_REQUEST':
+      await handleCustomerDataRequest(shop, topic, payload);
+      break;
+    case 'CUSTOMERS_REDACT':
+      await handleCustomerRedact(shop, topic, payload);
+      break;
+    case 'SHOP_REDACT':
+      await handleShopRedact(shop, topic);
+      break;
     default:
       throw new Response('Unhandled webhook topic', {status: 404});
   }
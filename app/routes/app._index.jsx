@@ -1,121 +1,245 @@
+import { useState } from "react";
+import { json } from "@remix-run/node";
+import { useLoaderData, useNavigate, useSearchParams } from "@remix-run/react";
 import {
   Page,
   Layout,
   Text,
   Card,
   BlockStack,
-  List,
-  Link,
   InlineStack,
+  TextField,
+  Button,
+  IndexTable,
+  EmptyState,
+  Badge,
+  Select,
 } from "@shopify/polaris";
 import { TitleBar } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import { getShopConversations } from "../db.server";
+import { normalizeMessage, getMessageText } from "../services/message-format.server";
+import { CONVERSATION_STATUS } from "../services/handoff.server";
+
+const PAGE_SIZE = 25;
+const PREVIEW_LENGTH = 120;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const STATUS_BADGES = {
+  pending_human: { label: "Waiting for staff", tone: "attention" },
+  human: { label: "Staff", tone: "magic" },
+  closed: { label: "Closed", tone: undefined }
+};
+
+/**
+ * Parses a YYYY-MM-DD filter value into a UTC date
+ * @param {string|null} value - The filter value
+ * @param {boolean} endOfDay - Whether to use the end of the day
+ * @returns {Date|undefined} The parsed date
+ */
+function parseDateFilter(value, endOfDay) {
+  if (!value || !DATE_PATTERN.test(value)) {
+    return undefined;
+  }
+  const date = new Date(`${value}T${endOfDay ? "23:59:59.999" : "00:00:00.000"}Z`);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+}
+
+/**
+ * Lists the shop's conversations with search and date filters
+ */
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const url = new URL(request.url);
+
+  const search = url.searchParams.get("q")?.trim() || "";
+  const from = url.searchParams.get("from") || "";
+  const to = url.searchParams.get("to") || "";
+  const status = url.searchParams.get("status") === "staff" ? "staff" : "";
+  const page = Math.max(1, parseInt(url.searchParams.get("page"), 10) || 1);
+
+  const { conversations, total } = await getShopConversations(session.shop, {
+    search: search || undefined,
+    from: parseDateFilter(from, false),
+    to: parseDateFilter(to, true),
+    statuses: status ? [CONVERSATION_STATUS.pendingHuman, CONVERSATION_STATUS.human] : undefined,
+    page,
+    pageSize: PAGE_SIZE
+  });
+
+  return json({
+    filters: { search, from, to, status },
+    page,
+    hasNextPage: page * PAGE_SIZE < total,
+    conversations: conversations.map(conversation => {
+      const firstMessage = conversation.messages[0];
+      const preview = firstMessage ? getMessageText(normalizeMessage(firstMessage)) : "";
+
+      return {
+        id: conversation.id,
+        customerId: conversation.customerId,
+        status: conversation.status,
+        messageCount: conversation._count.messages,
+        preview: preview.length > PREVIEW_LENGTH ? `${preview.slice(0, PREVIEW_LENGTH)}…` : preview,
+        createdAt: conversation.createdAt,
+        updatedAt: conversation.updatedAt
+      };
+    })
+  });
+};
 
 export default function Index() {
+  const { filters, page, hasNextPage, conversations } = useLoaderData();
+  const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
+
+  const [search, setSearch] = useState(filters.search);
+  const [from, setFrom] = useState(filters.from);
+  const [to, setTo] = useState(filters.to);
+  const [status, setStatus] = useState(filters.status);
+
+  const applyFilters = () => {
+    const params = new URLSearchParams();
+    if (search.trim()) params.set("q", search.trim());
+    if (from) params.set("from", from);
+    if (to) params.set("to", to);
+    if (status) params.set("status", status);
+    setSearchParams(params);
+  };
+
+  const clearFilters = () => {
+    setSearch("");
+    setFrom("");
+    setTo("");
+    setStatus("");
+    setSearchParams(new URLSearchParams());
+  };
+
+  const goToPage = (nextPage) => {
+    const params = new URLSearchParams(searchParams);
+    params.set("page", nextPage.toString());
+    setSearchParams(params);
+  };
+
+  const hasFilters = Boolean(filters.search || filters.from || filters.to || filters.status);
+
+  const rows = conversations.map((conversation, index) => (
+    <IndexTable.Row
+      id={conversation.id}
+      key={conversation.id}
+      position={index}
+      onClick={() => navigate(`/app/conversations/${encodeURIComponent(conversation.id)}`)}
+    >
+      <IndexTable.Cell>
+        <BlockStack gap="100">
+          <Text as="span" variant="bodyMd" fontWeight="semibold">
+            {conversation.preview || "(no messages)"}
+          </Text>
+          <Text as="span" variant="bodySm" tone="subdued">
+            {conversation.id}
+          </Text>
+        </BlockStack>
+      </IndexTable.Cell>
+      <IndexTable.Cell>
+        {STATUS_BADGES[conversation.status]
+          ? <Badge tone={STATUS_BADGES[conversation.status].tone}>{STATUS_BADGES[conversation.status].label}</Badge>
+          : <Text as="span" tone="subdued">Assistant</Text>}
+      </IndexTable.Cell>
+      <IndexTable.Cell>
+        {conversation.customerId
+          ? <Badge tone="info">{`Customer ${conversation.customerId}`}</Badge>
+          : <Text as="span" tone="subdued">Guest</Text>}
+      </IndexTable.Cell>
+      <IndexTable.Cell>
+        <Text as="span" alignment="end" numeric>
+          {conversation.messageCount}
+        </Text>
+      </IndexTable.Cell>
+      <IndexTable.Cell>{new Date(conversation.createdAt).toLocaleString()}</IndexTable.Cell>
+      <IndexTable.Cell>{new Date(conversation.updatedAt).toLocaleString()}</IndexTable.Cell>
+    </IndexTable.Row>
+  ));
+
   return (
     <Page>
-      <TitleBar title="Shop chat agent reference app">
-      </TitleBar>
-      <BlockStack gap="500">
-        <Layout>
-          <Layout.Section>
+      <TitleBar title="Conversations" />
+      <Layout>
+        <Layout.Section>
+          <BlockStack gap="500">
             <Card>
-              <BlockStack gap="500">
-                <BlockStack gap="200">
-                  <Text as="h2" variant="headingMd">
-                    Congrats on creating a new Shopify app 🎉
-                  </Text>
-                  <Text variant="bodyMd" as="p">
-                    This is a reference app that adds a chat agent on your storefront, which is powered via claude and can connect shopify mcp platform.
-                  </Text>
-                </BlockStack>
-              </BlockStack>
+              <form
+                onSubmit={(event) => {
+                  event.preventDefault();
+                  applyFilters();
+                }}
+              >
+                <InlineStack gap="300" blockAlign="end" wrap>
+                  <div style={{ flexGrow: 1, minWidth: "240px" }}>
+                    <TextField
+                      label="Search"
+                      value={search}
+                      onChange={setSearch}
+                      placeholder="Message text, conversation ID or customer ID"
+                      autoComplete="off"
+                      clearButton
+                      onClearButtonClick={() => setSearch("")}
+                    />
+                  </div>
+                  <TextField label="From" type="date" value={from} onChange={setFrom} autoComplete="off" />
+                  <TextField label="To" type="date" value={to} onChange={setTo} autoComplete="off" />
+                  <Select
+                    label="Answered by"
+                    options={[
+                      { label: "Anyone", value: "" },
+                      { label: "Needs staff", value: "staff" }
+                    ]}
+                    value={status}
+                    onChange={setStatus}
+                  />
+                  <Button submit variant="primary">Apply</Button>
+                  {hasFilters && <Button onClick={clearFilters}>Clear</Button>}
+                </InlineStack>
+              </form>
+            </Card>
+            <Card padding="0">
+              {conversations.length === 0 ? (
+                <EmptyState
+                  heading={hasFilters ? "No conversations match these filters" : "No conversations yet"}
+                  image="https://cdn.shopify.com/s/files/1/0262/4071/2726/files/emptystate-files.png"
+                >
+                  <p>
+                    {hasFilters
+                      ? "Try a different search or date range."
+                      : "Conversations appear here once shoppers start chatting with the assistant."}
+                  </p>
+                </EmptyState>
+              ) : (
+                <IndexTable
+                  resourceName={{ singular: "conversation", plural: "conversations" }}
+                  itemCount={conversations.length}
+                  selectable={false}
+                  headings={[
+                    { title: "Conversation" },
+                    { title: "Answered by" },
+                    { title: "Customer" },
+                    { title: "Messages", alignment: "end" },
+                    { title: "Started" },
+                    { title: "Last activity" },
+                  ]}
+                  pagination={{
+                    hasPrevious: page > 1,
+                    hasNext: hasNextPage,
+                    onPrevious: () => goToPage(page - 1),
+                    onNext: () => goToPage(page + 1),
+                  }}
+                >
+                  {rows}
+                </IndexTable>
+              )}
             </Card>
-          </Layout.Section>
-          <Layout.Section variant="oneThird">
-            <BlockStack gap="500">
-              <Card>
-                <BlockStack gap="200">
-                  <Text as="h2" variant="headingMd">
-                    App template specs
-                  </Text>
-                  <BlockStack gap="200">
-                    <InlineStack align="space-between">
-                      <Text as="span" variant="bodyMd">
-                        Framework
-                      </Text>
-                      <Link
-                        url="https://remix.run"
-                        target="_blank"
-                        removeUnderline
-                      >
-                        Remix
-                      </Link>
-                    </InlineStack>
-                    <InlineStack align="space-between">
-                      <Text as="span" variant="bodyMd">
-                        Database
-                      </Text>
-                      <Link
-                        url="https://www.prisma.io/"
-                        target="_blank"
-                        removeUnderline
-                      >
-                        Prisma
-                      </Link>
-                    </InlineStack>
-                    <InlineStack align="space-between">
-                      <Text as="span" variant="bodyMd">
-                        Interface
-                      </Text>
-                      <span>
-                        <Link
-                          url="https://polaris.shopify.com"
-                          target="_blank"
-                          removeUnderline
-                        >
-                          Polaris
-                        </Link>
-                        {", "}
-                        <Link
-                          url="https://shopify.dev/docs/apps/tools/app-bridge"
-                          target="_blank"
-                          removeUnderline
-                        >
-                          App Bridge
-                        </Link>
-                      </span>
-                    </InlineStack>
-                    <InlineStack align="space-between">
-                      <Text as="span" variant="bodyMd">
-                        API
-                      </Text>
-                      <Link
-                        url="https://shopify.dev/docs/api/admin-graphql"
-                        target="_blank"
-                        removeUnderline
-                      >
-                        GraphQL API
-                      </Link>
-                    </InlineStack>
-                  </BlockStack>
-                </BlockStack>
-              </Card>
-              <Card>
-                <BlockStack gap="200">
-                  <Text as="h2" variant="headingMd">
-                    Next steps
-                  </Text>
-                  <List>
-                    <List.Item>
-                      Enable the theme extension in your theme editor.
-                    </List.Item>
-                  </List>
-                </BlockStack>
-              </Card>
-            </BlockStack>
-          </Layout.Section>
-        </Layout>
-      </BlockStack>
+          </BlockStack>
+        </Layout.Section>
+      </Layout>
     </Page>
   );
 }
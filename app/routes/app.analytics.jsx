@@ -0,0 +1,211 @@
+import { json } from "@remix-run/node";
+import { useLoaderData, useNavigate } from "@remix-run/react";
+import {
+  Page,
+  Layout,
+  Text,
+  Card,
+  BlockStack,
+  InlineStack,
+  InlineGrid,
+  Select,
+  DataTable,
+  Box,
+} from "@shopify/polaris";
+import { TitleBar } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import AppConfig from "../services/config.server";
+import { ANALYTICS_EVENTS, getAnalyticsDashboard } from "../services/analytics.server";
+
+/**
+ * Metrics shown on the dashboard; sent through the loader because
+ * ANALYTICS_EVENTS lives in a server-only module
+ */
+const METRICS = [
+  { type: ANALYTICS_EVENTS.conversationStarted, label: "Conversations" },
+  { type: ANALYTICS_EVENTS.message, label: "Messages" },
+  { type: ANALYTICS_EVENTS.toolCall, label: "Tool calls" },
+  { type: ANALYTICS_EVENTS.emptySearch, label: "Searches with no results" },
+  { type: ANALYTICS_EVENTS.productShown, label: "Products shown" },
+  { type: ANALYTICS_EVENTS.productClick, label: "Product clicks" },
+  { type: ANALYTICS_EVENTS.addToCart, label: "Added to cart" },
+  { type: ANALYTICS_EVENTS.handoff, label: "Handed to staff" },
+];
+
+/**
+ * Loads the analytics dashboard for the selected date range
+ */
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const url = new URL(request.url);
+
+  const requestedDays = parseInt(url.searchParams.get("days"), 10);
+  const days = AppConfig.analytics.rangeOptions.includes(requestedDays)
+    ? requestedDays
+    : AppConfig.analytics.defaultRangeDays;
+
+  const dashboard = await getAnalyticsDashboard(session.shop, days);
+
+  return json({
+    days,
+    rangeOptions: AppConfig.analytics.rangeOptions,
+    metrics: METRICS,
+    trendType: ANALYTICS_EVENTS.conversationStarted,
+    ...dashboard
+  });
+};
+
+/**
+ * Formats a ratio as a percentage
+ * @param {number|null} value - The ratio
+ * @returns {string} The formatted percentage
+ */
+function formatRate(value) {
+  return value === null ? "—" : `${(value * 100).toFixed(1)}%`;
+}
+
+function MetricCard({ label, value }) {
+  return (
+    <Card>
+      <BlockStack gap="100">
+        <Text as="span" variant="bodySm" tone="subdued">{label}</Text>
+        <Text as="p" variant="headingLg">{value}</Text>
+      </BlockStack>
+    </Card>
+  );
+}
+
+function TrendChart({ daily, type }) {
+  const max = Math.max(1, ...daily.map(day => day.counts[type] || 0));
+
+  return (
+    <InlineStack gap="050" blockAlign="end" wrap={false}>
+      {daily.map(day => {
+        const count = day.counts[type] || 0;
+        return (
+          <div
+            key={day.date}
+            title={`${day.date}: ${count}`}
+            style={{
+              flex: 1,
+              minWidth: "4px",
+              height: `${Math.max(2, Math.round((count / max) * 120))}px`,
+              background: "var(--p-color-bg-fill-info)",
+              borderRadius: "2px 2px 0 0",
+            }}
+          />
+        );
+      })}
+    </InlineStack>
+  );
+}
+
+export default function Analytics() {
+  const { days, rangeOptions, metrics, trendType, totals, toolCalls, daily, topUnansweredQueries, rates } = useLoaderData();
+  const navigate = useNavigate();
+
+  const dailyRows = [...daily].reverse().map(day => [
+    day.date,
+    ...metrics.map(metric => day.counts[metric.type] || 0),
+  ]);
+
+  return (
+    <Page>
+      <TitleBar title="Analytics" />
+      <BlockStack gap="500">
+        <InlineStack align="end">
+          <Select
+            label="Date range"
+            labelInline
+            options={rangeOptions.map(option => ({ label: `Last ${option} days`, value: option.toString() }))}
+            value={days.toString()}
+            onChange={(value) => navigate(`?days=${value}`)}
+          />
+        </InlineStack>
+        <InlineGrid columns={{ xs: 2, md: 4 }} gap="400">
+          {metrics.slice(0, 2).map(metric => (
+            <MetricCard key={metric.type} label={metric.label} value={totals[metric.type] || 0} />
+          ))}
+          <MetricCard label="Empty search rate" value={formatRate(rates.emptySearchRate)} />
+          <MetricCard label="Product click-through" value={formatRate(rates.clickThroughRate)} />
+        </InlineGrid>
+        <Layout>
+          <Layout.Section>
+            <BlockStack gap="500">
+              <Card>
+                <BlockStack gap="300">
+                  <Text as="h2" variant="headingMd">Conversations per day</Text>
+                  <Box paddingBlockStart="200">
+                    <TrendChart daily={daily} type={trendType} />
+                  </Box>
+                </BlockStack>
+              </Card>
+              <Card>
+                <BlockStack gap="300">
+                  <Text as="h2" variant="headingMd">Top unanswered queries</Text>
+                  <Text as="p" variant="bodySm" tone="subdued">
+                    Catalog searches that returned no products. These are things customers looked for that the store doesn't carry or can't be found.
+                  </Text>
+                  {topUnansweredQueries.length === 0 ? (
+                    <Text as="p" tone="subdued">No empty searches in this period.</Text>
+                  ) : (
+                    <DataTable
+                      columnContentTypes={["text", "numeric", "text"]}
+                      headings={["Query", "Searches", "Last searched"]}
+                      rows={topUnansweredQueries.map(row => [
+                        row.query,
+                        row.count,
+                        new Date(row.lastSeenAt).toLocaleDateString(),
+                      ])}
+                    />
+                  )}
+                </BlockStack>
+              </Card>
+              <Card>
+                <BlockStack gap="300">
+                  <Text as="h2" variant="headingMd">Daily activity</Text>
+                  <DataTable
+                    columnContentTypes={["text", ...metrics.map(() => "numeric")]}
+                    headings={["Date", ...metrics.map(metric => metric.label)]}
+                    rows={dailyRows}
+                  />
+                </BlockStack>
+              </Card>
+            </BlockStack>
+          </Layout.Section>
+          <Layout.Section variant="oneThird">
+            <BlockStack gap="500">
+              <Card>
+                <BlockStack gap="200">
+                  <Text as="h2" variant="headingMd">Totals</Text>
+                  {metrics.map(metric => (
+                    <InlineStack key={metric.type} align="space-between">
+                      <Text as="span" variant="bodyMd">{metric.label}</Text>
+                      <Text as="span" variant="bodyMd" numeric>{totals[metric.type] || 0}</Text>
+                    </InlineStack>
+                  ))}
+                </BlockStack>
+              </Card>
+              <Card>
+                <BlockStack gap="200">
+                  <Text as="h2" variant="headingMd">Tool calls by tool</Text>
+                  {Object.keys(toolCalls).length === 0 && (
+                    <Text as="p" tone="subdued">No tool calls in this period.</Text>
+                  )}
+                  {Object.entries(toolCalls)
+                    .sort(([, a], [, b]) => b - a)
+                    .map(([name, count]) => (
+                      <InlineStack key={name} align="space-between">
+                        <Text as="span" variant="bodyMd">{name}</Text>
+                        <Text as="span" variant="bodyMd" numeric>{count}</Text>
+                      </InlineStack>
+                    ))}
+                </BlockStack>
+              </Card>
+            </BlockStack>
+          </Layout.Section>
+        </Layout>
+      </BlockStack>
+    </Page>
+  );
+}
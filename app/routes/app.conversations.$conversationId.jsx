@@ -0,0 +1,430 @@
+import { useEffect, useId, useState } from "react";
+import { json } from "@remix-run/node";
+import { useActionData, useLoaderData, useNavigation, useRevalidator, useSubmit } from "@remix-run/react";
+import {
+  Page,
+  Text,
+  Card,
+  BlockStack,
+  InlineStack,
+  InlineGrid,
+  Box,
+  Button,
+  Badge,
+  Collapsible,
+  Thumbnail,
+  Link,
+  TextField,
+  Banner,
+} from "@shopify/polaris";
+import { TitleBar } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import { getConversation, getShopConversation, updateConversationStatus } from "../db.server";
+import AppConfig from "../services/config.server";
+import { createToolService } from "../services/tool.server";
+import { normalizeMessage, toolResultToText } from "../services/message-format.server";
+import { CONVERSATION_STATUS, isBotSilenced, replyAsStaff } from "../services/handoff.server";
+
+/**
+ * How often an open transcript checks for new customer messages while staff own it
+ */
+const REFRESH_INTERVAL_MS = 10 * 1000;
+
+/**
+ * Converts stored messages into transcript entries for display
+ * @param {Array} messages - Messages from the database
+ * @returns {Array} Transcript entries with typed blocks
+ */
+function buildTranscript(messages) {
+  const { processProductSearchResult } = createToolService();
+  const toolNames = new Map();
+
+  return messages.map(message => {
+    const normalized = normalizeMessage(message);
+
+    const blocks = normalized.content.map(block => {
+      switch (block.type) {
+        case "text":
+          return { type: "text", text: block.text };
+        case "tool_use":
+          toolNames.set(block.id, block.name);
+          return { type: "tool_use", name: block.name, input: block.input };
+        case "tool_result": {
+          const name = toolNames.get(block.tool_use_id) || null;
+          const text = toolResultToText(block.content);
+          const products = name === AppConfig.tools.productSearchName
+            ? processProductSearchResult({ content: [{ type: "text", text }] })
+            : [];
+          return { type: "tool_result", name, text, isError: Boolean(block.is_error), products };
+        }
+        default:
+          return { type: "other", text: JSON.stringify(block) };
+      }
+    });
+
+    const isToolResult = blocks.length > 0 && blocks.every(block => block.type === "tool_result");
+
+    return {
+      id: message.id,
+      role: isToolResult ? "tool" : normalized.role,
+      authorName: message.authorName,
+      provider: message.provider,
+      interrupted: message.interrupted,
+      usage: message.model ? {
+        model: message.model,
+        inputTokens: (message.inputTokens || 0) + (message.cacheCreationTokens || 0) + (message.cacheReadTokens || 0),
+        outputTokens: message.outputTokens || 0,
+        costUsd: message.costUsd
+      } : null,
+      createdAt: message.createdAt,
+      blocks
+    };
+  });
+}
+
+/**
+ * Loads a conversation transcript for the current shop
+ */
+export const loader = async ({ request, params }) => {
+  const { session } = await authenticate.admin(request);
+  const conversation = await getShopConversation(session.shop, params.conversationId);
+
+  if (!conversation) {
+    throw new Response("Conversation not found", { status: 404 });
+  }
+
+  return json({
+    conversation: {
+      id: conversation.id,
+      customerId: conversation.customerId,
+      summary: conversation.summary,
+      status: conversation.status,
+      // Staff are handling it, so the page refreshes to show new customer messages
+      autoRefresh: isBotSilenced(conversation.status),
+      escalatedAt: conversation.escalatedAt,
+      escalationReason: conversation.escalationReason,
+      costUsd: conversation.costUsd,
+      createdAt: conversation.createdAt,
+      updatedAt: conversation.updatedAt
+    },
+    transcript: buildTranscript(conversation.messages),
+    maxReplyLength: AppConfig.handoff.maxReplyLength
+  });
+};
+
+/**
+ * Posts staff replies and changes who answers the conversation
+ */
+export const action = async ({ request, params }) => {
+  const { session } = await authenticate.admin(request);
+  const conversation = await getConversation(params.conversationId);
+
+  if (!conversation || conversation.shop !== session.shop) {
+    throw new Response("Conversation not found", { status: 404 });
+  }
+
+  const formData = await request.formData();
+
+  switch (formData.get("intent")) {
+    case "reply": {
+      const text = (formData.get("text") || "").toString().trim();
+      if (!text) {
+        return json({ error: "Reply cannot be empty" }, { status: 400 });
+      }
+      if (text.length > AppConfig.handoff.maxReplyLength) {
+        return json({ error: `Replies are limited to ${AppConfig.handoff.maxReplyLength} characters` }, { status: 400 });
+      }
+      await replyAsStaff({
+        conversationId: conversation.id,
+        text,
+        authorName: session.onlineAccessInfo?.associated_user?.first_name || null
+      });
+      return json({ message: "Reply sent", sent: true });
+    }
+    case "take_over":
+      await updateConversationStatus(conversation.id, CONVERSATION_STATUS.human);
+      return json({ message: "You are handling this conversation. The assistant won't reply until you hand it back." });
+    case "return_to_bot":
+      await updateConversationStatus(conversation.id, CONVERSATION_STATUS.bot);
+      return json({ message: "The assistant is answering this conversation again" });
+    case "close":
+      await updateConversationStatus(conversation.id, CONVERSATION_STATUS.closed);
+      return json({ message: "Conversation closed" });
+    default:
+      return json({ error: "Unknown action" }, { status: 400 });
+  }
+};
+
+/**
+ * Pretty-prints a JSON string, or returns it unchanged if it isn't JSON
+ * @param {string} text - The text to format
+ * @returns {string} The formatted text
+ */
+function formatJson(text) {
+  try {
+    return JSON.stringify(JSON.parse(text), null, 2);
+  } catch (e) {
+    return text;
+  }
+}
+
+function CodeBlock({ children }) {
+  return (
+    <Box background="bg-surface-secondary" padding="300" borderRadius="200">
+      <pre style={{ margin: 0, whiteSpace: "pre-wrap", wordBreak: "break-word", fontSize: "12px" }}>
+        {children}
+      </pre>
+    </Box>
+  );
+}
+
+function ProductCard({ product }) {
+  return (
+    <Card>
+      <BlockStack gap="200">
+        <InlineStack gap="300" blockAlign="center" wrap={false}>
+          <Thumbnail source={product.image_url || ""} alt={product.title} size="small" />
+          <BlockStack gap="100">
+            <Text as="span" variant="bodyMd" fontWeight="semibold">
+              {product.url
+                ? <Link url={product.url} target="_blank" removeUnderline>{product.title}</Link>
+                : product.title}
+            </Text>
+            <Text as="span" variant="bodySm" tone="subdued">{product.price}</Text>
+          </BlockStack>
+        </InlineStack>
+      </BlockStack>
+    </Card>
+  );
+}
+
+function ToolResultBlock({ block }) {
+  const [open, setOpen] = useState(false);
+  const collapsibleId = useId();
+
+  return (
+    <BlockStack gap="200">
+      <InlineStack gap="200" blockAlign="center">
+        <Text as="span" variant="bodySm" fontWeight="semibold">
+          {block.name ? `Result from ${block.name}` : "Tool result"}
+        </Text>
+        {block.isError && <Badge tone="critical">Error</Badge>}
+        <Button variant="plain" onClick={() => setOpen(!open)} ariaExpanded={open} ariaControls={collapsibleId}>
+          {open ? "Hide raw result" : "Show raw result"}
+        </Button>
+      </InlineStack>
+      {block.products.length > 0 && (
+        <InlineGrid columns={{ xs: 1, md: 3 }} gap="300">
+          {block.products.map(product => (
+            <ProductCard key={product.id} product={product} />
+          ))}
+        </InlineGrid>
+      )}
+      <Collapsible open={open} id={collapsibleId}>
+        <CodeBlock>{formatJson(block.text)}</CodeBlock>
+      </Collapsible>
+    </BlockStack>
+  );
+}
+
+function TranscriptBlock({ block }) {
+  switch (block.type) {
+    case "text":
+      return (
+        <Text as="p" variant="bodyMd">
+          <span style={{ whiteSpace: "pre-wrap" }}>{block.text}</span>
+        </Text>
+      );
+    case "tool_use":
+      return (
+        <BlockStack gap="200">
+          <Text as="span" variant="bodySm" fontWeight="semibold">
+            {`Called ${block.name}`}
+          </Text>
+          <CodeBlock>{JSON.stringify(block.input, null, 2)}</CodeBlock>
+        </BlockStack>
+      );
+    case "tool_result":
+      return <ToolResultBlock block={block} />;
+    default:
+      return <CodeBlock>{block.text}</CodeBlock>;
+  }
+}
+
+/**
+ * Formats a message's token usage and cost
+ * @param {Object} usage - Usage summary from the loader
+ * @returns {string} The formatted usage
+ */
+function formatUsage(usage) {
+  const cost = usage.costUsd === null ? "" : ` · $${usage.costUsd.toFixed(4)}`;
+  return `${usage.model} · ${usage.inputTokens.toLocaleString()} in / ${usage.outputTokens.toLocaleString()} out${cost}`;
+}
+
+const ROLE_LABELS = {
+  user: { label: "Customer", tone: "info" },
+  assistant: { label: "Assistant", tone: "success" },
+  staff: { label: "Staff", tone: "magic" },
+  tool: { label: "Tool", tone: undefined }
+};
+
+const STATUS_BADGES = {
+  bot: { label: "Assistant", tone: undefined },
+  pending_human: { label: "Waiting for staff", tone: "attention" },
+  human: { label: "Staff", tone: "magic" },
+  closed: { label: "Closed", tone: undefined }
+};
+
+function TranscriptEntry({ entry }) {
+  const role = ROLE_LABELS[entry.role] || { label: entry.role };
+
+  return (
+    <Card>
+      <BlockStack gap="300">
+        <InlineStack align="space-between" blockAlign="center">
+          <InlineStack gap="200" blockAlign="center">
+            <Badge tone={role.tone}>{entry.authorName ? `${role.label} · ${entry.authorName}` : role.label}</Badge>
+            {entry.interrupted && <Badge tone="attention">Interrupted</Badge>}
+            {entry.usage ? (
+              <Text as="span" variant="bodySm" tone="subdued">{formatUsage(entry.usage)}</Text>
+            ) : entry.provider && (
+              <Text as="span" variant="bodySm" tone="subdued">{entry.provider}</Text>
+            )}
+          </InlineStack>
+          <Text as="span" variant="bodySm" tone="subdued">
+            {new Date(entry.createdAt).toLocaleString()}
+          </Text>
+        </InlineStack>
+        {entry.blocks.map((block, index) => (
+          <TranscriptBlock key={index} block={block} />
+        ))}
+      </BlockStack>
+    </Card>
+  );
+}
+
+function HandoffCard({ conversation, maxReplyLength }) {
+  const actionData = useActionData();
+  const navigation = useNavigation();
+  const submit = useSubmit();
+  const [reply, setReply] = useState("");
+
+  const isSubmitting = navigation.state === "submitting";
+
+  // Clear the reply box once the reply is stored
+  useEffect(() => {
+    if (actionData?.sent) {
+      setReply("");
+    }
+  }, [actionData]);
+
+  const submitIntent = (intent, fields = {}) => {
+    submit({ intent, ...fields }, { method: "post" });
+  };
+
+  const status = STATUS_BADGES[conversation.status] || { label: conversation.status };
+
+  return (
+    <Card>
+      <BlockStack gap="300">
+        <InlineStack align="space-between" blockAlign="center">
+          <InlineStack gap="200" blockAlign="center">
+            <Text as="h2" variant="headingMd">Answered by</Text>
+            <Badge tone={status.tone}>{status.label}</Badge>
+          </InlineStack>
+          <InlineStack gap="200">
+            {conversation.status !== "human" && (
+              <Button onClick={() => submitIntent("take_over")} disabled={isSubmitting}>Take over</Button>
+            )}
+            {conversation.status !== "bot" && (
+              <Button onClick={() => submitIntent("return_to_bot")} disabled={isSubmitting}>Hand back to assistant</Button>
+            )}
+            {conversation.status !== "closed" && (
+              <Button tone="critical" onClick={() => submitIntent("close")} disabled={isSubmitting}>Close</Button>
+            )}
+          </InlineStack>
+        </InlineStack>
+        {conversation.escalationReason && (
+          <Text as="p" variant="bodyMd" tone="subdued">
+            {`Escalated ${new Date(conversation.escalatedAt).toLocaleString()}: ${conversation.escalationReason}`}
+          </Text>
+        )}
+        {actionData?.message && <Banner tone="success">{actionData.message}</Banner>}
+        {actionData?.error && <Banner tone="critical">{actionData.error}</Banner>}
+        <form
+          onSubmit={(event) => {
+            event.preventDefault();
+            if (reply.trim()) {
+              submitIntent("reply", { text: reply });
+            }
+          }}
+        >
+          <BlockStack gap="200">
+            <TextField
+              label="Reply to the customer"
+              value={reply}
+              onChange={setReply}
+              multiline={3}
+              maxLength={maxReplyLength}
+              autoComplete="off"
+              helpText="Replies appear in the customer's chat window. Sending a reply takes the conversation over from the assistant."
+            />
+            <InlineStack align="end">
+              <Button submit variant="primary" loading={isSubmitting} disabled={!reply.trim()}>Send reply</Button>
+            </InlineStack>
+          </BlockStack>
+        </form>
+      </BlockStack>
+    </Card>
+  );
+}
+
+export default function ConversationTranscript() {
+  const { conversation, transcript, maxReplyLength } = useLoaderData();
+  const revalidator = useRevalidator();
+
+  // Pick up new customer messages while staff are handling the conversation
+  useEffect(() => {
+    if (!conversation.autoRefresh) {
+      return undefined;
+    }
+    const timer = setInterval(() => {
+      if (revalidator.state === "idle") {
+        revalidator.revalidate();
+      }
+    }, REFRESH_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [conversation.autoRefresh, revalidator]);
+
+  return (
+    <Page
+      backAction={{ content: "Conversations", url: "/app" }}
+      title="Conversation"
+      subtitle={`Started ${new Date(conversation.createdAt).toLocaleString()} · Estimated cost $${conversation.costUsd.toFixed(4)}`}
+      titleMetadata={conversation.customerId
+        ? <Badge tone="info">{`Customer ${conversation.customerId}`}</Badge>
+        : <Badge>Guest</Badge>}
+    >
+      <TitleBar title="Conversation" />
+      <BlockStack gap="400">
+        <HandoffCard conversation={conversation} maxReplyLength={maxReplyLength} />
+        {conversation.summary && (
+          <Card>
+            <BlockStack gap="200">
+              <Text as="h2" variant="headingMd">Running summary used by the assistant</Text>
+              <Text as="p" variant="bodyMd" tone="subdued">{conversation.summary}</Text>
+            </BlockStack>
+          </Card>
+        )}
+        {transcript.length === 0 && (
+          <Card>
+            <Text as="p" tone="subdued">This conversation has no messages.</Text>
+          </Card>
+        )}
+        {transcript.map(entry => (
+          <TranscriptEntry key={entry.id} entry={entry} />
+        ))}
+      </BlockStack>
+    </Page>
+  );
+}
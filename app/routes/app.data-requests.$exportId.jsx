@@ -0,0 +1,24 @@
+import { json } from "@remix-run/node";
+import { authenticate } from "../shopify.server";
+import { getCustomerDataExportFile } from "../services/compliance.server";
+
+/**
+ * Downloads a customer data export as a JSON file
+ * Only the shop the export belongs to can download it, until it expires.
+ */
+export const loader = async ({ request, params }) => {
+  const { session } = await authenticate.admin(request);
+
+  const file = await getCustomerDataExportFile(session.shop, params.exportId);
+  if (!file) {
+    return json({ error: "Export not found" }, { status: 404 });
+  }
+
+  return new Response(file.content, {
+    headers: {
+      "Content-Type": "application/json; charset=utf-8",
+      "Content-Disposition": `attachment; filename="${file.filename}"`,
+      "Cache-Control": "no-store"
+    }
+  });
+};
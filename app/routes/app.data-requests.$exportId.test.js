@@ -0,0 +1,81 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import AppConfig from "../services/config.server";
+import { authenticate } from "../shopify.server";
+import { getCustomerDataExport } from "../db.server";
+import { loader } from "./app.data-requests.$exportId";
+
+vi.mock("../shopify.server", () => ({
+  authenticate: { admin: vi.fn() }
+}));
+
+vi.mock("../db.server", () => ({
+  getCustomerDataExport: vi.fn()
+}));
+
+const BUNDLE = {
+  shop: "a.myshopify.com",
+  customerId: "42",
+  conversations: [{ id: "c1", messages: [{ role: "user", content: [{ type: "text", text: "Where is my order?" }] }] }]
+};
+
+/**
+ * Downloads an export as the signed-in merchant
+ * @param {string} exportId - The export ID
+ * @returns {Promise<Response>} The loader's response
+ */
+function downloadExport(exportId) {
+  return loader({ request: new Request(`https://app.example/app/data-requests/${exportId}`), params: { exportId } });
+}
+
+describe("customer data export download", () => {
+  beforeEach(() => {
+    authenticate.admin.mockResolvedValue({ session: { shop: "a.myshopify.com" } });
+  });
+
+  afterEach(() => {
+    vi.resetAllMocks();
+  });
+
+  it("lets the merchant download the export as a JSON file", async () => {
+    getCustomerDataExport.mockResolvedValue({
+      id: "e1",
+      customerId: "42",
+      createdAt: new Date(),
+      bundle: BUNDLE
+    });
+
+    const response = await downloadExport("e1");
+
+    expect(getCustomerDataExport).toHaveBeenCalledWith("a.myshopify.com", "e1");
+    expect(response.status).toBe(200);
+    expect(response.headers.get("Content-Disposition")).toMatch(/^attachment; filename="customer-42-data-\d{4}-\d{2}-\d{2}\.json"$/);
+    expect(response.headers.get("Cache-Control")).toBe("no-store");
+    expect(await response.json()).toEqual(BUNDLE);
+  });
+
+  it("doesn't serve another shop's exports", async () => {
+    getCustomerDataExport.mockResolvedValue(null);
+
+    const response = await downloadExport("e1");
+
+    expect(response.status).toBe(404);
+  });
+
+  it("doesn't serve expired exports", async () => {
+    getCustomerDataExport.mockResolvedValue({
+      id: "e1",
+      customerId: "42",
+      createdAt: new Date(Date.now() - AppConfig.compliance.exportRetentionMs - 1000),
+      bundle: BUNDLE
+    });
+
+    expect((await downloadExport("e1")).status).toBe(404);
+  });
+
+  it("requires an admin session", async () => {
+    authenticate.admin.mockRejectedValue(new Response(null, { status: 401 }));
+
+    await expect(downloadExport("e1")).rejects.toHaveProperty("status", 401);
+    expect(getCustomerDataExport).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,143 @@
+import { useState } from "react";
+import { json } from "@remix-run/node";
+import { useActionData, useLoaderData, useSubmit } from "@remix-run/react";
+import {
+  Page,
+  Layout,
+  Text,
+  Card,
+  BlockStack,
+  InlineStack,
+  Button,
+  Banner,
+} from "@shopify/polaris";
+import { TitleBar } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import { getCustomerDataExports, deleteCustomerDataExport } from "../db.server";
+import { getExportExpiry, purgeExpiredCustomerDataExports } from "../services/compliance.server";
+
+/**
+ * Loads the shop's customer data exports; bundles are only sent on download
+ */
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+
+  // Expired exports are deleted rather than listed
+  await purgeExpiredCustomerDataExports().catch(() => {});
+  const dataExports = await getCustomerDataExports(session.shop);
+
+  return json({
+    dataExports: dataExports.map(dataExport => ({
+      id: dataExport.id,
+      customerId: dataExport.customerId,
+      dataRequestId: dataExport.dataRequestId,
+      createdAt: dataExport.createdAt,
+      expiresAt: getExportExpiry(dataExport.createdAt)
+    }))
+  });
+};
+
+/**
+ * Deletes an export once the merchant has sent it to the customer
+ */
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const formData = await request.formData();
+
+  if (formData.get("intent") !== "delete") {
+    return json({ error: "Unknown action" }, { status: 400 });
+  }
+
+  const deleted = await deleteCustomerDataExport(session.shop, String(formData.get("id") || ""));
+  if (!deleted) {
+    return json({ error: "Export not found" }, { status: 404 });
+  }
+
+  return json({ message: "Deleted the export" });
+};
+
+/**
+ * Formats a date for display
+ * @param {string} value - ISO date
+ * @returns {string} The formatted date
+ */
+function formatDate(value) {
+  return new Date(value).toLocaleDateString();
+}
+
+export default function DataRequests() {
+  const { dataExports } = useLoaderData();
+  const actionData = useActionData();
+  const submit = useSubmit();
+  const [downloadError, setDownloadError] = useState(null);
+
+  // App Bridge adds the session token to fetch, which a plain link wouldn't carry
+  const download = async (dataExport) => {
+    setDownloadError(null);
+
+    const response = await fetch(`/app/data-requests/${dataExport.id}`);
+    if (!response.ok) {
+      setDownloadError(`Could not download the export for customer ${dataExport.customerId}`);
+      return;
+    }
+
+    const filename = response.headers.get("Content-Disposition")?.match(/filename="([^"]+)"/)?.[1] || "customer-data.json";
+    const url = URL.createObjectURL(await response.blob());
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <Page>
+      <TitleBar title="Data requests" />
+      <BlockStack gap="500">
+        {actionData?.message && <Banner tone="success">{actionData.message}</Banner>}
+        {(actionData?.error || downloadError) && <Banner tone="critical">{actionData?.error || downloadError}</Banner>}
+        <Layout>
+          <Layout.Section>
+            <Card>
+              <BlockStack gap="400">
+                <Text as="h2" variant="headingMd">Customer data requests</Text>
+                <Text as="p" tone="subdued">
+                  When a customer asks for their data, Shopify tells the app and an export of their conversations is prepared here. Download it and send it to the customer. Exports are deleted automatically when they expire.
+                </Text>
+                {dataExports.length === 0 && (
+                  <Text as="p" tone="subdued">No pending data requests.</Text>
+                )}
+                {dataExports.map(dataExport => (
+                  <InlineStack key={dataExport.id} align="space-between" blockAlign="center">
+                    <BlockStack gap="100">
+                      <Text as="span" variant="bodyMd" fontWeight="semibold">
+                        {`Customer ${dataExport.customerId}`}
+                      </Text>
+                      <Text as="span" variant="bodySm" tone="subdued">
+                        {[
+                          dataExport.dataRequestId && `Request ${dataExport.dataRequestId}`,
+                          `Received ${formatDate(dataExport.createdAt)}`,
+                          `Expires ${formatDate(dataExport.expiresAt)}`
+                        ].filter(Boolean).join(" · ")}
+                      </Text>
+                    </BlockStack>
+                    <InlineStack gap="100">
+                      <Button variant="plain" onClick={() => download(dataExport)}>Download</Button>
+                      <Button
+                        variant="plain"
+                        tone="critical"
+                        onClick={() => submit({ intent: "delete", id: dataExport.id }, { method: "post" })}
+                      >
+                        Delete
+                      </Button>
+                    </InlineStack>
+                  </InlineStack>
+                ))}
+              </BlockStack>
+            </Card>
+          </Layout.Section>
+        </Layout>
+      </BlockStack>
+    </Page>
+  );
+}
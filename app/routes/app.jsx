@@ -20,8 +20,13 @@ export default function App() {
     <AppProvider isEmbeddedApp apiKey={apiKey}>
       <NavMenu>
         <Link to="/app" rel="home">
-          Home
+          Conversations
         </Link>
+        <Link to="/app/analytics">Analytics</Link>
+        <Link to="/app/usage">Usage</Link>
+        <Link to="/app/prompts">System prompts</Link>
+        <Link to="/app/mcp-servers">MCP servers</Link>
+        <Link to="/app/data-requests">Data requests</Link>
       </NavMenu>
       <Outlet />
     </AppProvider>
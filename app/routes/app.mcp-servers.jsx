@@ -0,0 +1,516 @@
+import { useEffect, useState } from "react";
+import { json } from "@remix-run/node";
+import { useActionData, useLoaderData, useNavigation, useSubmit } from "@remix-run/react";
+import {
+  Page,
+  Layout,
+  Text,
+  Card,
+  BlockStack,
+  InlineStack,
+  Select,
+  TextField,
+  Checkbox,
+  ChoiceList,
+  Button,
+  Badge,
+  Banner,
+} from "@shopify/polaris";
+import { TitleBar } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import {
+  getShopMcpServers,
+  getShopMcpServer,
+  createShopMcpServer,
+  updateShopMcpServer,
+  deleteShopMcpServer,
+  getShopMcpResources,
+  setShopMcpResources
+} from "../db.server";
+import AppConfig from "../services/config.server";
+import {
+  validateMcpServerInput,
+  testMcpServer,
+  refreshShopMcpTools
+} from "../services/mcp-servers.server";
+import { discoverMcpContent } from "../services/mcp-context.server";
+
+const AUTH_TYPE_OPTIONS = [
+  { label: "No authentication", value: "none" },
+  { label: "Header (API key or token)", value: "header" },
+  { label: "OAuth client credentials", value: "oauth" },
+];
+
+const EMPTY_FORM = {
+  id: "",
+  name: "",
+  slug: "",
+  url: "",
+  authType: "none",
+  authHeaderName: "Authorization",
+  authHeaderValue: "",
+  oauthTokenUrl: "",
+  oauthClientId: "",
+  oauthClientSecret: "",
+  oauthScope: "",
+  enabled: "true",
+};
+
+/**
+ * Loads the shop's MCP servers; secrets are never sent to the browser
+ */
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const [servers, resources] = await Promise.all([
+    getShopMcpServers(session.shop),
+    getShopMcpResources(session.shop)
+  ]);
+
+  return json({
+    maxServers: AppConfig.mcp.maxShopServers,
+    maxResources: AppConfig.mcp.maxShopResources,
+    resources: resources.map(({ server, uri, name }) => ({ server, uri, name })),
+    servers: servers.map(server => ({
+      id: server.id,
+      name: server.name,
+      slug: server.slug,
+      url: server.url,
+      authType: server.authType,
+      authHeaderName: server.authHeaderName,
+      hasAuthHeaderValue: Boolean(server.authHeaderValue),
+      oauthTokenUrl: server.oauthTokenUrl,
+      oauthClientId: server.oauthClientId,
+      hasOauthClientSecret: Boolean(server.oauthClientSecret),
+      oauthScope: server.oauthScope,
+      enabledTools: server.enabledTools,
+      enabled: server.enabled
+    }))
+  });
+};
+
+/**
+ * Saves, tests, toggles or removes MCP servers, and chooses the resources added to the system prompt
+ */
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+  const id = formData.get("id");
+
+  if (intent === "discover") {
+    const discovery = await discoverMcpContent(session.shop);
+    return json({
+      message: `Found ${discovery.resources.length} resources and ${discovery.prompts.length} prompts`,
+      discovery
+    });
+  }
+
+  if (intent === "resources") {
+    const servers = await getShopMcpServers(session.shop);
+    const serverNames = ["storefront", ...servers.map(server => server.slug)];
+    const resources = JSON.parse(formData.get("resources") || "[]")
+      .filter(resource => serverNames.includes(resource.server) && typeof resource.uri === "string" && resource.uri)
+      .map(resource => ({ server: resource.server, uri: resource.uri, name: (resource.name || resource.uri).toString().substring(0, 200) }));
+
+    if (resources.length > AppConfig.mcp.maxShopResources) {
+      return json({ error: `You can select up to ${AppConfig.mcp.maxShopResources} resources` }, { status: 400 });
+    }
+
+    await setShopMcpResources(session.shop, resources);
+    return json({ message: `The assistant now uses ${resources.length} resources` });
+  }
+
+  // Only saving can create a server; every other intent needs an existing one
+  const existing = id ? await getShopMcpServer(session.shop, id) : null;
+  if ((id || intent !== "save") && !existing) {
+    return json({ error: "Server not found" }, { status: 404 });
+  }
+
+  switch (intent) {
+    case "save": {
+      const { data, errors } = validateMcpServerInput(Object.fromEntries(formData), existing);
+      if (errors.length > 0) {
+        return json({ error: errors.join(". ") }, { status: 400 });
+      }
+
+      const servers = await getShopMcpServers(session.shop);
+      if (servers.some(server => server.slug === data.slug && server.id !== id)) {
+        return json({ error: `Another server already uses the namespace "${data.slug}"` }, { status: 400 });
+      }
+      if (!existing && servers.length >= AppConfig.mcp.maxShopServers) {
+        return json({ error: `You can register up to ${AppConfig.mcp.maxShopServers} servers` }, { status: 400 });
+      }
+
+      const saved = existing
+        ? await updateShopMcpServer(session.shop, id, data)
+        : await createShopMcpServer(session.shop, data);
+      refreshShopMcpTools(session.shop);
+      return json({ message: `Saved ${saved.name}`, savedId: saved.id });
+    }
+    case "test": {
+      const result = await testMcpServer(session.shop, existing);
+      if (!result.ok) {
+        return json({ error: `Could not connect to ${existing.name}: ${result.error}` });
+      }
+      return json({
+        message: `Connected to ${existing.name}: ${result.tools.length} tools available`,
+        test: { id: existing.id, tools: result.tools }
+      });
+    }
+    case "tools": {
+      const available = JSON.parse(formData.get("available") || "[]");
+      const selected = JSON.parse(formData.get("selected") || "[]").filter(name => available.includes(name));
+
+      // Selecting every tool also enables tools the server adds later
+      const enabledTools = selected.length === available.length ? null : selected;
+      await updateShopMcpServer(session.shop, id, { enabledTools });
+      refreshShopMcpTools(session.shop);
+      return json({ message: `Updated the tools offered from ${existing.name}` });
+    }
+    case "toggle": {
+      const updated = await updateShopMcpServer(session.shop, id, { enabled: !existing.enabled });
+      refreshShopMcpTools(session.shop);
+      return json({ message: `${updated.name} is ${updated.enabled ? "enabled" : "disabled"}` });
+    }
+    case "delete":
+      await deleteShopMcpServer(session.shop, id);
+      refreshShopMcpTools(session.shop);
+      return json({ message: `Removed ${existing.name}` });
+    default:
+      return json({ error: "Unknown action" }, { status: 400 });
+  }
+};
+
+function ServerForm({ form, setForm, existing, isSubmitting, onSave, onCancel }) {
+  const field = (name) => (value) => setForm({ ...form, [name]: value });
+
+  return (
+    <Card>
+      <BlockStack gap="400">
+        <Text as="h2" variant="headingMd">{existing ? `Edit ${existing.name}` : "Add a server"}</Text>
+        <TextField label="Name" value={form.name} onChange={field("name")} autoComplete="off" />
+        <TextField
+          label="Namespace"
+          value={form.slug}
+          onChange={field("slug")}
+          autoComplete="off"
+          helpText={`The assistant sees this server's tools as ${form.slug || "namespace"}__tool_name.`}
+        />
+        <TextField
+          label="MCP endpoint URL"
+          type="url"
+          value={form.url}
+          onChange={field("url")}
+          autoComplete="off"
+          placeholder="https://example.com/mcp"
+        />
+        <Select label="Authentication" options={AUTH_TYPE_OPTIONS} value={form.authType} onChange={field("authType")} />
+        {form.authType === "header" && (
+          <>
+            <TextField label="Header name" value={form.authHeaderName} onChange={field("authHeaderName")} autoComplete="off" />
+            <TextField
+              label="Header value"
+              type="password"
+              value={form.authHeaderValue}
+              onChange={field("authHeaderValue")}
+              autoComplete="off"
+              helpText={existing?.hasAuthHeaderValue ? "Leave blank to keep the saved value." : undefined}
+            />
+          </>
+        )}
+        {form.authType === "oauth" && (
+          <>
+            <TextField label="Token URL" type="url" value={form.oauthTokenUrl} onChange={field("oauthTokenUrl")} autoComplete="off" />
+            <TextField label="Client ID" value={form.oauthClientId} onChange={field("oauthClientId")} autoComplete="off" />
+            <TextField
+              label="Client secret"
+              type="password"
+              value={form.oauthClientSecret}
+              onChange={field("oauthClientSecret")}
+              autoComplete="off"
+              helpText={existing?.hasOauthClientSecret ? "Leave blank to keep the saved secret." : undefined}
+            />
+            <TextField label="Scope" value={form.oauthScope} onChange={field("oauthScope")} autoComplete="off" />
+          </>
+        )}
+        <Checkbox
+          label="Offer this server's tools to the assistant"
+          checked={form.enabled === "true"}
+          onChange={(checked) => setForm({ ...form, enabled: checked ? "true" : "false" })}
+        />
+        <InlineStack gap="200">
+          <Button variant="primary" loading={isSubmitting} onClick={onSave}>Save</Button>
+          <Button onClick={onCancel}>Cancel</Button>
+        </InlineStack>
+      </BlockStack>
+    </Card>
+  );
+}
+
+/**
+ * Key identifying a resource in the selection list
+ * @param {Object} resource - Resource with server and uri
+ * @returns {string} The key
+ */
+function resourceKey(resource) {
+  return `${resource.server} ${resource.uri}`;
+}
+
+function StoreContent({ saved, discovery, maxResources, isSubmitting, onDiscover, onSave }) {
+  const [selected, setSelected] = useState(saved.map(resourceKey));
+
+  // Saved resources stay listed even if a server didn't answer this time
+  const resources = [
+    ...(discovery?.resources || []),
+    ...saved.filter(resource => !discovery?.resources.some(found => resourceKey(found) === resourceKey(resource)))
+  ];
+
+  return (
+    <Card>
+      <BlockStack gap="300">
+        <InlineStack align="space-between" blockAlign="center">
+          <Text as="h2" variant="headingMd">Store content</Text>
+          <Button loading={isSubmitting} onClick={onDiscover}>Find resources and prompts</Button>
+        </InlineStack>
+        <Text as="p" variant="bodySm" tone="subdued">
+          Resources you select, such as store policies or FAQ pages, are added to the assistant's instructions.
+        </Text>
+        {resources.length === 0 ? (
+          <Text as="p" tone="subdued">No resources selected.</Text>
+        ) : (
+          <>
+            <ChoiceList
+              title={`Resources (up to ${maxResources})`}
+              allowMultiple
+              choices={resources.map(resource => ({
+                label: resource.name,
+                value: resourceKey(resource),
+                helpText: `${resource.server} · ${resource.uri}`
+              }))}
+              selected={selected}
+              onChange={setSelected}
+            />
+            <InlineStack>
+              <Button
+                variant="primary"
+                loading={isSubmitting}
+                onClick={() => onSave(resources.filter(resource => selected.includes(resourceKey(resource))))}
+              >
+                Save resources
+              </Button>
+            </InlineStack>
+          </>
+        )}
+        {discovery && (
+          <BlockStack gap="200">
+            <Text as="h3" variant="headingSm">Prompts</Text>
+            {discovery.prompts.length === 0 ? (
+              <Text as="p" tone="subdued">Your servers don't offer any prompts.</Text>
+            ) : (
+              <>
+                <Text as="p" variant="bodySm" tone="subdued">
+                  To use one as the assistant's instructions, choose MCP prompt in the chat theme block and enter its name.
+                </Text>
+                {discovery.prompts.map(prompt => (
+                  <BlockStack key={prompt.name} gap="050">
+                    <Text as="span" variant="bodyMd" fontWeight="semibold">{prompt.name}</Text>
+                    {prompt.description && (
+                      <Text as="span" variant="bodySm" tone="subdued">{prompt.description}</Text>
+                    )}
+                  </BlockStack>
+                ))}
+              </>
+            )}
+          </BlockStack>
+        )}
+      </BlockStack>
+    </Card>
+  );
+}
+
+function ToolSelection({ server, tools, isSubmitting, onSave }) {
+  const available = tools.map(tool => tool.name);
+  const [selected, setSelected] = useState(server.enabledTools || available);
+
+  return (
+    <Card>
+      <BlockStack gap="300">
+        <Text as="h2" variant="headingMd">{`Tools from ${server.name}`}</Text>
+        {tools.length === 0 ? (
+          <Text as="p" tone="subdued">This server doesn't offer any tools.</Text>
+        ) : (
+          <>
+            <ChoiceList
+              title="Tools the assistant can use"
+              allowMultiple
+              choices={tools.map(tool => ({
+                label: `${server.slug}__${tool.name}`,
+                value: tool.name,
+                helpText: tool.description
+              }))}
+              selected={selected}
+              onChange={setSelected}
+            />
+            <Text as="p" variant="bodySm" tone="subdued">
+              Selecting every tool also offers tools the server adds later.
+            </Text>
+            <InlineStack>
+              <Button variant="primary" loading={isSubmitting} onClick={() => onSave(available, selected)}>
+                Save tools
+              </Button>
+            </InlineStack>
+          </>
+        )}
+      </BlockStack>
+    </Card>
+  );
+}
+
+export default function McpServers() {
+  const { servers, maxServers, resources, maxResources } = useLoaderData();
+  const actionData = useActionData();
+  const navigation = useNavigation();
+  const submit = useSubmit();
+
+  const [editingId, setEditingId] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+
+  const isSubmitting = navigation.state === "submitting";
+  const editing = servers.find(server => server.id === editingId) || null;
+  const testedServer = actionData?.test && servers.find(server => server.id === actionData.test.id);
+
+  // Close the form once the server is saved
+  useEffect(() => {
+    if (actionData?.savedId) {
+      setEditingId(null);
+    }
+  }, [actionData]);
+
+  const openForm = (server) => {
+    setEditingId(server ? server.id : "new");
+    setForm(server ? {
+      ...EMPTY_FORM,
+      id: server.id,
+      name: server.name,
+      slug: server.slug,
+      url: server.url,
+      authType: server.authType,
+      authHeaderName: server.authHeaderName || EMPTY_FORM.authHeaderName,
+      oauthTokenUrl: server.oauthTokenUrl || "",
+      oauthClientId: server.oauthClientId || "",
+      oauthScope: server.oauthScope || "",
+      enabled: server.enabled ? "true" : "false",
+    } : EMPTY_FORM);
+  };
+
+  const submitIntent = (intent, fields = {}) => {
+    submit({ intent, ...fields }, { method: "post" });
+  };
+
+  return (
+    <Page>
+      <TitleBar title="MCP servers" />
+      <BlockStack gap="500">
+        {actionData?.message && <Banner tone="success">{actionData.message}</Banner>}
+        {actionData?.error && <Banner tone="critical">{actionData.error}</Banner>}
+        <Layout>
+          <Layout.Section>
+            <BlockStack gap="500">
+              <Card>
+                <BlockStack gap="400">
+                  <InlineStack align="space-between" blockAlign="center">
+                    <Text as="h2" variant="headingMd">Servers</Text>
+                    <Button onClick={() => openForm(null)} disabled={servers.length >= maxServers}>
+                      Add server
+                    </Button>
+                  </InlineStack>
+                  {servers.length === 0 && (
+                    <Text as="p" tone="subdued">
+                      No servers yet. Add an MCP server to give the assistant tools from your other services, such as warranty registration or shipping quotes.
+                    </Text>
+                  )}
+                  {servers.map(server => (
+                    <InlineStack key={server.id} align="space-between" blockAlign="center">
+                      <BlockStack gap="100">
+                        <InlineStack gap="200" blockAlign="center">
+                          <Text as="span" variant="bodyMd" fontWeight="semibold">{server.name}</Text>
+                          {server.enabled
+                            ? <Badge tone="success">Enabled</Badge>
+                            : <Badge>Disabled</Badge>}
+                        </InlineStack>
+                        <Text as="span" variant="bodySm" tone="subdued">{server.url}</Text>
+                        <Text as="span" variant="bodySm" tone="subdued">
+                          {`Namespace ${server.slug} · ${server.enabledTools ? `${server.enabledTools.length} tools selected` : "All tools"}`}
+                        </Text>
+                      </BlockStack>
+                      <InlineStack gap="100">
+                        <Button variant="plain" onClick={() => openForm(server)}>Edit</Button>
+                        <Button variant="plain" onClick={() => submitIntent("test", { id: server.id })}>
+                          Test connection
+                        </Button>
+                        <Button variant="plain" onClick={() => submitIntent("toggle", { id: server.id })}>
+                          {server.enabled ? "Disable" : "Enable"}
+                        </Button>
+                        <Button variant="plain" tone="critical" onClick={() => submitIntent("delete", { id: server.id })}>
+                          Remove
+                        </Button>
+                      </InlineStack>
+                    </InlineStack>
+                  ))}
+                </BlockStack>
+              </Card>
+              {testedServer && (
+                <ToolSelection
+                  key={testedServer.id}
+                  server={testedServer}
+                  tools={actionData.test.tools}
+                  isSubmitting={isSubmitting}
+                  onSave={(available, selected) => submitIntent("tools", {
+                    id: testedServer.id,
+                    available: JSON.stringify(available),
+                    selected: JSON.stringify(selected)
+                  })}
+                />
+              )}
+              <StoreContent
+                key={actionData?.discovery ? "discovered" : "saved"}
+                saved={resources}
+                discovery={actionData?.discovery}
+                maxResources={maxResources}
+                isSubmitting={isSubmitting}
+                onDiscover={() => submitIntent("discover")}
+                onSave={(selected) => submitIntent("resources", {
+                  resources: JSON.stringify(selected.map(({ server, uri, name }) => ({ server, uri, name })))
+                })}
+              />
+            </BlockStack>
+          </Layout.Section>
+          <Layout.Section variant="oneThird">
+            {editingId ? (
+              <ServerForm
+                form={form}
+                setForm={setForm}
+                existing={editing}
+                isSubmitting={isSubmitting}
+                onSave={() => submitIntent("save", form)}
+                onCancel={() => setEditingId(null)}
+              />
+            ) : (
+              <Card>
+                <BlockStack gap="200">
+                  <Text as="h2" variant="headingMd">How it works</Text>
+                  <Text as="p" variant="bodyMd">
+                    The assistant can call tools from the servers you add, alongside your store's catalog, cart and order tools. Each server's tools are prefixed with its namespace so they never clash.
+                  </Text>
+                  <Text as="p" variant="bodyMd">
+                    Header values and client secrets are stored encrypted and are never shown again.
+                  </Text>
+                </BlockStack>
+              </Card>
+            )}
+          </Layout.Section>
+        </Layout>
+      </BlockStack>
+    </Page>
+  );
+}
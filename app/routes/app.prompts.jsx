@@ -0,0 +1,244 @@
+import { useEffect, useState } from "react";
+import { json } from "@remix-run/node";
+import { useActionData, useLoaderData, useNavigate, useNavigation, useSubmit } from "@remix-run/react";
+import {
+  Page,
+  Layout,
+  Text,
+  Card,
+  BlockStack,
+  InlineStack,
+  Select,
+  TextField,
+  Button,
+  Badge,
+  Banner,
+  List,
+} from "@shopify/polaris";
+import { TitleBar } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import {
+  getShopPromptVersions,
+  createShopPromptVersion,
+  activateShopPromptVersion,
+  deactivateShopPrompts
+} from "../db.server";
+import {
+  getEditablePromptTypes,
+  getDefaultPromptTemplate,
+  getShopPromptVariables,
+  PROMPT_VARIABLES
+} from "../services/prompt.server";
+
+/**
+ * Loads the prompt versions for the selected prompt type
+ */
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const url = new URL(request.url);
+
+  const promptTypes = getEditablePromptTypes();
+  const promptType = promptTypes.some(type => type.value === url.searchParams.get("type"))
+    ? url.searchParams.get("type")
+    : promptTypes[0].value;
+
+  const [versions, variables] = await Promise.all([
+    getShopPromptVersions(session.shop, promptType),
+    getShopPromptVariables(session.shop)
+  ]);
+
+  return json({
+    promptTypes,
+    promptType,
+    defaultTemplate: getDefaultPromptTemplate(promptType),
+    versions: versions.map(version => ({
+      id: version.id,
+      version: version.version,
+      content: version.content,
+      isActive: version.isActive,
+      createdBy: version.createdBy,
+      createdAt: version.createdAt
+    })),
+    variables: Object.entries(PROMPT_VARIABLES).map(([name, description]) => ({
+      name,
+      description,
+      value: variables[name] || ""
+    }))
+  });
+};
+
+/**
+ * Saves, activates or resets prompt versions
+ */
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+  const promptType = formData.get("promptType");
+
+  if (!getEditablePromptTypes().some(type => type.value === promptType)) {
+    return json({ error: "Unknown prompt type" }, { status: 400 });
+  }
+
+  switch (intent) {
+    case "save": {
+      const content = (formData.get("content") || "").toString();
+      if (!content.trim()) {
+        return json({ error: "Prompt cannot be empty" }, { status: 400 });
+      }
+      const saved = await createShopPromptVersion(
+        session.shop,
+        promptType,
+        content,
+        session.email || session.userId?.toString() || null
+      );
+      return json({ message: `Saved version ${saved.version}` });
+    }
+    case "activate": {
+      const activated = await activateShopPromptVersion(session.shop, formData.get("id"));
+      if (!activated) {
+        return json({ error: "Prompt version not found" }, { status: 404 });
+      }
+      return json({ message: `Version ${activated.version} is now active` });
+    }
+    case "reset":
+      await deactivateShopPrompts(session.shop, promptType);
+      return json({ message: "Using the default prompt" });
+    default:
+      return json({ error: "Unknown action" }, { status: 400 });
+  }
+};
+
+export default function Prompts() {
+  const { promptTypes, promptType, defaultTemplate, versions, variables } = useLoaderData();
+  const actionData = useActionData();
+  const navigate = useNavigate();
+  const navigation = useNavigation();
+  const submit = useSubmit();
+
+  const activeVersion = versions.find(version => version.isActive);
+  const initialContent = activeVersion?.content || defaultTemplate;
+  const [content, setContent] = useState(initialContent);
+
+  // Reset the editor when switching prompt types or versions
+  useEffect(() => {
+    setContent(initialContent);
+  }, [promptType, initialContent]);
+
+  const isSubmitting = navigation.state === "submitting";
+
+  const submitIntent = (intent, fields = {}) => {
+    submit({ intent, promptType, ...fields }, { method: "post" });
+  };
+
+  return (
+    <Page>
+      <TitleBar title="System prompts" />
+      <BlockStack gap="500">
+        {actionData?.message && <Banner tone="success">{actionData.message}</Banner>}
+        {actionData?.error && <Banner tone="critical">{actionData.error}</Banner>}
+        <Layout>
+          <Layout.Section>
+            <Card>
+              <BlockStack gap="400">
+                <Select
+                  label="Prompt type"
+                  options={promptTypes}
+                  value={promptType}
+                  onChange={(value) => navigate(`?type=${encodeURIComponent(value)}`)}
+                />
+                <InlineStack gap="200" blockAlign="center">
+                  <Text as="span" variant="bodyMd">Currently using:</Text>
+                  {activeVersion
+                    ? <Badge tone="success">{`Version ${activeVersion.version}`}</Badge>
+                    : <Badge>Default prompt</Badge>}
+                </InlineStack>
+                <TextField
+                  label="Prompt"
+                  value={content}
+                  onChange={setContent}
+                  multiline={16}
+                  autoComplete="off"
+                  monospaced
+                />
+                <InlineStack gap="200">
+                  <Button
+                    variant="primary"
+                    loading={isSubmitting}
+                    onClick={() => submitIntent("save", { content })}
+                  >
+                    Save as new version
+                  </Button>
+                  <Button onClick={() => setContent(defaultTemplate)}>
+                    Load default prompt
+                  </Button>
+                  {activeVersion && (
+                    <Button tone="critical" onClick={() => submitIntent("reset")}>
+                      Use default prompt
+                    </Button>
+                  )}
+                </InlineStack>
+              </BlockStack>
+            </Card>
+          </Layout.Section>
+          <Layout.Section variant="oneThird">
+            <BlockStack gap="500">
+              <Card>
+                <BlockStack gap="200">
+                  <Text as="h2" variant="headingMd">
+                    Template variables
+                  </Text>
+                  <List>
+                    {variables.map(variable => (
+                      <List.Item key={variable.name}>
+                        <Text as="span" fontWeight="semibold">{`{{${variable.name}}}`}</Text>
+                        {` — ${variable.description}`}
+                        {variable.value && (
+                          <Text as="p" tone="subdued" truncate>
+                            {variable.value}
+                          </Text>
+                        )}
+                      </List.Item>
+                    ))}
+                  </List>
+                </BlockStack>
+              </Card>
+              <Card>
+                <BlockStack gap="200">
+                  <Text as="h2" variant="headingMd">
+                    Versions
+                  </Text>
+                  {versions.length === 0 && (
+                    <Text as="p" tone="subdued">No saved versions yet.</Text>
+                  )}
+                  {versions.map(version => (
+                    <InlineStack key={version.id} align="space-between" blockAlign="center">
+                      <BlockStack gap="100">
+                        <Text as="span" variant="bodyMd">{`Version ${version.version}`}</Text>
+                        <Text as="span" variant="bodySm" tone="subdued">
+                          {new Date(version.createdAt).toLocaleString()}
+                        </Text>
+                      </BlockStack>
+                      {version.isActive
+                        ? <Badge tone="success">Active</Badge>
+                        : (
+                          <InlineStack gap="100">
+                            <Button variant="plain" onClick={() => setContent(version.content)}>
+                              Edit
+                            </Button>
+                            <Button variant="plain" onClick={() => submitIntent("activate", { id: version.id })}>
+                              Activate
+                            </Button>
+                          </InlineStack>
+                        )}
+                    </InlineStack>
+                  ))}
+                </BlockStack>
+              </Card>
+            </BlockStack>
+          </Layout.Section>
+        </Layout>
+      </BlockStack>
+    </Page>
+  );
+}
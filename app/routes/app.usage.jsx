@@ -0,0 +1,225 @@
+import { json } from "@remix-run/node";
+import { Link as RemixLink, useLoaderData, useNavigate } from "@remix-run/react";
+import {
+  Page,
+  Layout,
+  Text,
+  Card,
+  BlockStack,
+  InlineStack,
+  InlineGrid,
+  Select,
+  DataTable,
+  ProgressBar,
+  Banner,
+} from "@shopify/polaris";
+import { TitleBar } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import AppConfig from "../services/config.server";
+import { getMonthStart, getShopBudget } from "../services/usage.server";
+import { getShopUsageTotals, getShopUsageByModel, getShopConversationCosts } from "../db.server";
+
+const MONTHS_TO_SHOW = 6;
+const MONTH_PATTERN = /^\d{4}-\d{2}$/;
+
+/**
+ * Formats a month start date as YYYY-MM
+ * @param {Date} date - Start of the month
+ * @returns {string} The month key
+ */
+function toMonthKey(date) {
+  return date.toISOString().slice(0, 7);
+}
+
+/**
+ * Loads token usage and cost for the selected month
+ */
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const url = new URL(request.url);
+
+  const currentMonth = getMonthStart();
+  const months = Array.from({ length: MONTHS_TO_SHOW }, (_, index) => {
+    const month = new Date(currentMonth);
+    month.setUTCMonth(month.getUTCMonth() - index);
+    return toMonthKey(month);
+  });
+
+  const requestedMonth = url.searchParams.get("month");
+  const month = MONTH_PATTERN.test(requestedMonth || "") && months.includes(requestedMonth)
+    ? requestedMonth
+    : months[0];
+
+  const since = new Date(`${month}-01T00:00:00.000Z`);
+  const until = new Date(since);
+  until.setUTCMonth(until.getUTCMonth() + 1);
+
+  const [totals, byModel, conversations] = await Promise.all([
+    getShopUsageTotals(session.shop, since, until),
+    getShopUsageByModel(session.shop, since, until),
+    getShopConversationCosts(session.shop, since, until)
+  ]);
+
+  return json({
+    month,
+    months,
+    isCurrentMonth: month === months[0],
+    budgetUsd: getShopBudget(session.shop),
+    warningThreshold: AppConfig.usage.warningThreshold,
+    totals,
+    byModel: byModel.sort((a, b) => b.costUsd - a.costUsd),
+    conversations
+  });
+};
+
+/**
+ * Formats a USD amount
+ * @param {number} value - Amount in USD
+ * @returns {string} The formatted amount
+ */
+function formatUsd(value) {
+  return `$${value.toFixed(value > 0 && value < 1 ? 4 : 2)}`;
+}
+
+/**
+ * Formats a token count
+ * @param {number} value - Token count
+ * @returns {string} The formatted count
+ */
+function formatTokens(value) {
+  return value.toLocaleString();
+}
+
+function MetricCard({ label, value }) {
+  return (
+    <Card>
+      <BlockStack gap="100">
+        <Text as="span" variant="bodySm" tone="subdued">{label}</Text>
+        <Text as="p" variant="headingLg">{value}</Text>
+      </BlockStack>
+    </Card>
+  );
+}
+
+export default function Usage() {
+  const {
+    month,
+    months,
+    isCurrentMonth,
+    budgetUsd,
+    warningThreshold,
+    totals,
+    byModel,
+    conversations
+  } = useLoaderData();
+  const navigate = useNavigate();
+
+  const budgetRatio = budgetUsd ? totals.costUsd / budgetUsd : null;
+
+  return (
+    <Page>
+      <TitleBar title="Usage" />
+      <BlockStack gap="500">
+        {isCurrentMonth && budgetRatio !== null && budgetRatio >= 1 && (
+          <Banner tone="critical" title="Monthly budget reached">
+            The assistant is turned off for shoppers until next month or until the budget is raised.
+          </Banner>
+        )}
+        {isCurrentMonth && budgetRatio !== null && budgetRatio >= warningThreshold && budgetRatio < 1 && (
+          <Banner tone="warning" title="Monthly budget nearly used">
+            {`${Math.round(budgetRatio * 100)}% of this month's budget has been used. The assistant stops answering when it reaches 100%.`}
+          </Banner>
+        )}
+        <InlineStack align="end">
+          <Select
+            label="Month"
+            labelInline
+            options={months.map(option => ({ label: option, value: option }))}
+            value={month}
+            onChange={(value) => navigate(`?month=${value}`)}
+          />
+        </InlineStack>
+        <InlineGrid columns={{ xs: 2, md: 4 }} gap="400">
+          <MetricCard label="Estimated cost" value={formatUsd(totals.costUsd)} />
+          <MetricCard label="Assistant messages" value={totals.messages.toLocaleString()} />
+          <MetricCard label="Input tokens" value={formatTokens(totals.inputTokens + totals.cacheCreationTokens + totals.cacheReadTokens)} />
+          <MetricCard label="Output tokens" value={formatTokens(totals.outputTokens)} />
+        </InlineGrid>
+        <Layout>
+          <Layout.Section>
+            <BlockStack gap="500">
+              <Card>
+                <BlockStack gap="300">
+                  <Text as="h2" variant="headingMd">Usage by model</Text>
+                  {byModel.length === 0 ? (
+                    <Text as="p" tone="subdued">No usage recorded for this month.</Text>
+                  ) : (
+                    <DataTable
+                      columnContentTypes={["text", "numeric", "numeric", "numeric", "numeric", "numeric", "numeric"]}
+                      headings={["Model", "Messages", "Input", "Cache write", "Cache read", "Output", "Cost"]}
+                      rows={byModel.map(row => [
+                        row.model ? `${row.model} (${row.provider})` : "Unrecorded",
+                        row.messages.toLocaleString(),
+                        formatTokens(row.inputTokens),
+                        formatTokens(row.cacheCreationTokens),
+                        formatTokens(row.cacheReadTokens),
+                        formatTokens(row.outputTokens),
+                        formatUsd(row.costUsd),
+                      ])}
+                    />
+                  )}
+                </BlockStack>
+              </Card>
+              <Card>
+                <BlockStack gap="300">
+                  <Text as="h2" variant="headingMd">Most expensive conversations</Text>
+                  {conversations.length === 0 ? (
+                    <Text as="p" tone="subdued">No conversations this month.</Text>
+                  ) : (
+                    <DataTable
+                      columnContentTypes={["text", "numeric", "numeric", "numeric", "numeric"]}
+                      headings={["Conversation", "Assistant messages", "Input", "Output", "Cost"]}
+                      rows={conversations.map(row => [
+                        <RemixLink key={row.conversationId} to={`/app/conversations/${encodeURIComponent(row.conversationId)}`}>
+                          {row.conversationId}
+                        </RemixLink>,
+                        row.messages.toLocaleString(),
+                        formatTokens(row.inputTokens),
+                        formatTokens(row.outputTokens),
+                        formatUsd(row.costUsd),
+                      ])}
+                    />
+                  )}
+                </BlockStack>
+              </Card>
+            </BlockStack>
+          </Layout.Section>
+          <Layout.Section variant="oneThird">
+            <Card>
+              <BlockStack gap="300">
+                <Text as="h2" variant="headingMd">Monthly budget</Text>
+                {budgetUsd ? (
+                  <>
+                    <ProgressBar
+                      progress={Math.min(100, Math.round(budgetRatio * 100))}
+                      tone={budgetRatio >= 1 ? "critical" : budgetRatio >= warningThreshold ? "highlight" : "success"}
+                      size="small"
+                    />
+                    <Text as="p" variant="bodyMd">
+                      {`${formatUsd(totals.costUsd)} of ${formatUsd(budgetUsd)}`}
+                    </Text>
+                  </>
+                ) : (
+                  <Text as="p" tone="subdued">No monthly budget is set for this shop.</Text>
+                )}
+                <Text as="p" variant="bodySm" tone="subdued">
+                  Costs are estimates based on list prices per model and may differ from your provider invoice.
+                </Text>
+              </BlockStack>
+            </Card>
+          </Layout.Section>
+        </Layout>
+      </BlockStack>
+    </Page>
+  );
+}
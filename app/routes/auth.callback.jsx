@@ -1,5 +1,31 @@
-import { json } from "@remix-run/node";
-import { getCodeVerifier, storeCustomerToken } from "../db.server";
+import { consumeCodeVerifier, storeCustomerToken } from "../db.server";
+import { getTokenEndpoint, verifySignedState } from "../auth.server";
+
+/**
+ * Error pages shown for each state parameter failure
+ */
+const STATE_ERRORS = {
+  invalid: {
+    status: 400,
+    title: "Invalid sign-in link",
+    message: "This sign-in link isn't valid. Return to the chat and ask to sign in again."
+  },
+  consumed: {
+    status: 400,
+    title: "Sign-in link already used",
+    message: "This sign-in link has already been used. Return to the chat and ask to sign in again if you're not signed in."
+  },
+  expired: {
+    status: 400,
+    title: "Sign-in link expired",
+    message: "This sign-in link has expired. Return to the chat and ask to sign in again."
+  },
+  error: {
+    status: 500,
+    title: "Something went wrong",
+    message: "We couldn't verify this sign-in link. Please try again."
+  }
+};
 
 /**
  * Handle OAuth callback from Shopify Customer API
@@ -8,15 +34,35 @@ export async function loader({ request }) {
   const url = new URL(request.url);
   const code = url.searchParams.get("code");
   const state = url.searchParams.get("state");
-  const [conversationId, shopId] = state.split("-");
+
+  // Reject anything we didn't sign before touching the database
+  if (!(await verifySignedState(state))) {
+    return renderStateError("invalid");
+  }
+
+  // Each state can be used once, and only before it expires
+  const { status, record } = await consumeCodeVerifier(state);
+  if (status !== "valid") {
+    if (status === "consumed") {
+      console.warn("Replayed OAuth state for conversation:", record.conversationId);
+    }
+    return renderStateError(status === "not_found" ? "invalid" : status, record?.returnUrl);
+  }
+
+  const { conversationId, returnUrl } = record;
 
   if (!code) {
-    return json({ error: "Authorization code is missing" }, { status: 400 });
+    return renderAuthPage({
+      status: 400,
+      title: "Sign-in cancelled",
+      message: "Authorization wasn't completed. Return to the chat and ask to sign in again.",
+      returnUrl
+    });
   }
 
   try {
     // Exchange code for access token
-    const tokenResponse = await exchangeCodeForToken(code, state);
+    const tokenResponse = await exchangeCodeForToken(code, record);
 
     // Store token in database
     try {
@@ -28,7 +74,8 @@ export async function loader({ request }) {
       await storeCustomerToken(
         conversationId,
         tokenResponse.access_token,
-        expiresAt
+        expiresAt,
+        tokenResponse.refresh_token
       );
 
       console.log('Stored customer token in database for conversation:', conversationId);
@@ -38,15 +85,55 @@ export async function loader({ request }) {
     }
 
     // Instead of redirecting, return HTML that auto-closes the tab
-    return new Response(`
+    return renderAuthPage({
+      title: "Authentication Successful!",
+      message: "You've been authenticated successfully",
+      returnUrl,
+      autoClose: true
+    });
+  } catch (error) {
+    console.error("Error exchanging code for token:", error);
+    return renderAuthPage({
+      status: 500,
+      title: "Authentication failed",
+      message: "We couldn't complete sign-in. Return to the chat and ask to sign in again.",
+      returnUrl
+    });
+  }
+}
+
+/**
+ * Render the error page for a rejected state parameter
+ * @param {string} reason - Key of STATE_ERRORS
+ * @param {string} [returnUrl] - Where the customer came from
+ * @returns {Response} - The HTML response
+ */
+function renderStateError(reason, returnUrl) {
+  const { status, title, message } = STATE_ERRORS[reason] || STATE_ERRORS.error;
+  return renderAuthPage({ status, title, message, returnUrl });
+}
+
+/**
+ * Render the page shown in the authorization tab
+ * @param {Object} options - Page options
+ * @param {number} [options.status] - HTTP status code
+ * @param {string} options.title - Page heading
+ * @param {string} options.message - Message shown below the heading
+ * @param {string} [options.returnUrl] - Link back to the store
+ * @param {boolean} [options.autoClose] - Whether to close the tab automatically
+ * @returns {Response} - The HTML response
+ */
+function renderAuthPage({ status = 200, title, message, returnUrl, autoClose = false }) {
+  const isSuccess = status < 400;
+  const safeReturnUrl = /^https?:\/\//i.test(returnUrl || "") ? escapeHtml(returnUrl) : null;
+
+  return new Response(`
       <!DOCTYPE html>
       <html>
       <head>
-        <title>Authentication Successful</title>
-        <script>
+        <title>${escapeHtml(title)}</title>
+        ${autoClose ? `<script>
           window.onload = function() {
-            // Show success message briefly before closing
-            document.getElementById('message').style.display = 'block';
             // Close the tab after a short delay
             setTimeout(function() {
               window.close();
@@ -54,73 +141,70 @@ export async function loader({ request }) {
               document.getElementById('fallback').style.display = 'block';
             }, 1500);
           }
-        </script>
+        </script>` : ""}
         <style>
           body { font-family: system-ui, sans-serif; text-align: center; padding-top: 100px; }
-          #message { display: none; }
-          #fallback { display: none; margin-top: 20px; }
+          #fallback { display: ${autoClose ? "none" : "block"}; margin-top: 20px; }
           .success { color: green; font-size: 18px; }
+          .error { color: #b42318; font-size: 18px; }
         </style>
       </head>
       <body>
         <div id="message">
-          <h2>Authentication Successful!</h2>
-          <p class="success">You've been authenticated successfully</p>
-          <p>This window will close automatically.</p>
+          <h2>${escapeHtml(title)}</h2>
+          <p class="${isSuccess ? "success" : "error"}">${escapeHtml(message)}</p>
+          ${autoClose ? "<p>This window will close automatically.</p>" : ""}
         </div>
         <div id="fallback">
-          <p>If this window didn't close automatically, you can close it and return to your conversation.</p>
+          <p>You can close this window and return to your conversation.</p>
+          ${safeReturnUrl ? `<p><a href="${safeReturnUrl}">Return to the store</a></p>` : ""}
         </div>
       </body>
       </html>
     `, {
-      headers: {
-        "Content-Type": "text/html"
-      }
-    });
-  } catch (error) {
-    console.error("Error exchanging code for token:", error);
-    console.log("shopId", shopId);
-    return json({ error: "Failed to obtain access token" }, { status: 500 });
-  }
+    status,
+    headers: {
+      "Content-Type": "text/html"
+    }
+  });
+}
+
+/**
+ * Escape a string for safe inclusion in HTML
+ * @param {string} value - The value to escape
+ * @returns {string} - The escaped value
+ */
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
 }
 
 /**
  * Exchange authorization code for access token
  * @param {string} code - The authorization code
+ * @param {Object} verifierRecord - The consumed code verifier row for this flow
  * @returns {Promise<Object>} - The token response
  */
-async function exchangeCodeForToken(code, state) {
+async function exchangeCodeForToken(code, verifierRecord) {
   const clientId = process.env.SHOPIFY_API_KEY;
-  const [conversationId, shopId] = state.split("-");
-  if (!clientId || !shopId) {
-    throw new Error("SHOPIFY_CLIENT_ID and SHOPIFY_SHOP_ID environment variables are required");
+  const { conversationId, verifier: codeVerifier } = verifierRecord;
+  if (!clientId || !conversationId) {
+    throw new Error("SHOPIFY_API_KEY and a conversation for this state are required");
   }
 
   const redirectUri = process.env.REDIRECT_URL;
 
   // Correct token URL format
-  const tokenUrl = await getTokenUrl(shopId, conversationId);
+  const tokenUrl = await getTokenEndpoint(conversationId);
 
   if (!tokenUrl) {
     throw new Error("Token URL not found");
   }
 
-  // Get the code verifier that corresponds to this authorization request from database
-  let codeVerifier = "";
-  try {
-    const verifierRecord = await getCodeVerifier(state);
-    if (verifierRecord) {
-      codeVerifier = verifierRecord.verifier;
-    } else {
-      console.warn("Code verifier not found for state:", state);
-      // Proceed anyway, since we might be using an older flow without PKCE
-    }
-  } catch (error) {
-    console.error("Error retrieving code verifier:", error);
-    // Proceed anyway and attempt the token exchange
-  }
-
   const requestBody = {
     grant_type: "authorization_code",
     client_id: clientId,
@@ -156,30 +240,3 @@ async function exchangeCodeForToken(code, state) {
 
   return response.json();
 }
-
-/**
- * Get the token URL from the customer account URL
- * @param {string} shopId - The shop ID
- * @param {string} conversationId - The conversation ID
- * @returns {Promise<string|null>} - The token URL or null if not found
- */
-async function getTokenUrl(shopId, conversationId) {
-  const { getCustomerAccountUrl } = await import('../db.server');
-  const customerAccountUrl = await getCustomerAccountUrl(conversationId);
-  if (!customerAccountUrl) {
-    console.error('Customer account URL not found for conversation:', conversationId);
-    return null;
-  }
-
-  const endpoint = `${customerAccountUrl}/.well-known/oauth-authorization-server`;
-  const response = await fetch(endpoint);
-
-  if (!response.ok) {
-    console.error('Failed to fetch base auth URL from:', endpoint, response.status);
-
-    return null;
-  }
-
-  const data = await response.json();
-  return data.token_endpoint;
-}
@@ -0,0 +1,60 @@
+import { json } from "@remix-run/node";
+import { getConversation, getCustomerToken } from "../db.server";
+import { authenticateProxyRequest } from "../services/app-proxy.server";
+import { getCorsHeaders } from "../services/cors.server";
+
+/**
+ * Token status endpoint served through the app proxy
+ * The chat widget polls this after displaying an auth link to learn whether
+ * the customer has signed in for the conversation.
+ */
+export async function loader({ request }) {
+  const { shop } = await authenticateProxyRequest(request);
+  const corsHeaders = await getCorsHeaders(request, { shop, methods: "GET, OPTIONS" });
+
+  const conversationId = new URL(request.url).searchParams.get("conversation_id");
+  if (!conversationId) {
+    return json({
+      status: "error",
+      message: "Missing conversation_id parameter"
+    }, {
+      status: 400,
+      headers: corsHeaders
+    });
+  }
+
+  try {
+    // Only report on conversations that belong to the verified shop
+    const conversation = await getConversation(conversationId);
+    if (!conversation || conversation.shop !== shop) {
+      return json({ status: "error", message: "Conversation not found" }, { status: 404, headers: corsHeaders });
+    }
+
+    const token = await getCustomerToken(conversationId);
+
+    if (token) {
+      return json({
+        status: "authorized",
+        expires_at: token.expiresAt.toISOString()
+      }, {
+        headers: corsHeaders
+      });
+    }
+
+    // No token found or token expired
+    return json({
+      status: "unauthorized"
+    }, {
+      headers: corsHeaders
+    });
+  } catch (error) {
+    console.error("Error checking token status:", error);
+    return json({
+      status: "error",
+      message: "Failed to check token status"
+    }, {
+      status: 500,
+      headers: corsHeaders
+    });
+  }
+}
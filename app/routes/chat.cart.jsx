@@ -0,0 +1,66 @@
+import { json } from "@remix-run/node";
+import { authenticateProxyRequest } from "../services/app-proxy.server";
+import { getCorsHeaders } from "../services/cors.server";
+import { ANALYTICS_EVENTS, trackEvent } from "../services/analytics.server";
+import { getConversation, saveMessage } from "../db.server";
+
+const MAX_QUANTITY = 99;
+
+/**
+ * Trims a client-supplied label to a safe length
+ * @param {*} value - The value from the request body
+ * @returns {string} The label, or an empty string
+ */
+function toLabel(value) {
+  return typeof value === "string" ? value.trim().slice(0, 255) : "";
+}
+
+/**
+ * Cart follow-up endpoint served through the app proxy
+ * The widget adds items with the storefront cart API directly, then reports them here
+ * so the assistant sees what was added in the conversation history.
+ */
+export async function action({ request }) {
+  const { shop } = await authenticateProxyRequest(request);
+  const corsHeaders = await getCorsHeaders(request, { shop });
+
+  let body;
+  try {
+    body = await request.json();
+  } catch (error) {
+    return json({ error: "Invalid JSON body" }, { status: 400, headers: corsHeaders });
+  }
+
+  const variantId = String(body?.variant_id ?? "");
+  const quantity = Number(body?.quantity);
+
+  if (typeof body?.conversation_id !== "string" || !/^\d+$/.test(variantId) ||
+      !Number.isInteger(quantity) || quantity < 1 || quantity > MAX_QUANTITY) {
+    return json({ error: "conversation_id, variant_id and quantity are required" }, { status: 400, headers: corsHeaders });
+  }
+
+  // Only conversations that belong to this shop can be written to
+  const conversation = await getConversation(body.conversation_id);
+  if (!conversation || conversation.shop !== shop) {
+    return json({ error: "Conversation not found" }, { status: 404, headers: corsHeaders });
+  }
+
+  const productTitle = toLabel(body.product_title) || "a product";
+  const variantTitle = toLabel(body.variant_title);
+  const item = variantTitle && variantTitle !== "Default Title"
+    ? `${productTitle} (${variantTitle})`
+    : productTitle;
+
+  await saveMessage(conversation.id, "user", JSON.stringify([{
+    type: "text",
+    text: `I added ${quantity} × ${item} to my cart (variant ${variantId}).`
+  }]));
+
+  await trackEvent(shop, ANALYTICS_EVENTS.addToCart, {
+    conversationId: conversation.id,
+    name: variantId,
+    metadata: { title: item, quantity }
+  });
+
+  return json({ ok: true }, { headers: corsHeaders });
+}
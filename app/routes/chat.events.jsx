@@ -0,0 +1,42 @@
+import { json } from "@remix-run/node";
+import { authenticateProxyRequest } from "../services/app-proxy.server";
+import { getCorsHeaders } from "../services/cors.server";
+import { ANALYTICS_EVENTS, trackEvent } from "../services/analytics.server";
+import { getConversation } from "../db.server";
+
+/**
+ * Events the chat widget is allowed to report
+ */
+const CLIENT_EVENTS = new Set([ANALYTICS_EVENTS.productClick]);
+
+/**
+ * Analytics endpoint served through the app proxy
+ * The chat widget reports interactions that only happen in the browser, such as product card clicks.
+ */
+export async function action({ request }) {
+  const { shop } = await authenticateProxyRequest(request);
+  const corsHeaders = await getCorsHeaders(request, { shop });
+
+  let body;
+  try {
+    body = await request.json();
+  } catch (error) {
+    return json({ error: "Invalid JSON body" }, { status: 400, headers: corsHeaders });
+  }
+
+  if (!CLIENT_EVENTS.has(body?.type) || !body.product_id) {
+    return json({ error: "Unsupported event" }, { status: 400, headers: corsHeaders });
+  }
+
+  // Events are only tied to conversations of this shop; the event itself is kept either way
+  const conversation = typeof body.conversation_id === "string" ? await getConversation(body.conversation_id) : null;
+  const conversationId = conversation?.shop === shop ? conversation.id : null;
+
+  await trackEvent(shop, body.type, {
+    conversationId,
+    name: String(body.product_id).slice(0, 255),
+    metadata: typeof body.product_title === "string" ? { title: body.product_title.slice(0, 255) } : null
+  });
+
+  return json({ ok: true }, { headers: corsHeaders });
+}
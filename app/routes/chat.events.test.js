@@ -0,0 +1,76 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { authenticateProxyRequest } from "../services/app-proxy.server";
+import { trackEvent } from "../services/analytics.server";
+import { getConversation } from "../db.server";
+import { action } from "./chat.events";
+
+vi.mock("../services/app-proxy.server", () => ({
+  authenticateProxyRequest: vi.fn()
+}));
+
+vi.mock("../services/cors.server", () => ({
+  getCorsHeaders: vi.fn(async () => ({}))
+}));
+
+vi.mock("../services/analytics.server", () => ({
+  ANALYTICS_EVENTS: { productClick: "product_click" },
+  trackEvent: vi.fn()
+}));
+
+vi.mock("../db.server", () => ({
+  getConversation: vi.fn()
+}));
+
+/**
+ * Reports a product click through the app proxy
+ * @param {Object} body - The request body
+ * @returns {Promise<Response>} The action's response
+ */
+function reportClick(body) {
+  return action({
+    request: new Request("https://app.example/chat/events", {
+      method: "POST",
+      body: JSON.stringify({ type: "product_click", product_id: "p1", ...body })
+    })
+  });
+}
+
+describe("chat events", () => {
+  beforeEach(() => {
+    authenticateProxyRequest.mockResolvedValue({ shop: "a.myshopify.com" });
+  });
+
+  afterEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it("ties the event to a conversation of the shop", async () => {
+    getConversation.mockResolvedValue({ id: "c1", shop: "a.myshopify.com" });
+
+    expect((await reportClick({ conversation_id: "c1" })).status).toBe(200);
+    expect(trackEvent).toHaveBeenCalledWith("a.myshopify.com", "product_click", expect.objectContaining({ conversationId: "c1" }));
+  });
+
+  it("drops another shop's conversation ID", async () => {
+    getConversation.mockResolvedValue({ id: "c2", shop: "b.myshopify.com" });
+
+    await reportClick({ conversation_id: "c2" });
+
+    expect(trackEvent).toHaveBeenCalledWith("a.myshopify.com", "product_click", expect.objectContaining({ conversationId: null }));
+  });
+
+  it("drops unknown conversation IDs", async () => {
+    getConversation.mockResolvedValue(null);
+
+    await reportClick({ conversation_id: "missing" });
+
+    expect(trackEvent).toHaveBeenCalledWith("a.myshopify.com", "product_click", expect.objectContaining({ conversationId: null }));
+  });
+
+  it("records events without a conversation", async () => {
+    await reportClick({});
+
+    expect(getConversation).not.toHaveBeenCalled();
+    expect(trackEvent).toHaveBeenCalledWith("a.myshopify.com", "product_click", expect.objectContaining({ conversationId: null }));
+  });
+});
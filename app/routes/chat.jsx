@@ -1,15 +1,29 @@
 /**
  * Chat API Route
- * Handles chat interactions with Claude API and tools
+ * Handles chat interactions with the configured LLM provider and tools
  */
+import { randomUUID } from "crypto";
 import { json } from "@remix-run/node";
 import MCPClient from "../mcp-client";
-import { saveMessage, getConversationHistory } from "../db.server";
+import { saveMessage, getConversation, getConversationHistory, storeCustomerAccountUrl, getCustomerAccountUrl, createOrUpdateConversation, updateConversationStatus } from "../db.server";
+import { unauthenticated } from "../shopify.server";
 import AppConfig from "../services/config.server";
-import { createSseStream } from "../services/streaming.server";
-import { createClaudeService } from "../services/claude.server";
+import { createSseStream, isAbortError } from "../services/streaming.server";
+import { resolveProviderName, resolveFallbackProviders } from "../services/llm.server";
+import { createFailoverService } from "../services/failover.server";
+import { createHistoryService } from "../services/history.server";
 import { createToolService } from "../services/tool.server";
 import { searchProductsFallback } from "../services/fallback-product-search.server";
+import { authenticateProxyRequest } from "../services/app-proxy.server";
+import { getCorsHeaders, handleCorsPreflight } from "../services/cors.server";
+import { ANALYTICS_EVENTS, normalizeSearchQuery, trackEvent, trackEvents } from "../services/analytics.server";
+import { getShopBudgetStatus } from "../services/usage.server";
+import { checkChatRateLimit, getClientIp, recordViolation } from "../services/rate-limit.server";
+import { sanitizePageContext, buildPageContextPrompt } from "../services/page-context.server";
+import { CONVERSATION_STATUS, ESCALATE_TOOL, isBotSilenced, withHandoffTool, escalateToHuman } from "../services/handoff.server";
+import { getShopMcpConnections } from "../services/mcp-servers.server";
+import { isMcpPromptType, buildResourceContextPrompt, getMcpSystemPrompt } from "../services/mcp-context.server";
+import { validateToolInput, formatValidationErrors } from "../services/tool-validation.server";
 
 /**
  * Remix loader function for handling GET requests
@@ -17,28 +31,28 @@ import { searchProductsFallback } from "../services/fallback-product-search.serv
 export async function loader({ request }) {
   // Handle OPTIONS requests (CORS preflight)
   if (request.method === "OPTIONS") {
-    return new Response(null, {
-      status: 204,
-      headers: getCorsHeaders(request)
-    });
+    return handleCorsPreflight(request);
   }
 
+  // Only accept signed requests from the app proxy, from the shop's own storefront
+  const proxyContext = await authenticateProxyRequest(request);
+  const corsHeaders = await getCorsHeaders(request, { shop: proxyContext.shop });
   const url = new URL(request.url);
 
-  // Handle history fetch requests
+  // Handle history fetch requests; the widget also polls these for staff replies after a handoff
   if (url.searchParams.has('history') && url.searchParams.has('conversation_id')) {
-    return handleHistoryRequest(request, url.searchParams.get('conversation_id'));
+    return handleHistoryRequest(proxyContext.shop, url.searchParams.get('conversation_id'), url.searchParams.get('since'), corsHeaders);
   }
 
   // Handle SSE requests
   if (!url.searchParams.has('history') && request.headers.get("Accept") === "text/event-stream") {
-    return handleChatRequest(request);
+    return handleChatRequest(request, proxyContext, corsHeaders);
   }
 
   // API-only: reject all other requests
   return json(
     { error: AppConfig.errorMessages.apiUnsupported },
-    { status: 400, headers: getCorsHeaders(request) }
+    { status: 400, headers: corsHeaders }
   );
 }
 
@@ -46,72 +60,162 @@ export async function loader({ request }) {
  * Remix action function for handling POST requests
  */
 export async function action({ request }) {
-  return handleChatRequest(request);
+  // Only accept signed requests from the app proxy, from the shop's own storefront
+  const proxyContext = await authenticateProxyRequest(request);
+  const corsHeaders = await getCorsHeaders(request, { shop: proxyContext.shop });
+  return handleChatRequest(request, proxyContext, corsHeaders);
 }
 
 /**
  * Handle history fetch requests
+ * @param {string} shop - The shop domain from the verified proxy request
+ * @param {string} conversationId - The conversation ID
+ * @param {string|null} since - ISO timestamp; only messages after it are returned
+ * @param {Object} corsHeaders - CORS headers for the response
  */
-async function handleHistoryRequest(request, conversationId) {
+async function handleHistoryRequest(shop, conversationId, since, corsHeaders) {
   try {
-    const messages = await getConversationHistory(conversationId);
+    // Only the shop a conversation belongs to can read it
+    const conversation = await getConversation(conversationId);
+    if (!conversation || conversation.shop !== shop) {
+      return json(
+        { error: 'Conversation not found' },
+        { status: 404, headers: corsHeaders }
+      );
+    }
+
+    const sinceDate = since ? new Date(since) : null;
+    const messages = await getConversationHistory(conversationId, {
+      since: sinceDate && !Number.isNaN(sinceDate.getTime()) ? sinceDate : undefined
+    });
+
     return json(
-      { messages },
-      { headers: getCorsHeaders(request) }
+      { messages, status: conversation.status || CONVERSATION_STATUS.bot },
+      { headers: corsHeaders }
     );
   } catch (error) {
     console.error('Error fetching history:', error);
     return json(
       { error: 'Failed to fetch conversation history' },
-      { status: 500, headers: getCorsHeaders(request) }
+      { status: 500, headers: corsHeaders }
     );
   }
 }
 
 /**
  * Handle chat requests (both GET and POST)
+ * @param {Request} request - The request object
+ * @param {Object} proxyContext - The verified app proxy context
+ * @param {Object} corsHeaders - CORS headers for the response
  */
-async function handleChatRequest(request) {
+async function handleChatRequest(request, { shop, loggedInCustomerId }, corsHeaders) {
   try {
     // Get message data from request body
     const body = await request.json();
 
-    console.log('=== REQUEST BODY DEBUG ===');
-    console.log('Full body:', JSON.stringify(body, null, 2));
-    console.log('body.shop:', body.shop);
-    console.log('body.message:', body.message);
-    console.log('body.conversation_id:', body.conversation_id);
-    console.log('========================');
+    console.log(`Chat request for ${shop}, conversation:`, body.conversation_id);
 
     const userMessage = body.message;
-    const shop = body.shop;
 
     // Validate required message
     if (!userMessage) {
       return new Response(
         JSON.stringify({ error: AppConfig.errorMessages.missingMessage }),
-        { status: 400, headers: getSseHeaders(request) }
+        { status: 400, headers: getSseHeaders(corsHeaders) }
+      );
+    }
+
+    if (typeof userMessage !== 'string') {
+      return json(
+        { error: AppConfig.errorMessages.invalidMessage, code: 'invalid_message' },
+        { status: 400, headers: corsHeaders }
+      );
+    }
+
+    const ip = getClientIp(request);
+    if (!ip) {
+      console.warn(`No client address in ${AppConfig.rateLimit.ipHeader} for ${shop}; skipping the per-IP limit`);
+    }
+
+    if (userMessage.length > AppConfig.api.maxMessageLength) {
+      await recordViolation(ip, 'oversized message');
+      return json(
+        { error: AppConfig.errorMessages.messageTooLong, code: 'message_too_long' },
+        { status: 413, headers: corsHeaders }
       );
     }
 
-    // Generate or use existing conversation ID
-    const conversationId = body.conversation_id || Date.now().toString();
+    // Limit how fast one client, one conversation and one shop can spend model calls
+    const rateLimit = await checkChatRateLimit({
+      shop,
+      ip,
+      conversationId: typeof body.conversation_id === 'string' ? body.conversation_id : null
+    });
+
+    if (!rateLimit.allowed) {
+      const retryAfterSeconds = Math.ceil(rateLimit.retryAfterMs / 1000);
+      return json(
+        { error: AppConfig.errorMessages.tooManyRequests, code: 'rate_limited', scope: rateLimit.scope, retry_after: retryAfterSeconds },
+        { status: 429, headers: { ...corsHeaders, 'Retry-After': String(retryAfterSeconds) } }
+      );
+    }
+
+    // Enforce the shop's monthly spend limit; if the check itself fails, keep serving
+    let budget = null;
+    try {
+      budget = await getShopBudgetStatus(shop);
+    } catch (error) {
+      console.error('Error checking usage budget:', error);
+    }
+
+    if (budget?.status === 'exceeded') {
+      console.warn(`Monthly budget exceeded for ${shop}: $${budget.spentUsd.toFixed(2)} of $${budget.budgetUsd}`);
+      return json(
+        { error: AppConfig.errorMessages.budgetExceeded, code: 'budget_exceeded' },
+        { status: 503, headers: corsHeaders }
+      );
+    }
+
+    if (budget?.status === 'warning') {
+      console.warn(`Monthly budget nearly used for ${shop}: $${budget.spentUsd.toFixed(2)} of $${budget.budgetUsd}`);
+    }
+
+    // A conversation can only be continued through the shop it started in
+    if (body.conversation_id) {
+      const existing = typeof body.conversation_id === 'string' ? await getConversation(body.conversation_id) : null;
+      if (typeof body.conversation_id !== 'string' || (existing?.shop && existing.shop !== shop)) {
+        console.warn(`Rejected conversation ${body.conversation_id} for ${shop}`);
+        return json(
+          { error: 'Conversation not found' },
+          { status: 404, headers: corsHeaders }
+        );
+      }
+    }
+
+    // Generate or use existing conversation ID; new IDs must not be guessable
+    const conversationId = body.conversation_id || randomUUID();
     const promptType = body.prompt_type || AppConfig.api.defaultPromptType;
+    const provider = resolveProviderName({ shop, requested: body.provider });
+    const pageContext = sanitizePageContext(body.context, { customerLoggedIn: Boolean(loggedInCustomerId) });
 
-    // Create a stream for the response
+    // Create a resumable stream for the response; it aborts when the shopper stops generating
+    // or no client reconnects after a dropped connection
     const responseStream = createSseStream(async (stream) => {
       await handleChatSession({
         request,
         userMessage,
         conversationId,
         promptType,
+        provider,
         shop,
+        customerId: loggedInCustomerId,
+        pageContext,
         stream
       });
-    });
+    }, { signal: request.signal, shop, conversationId });
 
     return new Response(responseStream, {
-      headers: getSseHeaders(request)
+      headers: getSseHeaders(corsHeaders)
     });
   } catch (error) {
     console.error('Error in chat request handler:', error);
@@ -119,7 +223,7 @@ async function handleChatRequest(request) {
       error: error.message || 'Internal server error'
     }, {
       status: 500,
-      headers: getCorsHeaders(request)
+      headers: corsHeaders
     });
   }
 }
@@ -132,20 +236,20 @@ async function handleChatSession({
   userMessage,
   conversationId,
   promptType,
+  provider,
   shop,
+  customerId,
+  pageContext,
   stream
 }) {
   // Initialize services
-  const claudeService = createClaudeService();
+  const llmService = createFailoverService({
+    primary: provider,
+    fallbacks: resolveFallbackProviders(provider)
+  });
+  console.log(`Using LLM provider: ${llmService.provider}`);
   const toolService = createToolService();
-
-  // Use shop from parameter or fallback
-  if (!shop) {
-    shop = 'restorair.myshopify.com';
-    console.log('⚠️  No shop parameter, using hardcoded fallback:', shop);
-  } else {
-    console.log('✓ Using shop from request:', shop);
-  }
+  const historyService = createHistoryService(llmService);
 
   const hostUrl = `https://${shop}`;
 
@@ -156,28 +260,44 @@ async function handleChatSession({
 
   try {
     console.log(`Initializing MCP client for shop: ${shop}`);
-    mcpClient = new MCPClient(hostUrl, conversationId, shop, null);
-
-    // Try to connect to both MCP servers
-    try {
-      const storefrontTools = await mcpClient.connectToStorefrontServer();
+    const customerMcpEndpoint = await getCustomerMcpEndpoint(shop, conversationId);
+    mcpClient = new MCPClient(hostUrl, conversationId, shop, customerMcpEndpoint, { signal: stream.signal });
+
+    // Connect to every MCP server at once; a slow or failing server only costs its own tools
+    const { connectTimeoutMs } = AppConfig.mcp;
+    const [storefrontResult, customerResult, shopServersResult] = await Promise.allSettled([
+      mcpClient.connectToStorefrontServer({ timeoutMs: connectTimeoutMs }),
+      mcpClient.connectToCustomerServer({ timeoutMs: connectTimeoutMs }),
+      getShopMcpConnections(shop).then(connections => Promise.allSettled(
+        connections.map(connection => mcpClient.connectToServer(connection, { timeoutMs: connectTimeoutMs }))
+      ))
+    ]);
+
+    if (storefrontResult.status === 'fulfilled') {
+      const storefrontTools = storefrontResult.value;
       console.log(`✓ Connected to storefront MCP, got ${storefrontTools.length} tools`);
       if (storefrontTools.length > 0) {
         console.log('Storefront tools:', storefrontTools.map(t => t.name).join(', '));
       }
-    } catch (e) {
-      console.warn("✗ Could not connect to storefront MCP server:", e.message);
+    } else {
+      console.warn("✗ Could not connect to storefront MCP server:", storefrontResult.reason.message);
       useFallbackTools = true;
     }
 
-    try {
-      const customerTools = await mcpClient.connectToCustomerServer();
+    if (customerResult.status === 'fulfilled') {
+      const customerTools = customerResult.value;
       console.log(`✓ Connected to customer MCP, got ${customerTools.length} tools`);
       if (customerTools.length > 0) {
         console.log('Customer tools:', customerTools.map(t => t.name).join(', '));
       }
-    } catch (e) {
-      console.warn("✗ Could not connect to customer MCP server:", e.message);
+    } else {
+      console.warn("✗ Could not connect to customer MCP server:", customerResult.reason.message);
+    }
+
+    const shopServerResults = shopServersResult.status === 'fulfilled' ? shopServersResult.value : [];
+    const failedShopServers = shopServerResults.filter(result => result.status === 'rejected').length;
+    if (shopServerResults.length > 0) {
+      console.log(`Connected to ${shopServerResults.length - failedShopServers} of ${shopServerResults.length} shop MCP servers`);
     }
 
     availableTools = mcpClient.tools;
@@ -219,71 +339,118 @@ async function handleChatSession({
     }];
   }
 
+  // Let the model hand the conversation to staff
+  availableTools = withHandoffTool(availableTools);
+
+  // Text streamed for the reply in progress and the provider streaming it, kept so an interrupted reply isn't lost
+  const partialReply = { text: '', provider: llmService.provider };
+
+  // Set when the model hands the conversation to staff during this turn
+  const handoff = { status: null };
+
+  /**
+   * Saves whatever the shopper already saw of an unfinished reply
+   */
+  const saveInterruptedReply = async () => {
+    console.log(`Chat session aborted by the client, conversation: ${conversationId}`);
+
+    if (!partialReply.text.trim()) {
+      return;
+    }
+
+    try {
+      await saveMessage(conversationId, 'assistant', JSON.stringify([{ type: 'text', text: partialReply.text }]), {
+        provider: partialReply.provider,
+        interrupted: true
+      });
+    } catch (error) {
+      console.error("Error saving interrupted message:", error);
+    }
+  };
+
   try {
     // Send conversation ID to client
-    stream.sendMessage({ type: 'id', conversation_id: conversationId });
+    // The turn ID lets the client stop this turn or resume it after a dropped connection
+    stream.sendMessage({ type: 'id', conversation_id: conversationId, turn_id: stream.turnId });
+
+    // Record who the conversation belongs to (used for privacy requests)
+    const conversation = await createOrUpdateConversation(conversationId, { shop, customerId });
 
     // Save user message to the database
     await saveMessage(conversationId, 'user', userMessage);
 
-    // Fetch all messages from the database for this conversation
-    const dbMessages = await getConversationHistory(conversationId);
-
-    // Remove duplicate consecutive messages
-    const deduplicatedMessages = [];
-    for (let i = 0; i < dbMessages.length; i++) {
-      const current = dbMessages[i];
-      const previous = dbMessages[i - 1];
-
-      if (!previous || current.content !== previous.content || current.role !== previous.role) {
-        deduplicatedMessages.push(current);
-      }
+    // Staff are handling this conversation; the message is stored for them and the assistant stays quiet
+    if (isBotSilenced(conversation.status)) {
+      console.log(`Conversation ${conversationId} is ${conversation.status}, skipping the assistant`);
+      stream.sendMessage({ type: 'handoff', status: conversation.status });
+      return;
     }
 
-    // Limit to last 20 messages to avoid token limits
-    const recentMessages = deduplicatedMessages.slice(-20);
-
-    // Format messages for Claude API
-    const conversationHistory = recentMessages.map(dbMessage => {
-      let content;
-      try {
-        content = JSON.parse(dbMessage.content);
-      } catch (e) {
-        content = dbMessage.content;
-      }
+    // A new message after staff closed the conversation goes back to the assistant
+    if (conversation.status === CONVERSATION_STATUS.closed) {
+      await updateConversationStatus(conversationId, CONVERSATION_STATUS.bot);
+    }
 
-        // Ensure content is always an array for Claude
-      if (typeof content === 'string') {
-        content = [{ type: 'text', text: content }];
-      } else if (!Array.isArray(content)) {
-        content = [{ type: 'text', text: String(content) }];
-      }
+    // Fetch all messages from the database for this conversation
+    const dbMessages = await getConversationHistory(conversationId);
 
-      return {
-        role: dbMessage.role,
-        content
-      };
-    });
+    trackEvents(shop, [
+      ...(dbMessages.length === 1 ? [{ type: ANALYTICS_EVENTS.conversationStarted, conversationId }] : []),
+      { type: ANALYTICS_EVENTS.message, conversationId, name: 'user' }
+    ]);
+
+    // Build a token-budgeted history; older turns are carried by the rolling summary
+    const { messages: conversationHistory, summary } = await historyService.buildHistory(conversationId, dbMessages);
+    // Store content from the merchant's selected MCP resources, and the MCP prompt the theme block picked
+    const [resourceContext, mcpSystemPrompt] = mcpClient
+      ? await Promise.all([
+        buildResourceContextPrompt(mcpClient, shop),
+        isMcpPromptType(promptType) ? getMcpSystemPrompt(mcpClient, promptType) : null
+      ])
+      : [null, null];
+
+    const systemContext = [
+      summary && `Summary of earlier conversation (older messages are not shown):\n${summary}`,
+      resourceContext,
+      // Where the shopper is in the store, so "this product" can be resolved
+      buildPageContextPrompt(pageContext)
+    ];
 
     // Products to display (if any tool returns products)
     const productsToDisplay = [];
 
-    // Track if we need to continue the conversation after tool use
-    let needsContinuation = false;
+    // Track if we need to continue the conversation after tool use; an object so the tool callback can set it
+    const continuation = { needed: false };
+    let iterations = 0;
+    // Invalid tool calls in a row; a valid call resets it
+    const invalidToolCalls = { count: 0 };
 
     // Execute the conversation stream - may need multiple iterations for tool use
     do {
-      needsContinuation = false;
+      continuation.needed = false;
+      partialReply.text = '';
+      iterations++;
 
-      await claudeService.streamConversation(
+      await llmService.streamConversation(
         {
           messages: conversationHistory,
-          promptType,
-          tools: availableTools.length > 0 ? availableTools : undefined
+          // An MCP prompt that can't be fetched falls back to the default prompt
+          promptType: isMcpPromptType(promptType) ? AppConfig.api.defaultPromptType : promptType,
+          systemPrompt: mcpSystemPrompt,
+          shop,
+          tools: availableTools.length > 0 ? availableTools : undefined,
+          systemContext,
+          signal: stream.signal
         },
         {
+          // Track which provider is answering, which changes on failover
+          onProvider: (providerName) => {
+            partialReply.provider = providerName;
+          },
+
           // Handle text chunks
           onText: (textDelta) => {
+            partialReply.text += textDelta;
             stream.sendMessage({
               type: 'chunk',
               chunk: textDelta
@@ -292,18 +459,28 @@ async function handleChatSession({
 
           // Handle complete messages
           onMessage: (message) => {
-            console.log('Message complete, stop reason:', message.stop_reason);
+            console.log(`Message complete from ${message.provider}, stop reason:`, message.stop_reason);
+            partialReply.text = '';
 
             conversationHistory.push({
               role: message.role,
               content: message.content
             });
 
-            saveMessage(conversationId, message.role, JSON.stringify(message.content))
+            saveMessage(conversationId, message.role, JSON.stringify(message.content), {
+              provider: message.provider,
+              usage: message.usage
+            })
               .catch((error) => {
                 console.error("Error saving message to database:", error);
               });
 
+            trackEvent(shop, ANALYTICS_EVENTS.message, {
+              conversationId,
+              name: message.role,
+              metadata: { provider: message.provider, model: message.usage?.model }
+            });
+
             // Send products if any were found
             if (productsToDisplay.length > 0) {
               console.log(`Sending ${productsToDisplay.length} products to frontend`);
@@ -311,6 +488,12 @@ async function handleChatSession({
                 type: 'products',
                 products: productsToDisplay
               });
+              trackEvents(shop, productsToDisplay.map(product => ({
+                type: ANALYTICS_EVENTS.productShown,
+                conversationId,
+                name: product.id,
+                metadata: { title: product.title }
+              })));
               // Clear products array after sending
               productsToDisplay.length = 0;
             }
@@ -329,11 +512,45 @@ async function handleChatSession({
               tool_input: toolUse.input
             });
 
+            // Check the arguments before dispatching, so the model can correct them
+            const tool = availableTools.find(availableTool => availableTool.name === toolUse.name);
+            const validationErrors = tool
+              ? validateToolInput(tool.input_schema, toolUse.input)
+              : [`${toolUse.name} is not an available tool`];
+
+            if (validationErrors.length > 0) {
+              invalidToolCalls.count++;
+              console.warn(`Invalid call to ${toolUse.name} (${invalidToolCalls.count} in a row):`, validationErrors.join('; '));
+              await toolService.addToolResultToHistory(
+                conversationHistory,
+                toolUse.id,
+                formatValidationErrors(toolUse.name, validationErrors),
+                conversationId,
+                { isError: true }
+              );
+              continuation.needed = true;
+              return;
+            }
+            invalidToolCalls.count = 0;
+
+            const searchQuery = toolUse.name === AppConfig.tools.productSearchName
+              ? normalizeSearchQuery(toolUse.input?.query)
+              : null;
+            trackEvent(shop, ANALYTICS_EVENTS.toolCall, {
+              conversationId,
+              name: toolUse.name,
+              query: searchQuery
+            });
+
             // Execute the tool - use MCP or fallback
             try {
               let toolResult;
 
-              if (useFallbackTools && toolUse.name === 'search_shop_catalog') {
+              if (toolUse.name === ESCALATE_TOOL.name) {
+                console.log('Handing conversation to staff');
+                toolResult = await escalateToHuman({ shop, conversationId, input: toolUse.input });
+                handoff.status = CONVERSATION_STATUS.pendingHuman;
+              } else if (useFallbackTools && toolUse.name === 'search_shop_catalog') {
                 console.log('Using fallback product search');
                 toolResult = await searchProductsFallback(request, toolUse.input.query);
               } else if (mcpClient) {
@@ -359,7 +576,7 @@ async function handleChatSession({
                 console.log('Raw tool result:', JSON.stringify(toolResult).substring(0, 500));
 
                 // Pass the RAW tool result to extract products
-                await toolService.handleToolSuccess(
+                const { emptySearch } = await toolService.handleToolSuccess(
                   toolResult,  // ← CORRECT - pass raw result
                   toolUse.name,
                   toolUse.id,
@@ -368,10 +585,22 @@ async function handleChatSession({
                   conversationId
                 );
 
+                if (emptySearch) {
+                  trackEvent(shop, ANALYTICS_EVENTS.emptySearch, {
+                    conversationId,
+                    name: toolUse.name,
+                    query: searchQuery
+                  });
+                }
+
                 // Set flag to continue conversation after tool use
-                needsContinuation = true;
+                continuation.needed = true;
               }
             } catch (error) {
+              if (isAbortError(error, stream.signal)) {
+                throw error;
+              }
+
               console.error('Tool execution error:', error);
               await toolService.handleToolError(
                 { error: { type: 'execution_error', data: error.message } },
@@ -386,47 +615,113 @@ async function handleChatSession({
         }
       );
 
-    } while (needsContinuation);
+    } while (
+      continuation.needed &&
+      !stream.signal.aborted &&
+      iterations < AppConfig.api.maxToolIterations &&
+      invalidToolCalls.count < AppConfig.tools.maxInvalidToolCalls
+    );
+
+    if (stream.signal.aborted) {
+      await saveInterruptedReply();
+      return;
+    }
+
+    // The model was still calling tools when it ran out of iterations or valid attempts; close the turn with a reply
+    if (continuation.needed) {
+      console.warn(invalidToolCalls.count >= AppConfig.tools.maxInvalidToolCalls
+        ? `Stopped after ${invalidToolCalls.count} invalid tool calls in a row in conversation ${conversationId}`
+        : `Stopped after ${iterations} model calls in conversation ${conversationId}`);
+      const text = AppConfig.errorMessages.toolLimitReached;
+      stream.sendMessage({ type: 'new_message' });
+      stream.sendMessage({ type: 'chunk', chunk: text });
+      stream.sendMessage({ type: 'message_complete' });
+      await saveMessage(conversationId, 'assistant', JSON.stringify([{ type: 'text', text }]));
+    }
+
+    // Tell the widget to wait for staff replies
+    if (handoff.status) {
+      stream.sendMessage({ type: 'handoff', status: handoff.status });
+    }
 
     // Signal end of turn
     stream.sendMessage({ type: 'end_turn' });
 
+    // Fold turns that no longer fit the history window into the rolling summary. It runs detached,
+    // bounded by its own timeout, so the turn closes now and stopping it can't mark the reply interrupted
+    historyService.updateSummary(conversationId, { shop });
+
   } catch (error) {
+    if (isAbortError(error, stream.signal)) {
+      await saveInterruptedReply();
+      return;
+    }
+
     console.error('Error in chat session:', error);
     stream.handleStreamingError(error);
     throw error;
+  } finally {
+    // End the MCP sessions without holding up the response
+    mcpClient?.close();
   }
 }
 
 /**
- * Gets CORS headers for the response
+ * Get the customer MCP endpoint for a shop
+ * Looks up the shop's customer account URL and stores it against the conversation,
+ * which the OAuth flow later uses to discover the authorization and token endpoints.
+ * @param {string} shop - The shop domain
+ * @param {string} conversationId - The conversation ID
+ * @returns {Promise<string|null>} The customer MCP endpoint or null if unavailable
  */
-function getCorsHeaders(request) {
-  const origin = request.headers.get("Origin") || "*";
-  const requestHeaders = request.headers.get("Access-Control-Request-Headers") || "Content-Type, Accept";
+async function getCustomerMcpEndpoint(shop, conversationId) {
+  try {
+    // Check if the customer account URL exists in the DB
+    const existingUrl = await getCustomerAccountUrl(conversationId);
 
-  return {
-    "Access-Control-Allow-Origin": origin,
-    "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
-    "Access-Control-Allow-Headers": requestHeaders,
-    "Access-Control-Allow-Credentials": "true",
-    "Access-Control-Max-Age": "86400"
-  };
+    // If URL exists, return early with the MCP endpoint
+    if (existingUrl) {
+      return `${existingUrl}/customer/api/mcp`;
+    }
+
+    // If not, query for it from the Shopify API
+    const { storefront } = await unauthenticated.storefront(shop);
+
+    const response = await storefront.graphql(
+      `#graphql
+      query shop {
+        shop {
+          customerAccountUrl
+        }
+      }`,
+    );
+
+    const body = await response.json();
+    const customerAccountUrl = body.data?.shop?.customerAccountUrl;
+
+    if (!customerAccountUrl) {
+      return null;
+    }
+
+    // Store the customer account URL with conversation ID in the DB
+    await storeCustomerAccountUrl(conversationId, customerAccountUrl);
+
+    return `${customerAccountUrl}/customer/api/mcp`;
+  } catch (error) {
+    console.error("Error getting customer MCP endpoint:", error);
+    return null;
+  }
 }
 
 /**
  * Get SSE headers for the response
+ * @param {Object} corsHeaders - CORS headers for the response
  */
-function getSseHeaders(request) {
-  const origin = request.headers.get("Origin") || "*";
-
+function getSseHeaders(corsHeaders) {
   return {
     "Content-Type": "text/event-stream",
     "Cache-Control": "no-cache",
     "Connection": "keep-alive",
-    "Access-Control-Allow-Credentials": "true",
-    "Access-Control-Allow-Origin": origin,
-    "Access-Control-Allow-Methods": "GET,OPTIONS,POST",
-    "Access-Control-Allow-Headers": "X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version"
+    ...corsHeaders
   };
-}
\ No newline at end of file
+}
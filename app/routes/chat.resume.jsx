@@ -0,0 +1,40 @@
+import { json } from "@remix-run/node";
+import AppConfig from "../services/config.server";
+import { authenticateProxyRequest } from "../services/app-proxy.server";
+import { getCorsHeaders } from "../services/cors.server";
+import { resumeSseStream } from "../services/streaming.server";
+
+/**
+ * Resume endpoint served through the app proxy
+ * Replays the events of a turn after the client's Last-Event-ID and follows it live,
+ * so a reply survives a dropped connection. The ID can also be passed as
+ * `last_event_id` for proxies that don't forward the header.
+ */
+export async function loader({ request }) {
+  const { shop } = await authenticateProxyRequest(request);
+  const corsHeaders = await getCorsHeaders(request, { shop });
+  const url = new URL(request.url);
+
+  const stream = resumeSseStream({
+    lastEventId: request.headers.get("Last-Event-ID") || url.searchParams.get("last_event_id"),
+    shop,
+    conversationId: url.searchParams.get("conversation_id"),
+    signal: request.signal
+  });
+
+  if (!stream) {
+    return json(
+      { error: AppConfig.errorMessages.streamUnavailable, code: "stream_unavailable" },
+      { status: 404, headers: corsHeaders }
+    );
+  }
+
+  return new Response(stream, {
+    headers: {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      "Connection": "keep-alive",
+      ...corsHeaders
+    }
+  });
+}
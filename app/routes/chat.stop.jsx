@@ -0,0 +1,28 @@
+import { json } from "@remix-run/node";
+import { authenticateProxyRequest } from "../services/app-proxy.server";
+import { getCorsHeaders } from "../services/cors.server";
+import { stopTurn } from "../services/streaming.server";
+
+/**
+ * Stop endpoint served through the app proxy
+ * Aborts the model and tool calls of a turn when the shopper presses "Stop generating".
+ */
+export async function action({ request }) {
+  const { shop } = await authenticateProxyRequest(request);
+  const corsHeaders = await getCorsHeaders(request, { shop });
+
+  let body;
+  try {
+    body = await request.json();
+  } catch (error) {
+    return json({ error: "Invalid JSON body" }, { status: 400, headers: corsHeaders });
+  }
+
+  if (typeof body?.turn_id !== "string" || typeof body.conversation_id !== "string") {
+    return json({ error: "turn_id and conversation_id are required" }, { status: 400, headers: corsHeaders });
+  }
+
+  const stopped = stopTurn(body.turn_id, { shop, conversationId: body.conversation_id });
+
+  return json({ stopped }, { headers: corsHeaders });
+}
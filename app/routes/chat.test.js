@@ -0,0 +1,72 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import AppConfig from "../services/config.server";
+import { authenticateProxyRequest } from "../services/app-proxy.server";
+import { checkChatRateLimit, getClientIp, recordViolation } from "../services/rate-limit.server";
+import { action } from "./chat";
+
+vi.mock("../db.server", () => ({}));
+vi.mock("../shopify.server", () => ({ unauthenticated: {} }));
+vi.mock("../mcp-client", () => ({ default: vi.fn() }));
+
+vi.mock("../services/app-proxy.server", () => ({
+  authenticateProxyRequest: vi.fn()
+}));
+
+vi.mock("../services/cors.server", () => ({
+  getCorsHeaders: vi.fn(async () => ({})),
+  handleCorsPreflight: vi.fn()
+}));
+
+vi.mock("../services/rate-limit.server", () => ({
+  checkChatRateLimit: vi.fn(),
+  getClientIp: vi.fn(),
+  recordViolation: vi.fn()
+}));
+
+/**
+ * Posts a chat message through the app proxy
+ * @param {Object} body - The request body
+ * @returns {Promise<Response>} The action's response
+ */
+function postMessage(body) {
+  return action({
+    request: new Request("https://app.example/chat", {
+      method: "POST",
+      body: JSON.stringify(body)
+    })
+  });
+}
+
+describe("chat message validation", () => {
+  beforeEach(() => {
+    authenticateProxyRequest.mockResolvedValue({ shop: "a.myshopify.com", loggedInCustomerId: null });
+    getClientIp.mockReturnValue("203.0.113.7");
+    vi.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.clearAllMocks();
+    vi.restoreAllMocks();
+  });
+
+  it("rejects a missing message", async () => {
+    expect((await postMessage({})).status).toBe(400);
+  });
+
+  it.each([42, ["hi"], { text: "hi" }, true])("rejects a %j message as invalid input", async (message) => {
+    const response = await postMessage({ message });
+
+    expect(response.status).toBe(400);
+    expect(await response.json()).toEqual({ error: AppConfig.errorMessages.invalidMessage, code: "invalid_message" });
+    expect(recordViolation).not.toHaveBeenCalled();
+    expect(checkChatRateLimit).not.toHaveBeenCalled();
+  });
+
+  it("rejects a message over the length limit as too long", async () => {
+    const response = await postMessage({ message: "a".repeat(AppConfig.api.maxMessageLength + 1) });
+
+    expect(response.status).toBe(413);
+    expect((await response.json()).code).toBe("message_too_long");
+    expect(recordViolation).toHaveBeenCalledWith("203.0.113.7", "oversized message");
+  });
+});
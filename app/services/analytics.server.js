@@ -0,0 +1,122 @@
+/**
+ * Analytics Service
+ * Captures per-shop assistant usage events and builds dashboard reports
+ */
+import AppConfig from "./config.server";
+import {
+  recordAnalyticsEvents,
+  getAnalyticsEventCounts,
+  getDailyAnalyticsEventCounts,
+  getTopAnalyticsQueries
+} from "../db.server";
+
+/**
+ * Event types captured by the chat endpoints
+ */
+export const ANALYTICS_EVENTS = {
+  conversationStarted: 'conversation_started',
+  message: 'message',
+  toolCall: 'tool_call',
+  emptySearch: 'empty_search',
+  productShown: 'product_shown',
+  productClick: 'product_click',
+  addToCart: 'add_to_cart',
+  handoff: 'handoff'
+};
+
+/**
+ * Normalizes a search query so the same question groups together
+ * @param {string} query - The raw search query
+ * @returns {string|null} The normalized query
+ */
+export function normalizeSearchQuery(query) {
+  if (typeof query !== 'string') return null;
+
+  const normalized = query.trim().toLowerCase().replace(/\s+/g, ' ');
+  return normalized ? normalized.slice(0, AppConfig.analytics.maxQueryLength) : null;
+}
+
+/**
+ * Records analytics events for a shop without blocking the caller
+ * @param {string} shop - The shop domain
+ * @param {Array<Object>} events - Events with type and optional conversationId, name, query, metadata
+ * @returns {Promise<Object|null>} Resolves once the events are stored (never rejects)
+ */
+export function trackEvents(shop, events) {
+  if (!shop) return Promise.resolve(null);
+
+  return recordAnalyticsEvents(events.map(event => ({ ...event, shop })));
+}
+
+/**
+ * Records a single analytics event for a shop without blocking the caller
+ * @param {string} shop - The shop domain
+ * @param {string} type - One of ANALYTICS_EVENTS
+ * @param {Object} [details] - Optional conversationId, name, query and metadata
+ * @returns {Promise<Object|null>} Resolves once the event is stored (never rejects)
+ */
+export function trackEvent(shop, type, details = {}) {
+  return trackEvents(shop, [{ type, ...details }]);
+}
+
+/**
+ * Builds the analytics dashboard for a shop
+ * @param {string} shop - The shop domain
+ * @param {number} days - Number of days to report on
+ * @returns {Promise<Object>} Totals, tool call breakdown, daily trend and top unanswered queries
+ */
+export async function getAnalyticsDashboard(shop, days) {
+  const since = new Date();
+  since.setUTCHours(0, 0, 0, 0);
+  since.setUTCDate(since.getUTCDate() - (days - 1));
+
+  const [counts, dailyRows, topUnansweredQueries] = await Promise.all([
+    getAnalyticsEventCounts(shop, since),
+    getDailyAnalyticsEventCounts(shop, since),
+    getTopAnalyticsQueries(shop, ANALYTICS_EVENTS.emptySearch, since, AppConfig.analytics.topQueriesLimit)
+  ]);
+
+  const totals = {};
+  const toolCalls = {};
+  for (const { type, name, count } of counts) {
+    totals[type] = (totals[type] || 0) + count;
+    if (type === ANALYTICS_EVENTS.toolCall && name) {
+      toolCalls[name] = count;
+    }
+  }
+
+  // One row per day, including days without events
+  const daily = [];
+  const rowsByDay = new Map();
+  for (const row of dailyRows) {
+    const day = new Date(row.day).toISOString().slice(0, 10);
+    rowsByDay.set(day, { ...rowsByDay.get(day), [row.type]: Number(row.count) });
+  }
+  for (let date = new Date(since); date <= new Date(); date.setUTCDate(date.getUTCDate() + 1)) {
+    const day = date.toISOString().slice(0, 10);
+    daily.push({ date: day, counts: rowsByDay.get(day) || {} });
+  }
+
+  const searches = toolCalls[AppConfig.tools.productSearchName] || 0;
+  const shown = totals[ANALYTICS_EVENTS.productShown] || 0;
+
+  return {
+    since,
+    totals,
+    toolCalls,
+    daily,
+    topUnansweredQueries,
+    rates: {
+      emptySearchRate: searches > 0 ? (totals[ANALYTICS_EVENTS.emptySearch] || 0) / searches : null,
+      clickThroughRate: shown > 0 ? (totals[ANALYTICS_EVENTS.productClick] || 0) / shown : null
+    }
+  };
+}
+
+export default {
+  ANALYTICS_EVENTS,
+  normalizeSearchQuery,
+  trackEvents,
+  trackEvent,
+  getAnalyticsDashboard
+};
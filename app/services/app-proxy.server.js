@@ -0,0 +1,42 @@
+/**
+ * App Proxy Service
+ * Verifies storefront requests forwarded through the Shopify app proxy
+ */
+import { json } from "@remix-run/node";
+import { authenticate } from "../shopify.server";
+import AppConfig from "./config.server";
+
+/**
+ * Authenticates a request forwarded by the Shopify app proxy
+ * The shop is taken from the signed query string, never from the request body,
+ * and must have an installed offline session.
+ * @param {Request} request - The incoming request
+ * @returns {Promise<Object>} { shop, session, admin, loggedInCustomerId }
+ * @throws {Response} 400 if the signature is invalid, 403 if the app isn't installed
+ */
+export async function authenticateProxyRequest(request) {
+  // Throws a 400 response when the signature doesn't match
+  const { session, admin } = await authenticate.public.appProxy(request);
+
+  if (!session) {
+    const shop = new URL(request.url).searchParams.get('shop');
+    console.warn('Rejected app proxy request for shop without an installed session:', shop);
+    throw json(
+      { error: AppConfig.errorMessages.shopNotInstalled },
+      { status: 403 }
+    );
+  }
+
+  const url = new URL(request.url);
+
+  return {
+    shop: session.shop,
+    session,
+    admin,
+    loggedInCustomerId: url.searchParams.get('logged_in_customer_id') || null
+  };
+}
+
+export default {
+  authenticateProxyRequest
+};
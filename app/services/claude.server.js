@@ -4,43 +4,48 @@
  */
 import { Anthropic } from "@anthropic-ai/sdk";
 import AppConfig from "./config.server";
-import systemPrompts from "../prompts/prompts.json";
-import { readFileSync } from 'fs';
-import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
-
-// Get __dirname equivalent for ES modules
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
+import { appendSystemContext } from "./message-format.server";
+import { getSystemPrompt as resolveSystemPrompt } from "./prompt.server";
+import { fromAnthropicUsage } from "./usage.server";
 
 /**
  * Creates a Claude service instance
  * @param {string} apiKey - Claude API key
+ * @param {Object} options - Client options
+ * @param {number} options.maxRetries - Retries the SDK makes on its own; defaults to the SDK's
  * @returns {Object} Claude service with methods for interacting with Claude API
  */
-export function createClaudeService(apiKey = process.env.CLAUDE_API_KEY) {
+export function createClaudeService(apiKey = process.env.CLAUDE_API_KEY, { maxRetries } = {}) {
   // Initialize Claude client
-  const anthropic = new Anthropic({ apiKey });
+  const anthropic = new Anthropic({ apiKey, maxRetries });
 
   /**
    * Streams a conversation with Claude
    * @param {Object} params - Stream parameters
    * @param {Array} params.messages - Conversation history
    * @param {string} params.promptType - The type of system prompt to use
+   * @param {string} params.shop - The shop domain used to resolve the prompt
+   * @param {string} params.systemPrompt - A system prompt to use instead of the prompt type's (e.g. from an MCP server)
    * @param {Array} params.tools - Available tools for Claude
+   * @param {string|Array<string>} params.systemContext - Extra context appended to the system prompt
+   * @param {AbortSignal} params.signal - Aborts the request when the client disconnects
    * @param {Object} streamHandlers - Stream event handlers
    * @param {Function} streamHandlers.onText - Handles text chunks
    * @param {Function} streamHandlers.onMessage - Handles complete messages
    * @param {Function} streamHandlers.onToolUse - Handles tool use requests
-   * @returns {Promise<Object>} The final message
+   * @returns {Promise<Object>} The final message, with usage in the canonical shape
    */
   const streamConversation = async ({
     messages,
     promptType = AppConfig.api.defaultPromptType,
-    tools
+    shop,
+    systemPrompt,
+    tools,
+    systemContext,
+    signal
   }, streamHandlers) => {
-    // Get system prompt from configuration or use default
-    const systemInstruction = getSystemPrompt(promptType);
+    // Get the shop's system prompt, falling back to the default template
+    const systemInstruction = appendSystemContext(systemPrompt || await getSystemPrompt(promptType, shop), systemContext);
 
     // Create stream
     const stream = await anthropic.messages.stream({
@@ -49,7 +54,7 @@ export function createClaudeService(apiKey = process.env.CLAUDE_API_KEY) {
       system: systemInstruction,
       messages,
       tools: tools && tools.length > 0 ? tools : undefined
-    });
+    }, { signal });
 
     // Set up event handlers
     if (streamHandlers.onText) {
@@ -57,7 +62,9 @@ export function createClaudeService(apiKey = process.env.CLAUDE_API_KEY) {
     }
 
     if (streamHandlers.onMessage) {
-      stream.on('message', streamHandlers.onMessage);
+      stream.on('message', (message) => {
+        streamHandlers.onMessage({ ...message, usage: fromAnthropicUsage(message) });
+      });
     }
 
     if (streamHandlers.onContentBlock) {
@@ -65,11 +72,13 @@ export function createClaudeService(apiKey = process.env.CLAUDE_API_KEY) {
     }
 
     // Wait for final message
-    const finalMessage = await stream.finalMessage();
+    const message = await stream.finalMessage();
+    const finalMessage = { ...message, usage: fromAnthropicUsage(message) };
 
     // Process tool use requests
     if (streamHandlers.onToolUse && finalMessage.content) {
       for (const content of finalMessage.content) {
+        signal?.throwIfAborted();
         if (content.type === "tool_use") {
           await streamHandlers.onToolUse(content);
         }
@@ -80,24 +89,18 @@ export function createClaudeService(apiKey = process.env.CLAUDE_API_KEY) {
   };
 
   /**
- * Gets the system prompt content for a given prompt type
- * @param {string} promptType - The prompt type to retrieve
- * @returns {string} The system prompt content
- */
-  const getSystemPrompt = (promptType) => {
-    try {
-      // Use promptType directly since filename matches
-      const promptPath = join(process.cwd(), 'app', 'prompts', `${promptType}.txt`);
-      console.log('Looking for prompt at:', promptPath);
-      return readFileSync(promptPath, 'utf8');
-    } catch (error) {
-      console.warn(`Prompt file not found for ${promptType}:`, error.message);
-      return systemPrompts.systemPrompts[promptType]?.content ||
-        systemPrompts.systemPrompts[AppConfig.api.defaultPromptType].content;
-    }
+   * Gets the system prompt content for a given prompt type
+   * Resolves the shop's active prompt from the database with file fallback.
+   * @param {string} promptType - The prompt type to retrieve
+   * @param {string} shop - The shop domain
+   * @returns {Promise<string>} The system prompt content
+   */
+  const getSystemPrompt = (promptType, shop) => {
+    return resolveSystemPrompt(promptType, shop);
   };
 
   return {
+    provider: 'claude',
     streamConversation,
     getSystemPrompt
   };
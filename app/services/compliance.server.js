@@ -0,0 +1,199 @@
+/**
+ * Compliance Service
+ * Handles Shopify's mandatory privacy webhooks (customers/data_request,
+ * customers/redact and shop/redact)
+ *
+ * Conversations are matched to customers through the `customerId` recorded
+ * from the app proxy's `logged_in_customer_id`; conversations from shoppers
+ * who weren't signed in can't be tied to a customer and are only removed
+ * by shop/redact.
+ */
+import {
+  getCustomerConversationData,
+  deleteCustomerData,
+  deleteShopData,
+  createCustomerDataExport,
+  getCustomerDataExport,
+  deleteCustomerDataExportsBefore,
+  createComplianceAuditLog
+} from "../db.server";
+import AppConfig from "./config.server";
+import { normalizeMessage } from "./message-format.server";
+
+/**
+ * Builds the export bundle for a customer's data
+ * @param {string} shop - The shop domain
+ * @param {string} customerId - The Shopify customer ID
+ * @returns {Promise<Object>} The export bundle
+ */
+export async function buildCustomerExport(shop, customerId) {
+  const { conversations, tokens, accountUrls } = await getCustomerConversationData(shop, customerId);
+
+  return {
+    shop,
+    customerId,
+    generatedAt: new Date().toISOString(),
+    conversations: conversations.map(conversation => ({
+      id: conversation.id,
+      createdAt: conversation.createdAt,
+      updatedAt: conversation.updatedAt,
+      summary: conversation.summary,
+      messages: conversation.messages.map(message => ({
+        ...normalizeMessage(message),
+        createdAt: message.createdAt
+      }))
+    })),
+    // Token values are secrets and are never exported, only that access was granted
+    customerAccountAuthorizations: tokens.map(token => ({
+      conversationId: token.conversationId,
+      grantedAt: token.createdAt,
+      refreshedAt: token.updatedAt,
+      expiresAt: token.expiresAt
+    })),
+    customerAccountUrls: accountUrls.map(accountUrl => ({
+      conversationId: accountUrl.conversationId,
+      url: accountUrl.url
+    }))
+  };
+}
+
+/**
+ * Deletes customer data exports older than the retention period
+ * @returns {Promise<number>} Number of deleted exports
+ */
+export async function purgeExpiredCustomerDataExports() {
+  const cutoff = new Date(Date.now() - AppConfig.compliance.exportRetentionMs);
+  const deleted = await deleteCustomerDataExportsBefore(cutoff);
+
+  if (deleted > 0) {
+    console.log(`Deleted ${deleted} expired customer data exports`);
+  }
+
+  return deleted;
+}
+
+/**
+ * Gets the expiry date of a customer data export
+ * @param {Date|string} createdAt - When the export was created
+ * @returns {Date} When the export will be deleted
+ */
+export function getExportExpiry(createdAt) {
+  return new Date(new Date(createdAt).getTime() + AppConfig.compliance.exportRetentionMs);
+}
+
+/**
+ * Gets a customer data export as a file the merchant can send to the customer
+ * @param {string} shop - The shop domain
+ * @param {string} exportId - The export ID
+ * @returns {Promise<Object|null>} { filename, content }, or null if the shop has no such export
+ */
+export async function getCustomerDataExportFile(shop, exportId) {
+  const dataExport = await getCustomerDataExport(shop, exportId);
+  if (!dataExport || getExportExpiry(dataExport.createdAt) <= new Date()) {
+    return null;
+  }
+
+  const date = new Date(dataExport.createdAt).toISOString().slice(0, 10);
+  return {
+    filename: `customer-${dataExport.customerId}-data-${date}.json`,
+    content: JSON.stringify(dataExport.bundle, null, 2)
+  };
+}
+
+/**
+ * Handles customers/data_request by storing an export bundle for the merchant
+ * @param {string} shop - The shop domain
+ * @param {string} topic - The webhook topic
+ * @param {Object} payload - The webhook payload
+ * @returns {Promise<Object>} The stored export
+ */
+export async function handleCustomerDataRequest(shop, topic, payload) {
+  const customerId = payload?.customer?.id?.toString();
+  if (!customerId) {
+    throw new Error('Data request payload is missing the customer ID');
+  }
+
+  // Expired exports are also deleted when the merchant opens the data requests page
+  await purgeExpiredCustomerDataExports().catch(() => {});
+
+  const bundle = await buildCustomerExport(shop, customerId);
+  const dataExport = await createCustomerDataExport(
+    shop,
+    customerId,
+    payload.data_request?.id?.toString() || null,
+    bundle
+  );
+
+  await createComplianceAuditLog({
+    shop,
+    topic,
+    action: 'export',
+    customerId,
+    details: {
+      exportId: dataExport.id,
+      dataRequestId: dataExport.dataRequestId,
+      conversations: bundle.conversations.length,
+      messages: bundle.conversations.reduce((total, conversation) => total + conversation.messages.length, 0)
+    }
+  });
+
+  return dataExport;
+}
+
+/**
+ * Handles customers/redact by deleting the customer's conversations
+ * @param {string} shop - The shop domain
+ * @param {string} topic - The webhook topic
+ * @param {Object} payload - The webhook payload
+ * @returns {Promise<Object>} Number of deleted rows per table
+ */
+export async function handleCustomerRedact(shop, topic, payload) {
+  const customerId = payload?.customer?.id?.toString();
+  if (!customerId) {
+    throw new Error('Redact payload is missing the customer ID');
+  }
+
+  const deleted = await deleteCustomerData(shop, customerId);
+
+  await createComplianceAuditLog({
+    shop,
+    topic,
+    action: 'redact_customer',
+    customerId,
+    details: {
+      ...deleted,
+      ordersToRedact: payload.orders_to_redact?.length || 0
+    }
+  });
+
+  return deleted;
+}
+
+/**
+ * Handles shop/redact by deleting everything stored for the shop
+ * @param {string} shop - The shop domain
+ * @param {string} topic - The webhook topic
+ * @returns {Promise<Object>} Number of deleted rows per table
+ */
+export async function handleShopRedact(shop, topic) {
+  const deleted = await deleteShopData(shop);
+
+  await createComplianceAuditLog({
+    shop,
+    topic,
+    action: 'redact_shop',
+    details: deleted
+  });
+
+  return deleted;
+}
+
+export default {
+  buildCustomerExport,
+  purgeExpiredCustomerDataExports,
+  getExportExpiry,
+  getCustomerDataExportFile,
+  handleCustomerDataRequest,
+  handleCustomerRedact,
+  handleShopRedact
+};
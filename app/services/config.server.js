@@ -3,17 +3,240 @@
  * Centralizes all configuration values for the chat service
  */
 
+/**
+ * Parses a JSON environment variable, ignoring invalid values
+ * @param {string} value - Raw environment variable value
+ * @param {*} fallback - Value to use when unset or invalid
+ * @returns {*} Parsed value
+ */
+function parseJson(value, fallback) {
+  if (!value) return fallback;
+
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    console.warn('Ignoring invalid JSON configuration value');
+    return fallback;
+  }
+}
+
+/**
+ * Parses a "key=value,key2=value2" environment variable into an object
+ * @param {string} value - Raw environment variable value
+ * @returns {Object} Parsed key/value map
+ */
+function parseKeyValueList(value) {
+  if (!value) return {};
+
+  return value.split(',').reduce((map, pair) => {
+    // Split on the first "=" only so values may contain padding (e.g. base64)
+    const index = pair.indexOf('=');
+    const key = index > 0 ? pair.slice(0, index).trim() : '';
+    const val = index > 0 ? pair.slice(index + 1).trim() : '';
+    if (key && val) {
+      map[key] = val;
+    }
+    return map;
+  }, {});
+}
+
+/**
+ * Merges per-scope rate limit overrides into the defaults
+ * @param {Object} defaults - Limits by scope
+ * @param {Object} overrides - Partial limits by scope
+ * @returns {Object} Merged limits
+ */
+function mergeLimits(defaults, overrides) {
+  return Object.fromEntries(Object.entries(defaults).map(([scope, limit]) => (
+    [scope, { ...limit, ...overrides?.[scope] }]
+  )));
+}
+
 export const AppConfig = {
   // API Configuration
   api: {
     defaultModel: 'claude-sonnet-4-5',
     maxTokens: 2000,
     defaultPromptType: 'standardAssistant',
+    openaiModel: process.env.OPENAI_MODEL || 'gpt-4',
+    // Longest shopper message accepted, in characters
+    maxMessageLength: 2000,
+    // Model calls per turn; each tool round trip costs one
+    maxToolIterations: 6,
+  },
+
+  // LLM Provider Configuration
+  llm: {
+    defaultProvider: process.env.LLM_PROVIDER || 'claude',
+    // Per-shop overrides, e.g. LLM_SHOP_PROVIDERS="a.myshopify.com=openai,b.myshopify.com=claude"
+    shopProviders: parseKeyValueList(process.env.LLM_SHOP_PROVIDERS),
+    // Allow the widget to pick a provider per request (development only)
+    allowRequestOverride: process.env.LLM_ALLOW_PROVIDER_OVERRIDE === 'true',
+    // Providers to fall over to when the primary is rate limited or overloaded
+    fallbackProviders: (process.env.LLM_FALLBACK_PROVIDERS ?? 'openai')
+      .split(',')
+      .map(name => name.trim())
+      .filter(Boolean),
+    retry: {
+      maxRetries: 2,
+      baseDelayMs: 500,
+      maxDelayMs: 4000,
+    },
+  },
+
+  // Resumable SSE Configuration
+  streaming: {
+    // Comment frames sent while a stream is idle so proxies don't close it
+    heartbeatIntervalMs: 15 * 1000,
+    // How long a turn keeps running with no client connected before it is aborted
+    disconnectGraceMs: 30 * 1000,
+    // How long a finished turn's events stay available for replay
+    resumeWindowMs: 2 * 60 * 1000,
+    maxBufferedEvents: 5000,
+  },
+
+  // Conversation History Configuration
+  history: {
+    maxTokens: 12000,
+    charsPerToken: 4,
+    maxToolResultChars: 500,
+    summaryPromptType: 'conversationSummary',
+    // Longest a summary call may run after its turn; turns it didn't fold in are retried next turn
+    summaryTimeoutMs: 20 * 1000,
+  },
+
+  // System Prompt Configuration
+  prompts: {
+    variablesCacheTtlMs: 10 * 60 * 1000,
+    maxPolicyChars: 1500,
+  },
+
+  // Encryption at rest for customer tokens and code verifiers
+  encryption: {
+    // Key-encryption keys by id, e.g. DATA_ENCRYPTION_KEYS="2026-10=<base64 32 bytes>,2025-01=<...>"
+    keys: parseKeyValueList(process.env.DATA_ENCRYPTION_KEYS),
+    // Key id used for new writes; defaults to the first key listed
+    activeKeyId: process.env.DATA_ENCRYPTION_KEY_ID || null,
+  },
+
+  // Privacy Webhook Configuration
+  compliance: {
+    // How long a customer data export can be downloaded; Shopify expects data requests answered within 30 days
+    exportRetentionMs: 30 * 24 * 60 * 60 * 1000,
+  },
+
+  // Token Usage and Cost Configuration
+  usage: {
+    // USD per million tokens, matched by longest model-name prefix.
+    // Override or extend with LLM_PRICES='{"model":{"input":1,"output":2}}'
+    prices: {
+      'claude-sonnet-4-5': { input: 3, output: 15, cacheWrite: 3.75, cacheRead: 0.3 },
+      'claude-haiku-4-5': { input: 1, output: 5, cacheWrite: 1.25, cacheRead: 0.1 },
+      'claude-opus-4-1': { input: 15, output: 75, cacheWrite: 18.75, cacheRead: 1.5 },
+      'gpt-4o-mini': { input: 0.15, output: 0.6, cacheRead: 0.075 },
+      'gpt-4o': { input: 2.5, output: 10, cacheRead: 1.25 },
+      'gpt-4': { input: 30, output: 60 },
+      'local': { input: 0, output: 0 },
+      ...parseJson(process.env.LLM_PRICES, {}),
+    },
+    // Monthly spend limit in USD for every shop (unset = unlimited)
+    monthlyBudgetUsd: process.env.USAGE_MONTHLY_BUDGET_USD
+      ? Number(process.env.USAGE_MONTHLY_BUDGET_USD)
+      : null,
+    // Per-shop budgets, e.g. USAGE_SHOP_BUDGETS="a.myshopify.com=50,b.myshopify.com=200"
+    shopBudgetsUsd: parseKeyValueList(process.env.USAGE_SHOP_BUDGETS),
+    // Fraction of the budget at which to start warning
+    warningThreshold: 0.8,
+  },
+
+  // Storefront Page Context Configuration
+  pageContext: {
+    maxCartItems: 20,
+    maxFieldLength: 200,
+  },
+
+  // Rate Limiting Configuration
+  rateLimit: {
+    // "memory" (per process) or "database" (shared by every instance)
+    store: process.env.RATE_LIMIT_STORE || 'memory',
+    // Sliding-window limits on chat messages. Override with
+    // RATE_LIMITS='{"ip":{"max":30},"shop":{"max":1000,"windowMs":60000}}'
+    limits: mergeLimits({
+      ip: { max: 20, windowMs: 60 * 1000 },
+      conversation: { max: 10, windowMs: 60 * 1000 },
+      shop: { max: 600, windowMs: 60 * 1000 },
+    }, parseJson(process.env.RATE_LIMITS, {})),
+    // Clients that hit a limit this often within the window are blocked for durationMs
+    blocklist: {
+      violations: 5,
+      windowMs: 10 * 60 * 1000,
+      durationMs: 60 * 60 * 1000,
+    },
+    // Header carrying the shopper's address, and how many proxies in front of the app append
+    // to it. The address is read that many entries from the right; entries further left come
+    // from the client and can't be trusted. Use 1 for a header your host sets itself.
+    ipHeader: process.env.RATE_LIMIT_IP_HEADER || 'x-forwarded-for',
+    trustedProxies: Number(process.env.RATE_LIMIT_TRUSTED_PROXIES) || 1,
+  },
+
+  // CORS Configuration
+  cors: {
+    // How long a shop's domains are trusted before they are looked up again
+    originsCacheTtlMs: 10 * 60 * 1000,
+    // Rejected origins remembered at once; the Origin header is client-controlled, so the oldest are dropped
+    maxRejectedOrigins: 1000,
+    // Origins allowed for every shop, e.g. CORS_ALLOWED_ORIGINS="http://localhost:9292"
+    extraOrigins: (process.env.CORS_ALLOWED_ORIGINS || '')
+      .split(',')
+      .map(origin => origin.trim())
+      .filter(Boolean),
+  },
+
+  // Human Handoff Configuration
+  handoff: {
+    // Offer the model the escalate_to_human tool (HANDOFF_ENABLED=false turns it off)
+    enabled: process.env.HANDOFF_ENABLED !== 'false',
+    maxReasonLength: 500,
+    maxReplyLength: 4000,
+  },
+
+  // MCP Server Configuration
+  mcp: {
+    // How long a server's tool list is reused before it is listed again
+    toolsCacheTtlMs: 5 * 60 * 1000,
+    // Each server gets this long to answer before the turn goes on without its tools
+    connectTimeoutMs: 5000,
+    // How long a resource's contents are reused before it is read again
+    resourcesCacheTtlMs: 10 * 60 * 1000,
+    // Most pages followed when listing a server's tools, resources or prompts
+    maxListPages: 10,
+    // Longest excerpt of one resource added to the system prompt, and of all of them together
+    maxResourceChars: 4000,
+    maxResourceContextChars: 12000,
+    // Third-party servers a merchant can register, and resources they can add to the system prompt
+    maxShopServers: 10,
+    maxShopResources: 10,
+  },
+
+  // Analytics Configuration
+  analytics: {
+    rangeOptions: [7, 30, 90],
+    defaultRangeDays: 30,
+    topQueriesLimit: 20,
+    maxQueryLength: 200,
   },
 
   // Error Message Templates
   errorMessages: {
     missingMessage: "Message is required",
+    invalidMessage: "Message must be text",
+    shopNotInstalled: "The chat assistant is not installed for this shop",
+    originNotAllowed: "Requests from this origin are not allowed",
+    budgetExceeded: "The chat assistant is unavailable right now. Please try again later.",
+    streamUnavailable: "This reply can no longer be resumed.",
+    tooManyRequests: "You're sending messages too quickly. Please wait a moment and try again.",
+    messageTooLong: "That message is too long. Please shorten it and try again.",
+    toolLimitReached: "I wasn't able to finish looking that up. Could you try asking in a simpler way?",
     apiUnsupported: "This endpoint only supports server-sent events (SSE) requests or history requests.",
     authFailed: "Authentication failed with Claude API",
     apiKeyError: "Please check your API key in environment variables",
@@ -25,7 +248,9 @@ export const AppConfig = {
   // Tool Configuration
   tools: {
     productSearchName: "search_shop_catalog",
-    maxProductsToDisplay: 3
+    maxProductsToDisplay: 3,
+    // Invalid tool calls in a row before the turn is ended
+    maxInvalidToolCalls: 3
   }
 };
 
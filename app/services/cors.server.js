@@ -0,0 +1,229 @@
+/**
+ * CORS Service
+ * Shared CORS handling for the public routes: only the storefront domains of
+ * installed shops may make credentialed cross-origin requests
+ */
+import { json } from "@remix-run/node";
+import { unauthenticated } from "../shopify.server";
+import AppConfig from "./config.server";
+import { getInstalledShops } from "../db.server";
+
+/**
+ * Cache of allowed origins keyed by shop domain
+ */
+const originsCache = new Map();
+
+/**
+ * Origins recently rejected on routes without a shop, so unknown origins
+ * don't trigger a lookup across every installed shop on each request.
+ * Oldest first; capped at AppConfig.cors.maxRejectedOrigins.
+ */
+const rejectedOrigins = new Map();
+
+/**
+ * The installed shops, so unknown origins don't each cost a database query
+ */
+let installedShopsCache = null;
+
+/**
+ * Converts a domain or URL into an origin
+ * @param {string} value - A host such as "example.com" or a URL
+ * @returns {string|null} The https origin, or null if invalid
+ */
+function toOrigin(value) {
+  if (!value) return null;
+
+  try {
+    return new URL(value.includes('://') ? value : `https://${value}`).origin;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Gets the storefront origins of a shop: its myshopify domain, primary domain and custom domains
+ * Domains come from the Admin API using the shop's offline session and are cached.
+ * @param {string} shop - The shop domain
+ * @returns {Promise<Set<string>>} The allowed origins
+ */
+export async function getShopOrigins(shop) {
+  const cached = originsCache.get(shop);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.origins;
+  }
+
+  const origins = new Set([toOrigin(shop)].filter(Boolean));
+
+  try {
+    const { admin } = await unauthenticated.admin(shop);
+    const response = await admin.graphql(`
+      query shopDomains {
+        shop {
+          myshopifyDomain
+          primaryDomain {
+            url
+          }
+          domains {
+            url
+          }
+        }
+      }
+    `);
+
+    const data = await response.json();
+    const shopData = data.data?.shop;
+
+    if (!shopData) {
+      return origins;
+    }
+
+    [shopData.myshopifyDomain, shopData.primaryDomain?.url, ...(shopData.domains || []).map(domain => domain.url)]
+      .map(toOrigin)
+      .filter(Boolean)
+      .forEach(origin => origins.add(origin));
+
+    originsCache.set(shop, {
+      origins,
+      expiresAt: Date.now() + AppConfig.cors.originsCacheTtlMs
+    });
+
+    return origins;
+  } catch (error) {
+    console.error('Error fetching domains for shop:', shop, error);
+    return origins;
+  }
+}
+
+/**
+ * Lists the installed shops, cached like their domains
+ * @returns {Promise<Array<string>>} Shop domains
+ */
+async function getCachedInstalledShops() {
+  if (installedShopsCache && installedShopsCache.expiresAt > Date.now()) {
+    return installedShopsCache.shops;
+  }
+
+  const shops = await getInstalledShops();
+  installedShopsCache = {
+    shops,
+    expiresAt: Date.now() + AppConfig.cors.originsCacheTtlMs
+  };
+
+  return shops;
+}
+
+/**
+ * Remembers a rejected origin, dropping the oldest once the cache is full
+ * @param {string} origin - The request origin
+ */
+function rememberRejectedOrigin(origin) {
+  rejectedOrigins.delete(origin);
+  rejectedOrigins.set(origin, Date.now() + AppConfig.cors.originsCacheTtlMs);
+
+  while (rejectedOrigins.size > AppConfig.cors.maxRejectedOrigins) {
+    rejectedOrigins.delete(rejectedOrigins.keys().next().value);
+  }
+}
+
+/**
+ * Checks whether any installed shop serves its storefront from an origin
+ * @param {string} origin - The request origin
+ * @returns {Promise<boolean>} True if an installed shop owns the origin
+ */
+async function isInstalledShopOrigin(origin) {
+  const rejectedUntil = rejectedOrigins.get(origin);
+  if (rejectedUntil > Date.now()) {
+    return false;
+  }
+  rejectedOrigins.delete(origin);
+
+  const shops = await getCachedInstalledShops();
+
+  // The myshopify domain needs no lookup
+  if (shops.some(shop => toOrigin(shop) === origin)) {
+    return true;
+  }
+
+  for (const shop of shops) {
+    if ((await getShopOrigins(shop)).has(origin)) {
+      return true;
+    }
+  }
+
+  rememberRejectedOrigin(origin);
+  return false;
+}
+
+/**
+ * Checks whether an origin may call a public route
+ * @param {string} origin - The request origin
+ * @param {string|null} shop - The shop the request is for, if known
+ * @returns {Promise<boolean>} True if the origin is allowed
+ */
+async function isAllowedOrigin(origin, shop) {
+  if (AppConfig.cors.extraOrigins.includes(origin)) {
+    return true;
+  }
+
+  if (shop) {
+    return (await getShopOrigins(shop)).has(origin);
+  }
+
+  // Routes without a verified shop accept the storefront of any installed shop
+  return isInstalledShopOrigin(origin);
+}
+
+/**
+ * Applies the origin allowlist to a public route request
+ * Requests without an Origin header (same-origin navigation, server-to-server) pass through.
+ * @param {Request} request - The incoming request
+ * @param {Object} [options] - CORS options
+ * @param {string} [options.shop] - The verified shop the request is for
+ * @param {string} [options.methods] - Methods to allow
+ * @returns {Promise<Object>} Headers to add to the response
+ * @throws {Response} 403 if the request comes from an origin that isn't allowed
+ */
+export async function getCorsHeaders(request, { shop = null, methods = 'GET, POST, OPTIONS' } = {}) {
+  const origin = request.headers.get('Origin');
+
+  if (!origin) {
+    return { 'Vary': 'Origin' };
+  }
+
+  if (!(await isAllowedOrigin(origin, shop))) {
+    console.warn(`Rejected ${request.method} ${new URL(request.url).pathname} from origin ${origin}${shop ? ` for ${shop}` : ''}`);
+    throw json(
+      { error: AppConfig.errorMessages.originNotAllowed },
+      { status: 403, headers: { 'Vary': 'Origin' } }
+    );
+  }
+
+  return {
+    'Access-Control-Allow-Origin': origin,
+    'Access-Control-Allow-Credentials': 'true',
+    'Access-Control-Allow-Methods': methods,
+    'Access-Control-Allow-Headers': 'Content-Type, Accept, Last-Event-ID',
+    'Access-Control-Max-Age': '86400',
+    'Vary': 'Origin'
+  };
+}
+
+/**
+ * Answers a CORS preflight request
+ * @param {Request} request - The OPTIONS request
+ * @param {Object} [options] - CORS options, as for getCorsHeaders
+ * @returns {Promise<Response>} A 204 response with the CORS headers
+ * @throws {Response} 403 if the origin isn't allowed
+ */
+export async function handleCorsPreflight(request, options) {
+  return new Response(null, {
+    status: 204,
+    headers: await getCorsHeaders(request, options)
+  });
+}
+
+export default {
+  getShopOrigins,
+  getCorsHeaders,
+  handleCorsPreflight
+};
@@ -0,0 +1,96 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import AppConfig from "./config.server";
+import { unauthenticated } from "../shopify.server";
+import { getInstalledShops } from "../db.server";
+import { getCorsHeaders } from "./cors.server";
+
+vi.mock("../shopify.server", () => ({
+  unauthenticated: { admin: vi.fn() }
+}));
+
+vi.mock("../db.server", () => ({
+  getInstalledShops: vi.fn()
+}));
+
+/**
+ * Checks whether a shopless public route accepts an origin
+ * @param {string} origin - The request origin
+ * @returns {Promise<boolean>} True if the origin is allowed
+ */
+async function allows(origin) {
+  try {
+    await getCorsHeaders(new Request("https://app.example/chat", { headers: { Origin: origin } }));
+    return true;
+  } catch (response) {
+    if (response.status !== 403) throw response;
+    return false;
+  }
+}
+
+describe("getCorsHeaders without a shop", () => {
+  const { maxRejectedOrigins, originsCacheTtlMs } = AppConfig.cors;
+  let now = Date.now();
+
+  beforeEach(() => {
+    // Start each test after the module's caches from the previous one have expired
+    now += 2 * originsCacheTtlMs;
+    vi.useFakeTimers({ now });
+    AppConfig.cors.maxRejectedOrigins = 2;
+    getInstalledShops.mockResolvedValue(["a.myshopify.com"]);
+    // Domain lookups that fail aren't cached, so each one shows a rejected origin being checked again
+    unauthenticated.admin.mockRejectedValue(new Error("offline"));
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+    vi.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    AppConfig.cors.maxRejectedOrigins = maxRejectedOrigins;
+    vi.resetAllMocks();
+    vi.restoreAllMocks();
+  });
+
+  it("allows an installed shop's myshopify domain", async () => {
+    expect(await allows("https://a.myshopify.com")).toBe(true);
+  });
+
+  it("lists installed shops once for many unknown origins", async () => {
+    for (let i = 0; i < 5; i++) {
+      expect(await allows(`https://evil-${i}.example`)).toBe(false);
+    }
+
+    expect(getInstalledShops).toHaveBeenCalledTimes(1);
+
+    vi.advanceTimersByTime(originsCacheTtlMs + 1);
+    await allows("https://evil-5.example");
+    expect(getInstalledShops).toHaveBeenCalledTimes(2);
+  });
+
+  it("remembers rejected origins", async () => {
+    await allows("https://evil.example");
+    await allows("https://evil.example");
+
+    expect(unauthenticated.admin).toHaveBeenCalledTimes(1);
+  });
+
+  it("drops the oldest rejected origins past the cap", async () => {
+    await allows("https://one.example");
+    await allows("https://two.example");
+    await allows("https://three.example");
+    expect(unauthenticated.admin).toHaveBeenCalledTimes(3);
+
+    await allows("https://three.example");
+    expect(unauthenticated.admin).toHaveBeenCalledTimes(3);
+
+    await allows("https://one.example");
+    expect(unauthenticated.admin).toHaveBeenCalledTimes(4);
+  });
+
+  it("checks a rejected origin again once it expires", async () => {
+    await allows("https://evil.example");
+    vi.advanceTimersByTime(originsCacheTtlMs + 1);
+    await allows("https://evil.example");
+
+    expect(unauthenticated.admin).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,225 @@
+/**
+ * Encryption Service
+ * Envelope encryption for secrets stored in the database
+ *
+ * Every value is encrypted with its own random data key (AES-256-GCM). The
+ * data key is then wrapped with a key-encryption key from the environment and
+ * stored alongside the ciphertext together with that key's id:
+ *
+ *   enc:v1:<keyId>:<wrapped data key>:<ciphertext>
+ *
+ * Rotating keys only re-wraps the data key, so the payload never has to be
+ * decrypted with the new key. Values without the prefix are legacy plaintext
+ * and are returned as-is until they're re-encrypted.
+ */
+import crypto from "node:crypto";
+import AppConfig from "./config.server.js";
+
+const PREFIX = "enc";
+const FORMAT_VERSION = "v1";
+const ALGORITHM = "aes-256-gcm";
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const KEY_LENGTH = 32;
+const KEY_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+let warnedAboutMissingKeys = false;
+
+/**
+ * Decodes and validates the configured key-encryption keys
+ * @returns {{keys: Map<string, Buffer>, activeKeyId: string|null}} Keyring
+ */
+function loadKeyring() {
+  const keys = new Map();
+
+  for (const [keyId, encodedKey] of Object.entries(AppConfig.encryption.keys)) {
+    if (!KEY_ID_PATTERN.test(keyId)) {
+      throw new Error(`Invalid encryption key id "${keyId}"`);
+    }
+
+    const key = Buffer.from(encodedKey, "base64");
+    if (key.length !== KEY_LENGTH) {
+      throw new Error(`Encryption key "${keyId}" must be ${KEY_LENGTH} bytes (base64 encoded)`);
+    }
+
+    keys.set(keyId, key);
+  }
+
+  const activeKeyId = AppConfig.encryption.activeKeyId || keys.keys().next().value || null;
+  if (activeKeyId && !keys.has(activeKeyId)) {
+    throw new Error(`Active encryption key "${activeKeyId}" is not configured`);
+  }
+
+  return { keys, activeKeyId };
+}
+
+/**
+ * Encrypts a buffer with AES-256-GCM
+ * @param {Buffer} key - 32 byte key
+ * @param {Buffer} plaintext - Data to encrypt
+ * @param {string} aad - Additional authenticated data
+ * @returns {string} base64 of iv | tag | ciphertext
+ */
+function seal(key, plaintext, aad) {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  cipher.setAAD(Buffer.from(aad, "utf8"));
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString("base64");
+}
+
+/**
+ * Decrypts a value produced by seal()
+ * @param {Buffer} key - 32 byte key
+ * @param {string} sealed - base64 of iv | tag | ciphertext
+ * @param {string} aad - Additional authenticated data
+ * @returns {Buffer} Decrypted data
+ */
+function open(key, sealed, aad) {
+  const data = Buffer.from(sealed, "base64");
+  const iv = data.subarray(0, IV_LENGTH);
+  const tag = data.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH);
+  const ciphertext = data.subarray(IV_LENGTH + TAG_LENGTH);
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+  decipher.setAAD(Buffer.from(aad, "utf8"));
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+}
+
+/**
+ * Splits an encrypted value into its parts
+ * @param {string} value - Stored value
+ * @returns {Object|null} The parts, or null if the value isn't encrypted
+ */
+function parseEnvelope(value) {
+  if (!isEncrypted(value)) {
+    return null;
+  }
+
+  const [, version, keyId, wrappedKey, payload] = value.split(":");
+  if (version !== FORMAT_VERSION || !keyId || !wrappedKey || !payload) {
+    throw new Error("Malformed encrypted value");
+  }
+
+  return { keyId, wrappedKey, payload };
+}
+
+/**
+ * Unwraps the data key of an envelope
+ * @param {Map<string, Buffer>} keys - Configured key-encryption keys
+ * @param {Object} envelope - Parsed envelope
+ * @returns {Buffer} The data key
+ */
+function unwrapDataKey(keys, envelope) {
+  const keyEncryptionKey = keys.get(envelope.keyId);
+  if (!keyEncryptionKey) {
+    throw new Error(`Encryption key "${envelope.keyId}" is not configured`);
+  }
+
+  return open(keyEncryptionKey, envelope.wrappedKey, envelope.keyId);
+}
+
+/**
+ * Checks whether a stored value is encrypted
+ * @param {*} value - Stored value
+ * @returns {boolean} True if the value uses the envelope format
+ */
+export function isEncrypted(value) {
+  return typeof value === "string" && value.startsWith(`${PREFIX}:`);
+}
+
+/**
+ * Checks whether encryption keys are configured
+ * @returns {boolean} True if new values will be encrypted
+ */
+export function isEncryptionConfigured() {
+  return Boolean(loadKeyring().activeKeyId);
+}
+
+/**
+ * Encrypts a secret for storage
+ * @param {string|null} plaintext - The secret to encrypt
+ * @param {string} context - What the value is (e.g. "CustomerToken.accessToken"); bound to the ciphertext
+ * @returns {string|null} The encrypted value
+ */
+export function encryptSecret(plaintext, context) {
+  if (plaintext === null || plaintext === undefined || isEncrypted(plaintext)) {
+    return plaintext;
+  }
+
+  const { keys, activeKeyId } = loadKeyring();
+  if (!activeKeyId) {
+    if (process.env.NODE_ENV === "production") {
+      throw new Error("DATA_ENCRYPTION_KEYS must be set to store secrets in production");
+    }
+    if (!warnedAboutMissingKeys) {
+      console.warn("DATA_ENCRYPTION_KEYS is not set; secrets will be stored unencrypted");
+      warnedAboutMissingKeys = true;
+    }
+    return plaintext;
+  }
+
+  const dataKey = crypto.randomBytes(KEY_LENGTH);
+  const payload = seal(dataKey, Buffer.from(String(plaintext), "utf8"), context);
+  const wrappedKey = seal(keys.get(activeKeyId), dataKey, activeKeyId);
+
+  return [PREFIX, FORMAT_VERSION, activeKeyId, wrappedKey, payload].join(":");
+}
+
+/**
+ * Decrypts a stored secret
+ * @param {string|null} value - The stored value
+ * @param {string} context - The context the value was encrypted with
+ * @returns {string|null} The plaintext secret
+ */
+export function decryptSecret(value, context) {
+  const envelope = parseEnvelope(value);
+  if (!envelope) {
+    return value;
+  }
+
+  const { keys } = loadKeyring();
+  const dataKey = unwrapDataKey(keys, envelope);
+  return open(dataKey, envelope.payload, context).toString("utf8");
+}
+
+/**
+ * Re-encrypts a stored secret under the active key
+ * Plaintext values are encrypted; values under an older key have their data key re-wrapped.
+ * @param {string|null} value - The stored value
+ * @param {string} context - The context the value is (or will be) encrypted with
+ * @returns {string|null} The updated value, or null if nothing needs to change
+ */
+export function reencryptSecret(value, context) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+
+  const { keys, activeKeyId } = loadKeyring();
+  if (!activeKeyId) {
+    return null;
+  }
+
+  const envelope = parseEnvelope(value);
+  if (!envelope) {
+    return encryptSecret(value, context);
+  }
+
+  if (envelope.keyId === activeKeyId) {
+    return null;
+  }
+
+  const dataKey = unwrapDataKey(keys, envelope);
+  const wrappedKey = seal(keys.get(activeKeyId), dataKey, activeKeyId);
+
+  return [PREFIX, FORMAT_VERSION, activeKeyId, wrappedKey, envelope.payload].join(":");
+}
+
+export default {
+  isEncrypted,
+  isEncryptionConfigured,
+  encryptSecret,
+  decryptSecret,
+  reencryptSecret
+};
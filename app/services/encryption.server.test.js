@@ -0,0 +1,170 @@
+import crypto from "node:crypto";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import AppConfig from "./config.server.js";
+import {
+  isEncrypted,
+  isEncryptionConfigured,
+  encryptSecret,
+  decryptSecret,
+  reencryptSecret
+} from "./encryption.server";
+
+const CONTEXT = "CustomerToken.accessToken";
+const oldKey = crypto.randomBytes(32).toString("base64");
+const newKey = crypto.randomBytes(32).toString("base64");
+
+/**
+ * Sets the configured key-encryption keys
+ * @param {Object} keys - Base64 keys by id
+ * @param {string|null} [activeKeyId] - Key used for new writes
+ */
+function useKeys(keys, activeKeyId = null) {
+  AppConfig.encryption.keys = keys;
+  AppConfig.encryption.activeKeyId = activeKeyId;
+}
+
+/**
+ * Replaces one part of an envelope
+ * @param {string} value - Encrypted value
+ * @param {number} index - Part to replace
+ * @param {Function} change - Maps the old part to the new one
+ * @returns {string} The changed value
+ */
+function changePart(value, index, change) {
+  const parts = value.split(":");
+  parts[index] = change(parts[index]);
+  return parts.join(":");
+}
+
+describe("encryption", () => {
+  const { keys, activeKeyId } = AppConfig.encryption;
+
+  beforeEach(() => {
+    useKeys({ "2025-01": oldKey });
+  });
+
+  afterEach(() => {
+    useKeys(keys, activeKeyId);
+    vi.unstubAllEnvs();
+    vi.restoreAllMocks();
+  });
+
+  it("round-trips a secret", () => {
+    const encrypted = encryptSecret("shpat_secret", CONTEXT);
+
+    expect(encrypted).toMatch(/^enc:v1:2025-01:/);
+    expect(encrypted).not.toContain("shpat_secret");
+    expect(isEncrypted(encrypted)).toBe(true);
+    expect(decryptSecret(encrypted, CONTEXT)).toBe("shpat_secret");
+  });
+
+  it("uses a fresh data key for every value", () => {
+    expect(encryptSecret("same", CONTEXT)).not.toBe(encryptSecret("same", CONTEXT));
+  });
+
+  it("passes null and already encrypted values through", () => {
+    const encrypted = encryptSecret("secret", CONTEXT);
+
+    expect(encryptSecret(null, CONTEXT)).toBeNull();
+    expect(encryptSecret(encrypted, CONTEXT)).toBe(encrypted);
+    expect(decryptSecret(null, CONTEXT)).toBeNull();
+  });
+
+  it("returns legacy plaintext as-is", () => {
+    expect(isEncrypted("plain")).toBe(false);
+    expect(decryptSecret("plain", CONTEXT)).toBe("plain");
+  });
+
+  it("binds the value to its context", () => {
+    const encrypted = encryptSecret("secret", CONTEXT);
+    expect(() => decryptSecret(encrypted, "CustomerToken.refreshToken")).toThrow();
+  });
+
+  it("detects tampering", () => {
+    const encrypted = encryptSecret("secret", CONTEXT);
+    const flipLastByte = (part) => {
+      const data = Buffer.from(part, "base64");
+      data[data.length - 1] ^= 1;
+      return data.toString("base64");
+    };
+
+    expect(() => decryptSecret(changePart(encrypted, 4, flipLastByte), CONTEXT)).toThrow();
+    expect(() => decryptSecret(changePart(encrypted, 3, flipLastByte), CONTEXT)).toThrow();
+  });
+
+  it("rejects malformed envelopes", () => {
+    expect(() => decryptSecret("enc:v2:2025-01:a:b", CONTEXT)).toThrow("Malformed encrypted value");
+    expect(() => decryptSecret("enc:v1:2025-01", CONTEXT)).toThrow("Malformed encrypted value");
+  });
+
+  it("fails when the key isn't configured", () => {
+    const encrypted = encryptSecret("secret", CONTEXT);
+    useKeys({ "2026-10": newKey });
+
+    expect(() => decryptSecret(encrypted, CONTEXT)).toThrow('Encryption key "2025-01" is not configured');
+  });
+
+  it("validates configured keys", () => {
+    useKeys({ "bad id": oldKey });
+    expect(() => encryptSecret("secret", CONTEXT)).toThrow('Invalid encryption key id "bad id"');
+
+    useKeys({ short: Buffer.alloc(16).toString("base64") });
+    expect(() => encryptSecret("secret", CONTEXT)).toThrow("must be 32 bytes");
+
+    useKeys({ "2025-01": oldKey }, "missing");
+    expect(() => encryptSecret("secret", CONTEXT)).toThrow('Active encryption key "missing" is not configured');
+  });
+
+  it("stores plaintext without keys outside production", () => {
+    useKeys({});
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+
+    expect(isEncryptionConfigured()).toBe(false);
+    expect(encryptSecret("secret", CONTEXT)).toBe("secret");
+  });
+
+  it("refuses to store secrets without keys in production", () => {
+    useKeys({});
+    vi.stubEnv("NODE_ENV", "production");
+
+    expect(() => encryptSecret("secret", CONTEXT)).toThrow("DATA_ENCRYPTION_KEYS must be set");
+  });
+
+  describe("key rotation", () => {
+    it("re-wraps values under the active key without changing the payload", () => {
+      const encrypted = encryptSecret("secret", CONTEXT);
+      useKeys({ "2026-10": newKey, "2025-01": oldKey });
+
+      const rotated = reencryptSecret(encrypted, CONTEXT);
+
+      expect(rotated).toMatch(/^enc:v1:2026-10:/);
+      expect(rotated.split(":")[4]).toBe(encrypted.split(":")[4]);
+      expect(decryptSecret(rotated, CONTEXT)).toBe("secret");
+
+      useKeys({ "2026-10": newKey });
+      expect(decryptSecret(rotated, CONTEXT)).toBe("secret");
+    });
+
+    it("writes new values with the active key", () => {
+      useKeys({ "2025-01": oldKey, "2026-10": newKey }, "2026-10");
+      expect(encryptSecret("secret", CONTEXT)).toMatch(/^enc:v1:2026-10:/);
+    });
+
+    it("leaves values under the active key alone", () => {
+      expect(reencryptSecret(encryptSecret("secret", CONTEXT), CONTEXT)).toBeNull();
+      expect(reencryptSecret(null, CONTEXT)).toBeNull();
+    });
+
+    it("encrypts legacy plaintext", () => {
+      const encrypted = reencryptSecret("plain", CONTEXT);
+
+      expect(isEncrypted(encrypted)).toBe(true);
+      expect(decryptSecret(encrypted, CONTEXT)).toBe("plain");
+    });
+
+    it("does nothing without keys", () => {
+      useKeys({});
+      expect(reencryptSecret("plain", CONTEXT)).toBeNull();
+    });
+  });
+});
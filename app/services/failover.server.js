@@ -0,0 +1,230 @@
+/**
+ * Failover Service
+ * Retries overloaded providers with exponential backoff and falls over to secondary providers
+ */
+import AppConfig from "./config.server";
+import { createLLMService } from "./llm.server";
+import { normalizeContent } from "./message-format.server";
+
+/**
+ * HTTP statuses that indicate a transient provider failure
+ */
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504, 529];
+
+/**
+ * Checks whether an error is a transient rate limit / overload error
+ * @param {Error} error - The error thrown by a provider
+ * @returns {boolean} True if the request should be retried
+ */
+export function isRetryableError(error) {
+  if (!error) return false;
+
+  if (RETRYABLE_STATUSES.includes(error.status)) {
+    return true;
+  }
+
+  // Errors raised mid-stream carry no HTTP status, only the error type
+  const errorType = error.error?.error?.type || error.error?.type;
+  if (errorType === 'overloaded_error' || errorType === 'rate_limit_error') {
+    return true;
+  }
+
+  return /overloaded|rate limit/i.test(error.message || '');
+}
+
+/**
+ * Calculates the delay before a retry attempt
+ * @param {number} attempt - The retry attempt number (1-based)
+ * @param {Object} retry - Retry configuration
+ * @returns {number} Delay in milliseconds
+ */
+function getBackoffDelay(attempt, retry) {
+  const exponential = retry.baseDelayMs * Math.pow(2, attempt - 1);
+  const jitter = Math.random() * retry.baseDelayMs;
+  return Math.min(exponential + jitter, retry.maxDelayMs);
+}
+
+/**
+ * Waits for the given number of milliseconds
+ * @param {number} ms - Milliseconds to wait
+ * @param {AbortSignal} signal - Cuts the wait short when aborted
+ * @returns {Promise<void>} Rejects with the abort reason if aborted
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Appends already-streamed text as a partial assistant message so the next
+ * attempt continues the answer instead of starting over
+ * @param {Array} messages - Conversation history
+ * @param {string} partialText - Text already sent to the client
+ * @returns {Array} Messages to send on the next attempt
+ */
+function withPartialResponse(messages, partialText) {
+  if (!partialText.trim()) {
+    return messages;
+  }
+
+  return [
+    ...messages,
+    {
+      role: 'assistant',
+      // Claude rejects assistant prefill that ends in whitespace
+      content: [{ type: 'text', text: partialText.trimEnd() }]
+    }
+  ];
+}
+
+/**
+ * Merges the partial text back into a completed message and tags its provider
+ * @param {Object} message - The message returned by the provider
+ * @param {string} partialText - Text streamed before the failover
+ * @param {string} provider - Name of the provider that produced the message
+ * @returns {Object} The merged message
+ */
+function mergePartialResponse(message, partialText, provider) {
+  if (!partialText) {
+    return { ...message, provider };
+  }
+
+  const content = normalizeContent(message.content);
+  const textIndex = content.findIndex(block => block.type === 'text');
+
+  if (textIndex === -1) {
+    content.unshift({ type: 'text', text: partialText });
+  } else {
+    content[textIndex] = { ...content[textIndex], text: partialText + content[textIndex].text };
+  }
+
+  return { ...message, content, provider };
+}
+
+/**
+ * Creates a service that streams from a primary provider with retries and failover
+ * @param {Object} options - Failover options
+ * @param {string} options.primary - Primary provider name
+ * @param {Array<string>} options.fallbacks - Secondary provider names, in order
+ * @param {Object} options.retry - Retry configuration
+ * @returns {Object} Service with the same streamConversation contract as a provider
+ */
+export function createFailoverService({
+  primary,
+  fallbacks = [],
+  retry = AppConfig.llm.retry
+}) {
+  const providerNames = [primary, ...fallbacks.filter(name => name !== primary)];
+  // Retries happen here, with backoff, so the SDKs mustn't retry on their own too
+  const clientOptions = { maxRetries: 0 };
+  const primaryService = createLLMService(primary, clientOptions);
+
+  /**
+   * Streams a conversation, retrying and failing over on transient errors
+   * @param {Object} params - Stream parameters passed through to the provider
+   * @param {Object} streamHandlers - Stream event handlers
+   * @param {Function} streamHandlers.onProvider - Called with the provider's name before each attempt
+   * @returns {Promise<Object>} The final message, tagged with the answering provider
+   */
+  const streamConversation = async (params, streamHandlers) => {
+    // Shared across attempts so partial output survives a retry
+    const progress = { streamedText: '', messageEmitted: false };
+    let firstError = null;
+
+    for (const providerName of providerNames) {
+      let service;
+      try {
+        service = providerName === primary ? primaryService : createLLMService(providerName, clientOptions);
+      } catch (error) {
+        console.warn(`Skipping unavailable provider ${providerName}:`, error.message);
+        continue;
+      }
+
+      for (let attempt = 0; attempt <= retry.maxRetries; attempt++) {
+        if (attempt > 0) {
+          const delay = getBackoffDelay(attempt, retry);
+          console.log(`Retrying ${providerName} in ${Math.round(delay)}ms (attempt ${attempt + 1})`);
+          await sleep(delay, params.signal);
+        }
+
+        const partialText = progress.streamedText;
+        if (streamHandlers.onProvider) {
+          streamHandlers.onProvider(providerName);
+        }
+
+        try {
+          const finalMessage = await service.streamConversation(
+            {
+              ...params,
+              messages: withPartialResponse(params.messages, partialText)
+            },
+            {
+              ...streamHandlers,
+              onText: (textDelta) => {
+                progress.streamedText += textDelta;
+                if (streamHandlers.onText) {
+                  streamHandlers.onText(textDelta);
+                }
+              },
+              onMessage: (message) => {
+                progress.messageEmitted = true;
+                if (streamHandlers.onMessage) {
+                  streamHandlers.onMessage(mergePartialResponse(message, partialText, providerName));
+                }
+              }
+            }
+          );
+
+          return mergePartialResponse(finalMessage, partialText, providerName);
+        } catch (error) {
+          // Once the message is out, tools may have run; never replay the turn.
+          // An aborted request has no one to answer, so don't try another provider either.
+          if (progress.messageEmitted || params.signal?.aborted) {
+            throw error;
+          }
+
+          if (!isRetryableError(error)) {
+            if (!firstError) {
+              throw error;
+            }
+            console.warn(`Fallback provider ${providerName} failed:`, error.message);
+            break;
+          }
+
+          firstError = firstError || error;
+          console.warn(`Provider ${providerName} unavailable (attempt ${attempt + 1}):`, error.message);
+        }
+      }
+
+      console.warn(`Provider ${providerName} exhausted, failing over`);
+    }
+
+    throw firstError;
+  };
+
+  return {
+    provider: primary,
+    streamConversation,
+    getSystemPrompt: primaryService.getSystemPrompt
+  };
+}
+
+export default {
+  createFailoverService,
+  isRetryableError
+};
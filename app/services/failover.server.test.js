@@ -0,0 +1,63 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { createLLMService } from "./llm.server";
+import { createFailoverService } from "./failover.server";
+
+vi.mock("./llm.server", () => ({
+  createLLMService: vi.fn()
+}));
+
+const retry = { maxRetries: 2, baseDelayMs: 1, maxDelayMs: 1 };
+
+/**
+ * Builds an error the way the SDKs report an overloaded provider
+ * @returns {Error} The error
+ */
+function overloaded() {
+  return Object.assign(new Error("Overloaded"), { status: 529 });
+}
+
+describe("createFailoverService", () => {
+  beforeEach(() => {
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.resetAllMocks();
+    vi.restoreAllMocks();
+  });
+
+  it("turns off the SDKs' own retries", async () => {
+    createLLMService.mockReturnValue({ streamConversation: vi.fn(async () => ({ content: [] })) });
+
+    await createFailoverService({ primary: "claude", fallbacks: ["openai"], retry })
+      .streamConversation({ messages: [] }, {});
+
+    expect(createLLMService).toHaveBeenCalledWith("claude", { maxRetries: 0 });
+  });
+
+  it("calls each provider at most once per retry before failing over", async () => {
+    const claude = vi.fn(async () => { throw overloaded(); });
+    const openai = vi.fn(async () => ({ content: [{ type: "text", text: "Hi" }] }));
+    createLLMService.mockImplementation(name => ({ streamConversation: name === "claude" ? claude : openai }));
+
+    const message = await createFailoverService({ primary: "claude", fallbacks: ["openai"], retry })
+      .streamConversation({ messages: [] }, {});
+
+    expect(claude).toHaveBeenCalledTimes(retry.maxRetries + 1);
+    expect(createLLMService).toHaveBeenCalledWith("openai", { maxRetries: 0 });
+    expect(message.provider).toBe("openai");
+  });
+
+  it("reports the provider answering each attempt", async () => {
+    const claude = vi.fn(async () => { throw overloaded(); });
+    const openai = vi.fn(async () => ({ content: [] }));
+    createLLMService.mockImplementation(name => ({ streamConversation: name === "claude" ? claude : openai }));
+    const onProvider = vi.fn();
+
+    await createFailoverService({ primary: "claude", fallbacks: ["openai"], retry: { ...retry, maxRetries: 0 } })
+      .streamConversation({ messages: [] }, { onProvider });
+
+    expect(onProvider.mock.calls).toEqual([["claude"], ["openai"]]);
+  });
+});
@@ -39,7 +39,7 @@ export async function searchProductsFallback(request, query) {
                   currencyCode
                 }
               }
-              variants(first: 5) {
+              variants(first: 25) {
                 edges {
                   node {
                     id
@@ -0,0 +1,116 @@
+/**
+ * Handoff Service
+ * Lets the assistant hand a conversation to the shop's staff and lets staff reply in it
+ *
+ * A conversation's status says who is answering: the assistant (`bot`), nobody yet
+ * (`pending_human`), a staff member (`human`) or nobody because staff closed it
+ * (`closed`). The assistant stays silent while the status is `pending_human` or
+ * `human`; shopper messages are still stored so staff see them.
+ */
+import AppConfig from "./config.server";
+import { saveMessage, updateConversationStatus } from "../db.server";
+import { ANALYTICS_EVENTS, trackEvent } from "./analytics.server";
+
+/**
+ * Conversation statuses
+ */
+export const CONVERSATION_STATUS = {
+  bot: 'bot',
+  pendingHuman: 'pending_human',
+  human: 'human',
+  closed: 'closed'
+};
+
+/**
+ * Tool offered to the model alongside the MCP tools
+ */
+export const ESCALATE_TOOL = {
+  name: 'escalate_to_human',
+  description: "Hand the conversation to a member of the store's staff. Use this when the customer asks for a person, when a request needs a human decision (for example an exception to the return policy, a damaged or missing order, or a billing dispute), or when you cannot resolve the issue with the other tools. After calling it, tell the customer that a team member will reply in this chat and stop trying to solve the issue yourself.",
+  input_schema: {
+    type: 'object',
+    properties: {
+      reason: {
+        type: 'string',
+        description: 'Short summary for the staff member: what the customer needs and anything already tried'
+      }
+    },
+    required: ['reason']
+  }
+};
+
+/**
+ * Checks whether the assistant must stay quiet in a conversation
+ * @param {string} status - The conversation status
+ * @returns {boolean} True while the conversation is waiting for or owned by staff
+ */
+export function isBotSilenced(status) {
+  return status === CONVERSATION_STATUS.pendingHuman || status === CONVERSATION_STATUS.human;
+}
+
+/**
+ * Returns the tools to offer the model, with the escalation tool added when enabled
+ * @param {Array} tools - The MCP or fallback tools
+ * @returns {Array} The tools to send to the model
+ */
+export function withHandoffTool(tools) {
+  if (!AppConfig.handoff.enabled || tools.some(tool => tool.name === ESCALATE_TOOL.name)) {
+    return tools;
+  }
+  return [...tools, ESCALATE_TOOL];
+}
+
+/**
+ * Hands a conversation to staff at the model's request
+ * @param {Object} params - Escalation parameters
+ * @param {string} params.shop - The shop domain
+ * @param {string} params.conversationId - The conversation ID
+ * @param {Object} params.input - The tool input from the model
+ * @returns {Promise<Object>} A tool result in the MCP `{ content }` shape
+ */
+export async function escalateToHuman({ shop, conversationId, input }) {
+  const reason = typeof input?.reason === 'string'
+    ? input.reason.trim().slice(0, AppConfig.handoff.maxReasonLength)
+    : '';
+
+  await updateConversationStatus(conversationId, CONVERSATION_STATUS.pendingHuman, { reason: reason || null });
+
+  trackEvent(shop, ANALYTICS_EVENTS.handoff, { conversationId, metadata: reason ? { reason } : null });
+
+  return {
+    content: [{
+      type: 'text',
+      text: JSON.stringify({
+        status: CONVERSATION_STATUS.pendingHuman,
+        instructions: "The conversation is now queued for the store's staff. Tell the customer a team member will reply here, then stop."
+      })
+    }]
+  };
+}
+
+/**
+ * Posts a staff reply and gives the conversation to staff
+ * @param {Object} params - Reply parameters
+ * @param {string} params.conversationId - The conversation ID
+ * @param {string} params.text - The reply text
+ * @param {string|null} params.authorName - The staff member's display name
+ * @returns {Promise<Object>} The saved message
+ */
+export async function replyAsStaff({ conversationId, text, authorName }) {
+  const message = await saveMessage(conversationId, 'staff', JSON.stringify([{ type: 'text', text }]), {
+    authorName
+  });
+
+  await updateConversationStatus(conversationId, CONVERSATION_STATUS.human);
+
+  return message;
+}
+
+export default {
+  CONVERSATION_STATUS,
+  ESCALATE_TOOL,
+  isBotSilenced,
+  withHandoffTool,
+  escalateToHuman,
+  replyAsStaff
+};
@@ -0,0 +1,277 @@
+/**
+ * History Service
+ * Builds token-budgeted conversation history and maintains a rolling summary of older turns
+ */
+import AppConfig from "./config.server";
+import { getConversation, getConversationHistory, updateConversationSummary, saveMessage } from "../db.server";
+import { normalizeMessage, toModelMessage, toolResultToText, getMessageText } from "./message-format.server";
+import { getShopBudgetStatus } from "./usage.server";
+
+/**
+ * Conversations with a summary call in progress; summaries run after the turn
+ * closes, so the next turn can start before one finishes
+ */
+const summariesInProgress = new Set();
+
+/**
+ * Removes consecutive duplicate messages
+ * @param {Array} dbMessages - Messages from the database
+ * @returns {Array} Messages without consecutive duplicates
+ */
+function removeConsecutiveDuplicates(dbMessages) {
+  return dbMessages.filter((current, i) => {
+    const previous = dbMessages[i - 1];
+    return !previous || current.content !== previous.content || current.role !== previous.role;
+  });
+}
+
+/**
+ * Checks whether a message starts a new turn (a user message that isn't a tool result)
+ * @param {Object} message - Message in canonical format
+ * @returns {boolean} True if the message starts a turn
+ */
+function isTurnStart(message) {
+  return message.role === 'user' &&
+    !message.content.some(block => block.type === 'tool_result');
+}
+
+/**
+ * Groups messages into turns so tool_use/tool_result pairs are never split
+ * @param {Array} entries - Array of { dbMessage, message } entries
+ * @returns {Array<Array>} Turns, each an array of entries
+ */
+function groupIntoTurns(entries) {
+  const turns = [];
+
+  for (const entry of entries) {
+    if (turns.length === 0 || isTurnStart(entry.message)) {
+      turns.push([entry]);
+    } else {
+      turns[turns.length - 1].push(entry);
+    }
+  }
+
+  return turns;
+}
+
+/**
+ * Estimates the token count of a message
+ * @param {Object} message - Message in canonical format
+ * @returns {number} Approximate token count
+ */
+export function estimateTokens(message) {
+  return Math.ceil(JSON.stringify(message.content).length / AppConfig.history.charsPerToken);
+}
+
+/**
+ * Drops tool_use blocks without a following tool_result and tool_result blocks
+ * without a preceding tool_use, so the history is always a valid request
+ * @param {Array} messages - Messages in canonical format
+ * @returns {Array} Repaired messages
+ */
+export function repairToolPairs(messages) {
+  const repaired = messages.map((message, i) => {
+    const previous = messages[i - 1];
+    const next = messages[i + 1];
+
+    const content = message.content.filter(block => {
+      if (block.type === 'tool_use') {
+        return next?.content.some(b => b.type === 'tool_result' && b.tool_use_id === block.id);
+      }
+      if (block.type === 'tool_result') {
+        return previous?.content.some(b => b.type === 'tool_use' && b.id === block.tool_use_id);
+      }
+      return true;
+    });
+
+    return { ...message, content };
+  });
+
+  const nonEmpty = repaired.filter(message => message.content.length > 0);
+
+  // Conversations must start with a user message
+  while (nonEmpty.length > 0 && nonEmpty[0].role !== 'user') {
+    nonEmpty.shift();
+  }
+
+  return nonEmpty;
+}
+
+/**
+ * Renders messages as a plain-text transcript for summarization
+ * @param {Array} messages - Messages in canonical format
+ * @returns {string} Transcript text
+ */
+function renderTranscript(messages) {
+  const lines = [];
+
+  for (const message of messages) {
+    for (const block of message.content) {
+      if (block.type === 'text' && block.text) {
+        lines.push(`${message.role === 'user' ? 'Customer' : 'Assistant'}: ${block.text}`);
+      } else if (block.type === 'tool_use') {
+        lines.push(`Assistant called ${block.name} with ${JSON.stringify(block.input)}`);
+      } else if (block.type === 'tool_result') {
+        const result = toolResultToText(block.content);
+        lines.push(`Tool result: ${result.substring(0, AppConfig.history.maxToolResultChars)}`);
+      }
+    }
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Creates a history service instance
+ * @param {Object} llmService - LLM service used to write summaries
+ * @returns {Object} History service with methods for building and summarizing history
+ */
+export function createHistoryService(llmService) {
+  /**
+   * Splits stored messages into recent turns that fit the token budget and older turns
+   * @param {Array} dbMessages - Messages from the database
+   * @returns {Object} { recent, older } arrays of { dbMessage, message } entries
+   */
+  const splitHistory = (dbMessages) => {
+    const entries = removeConsecutiveDuplicates(dbMessages).map(dbMessage => ({
+      dbMessage,
+      message: toModelMessage(normalizeMessage(dbMessage))
+    }));
+
+    const turns = groupIntoTurns(entries);
+    const recentTurns = [];
+    let tokens = 0;
+
+    // Walk backwards, always keeping the latest turn
+    for (let i = turns.length - 1; i >= 0; i--) {
+      const turnTokens = turns[i].reduce((sum, entry) => sum + estimateTokens(entry.message), 0);
+      if (recentTurns.length > 0 && tokens + turnTokens > AppConfig.history.maxTokens) {
+        break;
+      }
+      tokens += turnTokens;
+      recentTurns.unshift(turns[i]);
+    }
+
+    const olderTurns = turns.slice(0, turns.length - recentTurns.length);
+
+    return {
+      recent: recentTurns.flat(),
+      older: olderTurns.flat()
+    };
+  };
+
+  /**
+   * Builds the history to send to the model along with the stored summary
+   * @param {string} conversationId - The conversation ID
+   * @param {Array} dbMessages - Messages from the database
+   * @returns {Promise<Object>} { messages, summary }
+   */
+  const buildHistory = async (conversationId, dbMessages) => {
+    const { recent, older } = splitHistory(dbMessages);
+    const conversation = older.length > 0 ? await getConversation(conversationId) : null;
+
+    if (older.length > 0) {
+      console.log(`History: keeping ${recent.length} messages, ${older.length} older messages covered by summary`);
+    }
+
+    return {
+      messages: repairToolPairs(recent.map(entry => entry.message)),
+      summary: conversation?.summary || null
+    };
+  };
+
+  /**
+   * Folds older turns that fell out of the budget into the rolling summary
+   * Turns that aren't summarized because the call fails, times out or is aborted are
+   * picked up on the next turn. A conversation is only summarized by one call at a time.
+   * The call is billed to the shop like any reply: it is skipped once the monthly budget
+   * is spent, and its usage is saved as a "summary" message in the conversation.
+   * @param {string} conversationId - The conversation ID
+   * @param {Object} [options] - Summary options
+   * @param {string} [options.shop] - The shop domain, for the budget check and prompt
+   * @param {AbortSignal} [options.signal] - Aborts the summary call, e.g. when the shopper disconnects
+   * @returns {Promise<string|null>} The updated summary, or null if nothing changed
+   */
+  const updateSummary = async (conversationId, { shop, signal } = {}) => {
+    if (summariesInProgress.has(conversationId)) {
+      return null;
+    }
+    summariesInProgress.add(conversationId);
+
+    try {
+      const dbMessages = await getConversationHistory(conversationId);
+      const { older } = splitHistory(dbMessages);
+
+      if (older.length === 0) {
+        return null;
+      }
+
+      const conversation = await getConversation(conversationId);
+      const summarizedThrough = conversation?.summarizedThrough;
+      const unsummarized = older.filter(entry =>
+        !summarizedThrough || entry.dbMessage.createdAt > summarizedThrough
+      );
+
+      if (unsummarized.length === 0) {
+        return null;
+      }
+
+      const transcript = renderTranscript(unsummarized.map(entry => entry.message));
+      const request = [
+        conversation?.summary ? `Existing summary:\n${conversation.summary}` : null,
+        `New conversation excerpt:\n${transcript}`
+      ].filter(Boolean).join('\n\n');
+
+      // A summary is optional, so skip it when the budget is spent or can't be checked
+      if (shop) {
+        const budget = await getShopBudgetStatus(shop);
+        if (budget.status === 'exceeded') {
+          console.warn(`Skipping conversation summary, monthly budget exceeded for ${shop}`);
+          return null;
+        }
+      }
+
+      const timeout = AbortSignal.timeout(AppConfig.history.summaryTimeoutMs);
+      const finalMessage = await llmService.streamConversation({
+        messages: [{ role: 'user', content: [{ type: 'text', text: request }] }],
+        promptType: AppConfig.history.summaryPromptType,
+        shop,
+        signal: signal ? AbortSignal.any([signal, timeout]) : timeout
+      }, {});
+
+      // Record what the call cost against the conversation, and so the shop
+      await saveMessage(conversationId, 'summary', JSON.stringify(finalMessage.content || []), {
+        provider: finalMessage.provider,
+        usage: finalMessage.usage
+      });
+
+      const summary = getMessageText(finalMessage).trim();
+      if (!summary) {
+        return null;
+      }
+
+      const lastSummarized = unsummarized[unsummarized.length - 1].dbMessage;
+      await updateConversationSummary(conversationId, summary, lastSummarized.createdAt);
+
+      console.log(`Updated conversation summary through ${unsummarized.length} more messages`);
+      return summary;
+    } catch (error) {
+      console.error('Error updating conversation summary:', error);
+      return null;
+    } finally {
+      summariesInProgress.delete(conversationId);
+    }
+  };
+
+  return {
+    splitHistory,
+    buildHistory,
+    updateSummary
+  };
+}
+
+export default {
+  createHistoryService,
+  estimateTokens,
+  repairToolPairs
+};
@@ -0,0 +1,95 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import AppConfig from "./config.server";
+import { getConversation, getConversationHistory, updateConversationSummary, saveMessage } from "../db.server";
+import { getShopBudgetStatus } from "./usage.server";
+import { createHistoryService } from "./history.server";
+
+vi.mock("../db.server", () => ({
+  getConversation: vi.fn(),
+  getConversationHistory: vi.fn(),
+  updateConversationSummary: vi.fn(),
+  saveMessage: vi.fn()
+}));
+
+vi.mock("./usage.server", () => ({
+  getShopBudgetStatus: vi.fn()
+}));
+
+/**
+ * Builds a stored message
+ * @param {string} role - Message role
+ * @param {string} text - Message text
+ * @param {number} minute - When it was sent, in minutes after the first message
+ * @returns {Object} The message row
+ */
+function row(role, text, minute) {
+  return {
+    role,
+    content: JSON.stringify([{ type: "text", text }]),
+    createdAt: new Date(Date.UTC(2026, 0, 1, 0, minute))
+  };
+}
+
+const SUMMARY_MESSAGE = {
+  role: "assistant",
+  content: [{ type: "text", text: "Asked about tees." }],
+  provider: "claude",
+  usage: { model: "claude", inputTokens: 10, outputTokens: 5 }
+};
+
+describe("updateSummary", () => {
+  const { maxTokens } = AppConfig.history;
+
+  beforeEach(() => {
+    // Only the latest turn fits, so every earlier turn needs summarizing
+    AppConfig.history.maxTokens = 1;
+    getConversationHistory.mockResolvedValue([
+      row("user", "Do you sell tees?", 0),
+      row("assistant", "Yes", 1),
+      row("user", "In blue?", 2)
+    ]);
+    getConversation.mockResolvedValue({ summary: null, summarizedThrough: null });
+    getShopBudgetStatus.mockResolvedValue({ status: "ok" });
+    vi.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    AppConfig.history.maxTokens = maxTokens;
+    vi.resetAllMocks();
+    vi.restoreAllMocks();
+  });
+
+  it("folds older turns into the summary", async () => {
+    const llmService = { streamConversation: vi.fn(async () => SUMMARY_MESSAGE) };
+
+    expect(await createHistoryService(llmService).updateSummary("c1", { shop: "a.myshopify.com" }))
+      .toBe("Asked about tees.");
+    expect(updateConversationSummary).toHaveBeenCalledWith("c1", "Asked about tees.", new Date(Date.UTC(2026, 0, 1, 0, 1)));
+    expect(saveMessage).toHaveBeenCalled();
+  });
+
+  it("runs one summary call at a time per conversation", async () => {
+    let finish;
+    const llmService = {
+      streamConversation: vi.fn(() => new Promise(resolve => { finish = () => resolve(SUMMARY_MESSAGE); }))
+    };
+    const historyService = createHistoryService(llmService);
+
+    const first = historyService.updateSummary("c1", { shop: "a.myshopify.com" });
+    expect(await historyService.updateSummary("c1", { shop: "a.myshopify.com" })).toBeNull();
+
+    await vi.waitUntil(() => finish);
+    finish();
+    expect(await first).toBe("Asked about tees.");
+    expect(llmService.streamConversation).toHaveBeenCalledTimes(1);
+  });
+
+  it("skips the call once the budget is spent", async () => {
+    getShopBudgetStatus.mockResolvedValue({ status: "exceeded" });
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+    const llmService = { streamConversation: vi.fn() };
+
+    expect(await createHistoryService(llmService).updateSummary("c1", { shop: "a.myshopify.com" })).toBeNull();
+    expect(llmService.streamConversation).not.toHaveBeenCalled();
+  });
+});
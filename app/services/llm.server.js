@@ -0,0 +1,94 @@
+/**
+ * LLM Provider Service
+ * Registry of interchangeable LLM providers sharing the streamConversation contract
+ */
+import AppConfig from "./config.server";
+import { createClaudeService } from "./claude.server";
+import { createOpenAIService } from "./openai.server";
+import { createLocalService } from "./local.server";
+
+/**
+ * Registered provider factories keyed by provider name
+ */
+const providers = {
+  claude: createClaudeService,
+  openai: createOpenAIService,
+  local: createLocalService
+};
+
+/**
+ * Registers an additional provider factory
+ * @param {string} name - Provider name
+ * @param {Function} factory - Function of (apiKey, options) returning an object with streamConversation
+ */
+export function registerProvider(name, factory) {
+  providers[name] = factory;
+}
+
+/**
+ * Lists the names of all registered providers
+ * @returns {Array<string>} Provider names
+ */
+export function getProviderNames() {
+  return Object.keys(providers);
+}
+
+/**
+ * Resolves which provider should handle a request
+ * Order of precedence: request override (if allowed), per-shop config, default.
+ * @param {Object} options - Resolution options
+ * @param {string} options.shop - The shop domain
+ * @param {string} options.requested - Provider requested by the client
+ * @returns {string} The provider name
+ */
+export function resolveProviderName({ shop, requested } = {}) {
+  if (requested && AppConfig.llm.allowRequestOverride && providers[requested]) {
+    return requested;
+  }
+
+  const shopProvider = shop && AppConfig.llm.shopProviders[shop];
+  if (shopProvider && providers[shopProvider]) {
+    return shopProvider;
+  }
+
+  if (providers[AppConfig.llm.defaultProvider]) {
+    return AppConfig.llm.defaultProvider;
+  }
+
+  return 'claude';
+}
+
+/**
+ * Resolves the ordered fallback providers for a primary provider
+ * @param {string} primary - The primary provider name
+ * @returns {Array<string>} Registered fallback provider names, excluding the primary
+ */
+export function resolveFallbackProviders(primary) {
+  return AppConfig.llm.fallbackProviders.filter(name => name !== primary && providers[name]);
+}
+
+/**
+ * Creates an LLM service for the given provider
+ * @param {string} name - Provider name
+ * @param {Object} options - Client options passed to the provider factory
+ * @param {number} options.maxRetries - Retries the provider's SDK makes on its own
+ * @returns {Object} Service with streamConversation and getSystemPrompt
+ * @throws {Error} If the provider is not registered
+ */
+export function createLLMService(name = AppConfig.llm.defaultProvider, options = {}) {
+  const factory = providers[name];
+
+  if (!factory) {
+    throw new Error(`Unknown LLM provider: ${name}`);
+  }
+
+  return factory(undefined, options);
+}
+
+export default {
+  createLLMService,
+  resolveProviderName,
+  resolveFallbackProviders,
+  registerProvider,
+  getProviderNames
+};
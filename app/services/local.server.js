@@ -0,0 +1,84 @@
+/**
+ * Local Service
+ * Deterministic offline provider used for development and testing
+ */
+import AppConfig from "./config.server";
+import { getSystemPrompt as resolveSystemPrompt } from "./prompt.server";
+import { getMessageText } from "./message-format.server";
+
+/**
+ * Creates a local stub service instance
+ * Produces a predictable reply without calling any external API, using the
+ * same streamConversation contract as the Claude and OpenAI services.
+ * @returns {Object} Local service with methods matching the LLM service shape
+ */
+export function createLocalService() {
+  /**
+   * Streams a canned response echoing the latest user text
+   * @param {Object} params - Stream parameters
+   * @param {Array} params.messages - Conversation history
+   * @param {string} params.promptType - The type of system prompt to use
+   * @param {AbortSignal} params.signal - Aborts the reply when the client disconnects
+   * @param {Object} streamHandlers - Stream event handlers
+   * @param {Function} streamHandlers.onText - Handles text chunks
+   * @param {Function} streamHandlers.onMessage - Handles complete messages
+   * @returns {Promise<Object>} The final message
+   */
+  const streamConversation = async ({
+    messages,
+    promptType = AppConfig.api.defaultPromptType,
+    signal
+  }, streamHandlers) => {
+    signal?.throwIfAborted();
+
+    const lastUserText = [...messages]
+      .reverse()
+      .filter(message => message.role === 'user')
+      .map(getMessageText)
+      .find(text => text.length > 0) || '';
+
+    const text = `[${promptType}] You said: ${lastUserText}`;
+
+    // Stream word by word so clients exercise the same chunk handling
+    if (streamHandlers.onText) {
+      const words = text.split(/(\s+)/);
+      for (const word of words) {
+        if (word) {
+          streamHandlers.onText(word);
+        }
+      }
+    }
+
+    const finalMessage = {
+      role: "assistant",
+      content: [{ type: "text", text }],
+      stop_reason: "end_turn"
+    };
+
+    if (streamHandlers.onMessage) {
+      streamHandlers.onMessage(finalMessage);
+    }
+
+    return finalMessage;
+  };
+
+  /**
+   * Gets the system prompt content for a given prompt type
+   * @param {string} promptType - The prompt type to retrieve
+   * @param {string} shop - The shop domain
+   * @returns {Promise<string>} The system prompt content
+   */
+  const getSystemPrompt = (promptType, shop) => {
+    return resolveSystemPrompt(promptType, shop);
+  };
+
+  return {
+    provider: 'local',
+    streamConversation,
+    getSystemPrompt
+  };
+}
+
+export default {
+  createLocalService
+};
@@ -0,0 +1,143 @@
+/**
+ * MCP Context Service
+ * Uses MCP resources and prompts in conversations: resources the merchant selects
+ * (store policies, FAQ pages) are added to the system prompt, and an MCP prompt
+ * can replace the system prompt when the theme block picks one.
+ */
+import AppConfig from "./config.server";
+import MCPClient from "../mcp-client";
+import { getShopMcpResources } from "../db.server";
+import { getShopMcpConnections } from "./mcp-servers.server";
+import { stripHtml } from "./prompt.server";
+
+/**
+ * Prompt types starting with this name an MCP prompt, e.g. "mcp:shopping_assistant"
+ */
+export const MCP_PROMPT_PREFIX = 'mcp:';
+
+/**
+ * Checks whether a prompt type names an MCP prompt
+ * @param {string} promptType - The prompt type sent by the widget
+ * @returns {boolean} True for "mcp:<prompt name>"
+ */
+export function isMcpPromptType(promptType) {
+  return typeof promptType === 'string' &&
+    promptType.startsWith(MCP_PROMPT_PREFIX) &&
+    promptType.length > MCP_PROMPT_PREFIX.length;
+}
+
+/**
+ * Converts resource contents to plain text
+ * @param {Array} contents - Text contents from MCPClient.readResource
+ * @returns {string} The text
+ */
+function contentsToText(contents) {
+  return contents
+    .map(content => content.mimeType === 'text/html' ? stripHtml(content.text) : content.text.trim())
+    .filter(Boolean)
+    .join('\n\n');
+}
+
+/**
+ * Reads the shop's selected resources and formats them for the system prompt
+ * Resources from servers that aren't connected or can't be read are left out.
+ * @param {MCPClient} mcpClient - A client connected to the shop's servers
+ * @param {string} shop - The shop domain
+ * @returns {Promise<string|null>} The context section, or null if there's nothing to add
+ */
+export async function buildResourceContextPrompt(mcpClient, shop) {
+  const selected = await getShopMcpResources(shop);
+  if (selected.length === 0) {
+    return null;
+  }
+
+  const results = await Promise.allSettled(
+    selected.map(resource => mcpClient.readResource(resource.server, resource.uri))
+  );
+
+  const { maxResourceChars, maxResourceContextChars } = AppConfig.mcp;
+  const sections = [];
+  let length = 0;
+
+  results.forEach((result, index) => {
+    const resource = selected[index];
+
+    if (result.status === 'rejected') {
+      console.warn(`Could not read MCP resource ${resource.uri} from ${resource.server}:`, result.reason.message);
+      return;
+    }
+
+    const text = contentsToText(result.value).substring(0, maxResourceChars);
+    if (!text || length + text.length > maxResourceContextChars) {
+      return;
+    }
+
+    sections.push(`${resource.name}:\n${text}`);
+    length += text.length;
+  });
+
+  if (sections.length === 0) {
+    return null;
+  }
+
+  return `Store information (use it to answer questions about the store):\n\n${sections.join('\n\n')}`;
+}
+
+/**
+ * Gets the system prompt for an "mcp:<prompt name>" prompt type
+ * The prompt's messages are joined into one system prompt.
+ * @param {MCPClient} mcpClient - A client connected to the shop's servers
+ * @param {string} promptType - The prompt type
+ * @returns {Promise<string|null>} The system prompt, or null if the prompt can't be used
+ */
+export async function getMcpSystemPrompt(mcpClient, promptType) {
+  const name = promptType.slice(MCP_PROMPT_PREFIX.length);
+
+  try {
+    const prompt = await mcpClient.getPrompt(name);
+
+    const text = (prompt.messages || [])
+      .flatMap(message => Array.isArray(message.content) ? message.content : [message.content])
+      .map(content => content?.type === 'resource' ? content.resource?.text : content?.text)
+      .filter(Boolean)
+      .join('\n\n');
+
+    return text || null;
+  } catch (error) {
+    console.warn(`Could not get MCP prompt ${name}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Lists the resources and prompts offered by the shop's storefront and registered servers
+ * @param {string} shop - The shop domain
+ * @returns {Promise<Object>} { resources, prompts }
+ */
+export async function discoverMcpContent(shop) {
+  const mcpClient = new MCPClient(`https://${shop}`, null, shop, null);
+  const { connectTimeoutMs } = AppConfig.mcp;
+
+  try {
+    const connections = await getShopMcpConnections(shop);
+    await Promise.allSettled([
+      mcpClient.connectToStorefrontServer({ timeoutMs: connectTimeoutMs }),
+      ...connections.map(connection => mcpClient.connectToServer(connection, { timeoutMs: connectTimeoutMs }))
+    ]);
+
+    const resources = await mcpClient.listResources();
+    const prompts = await mcpClient.listPrompts();
+
+    return { resources, prompts };
+  } finally {
+    mcpClient.close();
+  }
+}
+
+export default {
+  MCP_PROMPT_PREFIX,
+  isMcpPromptType,
+  buildResourceContextPrompt,
+  getMcpSystemPrompt,
+  discoverMcpContent
+};
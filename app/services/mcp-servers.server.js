@@ -0,0 +1,293 @@
+/**
+ * MCP Server Service
+ * Third-party MCP servers merchants register for their shop, such as a
+ * warranty-registration or shipping-quote service. Their tools are offered to
+ * the model next to Shopify's, namespaced by the server's slug.
+ */
+import AppConfig from "./config.server";
+import MCPClient, { clearServerCache } from "../mcp-client";
+import { getShopMcpServers } from "../db.server";
+
+/**
+ * How a server authenticates requests from the app
+ */
+export const MCP_AUTH_TYPES = {
+  none: 'none',
+  header: 'header',
+  oauth: 'oauth'
+};
+
+/**
+ * Slugs used for Shopify's own servers
+ */
+const RESERVED_SLUGS = ['storefront', 'customer'];
+
+const SLUG_PATTERN = /^[a-z][a-z0-9_]{1,19}$/;
+const HEADER_NAME_PATTERN = /^[A-Za-z0-9-]+$/;
+const MAX_NAME_LENGTH = 100;
+
+/**
+ * OAuth access tokens by server, reused until shortly before they expire
+ */
+const oauthTokens = new Map();
+
+/**
+ * Checks whether a hostname points at this machine or a private network
+ * @param {string} hostname - The URL hostname
+ * @returns {boolean} True for localhost and private or link-local addresses
+ */
+function isPrivateHost(hostname) {
+  if (hostname === 'localhost' || hostname.endsWith('.localhost')) {
+    return true;
+  }
+
+  const ipv4 = hostname.match(/^(\d+)\.(\d+)\.\d+\.\d+$/);
+  if (ipv4) {
+    const [a, b] = [Number(ipv4[1]), Number(ipv4[2])];
+    return a === 10 || a === 127 || a === 0 ||
+      (a === 169 && b === 254) ||
+      (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168);
+  }
+
+  // IPv6 literals keep their brackets in URL.hostname
+  return /^\[(::1?|f[cd][0-9a-f]*:.*|fe80:.*)\]$/i.test(hostname);
+}
+
+/**
+ * Parses a URL the app will send requests to on the merchant's behalf
+ * Outside production, http URLs on localhost are allowed for testing servers locally.
+ * @param {string} value - The URL entered by the merchant
+ * @returns {URL|null} The URL, or null if it isn't allowed
+ */
+function parseServerUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return null;
+  }
+
+  if (process.env.NODE_ENV !== 'production' && isPrivateHost(url.hostname)) {
+    return ['http:', 'https:'].includes(url.protocol) ? url : null;
+  }
+
+  return url.protocol === 'https:' && !isPrivateHost(url.hostname) ? url : null;
+}
+
+/**
+ * Validates the server settings submitted from the admin
+ * Secret fields left blank keep the saved value of an existing server.
+ * @param {Object} input - Submitted fields
+ * @param {Object|null} existing - The saved server when editing
+ * @returns {Object} { data, errors } where data holds the fields to save
+ */
+export function validateMcpServerInput(input, existing = null) {
+  const errors = [];
+  const value = (field) => (input[field] || '').toString().trim();
+
+  const name = value('name');
+  const slug = value('slug').toLowerCase();
+  const url = parseServerUrl(value('url'));
+  const authType = Object.values(MCP_AUTH_TYPES).includes(value('authType'))
+    ? value('authType')
+    : MCP_AUTH_TYPES.none;
+
+  if (!name || name.length > MAX_NAME_LENGTH) {
+    errors.push(`Name is required and can be up to ${MAX_NAME_LENGTH} characters`);
+  }
+  if (!SLUG_PATTERN.test(slug) || RESERVED_SLUGS.includes(slug)) {
+    errors.push('Namespace must be 2-20 lowercase letters, numbers or underscores, start with a letter, and not be "storefront" or "customer"');
+  }
+  if (!url) {
+    errors.push('URL must be a public https address');
+  }
+
+  const data = {
+    name,
+    slug,
+    url: url?.toString(),
+    authType,
+    enabled: input.enabled === undefined ? true : input.enabled === 'true',
+    authHeaderName: null,
+    authHeaderValue: null,
+    oauthTokenUrl: null,
+    oauthClientId: null,
+    oauthClientSecret: null,
+    oauthScope: null
+  };
+
+  if (authType === MCP_AUTH_TYPES.header) {
+    data.authHeaderName = value('authHeaderName');
+    data.authHeaderValue = value('authHeaderValue') || (existing?.authHeaderValue ? undefined : '');
+
+    if (!HEADER_NAME_PATTERN.test(data.authHeaderName)) {
+      errors.push('Header name must only contain letters, numbers and dashes');
+    }
+    if (data.authHeaderValue === '') {
+      errors.push('Header value is required');
+    }
+  }
+
+  if (authType === MCP_AUTH_TYPES.oauth) {
+    const tokenUrl = parseServerUrl(value('oauthTokenUrl'));
+    data.oauthTokenUrl = tokenUrl?.toString() || null;
+    data.oauthClientId = value('oauthClientId');
+    data.oauthClientSecret = value('oauthClientSecret') || (existing?.oauthClientSecret ? undefined : '');
+    data.oauthScope = value('oauthScope') || null;
+
+    if (!tokenUrl) {
+      errors.push('Token URL must be a public https address');
+    }
+    if (!data.oauthClientId) {
+      errors.push('Client ID is required');
+    }
+    if (data.oauthClientSecret === '') {
+      errors.push('Client secret is required');
+    }
+  }
+
+  return { data, errors };
+}
+
+/**
+ * Gets an access token for a server with the OAuth client credentials grant
+ * @param {Object} server - The saved server
+ * @returns {Promise<string>} The access token
+ * @throws {Error} If the token endpoint doesn't issue a token
+ */
+async function getOAuthAccessToken(server) {
+  const cacheKey = `${server.id}:${new Date(server.updatedAt).getTime()}`;
+  const cached = oauthTokens.get(cacheKey);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.accessToken;
+  }
+
+  const response = await fetch(server.oauthTokenUrl, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      'Accept': 'application/json'
+    },
+    body: new URLSearchParams({
+      grant_type: 'client_credentials',
+      client_id: server.oauthClientId,
+      client_secret: server.oauthClientSecret,
+      ...(server.oauthScope ? { scope: server.oauthScope } : {})
+    }),
+    signal: AbortSignal.timeout(AppConfig.mcp.connectTimeoutMs)
+  });
+
+  if (!response.ok) {
+    throw new Error(`Token request failed: ${response.status}`);
+  }
+
+  const data = await response.json();
+  if (!data.access_token) {
+    throw new Error('Token response did not include an access token');
+  }
+
+  // Renew a minute early so a token doesn't expire mid-conversation turn
+  const expiresInSeconds = Number(data.expires_in) || 3600;
+  oauthTokens.set(cacheKey, {
+    accessToken: data.access_token,
+    expiresAt: Date.now() + Math.max(expiresInSeconds - 60, 0) * 1000
+  });
+
+  return data.access_token;
+}
+
+/**
+ * Builds the headers that authenticate the app with a server
+ * @param {Object} server - The saved server
+ * @returns {Promise<Object>} HTTP headers
+ */
+async function getServerHeaders(server) {
+  switch (server.authType) {
+    case MCP_AUTH_TYPES.header:
+      return { [server.authHeaderName]: server.authHeaderValue };
+    case MCP_AUTH_TYPES.oauth:
+      return { 'Authorization': `Bearer ${await getOAuthAccessToken(server)}` };
+    default:
+      return {};
+  }
+}
+
+/**
+ * Converts a saved server into what MCPClient.connectToServer expects
+ * @param {Object} server - The saved server
+ * @returns {Promise<Object>} { namespace, url, headers, enabledTools }
+ */
+async function toConnection(server) {
+  return {
+    namespace: server.slug,
+    url: server.url,
+    headers: await getServerHeaders(server),
+    enabledTools: server.enabledTools
+  };
+}
+
+/**
+ * Gets connection details for a shop's enabled MCP servers
+ * Servers whose credentials can't be obtained are skipped for this turn.
+ * @param {string} shop - The shop domain
+ * @returns {Promise<Array>} Connections for MCPClient.connectToServer
+ */
+export async function getShopMcpConnections(shop) {
+  const servers = await getShopMcpServers(shop, { enabledOnly: true });
+
+  const connections = await Promise.all(servers.map(async (server) => {
+    try {
+      return await toConnection(server);
+    } catch (error) {
+      console.warn(`Skipping MCP server ${server.slug} for ${shop}:`, error.message);
+      return null;
+    }
+  }));
+
+  return connections.filter(Boolean);
+}
+
+/**
+ * Connects to a server and lists every tool it offers, ignoring the cache
+ * @param {string} shop - The shop domain
+ * @param {Object} server - The saved server
+ * @returns {Promise<Object>} { ok: true, tools } or { ok: false, error }
+ */
+export async function testMcpServer(shop, server) {
+  const mcpClient = new MCPClient(`https://${shop}`, null, shop, null);
+
+  try {
+    clearServerCache(shop);
+    const connection = await toConnection(server);
+    const tools = await mcpClient.connectToServer(
+      { ...connection, enabledTools: null },
+      { timeoutMs: AppConfig.mcp.connectTimeoutMs }
+    );
+
+    return {
+      ok: true,
+      tools: tools.map(tool => ({ name: tool.name, description: tool.description }))
+    };
+  } catch (error) {
+    return { ok: false, error: error.message };
+  } finally {
+    mcpClient.close();
+  }
+}
+
+/**
+ * Makes the next chat turn list a shop's tools again, e.g. after its servers change
+ * @param {string} shop - The shop domain
+ */
+export function refreshShopMcpTools(shop) {
+  clearServerCache(shop);
+}
+
+export default {
+  MCP_AUTH_TYPES,
+  validateMcpServerInput,
+  getShopMcpConnections,
+  testMcpServer,
+  refreshShopMcpTools
+};
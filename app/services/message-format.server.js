@@ -0,0 +1,203 @@
+/**
+ * Message Format Service
+ * Normalizes conversation messages into a single provider-neutral format
+ *
+ * The canonical format mirrors the content-block shape already stored in
+ * `Message.content`: every message is `{ role, content: Block[] }` where a
+ * block is one of `text`, `tool_use` or `tool_result`. Providers translate
+ * from this format on the way in and back into it on the way out, so history
+ * written by one provider can be replayed by another.
+ */
+
+/**
+ * Parses a stored message content string
+ * @param {string} rawContent - The content column from the database
+ * @returns {*} Parsed JSON content, or the raw string if it isn't JSON
+ */
+function parseContent(rawContent) {
+  if (typeof rawContent !== 'string') {
+    return rawContent;
+  }
+
+  try {
+    return JSON.parse(rawContent);
+  } catch (e) {
+    return rawContent;
+  }
+}
+
+/**
+ * Converts a legacy OpenAI tool call into a tool_use block
+ * @param {Object} toolCall - OpenAI tool call object
+ * @returns {Object} tool_use content block
+ */
+function toolCallToBlock(toolCall) {
+  let input = {};
+  try {
+    input = JSON.parse(toolCall.function?.arguments || '{}');
+  } catch (e) {
+    console.warn('Could not parse stored tool call arguments:', toolCall.id);
+  }
+
+  return {
+    type: 'tool_use',
+    id: toolCall.id,
+    name: toolCall.function?.name,
+    input
+  };
+}
+
+/**
+ * Normalizes the content of a message into an array of content blocks
+ * @param {*} content - Message content in any supported shape
+ * @returns {Array} Array of canonical content blocks
+ */
+export function normalizeContent(content) {
+  if (content === null || content === undefined) {
+    return [];
+  }
+
+  if (typeof content === 'string') {
+    return content ? [{ type: 'text', text: content }] : [];
+  }
+
+  if (Array.isArray(content)) {
+    return content.filter(Boolean).map(block => {
+      if (typeof block === 'string') {
+        return { type: 'text', text: block };
+      }
+      return block;
+    });
+  }
+
+  return [{ type: 'text', text: String(content) }];
+}
+
+/**
+ * Normalizes a single message into the canonical format
+ * @param {Object} message - Message with role and content (content may be a JSON string)
+ * @returns {Object} Message in canonical format
+ */
+export function normalizeMessage(message) {
+  const content = parseContent(message.content);
+
+  // Legacy OpenAI tool result rows: { tool_call_id, content }
+  if (message.role === 'tool') {
+    const toolCallId = message.tool_call_id || content?.tool_call_id;
+    const resultContent = content?.tool_call_id ? content.content : content;
+
+    return {
+      role: 'user',
+      content: [{
+        type: 'tool_result',
+        tool_use_id: toolCallId,
+        content: resultContent
+      }]
+    };
+  }
+
+  // Legacy OpenAI assistant rows carrying tool_calls
+  const toolCalls = message.tool_calls || content?.tool_calls;
+  if (message.role === 'assistant' && Array.isArray(toolCalls)) {
+    const text = typeof content === 'string' ? content : content?.content;
+    return {
+      role: 'assistant',
+      content: [
+        ...normalizeContent(text),
+        ...toolCalls.map(toolCallToBlock)
+      ]
+    };
+  }
+
+  return {
+    role: message.role,
+    content: normalizeContent(content)
+  };
+}
+
+/**
+ * Converts a canonical message into one every provider accepts
+ * Staff replies become assistant turns labelled as staff, so the model can pick the
+ * conversation up again after a handoff without mistaking them for its own words.
+ * @param {Object} message - Message in canonical format
+ * @returns {Object} Message with a `user` or `assistant` role
+ */
+export function toModelMessage(message) {
+  if (message.role !== 'staff') {
+    return message;
+  }
+
+  return {
+    role: 'assistant',
+    content: message.content.map(block => (
+      block.type === 'text' ? { ...block, text: `[Store staff] ${block.text}` } : block
+    ))
+  };
+}
+
+/**
+ * Normalizes a list of stored messages into the canonical format
+ * @param {Array} messages - Messages from the database
+ * @returns {Array} Messages in canonical format
+ */
+export function normalizeHistory(messages) {
+  return messages.map(normalizeMessage);
+}
+
+/**
+ * Flattens tool result content into a plain string
+ * @param {*} content - Tool result content (string, blocks or object)
+ * @returns {string} Text representation of the result
+ */
+export function toolResultToText(content) {
+  if (typeof content === 'string') {
+    return content;
+  }
+
+  if (Array.isArray(content)) {
+    return content
+      .map(block => (block?.type === 'text' ? block.text : JSON.stringify(block)))
+      .join('\n');
+  }
+
+  return JSON.stringify(content ?? '');
+}
+
+/**
+ * Extracts the concatenated text of a message's text blocks
+ * @param {Object} message - Message in canonical format
+ * @returns {string} Joined text content
+ */
+export function getMessageText(message) {
+  return normalizeContent(message.content)
+    .filter(block => block.type === 'text' && block.text)
+    .map(block => block.text)
+    .join('\n');
+}
+
+/**
+ * Appends additional context sections to a system prompt
+ * @param {string} systemPrompt - The base system prompt
+ * @param {string|Array<string>} systemContext - Context section(s) to append
+ * @returns {string} The combined system prompt
+ */
+export function appendSystemContext(systemPrompt, systemContext) {
+  const sections = (Array.isArray(systemContext) ? systemContext : [systemContext])
+    .filter(Boolean);
+
+  if (sections.length === 0) {
+    return systemPrompt;
+  }
+
+  return [systemPrompt, ...sections].join('\n\n');
+}
+
+export default {
+  normalizeContent,
+  normalizeMessage,
+  normalizeHistory,
+  toModelMessage,
+  toolResultToText,
+  getMessageText,
+  appendSystemContext
+};
@@ -4,7 +4,9 @@
  */
 import OpenAI from "openai";
 import AppConfig from "./config.server";
-import systemPrompts from "../prompts/prompts.json";
+import { getSystemPrompt as resolveSystemPrompt } from "./prompt.server";
+import { normalizeContent, normalizeMessage, toolResultToText, appendSystemContext } from "./message-format.server";
+import { fromOpenAIUsage } from "./usage.server";
 
 /**
  * Filter out system reminder content from text
@@ -31,108 +33,125 @@ function filterSystemContent(text) {
 }
 
 /**
- * Convert Claude/database message format to OpenAI format
- * @param {Array} messages - Messages in Claude format
+ * Checks whether text contains injected system reminder content
+ * @param {string} text - Text to check
+ * @returns {boolean} True if the text should be dropped
+ */
+function containsSystemContent(text) {
+  return text.includes('long_conversation_reminder') ||
+    text.includes('Claude cares about') ||
+    text.includes('Claude never starts') ||
+    text.includes('Claude does not use') ||
+    text.includes('Claude critically evaluates') ||
+    text.includes('wellbeing');
+}
+
+/**
+ * Convert canonical (content block) messages to OpenAI format
+ * @param {Array} messages - Messages in canonical format
  * @returns {Array} Messages in OpenAI format
  */
 function convertToOpenAIFormat(messages) {
-  return messages
-    .filter(msg => {
-      // Completely skip any message with system reminder content
-      const msgContent = JSON.stringify(msg.content || '');
-      if (msgContent.includes('long_conversation_reminder') ||
-          msgContent.includes('Claude cares about') ||
-          msgContent.includes('Claude never starts') ||
-          msgContent.includes('Claude does not use') ||
-          msgContent.includes('Claude critically evaluates') ||
-          msgContent.includes('wellbeing')) {
-        console.log('FILTERED OUT MESSAGE WITH SYSTEM CONTENT');
-        return false;
-      }
-      return true;
-    })
-    .map(msg => {
-      // Handle assistant messages with tool_calls (content can be null)
-      if (msg.role === 'assistant' && msg.tool_calls) {
-        return {
-          role: msg.role,
-          content: msg.content,
-          tool_calls: msg.tool_calls
-        };
+  const openAIMessages = [];
+
+  for (const message of messages.map(normalizeMessage)) {
+    const textContent = message.content
+      .filter(block =>
+        block.type === 'text' &&
+        block.text &&
+        !containsSystemContent(block.text) &&
+        !block.text.includes('<')
+      )
+      .map(block => filterSystemContent(block.text))
+      .join('\n')
+      .trim();
+
+    if (message.role === 'assistant') {
+      const toolCalls = message.content
+        .filter(block => block.type === 'tool_use')
+        .map(block => ({
+          id: block.id,
+          type: "function",
+          function: {
+            name: block.name,
+            arguments: JSON.stringify(block.input || {})
+          }
+        }));
+
+      if (toolCalls.length > 0) {
+        // Assistant messages with tool_calls can have null content
+        openAIMessages.push({
+          role: 'assistant',
+          content: textContent || null,
+          tool_calls: toolCalls
+        });
+      } else if (textContent) {
+        openAIMessages.push({ role: 'assistant', content: textContent });
       }
+      continue;
+    }
 
-      // Handle tool result messages
-      if (msg.role === 'tool') {
-        // Tool messages might be stored as {tool_call_id, content} object
-        if (typeof msg.content === 'object' && msg.content.tool_call_id && msg.content.content) {
-          return {
-            role: msg.role,
-            tool_call_id: msg.content.tool_call_id,
-            content: msg.content.content
-          };
-        }
-        // Or they might already be properly formatted
-        return {
-          role: msg.role,
-          tool_call_id: msg.tool_call_id,
-          content: typeof msg.content === 'string' ? msg.content : JSON.stringify(msg.content)
-        };
+    // Tool results become separate "tool" role messages
+    for (const block of message.content) {
+      if (block.type === 'tool_result') {
+        openAIMessages.push({
+          role: 'tool',
+          tool_call_id: block.tool_use_id,
+          content: toolResultToText(block.content)
+        });
       }
+    }
 
-      if (Array.isArray(msg.content)) {
-        const textBlocks = msg.content.filter(block =>
-          block.type === 'text' &&
-          block.text &&
-          !block.text.includes('long_conversation_reminder') &&
-          !block.text.includes('<')
-        );
-
-        const textContent = textBlocks
-          .map(block => filterSystemContent(block.text))
-          .join('\n')
-          .trim();
-
-        return {
-          role: msg.role,
-          content: textContent || ''
-        };
-      }
+    if (textContent) {
+      openAIMessages.push({ role: message.role, content: textContent });
+    }
+  }
 
-      let content = msg.content || '';
-      if (typeof content === 'string') {
-        content = filterSystemContent(content);
-      }
+  return openAIMessages;
+}
 
-      return {
-        role: msg.role,
-        content: content
-      };
-    })
-    .filter(msg => {
-      // Keep tool messages and assistant messages with tool_calls even if content is empty
-      if (msg.role === 'tool' || (msg.role === 'assistant' && msg.tool_calls)) {
-        return true;
-      }
-      // For other messages, require non-empty content
-      return msg.content && msg.content.length > 0;
-    });
+/**
+ * Converts a buffered streaming tool call into a canonical tool_use block
+ * @param {Object} bufferedCall - Accumulated tool call { id, name, arguments }
+ * @returns {Object} tool_use content block
+ */
+function toBufferedToolUse(bufferedCall) {
+  let input = {};
+  try {
+    input = bufferedCall.arguments ? JSON.parse(bufferedCall.arguments) : {};
+  } catch (e) {
+    console.error('Error parsing complete tool arguments:', e);
+  }
+
+  return {
+    type: "tool_use",
+    id: bufferedCall.id,
+    name: bufferedCall.name,
+    input
+  };
 }
 
 /**
  * Creates an OpenAI service instance
  * @param {string} apiKey - OpenAI API key
+ * @param {Object} options - Client options
+ * @param {number} options.maxRetries - Retries the SDK makes on its own; defaults to the SDK's
  * @returns {Object} OpenAI service with methods for interacting with OpenAI API
  */
-export function createOpenAIService(apiKey = process.env.OPENAI_API_KEY) {
+export function createOpenAIService(apiKey = process.env.OPENAI_API_KEY, { maxRetries } = {}) {
   // Initialize OpenAI client
-  const openai = new OpenAI({ apiKey });
+  const openai = new OpenAI({ apiKey, maxRetries });
 
   /**
    * Streams a conversation with OpenAI
    * @param {Object} params - Stream parameters
    * @param {Array} params.messages - Conversation history
    * @param {string} params.promptType - The type of system prompt to use
+   * @param {string} params.shop - The shop domain used to resolve the prompt
+   * @param {string} params.systemPrompt - A system prompt to use instead of the prompt type's (e.g. from an MCP server)
    * @param {Array} params.tools - Available tools for OpenAI
+   * @param {string|Array<string>} params.systemContext - Extra context appended to the system prompt
+   * @param {AbortSignal} params.signal - Aborts the request when the client disconnects
    * @param {Object} streamHandlers - Stream event handlers
    * @param {Function} streamHandlers.onText - Handles text chunks
    * @param {Function} streamHandlers.onMessage - Handles complete messages
@@ -142,10 +161,14 @@ export function createOpenAIService(apiKey = process.env.OPENAI_API_KEY) {
   const streamConversation = async ({
     messages,
     promptType = AppConfig.api.defaultPromptType,
-    tools
+    shop,
+    systemPrompt,
+    tools,
+    systemContext,
+    signal
   }, streamHandlers) => {
     // Get system prompt and add it as first message
-    const systemInstruction = getSystemPrompt(promptType);
+    const systemInstruction = appendSystemContext(systemPrompt || await getSystemPrompt(promptType, shop), systemContext);
 
     // OpenAI format: system message goes in messages array
     const convertedMessages = convertToOpenAIFormat(messages);
@@ -154,6 +177,14 @@ export function createOpenAIService(apiKey = process.env.OPENAI_API_KEY) {
       ...convertedMessages
     ];
 
+    // A trailing assistant message is a partial answer from a failed attempt
+    if (messages[messages.length - 1]?.role === 'assistant') {
+      openAIMessages.push({
+        role: "system",
+        content: "Continue the assistant response above from exactly where it stopped. Do not repeat any of it."
+      });
+    }
+
     console.log('Messages being sent to OpenAI:', openAIMessages.length);
     console.log('Message roles:', openAIMessages.map(m => m.role).join(', '));
     // Log last 3 messages for debugging
@@ -162,13 +193,17 @@ export function createOpenAIService(apiKey = process.env.OPENAI_API_KEY) {
     let fullContent = "";
     let finalMessage = null;
     let toolCallsBuffer = {}; // Buffer for accumulating tool call arguments
+    let model = AppConfig.api.openaiModel;
+    let usage = null;
 
     try {
       // Create stream
       const stream = await openai.chat.completions.create({
-        model: "gpt-4",
+        model: AppConfig.api.openaiModel,
         messages: openAIMessages,
         stream: true,
+        // Usage arrives in a final chunk after the finish reason
+        stream_options: { include_usage: true },
         ...(tools && tools.length > 0 ? {
           tools: tools.map(tool => ({
             type: "function",
@@ -179,7 +214,7 @@ export function createOpenAIService(apiKey = process.env.OPENAI_API_KEY) {
             }
           }))
         } : {})
-      });
+      }, { signal });
 
       // Use iterator to avoid stream cancellation issues
       const iterator = stream[Symbol.asyncIterator]();
@@ -188,6 +223,13 @@ export function createOpenAIService(apiKey = process.env.OPENAI_API_KEY) {
         const { value: chunk, done } = await iterator.next();
         if (done) break;
 
+        if (chunk.model) {
+          model = chunk.model;
+        }
+        if (chunk.usage) {
+          usage = chunk.usage;
+        }
+
         const delta = chunk.choices[0]?.delta;
 
         if (delta?.content) {
@@ -220,65 +262,61 @@ export function createOpenAIService(apiKey = process.env.OPENAI_API_KEY) {
           }
         }
 
-        // When stream finishes, process complete tool calls
-        if (chunk.choices[0]?.finish_reason === 'tool_calls') {
-          console.log('OpenAI wants to use tools');
+        const finishReason = chunk.choices[0]?.finish_reason;
 
-          // Build the assistant message with tool_calls
-          const assistantMessage = {
-            role: "assistant",
-            content: null,
-            tool_calls: Object.values(toolCallsBuffer).map(call => ({
-              id: call.id,
-              type: "function",
-              function: {
-                name: call.name,
-                arguments: call.arguments
-              }
-            }))
-          };
+        // When the choice finishes, build the canonical message; keep reading for the usage chunk
+        if (finishReason === 'tool_calls' || finishReason === 'stop' || finishReason === 'length') {
+          console.log('OpenAI finished with reason:', finishReason, 'content length:', fullContent.length);
 
-          // Process tool calls for execution
-          if (Object.keys(toolCallsBuffer).length > 0) {
-            for (const bufferedCall of Object.values(toolCallsBuffer)) {
-              if (streamHandlers.onToolUse && bufferedCall.arguments) {
-                try {
-                  const parsedArgs = JSON.parse(bufferedCall.arguments);
-                  await streamHandlers.onToolUse({
-                    type: "tool_use",
-                    id: bufferedCall.id,
-                    name: bufferedCall.name,
-                    input: parsedArgs,
-                    assistantMessage: assistantMessage // Pass the full assistant message
-                  });
-                } catch (e) {
-                  console.error('Error parsing complete tool arguments:', e);
-                }
-              }
-            }
-          }
-          // Don't break - let the loop continue
-        } else if (chunk.choices[0]?.finish_reason === 'stop') {
-          console.log('OpenAI finished with stop reason, content length:', fullContent.length);
+          const toolUseBlocks = Object.values(toolCallsBuffer).map(toBufferedToolUse);
 
           finalMessage = {
             role: "assistant",
-            content: fullContent,
-            stop_reason: "end_turn"
+            content: [
+              ...normalizeContent(filterSystemContent(fullContent)),
+              ...toolUseBlocks
+            ],
+            stop_reason: toolUseBlocks.length > 0 ? "tool_use" : "end_turn"
           };
+        }
+      }
+
+      // Emit the canonical message and process tool calls
+      if (finalMessage) {
+        finalMessage.model = model;
+        finalMessage.usage = fromOpenAIUsage(model, usage);
+
+        if (streamHandlers.onMessage) {
+          streamHandlers.onMessage(finalMessage);
+        }
 
-          if (streamHandlers.onMessage) {
-            streamHandlers.onMessage(finalMessage);
+        // Process tool calls for execution
+        if (streamHandlers.onToolUse) {
+          for (const block of finalMessage.content) {
+            signal?.throwIfAborted();
+            if (block.type === 'tool_use') {
+              await streamHandlers.onToolUse(block);
+            }
           }
-          break;
         }
       }
     } catch (error) {
+      // The client is gone; don't dress up a partial answer as a complete one
+      if (signal?.aborted) {
+        throw error;
+      }
+
       console.error('OpenAI streaming error:', error);
+
+      // Surface API errors (rate limits, overload, auth) so callers can retry or fail over
+      if (error.status && !fullContent) {
+        throw error;
+      }
+
       if (!finalMessage) {
         finalMessage = {
           role: "assistant",
-          content: filterSystemContent(fullContent) || "I'm having trouble processing that request.",
+          content: normalizeContent(filterSystemContent(fullContent) || "I'm having trouble processing that request."),
           stop_reason: "end_turn"
         };
       }
@@ -288,29 +326,26 @@ export function createOpenAIService(apiKey = process.env.OPENAI_API_KEY) {
     if (!finalMessage) {
       finalMessage = {
         role: "assistant",
-        content: filterSystemContent(fullContent) || "",
+        content: normalizeContent(filterSystemContent(fullContent)),
         stop_reason: "end_turn"
       };
     }
 
-    if (!finalMessage.stop_reason) {
-      finalMessage.stop_reason = "end_turn";
-    }
-
     return finalMessage;
   };
 
   /**
    * Gets the system prompt content for a given prompt type
    * @param {string} promptType - The prompt type to retrieve
-   * @returns {string} The system prompt content
+   * @param {string} shop - The shop domain
+   * @returns {Promise<string>} The system prompt content
    */
-  const getSystemPrompt = (promptType) => {
-    return systemPrompts.systemPrompts[promptType]?.content ||
-      systemPrompts.systemPrompts[AppConfig.api.defaultPromptType].content;
+  const getSystemPrompt = (promptType, shop) => {
+    return resolveSystemPrompt(promptType, shop);
   };
 
   return {
+    provider: 'openai',
     streamConversation,
     getSystemPrompt
   };
@@ -0,0 +1,185 @@
+/**
+ * Prompt Service
+ * Resolves system prompts per shop from the database with file fallback and renders template variables
+ */
+import { readFileSync } from 'fs';
+import { join } from 'path';
+import AppConfig from "./config.server";
+import systemPrompts from "../prompts/prompts.json";
+import { getActiveShopPrompt } from "../db.server";
+import { unauthenticated } from "../shopify.server";
+
+/**
+ * Cache of shop template variables keyed by shop domain
+ */
+const variablesCache = new Map();
+
+/**
+ * Template variables supported in prompts, with descriptions for the admin editor
+ */
+export const PROMPT_VARIABLES = {
+  shop_name: "The store's name",
+  contact_url: "URL of the store's contact page",
+  policies: "The store's refund, shipping, privacy and terms policies"
+};
+
+/**
+ * Lists the prompt types merchants can customize
+ * @returns {Array<Object>} Prompt types with value, label and description
+ */
+export function getEditablePromptTypes() {
+  return Object.entries(systemPrompts.systemPrompts)
+    .filter(([type]) => type !== AppConfig.history.summaryPromptType)
+    .map(([type, prompt]) => ({
+      value: type,
+      label: prompt.description || type,
+      description: prompt.description || ''
+    }));
+}
+
+/**
+ * Gets the default prompt template shipped with the app
+ * @param {string} promptType - The prompt type to retrieve
+ * @returns {string} The prompt template
+ */
+export function getDefaultPromptTemplate(promptType) {
+  try {
+    // Use promptType directly since filename matches
+    const promptPath = join(process.cwd(), 'app', 'prompts', `${promptType}.txt`);
+    return readFileSync(promptPath, 'utf8');
+  } catch (error) {
+    console.warn(`Prompt file not found for ${promptType}:`, error.message);
+    return systemPrompts.systemPrompts[promptType]?.content ||
+      systemPrompts.systemPrompts[AppConfig.api.defaultPromptType].content;
+  }
+}
+
+/**
+ * Strips HTML tags from policy bodies
+ * @param {string} html - HTML content
+ * @returns {string} Plain text content
+ */
+export function stripHtml(html) {
+  return (html || '')
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Gets the template variable values for a shop
+ * Values come from the Admin API using the shop's offline session and are cached.
+ * @param {string} shop - The shop domain
+ * @returns {Promise<Object>} Map of variable name to value
+ */
+export async function getShopPromptVariables(shop) {
+  const fallback = {
+    shop_name: shop || 'our store',
+    contact_url: shop ? `https://${shop}/pages/contact` : '',
+    policies: ''
+  };
+
+  if (!shop) {
+    return fallback;
+  }
+
+  const cached = variablesCache.get(shop);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.variables;
+  }
+
+  try {
+    const { admin } = await unauthenticated.admin(shop);
+    const response = await admin.graphql(`
+      query shopPromptVariables {
+        shop {
+          name
+          primaryDomain {
+            url
+          }
+          shopPolicies {
+            title
+            body
+          }
+        }
+      }
+    `);
+
+    const data = await response.json();
+    const shopData = data.data?.shop;
+
+    if (!shopData) {
+      return fallback;
+    }
+
+    const policies = (shopData.shopPolicies || [])
+      .filter(policy => policy.body)
+      .map(policy => `${policy.title}:\n${stripHtml(policy.body).substring(0, AppConfig.prompts.maxPolicyChars)}`)
+      .join('\n\n');
+
+    const variables = {
+      shop_name: shopData.name || fallback.shop_name,
+      contact_url: shopData.primaryDomain?.url
+        ? `${shopData.primaryDomain.url}/pages/contact`
+        : fallback.contact_url,
+      policies
+    };
+
+    variablesCache.set(shop, {
+      variables,
+      expiresAt: Date.now() + AppConfig.prompts.variablesCacheTtlMs
+    });
+
+    return variables;
+  } catch (error) {
+    console.error('Error fetching prompt variables for shop:', shop, error);
+    return fallback;
+  }
+}
+
+/**
+ * Replaces {{variable}} placeholders in a template
+ * Unknown variables are left untouched so typos are visible in the editor preview.
+ * @param {string} template - The prompt template
+ * @param {Object} variables - Map of variable name to value
+ * @returns {string} The rendered prompt
+ */
+export function renderPromptTemplate(template, variables) {
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => {
+    if (!(name in PROMPT_VARIABLES)) {
+      return match;
+    }
+    return variables[name] ?? '';
+  });
+}
+
+/**
+ * Gets the system prompt for a shop and prompt type
+ * Uses the shop's active prompt version if one exists, otherwise the default template.
+ * @param {string} promptType - The prompt type to retrieve
+ * @param {string} shop - The shop domain
+ * @returns {Promise<string>} The rendered system prompt
+ */
+export async function getSystemPrompt(promptType, shop) {
+  const shopPrompt = shop ? await getActiveShopPrompt(shop, promptType) : null;
+  const template = shopPrompt?.content || getDefaultPromptTemplate(promptType);
+
+  // Avoid an Admin API round trip for prompts without variables
+  if (!template.includes('{{')) {
+    return template;
+  }
+
+  const variables = await getShopPromptVariables(shop);
+  return renderPromptTemplate(template, variables);
+}
+
+export default {
+  getSystemPrompt,
+  getDefaultPromptTemplate,
+  getShopPromptVariables,
+  getEditablePromptTypes,
+  renderPromptTemplate,
+  stripHtml,
+  PROMPT_VARIABLES
+};
@@ -0,0 +1,250 @@
+/**
+ * Rate Limit Service
+ * Sliding-window limits on chat messages per client IP, conversation and shop,
+ * with a temporary blocklist for clients that keep hitting them
+ *
+ * Counts live in a pluggable store. The in-memory store only sees one process;
+ * set RATE_LIMIT_STORE=database to share limits across instances, or pass any
+ * object implementing `hit`, `block` and `getBlock` to setRateLimitStore.
+ */
+import AppConfig from "./config.server";
+import {
+  recordRateLimitHit,
+  deleteRateLimitHitsBefore,
+  upsertRateLimitBlock,
+  getRateLimitBlock
+} from "../db.server";
+
+/**
+ * How often stores drop hits that have left every window
+ */
+const SWEEP_INTERVAL_MS = 5 * 60 * 1000;
+
+/**
+ * Longest window any hit has to be kept for
+ * @returns {number} Milliseconds
+ */
+function getLongestWindowMs() {
+  return Math.max(
+    AppConfig.rateLimit.blocklist.windowMs,
+    ...Object.values(AppConfig.rateLimit.limits).map(limit => limit.windowMs)
+  );
+}
+
+/**
+ * Creates a rate limit store that keeps hits in this process
+ * @returns {Object} Store with hit, block and getBlock methods
+ */
+export function createMemoryRateLimitStore() {
+  const hits = new Map();
+  const blocks = new Map();
+
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    const cutoff = now - getLongestWindowMs();
+
+    for (const [key, timestamps] of hits) {
+      if (timestamps[timestamps.length - 1] <= cutoff) {
+        hits.delete(key);
+      }
+    }
+    for (const [key, block] of blocks) {
+      if (block.expiresAt <= now) {
+        blocks.delete(key);
+      }
+    }
+  }, SWEEP_INTERVAL_MS);
+  sweep.unref?.();
+
+  return {
+    /**
+     * Record a hit and count the hits in the window
+     * @param {string} key - The rate limit key
+     * @param {number} windowMs - Window length
+     * @returns {Promise<Object>} { count, resetAt } where resetAt is when the oldest hit leaves the window
+     */
+    hit: async (key, windowMs) => {
+      const now = Date.now();
+      const timestamps = (hits.get(key) || []).filter(time => time > now - windowMs);
+      timestamps.push(now);
+      hits.set(key, timestamps);
+
+      return { count: timestamps.length, resetAt: timestamps[0] + windowMs };
+    },
+
+    /**
+     * Block a key
+     * @param {string} key - The rate limit key
+     * @param {number} expiresAt - When the block ends (epoch milliseconds)
+     * @param {string} reason - Why the key was blocked
+     */
+    block: async (key, expiresAt, reason) => {
+      blocks.set(key, { expiresAt, reason });
+    },
+
+    /**
+     * Get the active block for a key
+     * @param {string} key - The rate limit key
+     * @returns {Promise<Object|null>} { expiresAt, reason } or null
+     */
+    getBlock: async (key) => {
+      const block = blocks.get(key);
+      return block && block.expiresAt > Date.now() ? block : null;
+    }
+  };
+}
+
+/**
+ * Creates a rate limit store backed by the database, shared by every instance
+ * @returns {Object} Store with hit, block and getBlock methods
+ */
+export function createDatabaseRateLimitStore() {
+  const sweep = setInterval(() => {
+    deleteRateLimitHitsBefore(new Date(Date.now() - getLongestWindowMs()));
+  }, SWEEP_INTERVAL_MS);
+  sweep.unref?.();
+
+  return {
+    hit: async (key, windowMs) => {
+      const { count, oldest } = await recordRateLimitHit(key, new Date(Date.now() - windowMs));
+      return { count, resetAt: oldest.getTime() + windowMs };
+    },
+
+    block: async (key, expiresAt, reason) => {
+      await upsertRateLimitBlock(key, new Date(expiresAt), reason);
+    },
+
+    getBlock: async (key) => {
+      const block = await getRateLimitBlock(key);
+      return block ? { expiresAt: block.expiresAt.getTime(), reason: block.reason } : null;
+    }
+  };
+}
+
+let store = null;
+
+/**
+ * Returns the configured store, creating it on first use
+ * @returns {Object} The rate limit store
+ */
+function getStore() {
+  if (!store) {
+    store = AppConfig.rateLimit.store === 'database'
+      ? createDatabaseRateLimitStore()
+      : createMemoryRateLimitStore();
+  }
+  return store;
+}
+
+/**
+ * Replaces the rate limit store, e.g. with a Redis-backed implementation
+ * @param {Object} customStore - Store with hit, block and getBlock methods
+ */
+export function setRateLimitStore(customStore) {
+  store = customStore;
+}
+
+/**
+ * Reads the shopper's IP address from the proxied request
+ * Each trusted proxy appends the address it received the request from, so the entry
+ * `trustedProxies` from the right is the last one a proxy we control wrote. Entries to
+ * its left are whatever the client sent.
+ * @param {Request} request - The incoming request
+ * @returns {string|null} The IP address, or null if the request didn't come through the expected proxies
+ */
+export function getClientIp(request) {
+  const { ipHeader, trustedProxies } = AppConfig.rateLimit;
+  const entries = (request.headers.get(ipHeader) || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean);
+
+  return entries[entries.length - trustedProxies] || null;
+}
+
+/**
+ * Counts a violation against a client and blocks it when it keeps offending
+ * @param {string} ip - The client IP address
+ * @param {string} reason - What the client did
+ * @returns {Promise<boolean>} True if the client is now blocked
+ */
+export async function recordViolation(ip, reason) {
+  const { violations, windowMs, durationMs } = AppConfig.rateLimit.blocklist;
+
+  if (!ip) {
+    return false;
+  }
+
+  try {
+    const { count } = await getStore().hit(`violation:${ip}`, windowMs);
+    if (count < violations) {
+      return false;
+    }
+
+    console.warn(`Blocking ${ip} for ${Math.round(durationMs / 60000)} minutes after ${count} violations (${reason})`);
+    await getStore().block(`ip:${ip}`, Date.now() + durationMs, reason);
+    return true;
+  } catch (error) {
+    console.error('Error recording rate limit violation:', error);
+    return false;
+  }
+}
+
+/**
+ * Checks and counts a chat message against the blocklist and every limit
+ * The check fails open: if the store is unavailable, the message is allowed.
+ * Without a client address the per-IP limit and blocklist are skipped rather than
+ * putting every such shopper in one shared bucket; the conversation and shop limits
+ * still apply.
+ * @param {Object} params - The message's origin
+ * @param {string} params.shop - The shop domain
+ * @param {string|null} params.ip - The client IP address, if known
+ * @param {string|null} params.conversationId - The conversation ID, if continuing one
+ * @returns {Promise<Object>} { allowed: true } or { allowed: false, scope, retryAfterMs }
+ */
+export async function checkChatRateLimit({ shop, ip, conversationId }) {
+  const { limits } = AppConfig.rateLimit;
+
+  try {
+    const block = ip ? await getStore().getBlock(`ip:${ip}`) : null;
+    if (block) {
+      return { allowed: false, scope: 'blocked', retryAfterMs: block.expiresAt - Date.now() };
+    }
+
+    const checks = [
+      ip && { scope: 'ip', key: `ip:${ip}` },
+      conversationId && { scope: 'conversation', key: `conversation:${shop}:${conversationId}` },
+      { scope: 'shop', key: `shop:${shop}` }
+    ].filter(Boolean);
+
+    for (const { scope, key } of checks) {
+      const limit = limits[scope];
+      const { count, resetAt } = await getStore().hit(key, limit.windowMs);
+
+      if (count > limit.max) {
+        console.warn(`Rate limit exceeded for ${key}: ${count} messages in ${limit.windowMs / 1000}s`);
+
+        // A busy shop isn't one client misbehaving
+        if (scope !== 'shop') {
+          await recordViolation(ip, `${scope} rate limit`);
+        }
+
+        return { allowed: false, scope, retryAfterMs: Math.max(resetAt - Date.now(), 1000) };
+      }
+    }
+
+    return { allowed: true };
+  } catch (error) {
+    console.error('Error checking rate limits:', error);
+    return { allowed: true };
+  }
+}
+
+export default {
+  createMemoryRateLimitStore,
+  createDatabaseRateLimitStore,
+  setRateLimitStore,
+  getClientIp,
+  recordViolation,
+  checkChatRateLimit
+};
@@ -0,0 +1,243 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import AppConfig from "./config.server";
+import {
+  recordRateLimitHit,
+  upsertRateLimitBlock,
+  getRateLimitBlock
+} from "../db.server";
+import {
+  createMemoryRateLimitStore,
+  createDatabaseRateLimitStore,
+  setRateLimitStore,
+  getClientIp,
+  recordViolation,
+  checkChatRateLimit
+} from "./rate-limit.server";
+
+vi.mock("../db.server", () => ({
+  recordRateLimitHit: vi.fn(),
+  deleteRateLimitHitsBefore: vi.fn(),
+  upsertRateLimitBlock: vi.fn(),
+  getRateLimitBlock: vi.fn()
+}));
+
+const { limits, blocklist } = AppConfig.rateLimit;
+
+/**
+ * Builds a request with the given headers
+ * @param {Object} headers - Request headers
+ * @returns {Request} The request
+ */
+function requestWith(headers) {
+  return new Request("https://app.example/chat", { headers });
+}
+
+/**
+ * Sends messages through the limiter
+ * @param {number} count - How many messages to send
+ * @param {Object} params - Parameters for checkChatRateLimit
+ * @returns {Promise<Object>} The result for the last message
+ */
+async function send(count, params) {
+  let result;
+  for (let i = 0; i < count; i++) {
+    result = await checkChatRateLimit(params);
+  }
+  return result;
+}
+
+describe("getClientIp", () => {
+  const { ipHeader, trustedProxies } = AppConfig.rateLimit;
+
+  afterEach(() => {
+    AppConfig.rateLimit.ipHeader = ipHeader;
+    AppConfig.rateLimit.trustedProxies = trustedProxies;
+  });
+
+  it("uses the entry appended by the nearest proxy", () => {
+    const request = requestWith({ "x-forwarded-for": "6.6.6.6, 203.0.113.7" });
+    expect(getClientIp(request)).toBe("203.0.113.7");
+  });
+
+  it("ignores addresses the client adds to the left", () => {
+    const first = requestWith({ "x-forwarded-for": "1.1.1.1, 203.0.113.7" });
+    const second = requestWith({ "x-forwarded-for": "2.2.2.2, 203.0.113.7" });
+    expect(getClientIp(first)).toBe(getClientIp(second));
+  });
+
+  it("counts the configured number of trusted proxies from the right", () => {
+    AppConfig.rateLimit.trustedProxies = 2;
+    const request = requestWith({ "x-forwarded-for": "6.6.6.6, 203.0.113.7, 10.0.0.2" });
+    expect(getClientIp(request)).toBe("203.0.113.7");
+  });
+
+  it("returns null when there are fewer entries than trusted proxies", () => {
+    AppConfig.rateLimit.trustedProxies = 2;
+    expect(getClientIp(requestWith({ "x-forwarded-for": "203.0.113.7" }))).toBeNull();
+  });
+
+  it("returns null without the header", () => {
+    expect(getClientIp(requestWith({}))).toBeNull();
+    expect(getClientIp(requestWith({ "x-real-ip": "203.0.113.7" }))).toBeNull();
+  });
+
+  it("reads a header the host sets", () => {
+    AppConfig.rateLimit.ipHeader = "fly-client-ip";
+    expect(getClientIp(requestWith({ "fly-client-ip": "203.0.113.7" }))).toBe("203.0.113.7");
+  });
+});
+
+describe("createMemoryRateLimitStore", () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it("counts hits in a sliding window", async () => {
+    const store = createMemoryRateLimitStore();
+
+    expect((await store.hit("key", 1000)).count).toBe(1);
+    vi.advanceTimersByTime(600);
+    expect((await store.hit("key", 1000)).count).toBe(2);
+    vi.advanceTimersByTime(600);
+
+    const { count, resetAt } = await store.hit("key", 1000);
+    expect(count).toBe(2);
+    expect(resetAt).toBe(Date.now() - 600 + 1000);
+  });
+
+  it("keeps keys apart", async () => {
+    const store = createMemoryRateLimitStore();
+    await store.hit("a", 1000);
+    expect((await store.hit("b", 1000)).count).toBe(1);
+  });
+
+  it("expires blocks", async () => {
+    const store = createMemoryRateLimitStore();
+    await store.block("ip:1", Date.now() + 1000, "test");
+
+    expect(await store.getBlock("ip:1")).toEqual({ expiresAt: Date.now() + 1000, reason: "test" });
+    vi.advanceTimersByTime(1000);
+    expect(await store.getBlock("ip:1")).toBeNull();
+  });
+});
+
+describe("createDatabaseRateLimitStore", () => {
+  it("counts hits through the database", async () => {
+    const oldest = new Date("2026-01-01T00:00:00Z");
+    recordRateLimitHit.mockResolvedValue({ count: 3, oldest });
+
+    const result = await createDatabaseRateLimitStore().hit("ip:1", 60000);
+
+    expect(recordRateLimitHit).toHaveBeenCalledWith("ip:1", expect.any(Date));
+    expect(result).toEqual({ count: 3, resetAt: oldest.getTime() + 60000 });
+  });
+
+  it("stores and reads blocks as dates", async () => {
+    const store = createDatabaseRateLimitStore();
+    const expiresAt = Date.now() + 1000;
+
+    await store.block("ip:1", expiresAt, "test");
+    expect(upsertRateLimitBlock).toHaveBeenCalledWith("ip:1", new Date(expiresAt), "test");
+
+    getRateLimitBlock.mockResolvedValue({ expiresAt: new Date(expiresAt), reason: "test" });
+    expect(await store.getBlock("ip:1")).toEqual({ expiresAt, reason: "test" });
+
+    getRateLimitBlock.mockResolvedValue(null);
+    expect(await store.getBlock("ip:1")).toBeNull();
+  });
+});
+
+describe("checkChatRateLimit", () => {
+  const shop = "a.myshopify.com";
+
+  beforeEach(() => {
+    setRateLimitStore(createMemoryRateLimitStore());
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it("allows messages within every limit", async () => {
+    expect(await checkChatRateLimit({ shop, ip: "1.1.1.1", conversationId: "c1" })).toEqual({ allowed: true });
+  });
+
+  it("limits messages per conversation", async () => {
+    const params = { shop, ip: "1.1.1.1", conversationId: "c1" };
+
+    expect((await send(limits.conversation.max, params)).allowed).toBe(true);
+
+    const result = await checkChatRateLimit(params);
+    expect(result).toMatchObject({ allowed: false, scope: "conversation" });
+    expect(result.retryAfterMs).toBeGreaterThan(0);
+  });
+
+  it("limits messages per IP across conversations", async () => {
+    for (let i = 0; i < limits.ip.max; i++) {
+      expect((await checkChatRateLimit({ shop, ip: "1.1.1.1", conversationId: `c${i}` })).allowed).toBe(true);
+    }
+
+    expect(await checkChatRateLimit({ shop, ip: "1.1.1.1", conversationId: "new" }))
+      .toMatchObject({ allowed: false, scope: "ip" });
+    expect((await checkChatRateLimit({ shop, ip: "2.2.2.2", conversationId: "other" })).allowed).toBe(true);
+  });
+
+  it("limits messages per shop without blocking the client", async () => {
+    for (let i = 0; i < limits.shop.max; i++) {
+      await checkChatRateLimit({ shop, ip: `10.0.${Math.floor(i / 250)}.${i % 250}`, conversationId: null });
+    }
+
+    for (let i = 0; i < blocklist.violations; i++) {
+      expect(await checkChatRateLimit({ shop, ip: "1.1.1.1", conversationId: null }))
+        .toMatchObject({ allowed: false, scope: "shop" });
+    }
+    expect((await checkChatRateLimit({ shop: "b.myshopify.com", ip: "1.1.1.1", conversationId: null })).allowed).toBe(true);
+  });
+
+  it("blocks a client that keeps hitting its limits", async () => {
+    const params = { shop, ip: "1.1.1.1", conversationId: "c1" };
+    await send(limits.conversation.max + blocklist.violations, params);
+
+    const result = await checkChatRateLimit({ ...params, conversationId: "c2" });
+    expect(result).toMatchObject({ allowed: false, scope: "blocked" });
+    expect(result.retryAfterMs).toBeGreaterThan(blocklist.durationMs - 1000);
+  });
+
+  it("blocks a client after repeated violations", async () => {
+    for (let i = 1; i < blocklist.violations; i++) {
+      expect(await recordViolation("1.1.1.1", "oversized message")).toBe(false);
+    }
+    expect(await recordViolation("1.1.1.1", "oversized message")).toBe(true);
+
+    expect(await checkChatRateLimit({ shop, ip: "1.1.1.1", conversationId: null }))
+      .toMatchObject({ allowed: false, scope: "blocked" });
+  });
+
+  it("skips the IP limit and blocklist without an address", async () => {
+    expect(await recordViolation(null, "oversized message")).toBe(false);
+
+    for (let i = 0; i < limits.ip.max + 1; i++) {
+      expect((await checkChatRateLimit({ shop, ip: null, conversationId: `c${i}` })).allowed).toBe(true);
+    }
+  });
+
+  it("still limits the conversation without an address", async () => {
+    const params = { shop, ip: null, conversationId: "c1" };
+    await send(limits.conversation.max, params);
+    expect(await checkChatRateLimit(params)).toMatchObject({ allowed: false, scope: "conversation" });
+  });
+
+  it("fails open when the store is unavailable", async () => {
+    const failing = () => Promise.reject(new Error("store down"));
+    setRateLimitStore({ hit: failing, block: failing, getBlock: failing });
+    vi.spyOn(console, "error").mockImplementation(() => {});
+
+    expect(await checkChatRateLimit({ shop, ip: "1.1.1.1", conversationId: "c1" })).toEqual({ allowed: true });
+    expect(await recordViolation("1.1.1.1", "test")).toBe(false);
+  });
+});
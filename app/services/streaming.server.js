@@ -1,25 +1,235 @@
 /**
  * Streaming Service
  * Provides utilities for handling server-sent events (SSE) streams
+ *
+ * Each chat turn writes its events to an in-memory buffer rather than straight
+ * to the response. The response is one subscriber of that buffer, so a client
+ * whose connection drops can reconnect with Last-Event-ID and replay what it
+ * missed while the turn keeps running. Buffers live in this process only;
+ * deployments with several instances need sticky sessions for resume to work.
  */
+import { randomUUID } from "crypto";
+import AppConfig from "./config.server";
 
 /**
- * Creates a StreamManager to handle SSE streams with proper backpressure
- * @param {TextEncoder} encoder - A TextEncoder instance
- * @param {ReadableStreamDefaultController} controller - The stream controller
+ * Turns that are running or recently finished, keyed by turn ID
+ */
+const activeTurns = new Map();
+
+/**
+ * Checks whether an error was caused by the client going away
+ * @param {Error} error - The error to check
+ * @param {AbortSignal} signal - The signal tied to the client connection
+ * @returns {boolean} True if the work was aborted
+ */
+export function isAbortError(error, signal) {
+  if (signal?.aborted) {
+    return true;
+  }
+  // fetch raises AbortError; the Anthropic and OpenAI SDKs raise APIUserAbortError
+  return error?.name === 'AbortError' || error?.name === 'APIUserAbortError';
+}
+
+/**
+ * Formats a buffered event as an SSE frame
+ * @param {string} turnId - The turn the event belongs to
+ * @param {Object} event - Buffered event with seq and data
+ * @returns {string} The SSE frame
+ */
+function formatEvent(turnId, event) {
+  return `id: ${turnId}:${event.seq}\ndata: ${JSON.stringify(event.data)}\n\n`;
+}
+
+/**
+ * Parses an event ID of the form `<turnId>:<seq>`
+ * @param {string|null} eventId - The Last-Event-ID value
+ * @returns {Object|null} The turn ID and sequence number, or null if malformed
+ */
+export function parseEventId(eventId) {
+  const match = /^([\w-]+):(\d+)$/.exec(eventId || '');
+  if (!match) {
+    return null;
+  }
+  return { turnId: match[1], seq: parseInt(match[2], 10) };
+}
+
+/**
+ * Creates and registers the buffer for a new turn
+ * @param {Object} owner - Who may resume or stop the turn
+ * @param {string} owner.shop - The shop domain
+ * @param {string} owner.conversationId - The conversation ID
+ * @returns {Object} The turn
+ */
+function createTurn({ shop, conversationId }) {
+  const turn = {
+    id: randomUUID(),
+    shop,
+    conversationId,
+    events: [],
+    nextSeq: 1,
+    subscribers: new Set(),
+    finished: false,
+    abortController: new AbortController(),
+    graceTimer: null
+  };
+
+  activeTurns.set(turn.id, turn);
+  return turn;
+}
+
+/**
+ * Looks up a turn, checking that it belongs to the requesting conversation
+ * @param {string} turnId - The turn ID
+ * @param {Object} owner - The requesting shop and conversation
+ * @returns {Object|null} The turn, or null if unknown or owned by someone else
+ */
+function getOwnedTurn(turnId, { shop, conversationId }) {
+  const turn = activeTurns.get(turnId);
+  if (!turn || turn.shop !== shop || turn.conversationId !== conversationId) {
+    return null;
+  }
+  return turn;
+}
+
+/**
+ * Marks a turn finished and schedules its buffer for removal
+ * @param {Object} turn - The turn
+ */
+function finishTurn(turn) {
+  if (turn.finished) {
+    return;
+  }
+
+  turn.finished = true;
+  clearTimeout(turn.graceTimer);
+
+  for (const subscriber of turn.subscribers) {
+    subscriber.close();
+  }
+
+  // Keep the buffer long enough for a client that dropped near the end to catch up
+  const cleanup = setTimeout(() => activeTurns.delete(turn.id), AppConfig.streaming.resumeWindowMs);
+  cleanup.unref?.();
+}
+
+/**
+ * Aborts a turn when nobody has listened for the grace period
+ * @param {Object} turn - The turn
+ */
+function scheduleAbandonCheck(turn) {
+  if (turn.finished || turn.subscribers.size > 0) {
+    return;
+  }
+
+  clearTimeout(turn.graceTimer);
+  turn.graceTimer = setTimeout(() => {
+    if (!turn.finished && turn.subscribers.size === 0) {
+      console.log(`No client reconnected to turn ${turn.id}, aborting`);
+      turn.abortController.abort(new Error('Client disconnected'));
+    }
+  }, AppConfig.streaming.disconnectGraceMs);
+  turn.graceTimer.unref?.();
+}
+
+/**
+ * Creates a response stream that replays a turn's events after `afterSeq`
+ * and then follows it live, with heartbeat comments while idle
+ * @param {Object} turn - The turn to follow
+ * @param {number} afterSeq - Sequence number of the last event the client has
+ * @param {AbortSignal} signal - The request's abort signal
+ * @returns {ReadableStream} A readable stream for SSE
+ */
+function subscribeToTurn(turn, afterSeq, signal) {
+  const encoder = new TextEncoder();
+  let subscriber = null;
+  let heartbeat = null;
+
+  const detach = () => {
+    if (!subscriber) {
+      return;
+    }
+    clearInterval(heartbeat);
+    turn.subscribers.delete(subscriber);
+    subscriber = null;
+    scheduleAbandonCheck(turn);
+  };
+
+  return new ReadableStream({
+    start(controller) {
+      const write = (text) => {
+        try {
+          controller.enqueue(encoder.encode(text));
+        } catch (error) {
+          // The response has already been closed
+          detach();
+        }
+      };
+
+      for (const event of turn.events) {
+        if (event.seq > afterSeq) {
+          write(formatEvent(turn.id, event));
+        }
+      }
+
+      if (turn.finished) {
+        controller.close();
+        return;
+      }
+
+      subscriber = {
+        send: (event) => write(formatEvent(turn.id, event)),
+        close: () => {
+          clearInterval(heartbeat);
+          subscriber = null;
+          try {
+            controller.close();
+          } catch (error) {
+            // Already closed
+          }
+        }
+      };
+      turn.subscribers.add(subscriber);
+      clearTimeout(turn.graceTimer);
+
+      // Comment frames keep proxies from closing a stream that is waiting on a slow tool
+      heartbeat = setInterval(() => write(': heartbeat\n\n'), AppConfig.streaming.heartbeatIntervalMs);
+
+      signal?.addEventListener('abort', detach, { once: true });
+    },
+
+    cancel() {
+      detach();
+    }
+  });
+}
+
+/**
+ * Creates a StreamManager that buffers a turn's events for its subscribers
+ * @param {Object} turn - The turn being streamed
  * @returns {Object} StreamManager with utility methods for handling streaming
  */
-export function createStreamManager(encoder, controller) {
+export function createStreamManager(turn) {
+  const signal = turn.abortController.signal;
+
   /**
    * Send a data message to the client
    * @param {Object} data - Data to send
    */
   const sendMessage = (data) => {
-    try {
-      const text = `data: ${JSON.stringify(data)}\n\n`;
-      controller.enqueue(encoder.encode(text));
-    } catch (error) {
-      console.error('Error sending stream message:', error);
+    if (turn.finished) {
+      return;
+    }
+
+    const event = { seq: turn.nextSeq++, data };
+    turn.events.push(event);
+
+    // Drop the oldest events of very long turns; resuming before them is no longer possible
+    if (turn.events.length > AppConfig.streaming.maxBufferedEvents) {
+      turn.events.shift();
+    }
+
+    for (const subscriber of turn.subscribers) {
+      subscriber.send(event);
     }
   };
 
@@ -36,13 +246,11 @@ export function createStreamManager(encoder, controller) {
 
   /**
    * Close the stream
+   * The final `done` event tells the client the turn ended rather than the connection dropping.
    */
   const closeStream = () => {
-    try {
-      controller.close();
-    } catch (error) {
-      console.error('Error closing stream:', error);
-    }
+    sendMessage({ type: 'done' });
+    finishTurn(turn);
   };
 
   /**
@@ -50,6 +258,11 @@ export function createStreamManager(encoder, controller) {
    * @param {Error} error - The error that occurred
    */
   const handleStreamingError = (error) => {
+    if (isAbortError(error, signal)) {
+      console.log('Streaming request aborted by the client');
+      return;
+    }
+
     console.error('Error processing streaming request:', error);
 
     if (error.status === 401 || error.message.includes('auth') || error.message.includes('key')) {
@@ -74,6 +287,8 @@ export function createStreamManager(encoder, controller) {
   };
 
   return {
+    turnId: turn.id,
+    signal,
     sendMessage,
     sendError,
     closeStream,
@@ -82,29 +297,84 @@ export function createStreamManager(encoder, controller) {
 }
 
 /**
- * Creates a ReadableStream for SSE
+ * Starts a resumable turn and returns the SSE stream for the requesting client
+ * The handler receives `stream.signal`, which aborts when the shopper stops the turn
+ * or no client has been connected for `AppConfig.streaming.disconnectGraceMs`.
  * @param {Function} streamHandler - Async function that handles the stream
+ * @param {Object} options - Stream options
+ * @param {AbortSignal} options.signal - The request's abort signal
+ * @param {string} options.shop - The shop domain, checked on resume
+ * @param {string} options.conversationId - The conversation ID, checked on resume
  * @returns {ReadableStream} A readable stream for SSE
  */
-export function createSseStream(streamHandler) {
-  const encoder = new TextEncoder();
-  
-  return new ReadableStream({
-    async start(controller) {
-      const streamManager = createStreamManager(encoder, controller);
-      
-      try {
-        await streamHandler(streamManager);
-      } catch (error) {
-        streamManager.handleStreamingError(error);
-      } finally {
-        streamManager.closeStream();
-      }
+export function createSseStream(streamHandler, { signal, shop, conversationId } = {}) {
+  const turn = createTurn({ shop, conversationId });
+  const streamManager = createStreamManager(turn);
+
+  // The turn runs independently of any one connection
+  (async () => {
+    try {
+      await streamHandler(streamManager);
+    } catch (error) {
+      streamManager.handleStreamingError(error);
+    } finally {
+      streamManager.closeStream();
     }
-  });
+  })();
+
+  return subscribeToTurn(turn, 0, signal);
+}
+
+/**
+ * Reconnects a client to a turn, replaying the events after its Last-Event-ID
+ * @param {Object} options - Resume options
+ * @param {string} options.lastEventId - The last event ID the client received
+ * @param {string} options.shop - The requesting shop domain
+ * @param {string} options.conversationId - The requesting conversation ID
+ * @param {AbortSignal} options.signal - The request's abort signal
+ * @returns {ReadableStream|null} A readable stream for SSE, or null if the turn can't be resumed
+ */
+export function resumeSseStream({ lastEventId, shop, conversationId, signal }) {
+  const parsed = parseEventId(lastEventId);
+  if (!parsed) {
+    return null;
+  }
+
+  const turn = getOwnedTurn(parsed.turnId, { shop, conversationId });
+  if (!turn) {
+    return null;
+  }
+
+  // The events the client is missing have been dropped from the buffer
+  const oldestSeq = turn.events[0]?.seq ?? turn.nextSeq;
+  if (parsed.seq + 1 < oldestSeq) {
+    return null;
+  }
+
+  return subscribeToTurn(turn, parsed.seq, signal);
+}
+
+/**
+ * Stops a running turn at the shopper's request
+ * @param {string} turnId - The turn ID
+ * @param {Object} owner - The requesting shop and conversation
+ * @returns {boolean} True if a running turn was stopped
+ */
+export function stopTurn(turnId, owner) {
+  const turn = getOwnedTurn(turnId, owner);
+  if (!turn || turn.finished) {
+    return false;
+  }
+
+  turn.abortController.abort(new Error('Stopped by the shopper'));
+  return true;
 }
 
 export default {
   createSseStream,
-  createStreamManager
-};
\ No newline at end of file
+  createStreamManager,
+  resumeSseStream,
+  stopTurn,
+  parseEventId,
+  isAbortError
+};
@@ -0,0 +1,240 @@
+/**
+ * Tool Validation Service
+ * Checks tool call arguments against the tool's input_schema before the call
+ * is dispatched, so the model gets specific messages it can correct instead
+ * of an opaque error from the MCP server.
+ *
+ * Covers the JSON Schema keywords tool schemas use: type, enum, const,
+ * properties, required, additionalProperties, items, length, range and
+ * pattern constraints, allOf/anyOf/oneOf/not and local $refs. Unknown
+ * keywords (format, examples, ...) are ignored.
+ */
+
+/**
+ * Most messages reported for one call; the model only needs the first few
+ */
+const MAX_ERRORS = 10;
+
+/**
+ * Describes a value's JSON type
+ * @param {*} value - Any value
+ * @returns {string} "null", "array", "integer", "number", "string", "boolean" or "object"
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+/**
+ * Checks a value against a schema type
+ * @param {*} value - The value
+ * @param {string} type - The schema type
+ * @returns {boolean} True if the value has the type
+ */
+function hasType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Resolves a local reference such as "#/$defs/line" against the root schema
+ * @param {Object} root - The root schema
+ * @param {string} ref - The reference
+ * @returns {Object|null} The referenced schema, or null if it can't be resolved
+ */
+function resolveRef(root, ref) {
+  if (!ref.startsWith('#')) return null;
+
+  return ref.slice(1).split('/').filter(Boolean)
+    .map(part => decodeURIComponent(part).replace(/~1/g, '/').replace(/~0/g, '~'))
+    .reduce((schema, part) => (schema && typeof schema === 'object' ? schema[part] : undefined), root) || null;
+}
+
+/**
+ * Appends a property or index to a path for messages
+ * @param {string} path - The parent path
+ * @param {string|number} key - Property name or array index
+ * @returns {string} The child path
+ */
+function childPath(path, key) {
+  if (typeof key === 'number') return `${path}[${key}]`;
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`;
+}
+
+/**
+ * Validates a value against a schema, collecting messages
+ * @param {*} value - The value
+ * @param {Object|boolean} schema - The schema
+ * @param {string} path - Where the value is, for messages
+ * @param {Object} root - The root schema, for $ref
+ * @param {Array<string>} errors - Messages collected so far
+ */
+function validate(value, schema, path, root, errors) {
+  if (errors.length >= MAX_ERRORS || schema === true || schema === undefined || schema === null) {
+    return;
+  }
+  if (schema === false) {
+    errors.push(`${path} is not allowed`);
+    return;
+  }
+
+  if (schema.$ref) {
+    const target = resolveRef(root, schema.$ref);
+    if (target) {
+      validate(value, target, path, root, errors);
+    }
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => hasType(value, type))) {
+      errors.push(`${path} must be ${types.join(' or ')}, got ${typeOf(value)}`);
+      return;
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+    errors.push(`${path} must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+  }
+  if ('const' in schema && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+    errors.push(`${path} must be ${JSON.stringify(schema.const)}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${path} must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${path} must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern) {
+      try {
+        if (!new RegExp(schema.pattern, 'u').test(value)) {
+          errors.push(`${path} must match the pattern ${schema.pattern}`);
+        }
+      } catch (error) {
+        // A pattern JavaScript can't compile isn't the model's fault
+      }
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path} must be at least ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path} must be at most ${schema.maximum}`);
+    }
+    if (typeof schema.exclusiveMinimum === 'number' && value <= schema.exclusiveMinimum) {
+      errors.push(`${path} must be greater than ${schema.exclusiveMinimum}`);
+    }
+    if (typeof schema.exclusiveMaximum === 'number' && value >= schema.exclusiveMaximum) {
+      errors.push(`${path} must be less than ${schema.exclusiveMaximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path} must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path} must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items && !Array.isArray(schema.items)) {
+      value.forEach((item, index) => validate(item, schema.items, childPath(path, index), root, errors));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+
+    // Own properties only, so names like "constructor" or "__proto__" aren't taken as declared
+    for (const name of schema.required || []) {
+      if (!Object.hasOwn(value, name)) {
+        errors.push(`${childPath(path, name)} is required`);
+      }
+    }
+
+    for (const [name, propertyValue] of Object.entries(value)) {
+      if (Object.hasOwn(properties, name)) {
+        validate(propertyValue, properties[name], childPath(path, name), root, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${childPath(path, name)} is not an allowed property`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        validate(propertyValue, schema.additionalProperties, childPath(path, name), root, errors);
+      }
+    }
+  }
+
+  if (schema.allOf) {
+    schema.allOf.forEach(subschema => validate(value, subschema, path, root, errors));
+  }
+
+  if (schema.anyOf || schema.oneOf) {
+    const options = schema.anyOf || schema.oneOf;
+    const matches = options.filter(subschema => matchesSchema(value, subschema, path, root)).length;
+
+    if (matches === 0) {
+      errors.push(`${path} doesn't match any of the allowed shapes`);
+    } else if (schema.oneOf && matches > 1) {
+      errors.push(`${path} matches more than one of the allowed shapes`);
+    }
+  }
+
+  if (schema.not && matchesSchema(value, schema.not, path, root)) {
+    errors.push(`${path} has a value that is not allowed`);
+  }
+}
+
+/**
+ * Checks whether a value satisfies a subschema, for anyOf, oneOf and not
+ * @param {*} value - The value
+ * @param {Object|boolean} schema - The subschema
+ * @param {string} path - Where the value is
+ * @param {Object} root - The root schema, for $ref
+ * @returns {boolean} True if the value is valid
+ */
+function matchesSchema(value, schema, path, root) {
+  const errors = [];
+  validate(value, schema, path, root, errors);
+  return errors.length === 0;
+}
+
+/**
+ * Validates tool call arguments against a tool's input schema
+ * @param {Object} schema - The tool's input_schema
+ * @param {*} input - The arguments the model sent
+ * @returns {Array<string>} Messages describing what's wrong; empty when the input is valid
+ */
+export function validateToolInput(schema, input) {
+  const errors = [];
+
+  if (schema && typeof schema === 'object') {
+    // A tool without arguments is still called with an object
+    validate(input ?? {}, schema, 'input', schema, errors);
+  }
+
+  // One level can add several messages past the cap before the next check
+  return errors.slice(0, MAX_ERRORS);
+}
+
+/**
+ * Formats validation messages as a tool result the model can act on
+ * @param {string} toolName - The tool that was called
+ * @param {Array<string>} errors - Messages from validateToolInput
+ * @returns {string} The tool result text
+ */
+export function formatValidationErrors(toolName, errors) {
+  return [
+    `The arguments for ${toolName} are invalid, so the tool was not called:`,
+    ...errors.map(error => `- ${error}`),
+    'Fix the arguments to match the tool\'s input schema and call it again.'
+  ].join('\n');
+}
+
+export default {
+  validateToolInput,
+  formatValidationErrors
+};
@@ -0,0 +1,148 @@
+import { describe, expect, it } from "vitest";
+import { validateToolInput, formatValidationErrors } from "./tool-validation.server";
+
+const searchSchema = {
+  type: "object",
+  properties: {
+    query: { type: "string", minLength: 1 },
+    limit: { type: "integer", minimum: 1, maximum: 50 },
+    sort: { enum: ["relevance", "price"] }
+  },
+  required: ["query"],
+  additionalProperties: false
+};
+
+describe("validateToolInput", () => {
+  it("accepts valid input", () => {
+    expect(validateToolInput(searchSchema, { query: "tee", limit: 10, sort: "price" })).toEqual([]);
+  });
+
+  it("reports missing required properties", () => {
+    expect(validateToolInput(searchSchema, {})).toEqual(["input.query is required"]);
+  });
+
+  it("treats missing input as an empty object", () => {
+    expect(validateToolInput(searchSchema, undefined)).toEqual(["input.query is required"]);
+    expect(validateToolInput({ type: "object", properties: {} }, null)).toEqual([]);
+  });
+
+  it("reports wrong types", () => {
+    expect(validateToolInput(searchSchema, { query: 5 })).toEqual(["input.query must be string, got integer"]);
+    expect(validateToolInput(searchSchema, { query: "tee", limit: 2.5 })).toEqual(["input.limit must be integer, got number"]);
+  });
+
+  it("reports enum, range and length violations", () => {
+    expect(validateToolInput(searchSchema, { query: "", limit: 100, sort: "newest" })).toEqual([
+      "input.query must be at least 1 characters",
+      "input.limit must be at most 50",
+      'input.sort must be one of "relevance", "price"'
+    ]);
+  });
+
+  it("rejects properties the schema doesn't declare", () => {
+    expect(validateToolInput(searchSchema, { query: "tee", color: "red" }))
+      .toEqual(["input.color is not an allowed property"]);
+  });
+
+  it("doesn't treat inherited names as declared properties", () => {
+    const input = JSON.parse('{"query":"tee","constructor":1,"toString":2,"__proto__":{"x":1}}');
+
+    expect(validateToolInput(searchSchema, input)).toEqual([
+      "input.constructor is not an allowed property",
+      "input.toString is not an allowed property",
+      "input.__proto__ is not an allowed property"
+    ]);
+  });
+
+  it("doesn't treat inherited names as present required properties", () => {
+    expect(validateToolInput({ type: "object", required: ["toString", "constructor"] }, {})).toEqual([
+      "input.toString is required",
+      "input.constructor is required"
+    ]);
+  });
+
+  it("validates additional properties against a schema", () => {
+    const schema = { type: "object", additionalProperties: { type: "number" } };
+    expect(validateToolInput(schema, { a: 1, b: "2" })).toEqual(["input.b must be number, got string"]);
+  });
+
+  it("validates nested arrays and objects with paths", () => {
+    const schema = {
+      type: "object",
+      properties: {
+        lines: {
+          type: "array",
+          maxItems: 2,
+          items: {
+            type: "object",
+            properties: { quantity: { type: "integer", exclusiveMinimum: 0 } },
+            required: ["quantity"]
+          }
+        }
+      }
+    };
+
+    expect(validateToolInput(schema, { lines: [{ quantity: 1 }, { quantity: 0 }, {}] })).toEqual([
+      "input.lines must have at most 2 items",
+      "input.lines[1].quantity must be greater than 0",
+      "input.lines[2].quantity is required"
+    ]);
+  });
+
+  it("quotes property names that aren't identifiers", () => {
+    const schema = { type: "object", required: ["variant-id"] };
+    expect(validateToolInput(schema, {})).toEqual(['input["variant-id"] is required']);
+  });
+
+  it("checks patterns", () => {
+    const schema = { type: "object", properties: { id: { type: "string", pattern: "^gid://" } } };
+    expect(validateToolInput(schema, { id: "123" })).toEqual(["input.id must match the pattern ^gid://"]);
+  });
+
+  it("ignores patterns JavaScript can't compile", () => {
+    const schema = { type: "object", properties: { id: { type: "string", pattern: "(?<" } } };
+    expect(validateToolInput(schema, { id: "123" })).toEqual([]);
+  });
+
+  it("resolves local references", () => {
+    const schema = {
+      type: "object",
+      properties: { line: { $ref: "#/$defs/line" } },
+      $defs: { line: { type: "object", required: ["merchandiseId"] } }
+    };
+    expect(validateToolInput(schema, { line: {} })).toEqual(["input.line.merchandiseId is required"]);
+  });
+
+  it("checks anyOf, oneOf and not", () => {
+    const anyOf = { anyOf: [{ required: ["id"] }, { required: ["handle"] }] };
+    expect(validateToolInput(anyOf, { handle: "tee" })).toEqual([]);
+    expect(validateToolInput(anyOf, {})).toEqual(["input doesn't match any of the allowed shapes"]);
+
+    const oneOf = { oneOf: [{ required: ["id"] }, { required: ["handle"] }] };
+    expect(validateToolInput(oneOf, { id: "1", handle: "tee" }))
+      .toEqual(["input matches more than one of the allowed shapes"]);
+
+    const not = { not: { required: ["password"] } };
+    expect(validateToolInput(not, { password: "x" })).toEqual(["input has a value that is not allowed"]);
+  });
+
+  it("caps the number of messages", () => {
+    const schema = { type: "object", additionalProperties: false };
+    const input = Object.fromEntries(Array.from({ length: 20 }, (_, i) => [`p${i}`, i]));
+    expect(validateToolInput(schema, input)).toHaveLength(10);
+  });
+
+  it("accepts anything without a schema", () => {
+    expect(validateToolInput(undefined, { anything: true })).toEqual([]);
+  });
+});
+
+describe("formatValidationErrors", () => {
+  it("lists the messages with instructions to retry", () => {
+    expect(formatValidationErrors("search_shop_catalog", ["input.query is required"])).toBe([
+      "The arguments for search_shop_catalog are invalid, so the tool was not called:",
+      "- input.query is required",
+      "Fix the arguments to match the tool's input schema and call it again."
+    ].join("\n"));
+  });
+});
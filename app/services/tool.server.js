@@ -38,9 +38,12 @@ export function createToolService() {
    * @param {Array} conversationHistory - The conversation history
    * @param {Array} productsToDisplay - Array to add product results to
    * @param {string} conversationId - The conversation ID
+   * @returns {Promise<Object>} Outcome of the call: { emptySearch, products }
    */
     const handleToolSuccess = async (toolUseResponse, toolName, toolUseId, conversationHistory, productsToDisplay, conversationId) => {
       let toolResult = toolUseResponse.content;
+      let emptySearch = false;
+      const products = [];
 
       // Check if this is an empty product search
       if (toolName === AppConfig.tools.productSearchName) {
@@ -49,6 +52,7 @@ export function createToolService() {
           const responseData = typeof content === 'object' ? content : JSON.parse(content);
 
           if (responseData?.products && responseData.products.length === 0) {
+            emptySearch = true;
             // Add explicit instruction to not search again
             toolResult = [{
               type: "text",
@@ -58,7 +62,8 @@ export function createToolService() {
               })
             }];
           } else {
-            productsToDisplay.push(...processProductSearchResult(toolUseResponse));
+            products.push(...processProductSearchResult(toolUseResponse));
+            productsToDisplay.push(...products);
           }
         } catch (e) {
           console.error("Error processing product search:", e);
@@ -66,6 +71,8 @@ export function createToolService() {
       }
 
       addToolResultToHistory(conversationHistory, toolUseId, toolResult, conversationId);
+
+      return { emptySearch, products };
     };
 
   /**
@@ -126,7 +133,30 @@ export function createToolService() {
       price: price,
       image_url: product.image_url || '',
       description: product.description || '',
-      url: product.url || ''
+      url: product.url || '',
+      variants: (product.variants || [])
+        .map(variant => formatVariantData(variant, product.price_range?.currency))
+        .filter(variant => variant.id)
+    };
+  };
+
+  /**
+   * Formats a product variant for the widget's add-to-cart picker
+   * Storefront MCP sends `variant_id`, the Admin API fallback sends `id`; both may be GIDs,
+   * while the storefront cart API expects the numeric ID.
+   * @param {Object} variant - Raw variant data
+   * @param {string} currency - Currency of the product's price range
+   * @returns {Object} Formatted variant data
+   */
+  const formatVariantData = (variant, currency) => {
+    const rawId = variant.variant_id || variant.id;
+    const numericId = rawId ? String(rawId).split('/').pop() : '';
+
+    return {
+      id: /^\d+$/.test(numericId) ? numericId : null,
+      title: variant.title || '',
+      price: variant.price ? `${variant.currency || currency || ''} ${variant.price}`.trim() : '',
+      available: variant.available !== false && variant.availableForSale !== false
     };
   };
 
@@ -136,14 +166,17 @@ export function createToolService() {
    * @param {string} toolUseId - The ID of the tool use request
    * @param {string} content - The content of the tool result
    * @param {string} conversationId - The conversation ID
+   * @param {Object} [options] - Result options
+   * @param {boolean} [options.isError] - Marks the result as a failed call
    */
-  const addToolResultToHistory = async (conversationHistory, toolUseId, content, conversationId) => {
+  const addToolResultToHistory = async (conversationHistory, toolUseId, content, conversationId, { isError = false } = {}) => {
     const toolResultMessage = {
       role: 'user',
       content: [{
         type: "tool_result",
         tool_use_id: toolUseId,
-        content: content
+        content: content,
+        ...(isError ? { is_error: true } : {})
       }]
     };
 
@@ -0,0 +1,150 @@
+/**
+ * Usage Service
+ * Normalizes provider token usage, prices it and enforces per-shop monthly budgets
+ *
+ * Usage is stored in a provider-neutral shape on each assistant message:
+ * `{ model, inputTokens, outputTokens, cacheCreationTokens, cacheReadTokens, costUsd }`
+ * where `inputTokens` excludes cached tokens, which are counted separately.
+ */
+import AppConfig from "./config.server";
+import { getShopUsageTotals } from "../db.server";
+
+/**
+ * Converts an Anthropic message's usage into the canonical shape
+ * @param {Object} message - Anthropic message with model and usage
+ * @returns {Object|null} Canonical usage
+ */
+export function fromAnthropicUsage(message) {
+  const usage = message?.usage;
+  if (!usage) return null;
+
+  return withCost({
+    model: message.model,
+    inputTokens: usage.input_tokens || 0,
+    outputTokens: usage.output_tokens || 0,
+    cacheCreationTokens: usage.cache_creation_input_tokens || 0,
+    cacheReadTokens: usage.cache_read_input_tokens || 0
+  });
+}
+
+/**
+ * Converts an OpenAI completion's usage into the canonical shape
+ * @param {string} model - The model that produced the completion
+ * @param {Object} usage - OpenAI usage object
+ * @returns {Object|null} Canonical usage
+ */
+export function fromOpenAIUsage(model, usage) {
+  if (!usage) return null;
+
+  const cachedTokens = usage.prompt_tokens_details?.cached_tokens || 0;
+
+  return withCost({
+    model,
+    inputTokens: Math.max(0, (usage.prompt_tokens || 0) - cachedTokens),
+    outputTokens: usage.completion_tokens || 0,
+    cacheCreationTokens: 0,
+    cacheReadTokens: cachedTokens
+  });
+}
+
+/**
+ * Finds the price entry for a model by longest matching name prefix
+ * @param {string} model - The model name (may include a date suffix)
+ * @returns {Object|null} Prices in USD per million tokens
+ */
+export function getModelPrice(model) {
+  if (!model) return null;
+
+  const match = Object.keys(AppConfig.usage.prices)
+    .filter(name => model.startsWith(name))
+    .sort((a, b) => b.length - a.length)[0];
+
+  return match ? AppConfig.usage.prices[match] : null;
+}
+
+/**
+ * Calculates the cost of a usage record
+ * @param {Object} usage - Canonical usage
+ * @returns {number|null} Cost in USD, or null if the model has no price
+ */
+export function calculateCost(usage) {
+  const price = getModelPrice(usage.model);
+  if (!price) {
+    console.warn(`No price configured for model ${usage.model}; cost not recorded`);
+    return null;
+  }
+
+  const perToken = (rate) => (rate || 0) / 1_000_000;
+
+  return usage.inputTokens * perToken(price.input)
+    + usage.outputTokens * perToken(price.output)
+    + usage.cacheCreationTokens * perToken(price.cacheWrite ?? price.input)
+    + usage.cacheReadTokens * perToken(price.cacheRead ?? price.input);
+}
+
+/**
+ * Adds the calculated cost to a usage record
+ * @param {Object} usage - Canonical usage without cost
+ * @returns {Object} Canonical usage with costUsd
+ */
+function withCost(usage) {
+  return { ...usage, costUsd: calculateCost(usage) };
+}
+
+/**
+ * Gets the first moment of the month containing a date (UTC)
+ * @param {Date} [date] - Any date in the month
+ * @returns {Date} Start of the month
+ */
+export function getMonthStart(date = new Date()) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+}
+
+/**
+ * Gets a shop's monthly budget
+ * @param {string} shop - The shop domain
+ * @returns {number|null} Budget in USD, or null if unlimited
+ */
+export function getShopBudget(shop) {
+  const shopBudget = Number(AppConfig.usage.shopBudgetsUsd[shop]);
+  if (Number.isFinite(shopBudget) && shopBudget > 0) {
+    return shopBudget;
+  }
+
+  const budget = AppConfig.usage.monthlyBudgetUsd;
+  return Number.isFinite(budget) && budget > 0 ? budget : null;
+}
+
+/**
+ * Checks a shop's spend for the current month against its budget
+ * @param {string} shop - The shop domain
+ * @returns {Promise<Object>} { status, spentUsd, budgetUsd } where status is
+ *   "unlimited", "ok", "warning" or "exceeded"
+ */
+export async function getShopBudgetStatus(shop) {
+  const budgetUsd = getShopBudget(shop);
+  const { costUsd: spentUsd } = await getShopUsageTotals(shop, getMonthStart());
+
+  if (budgetUsd === null) {
+    return { status: 'unlimited', spentUsd, budgetUsd };
+  }
+
+  let status = 'ok';
+  if (spentUsd >= budgetUsd) {
+    status = 'exceeded';
+  } else if (spentUsd >= budgetUsd * AppConfig.usage.warningThreshold) {
+    status = 'warning';
+  }
+
+  return { status, spentUsd, budgetUsd };
+}
+
+export default {
+  fromAnthropicUsage,
+  fromOpenAIUsage,
+  getModelPrice,
+  calculateCost,
+  getMonthStart,
+  getShopBudget,
+  getShopBudgetStatus
+};
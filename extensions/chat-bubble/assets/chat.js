@@ -34,6 +34,7 @@
           clearButton: container.querySelector('.shop-ai-clear-chat'),
           chatInput: container.querySelector('.shop-ai-chat-input input'),
           sendButton: container.querySelector('.shop-ai-chat-send'),
+          stopButton: container.querySelector('.shop-ai-chat-stop'),
           messagesContainer: container.querySelector('.shop-ai-chat-messages')
         };
 
@@ -53,7 +54,7 @@
        * Set up all event listeners for UI interactions
        */
       setupEventListeners: function() {
-        const { chatBubble, closeButton, clearButton, chatInput, sendButton, messagesContainer } = this.elements;
+        const { chatBubble, closeButton, clearButton, chatInput, sendButton, stopButton, messagesContainer } = this.elements;
 
         // Toggle chat window visibility
         chatBubble.addEventListener('click', () => this.toggleChatWindow());
@@ -91,12 +92,17 @@
           }
         });
 
+        // Stop the reply that is currently streaming
+        if (stopButton) {
+          stopButton.addEventListener('click', () => ShopAIChat.API.stopStreaming());
+        }
+
         // Handle window resize to adjust scrolling
         window.addEventListener('resize', () => this.scrollToBottom());
 
         // Add global click handler for auth links
         document.addEventListener('click', function(event) {
-          if (event.target && event.target.classList.contains('shop-auth-trigger')) {
+          if (event.target && event.target.closest && event.target.closest('.shop-auth-trigger')) {
             event.preventDefault();
             if (window.shopAuthUrl) {
               ShopAIChat.Auth.openAuthPopup(window.shopAuthUrl);
@@ -171,6 +177,7 @@
 
         // Remove conversation ID from session storage
         sessionStorage.removeItem('shopAiConversationId');
+        ShopAIChat.Handoff.reset();
 
         // Show welcome message
         const welcomeMessage = window.shopChatConfig?.welcomeMessage || "👋 Hi there! How can I help you today?";
@@ -187,6 +194,35 @@
         }, 100);
       },
 
+      /**
+       * Swap the send button for the stop button while a reply is streaming
+       * @param {boolean} isStreaming - Whether a reply is streaming
+       */
+      setStreaming: function(isStreaming) {
+        const { sendButton, stopButton } = this.elements;
+        if (!stopButton) return;
+
+        stopButton.hidden = !isStreaming;
+        sendButton.hidden = isStreaming;
+      },
+
+      /**
+       * Disable sending for a while, e.g. after the server rate limited the shopper
+       * @param {number} durationMs - How long to disable sending
+       */
+      pauseInput: function(durationMs) {
+        const { chatInput, sendButton } = this.elements;
+
+        chatInput.disabled = true;
+        sendButton.disabled = true;
+
+        clearTimeout(this.pauseTimer);
+        this.pauseTimer = setTimeout(() => {
+          chatInput.disabled = false;
+          sendButton.disabled = false;
+        }, durationMs);
+      },
+
       /**
        * Show typing indicator in the chat
        */
@@ -306,6 +342,46 @@
         return messageElement;
       },
 
+      /**
+       * Add a reply from a member of the store's staff
+       * @param {string} text - Message content
+       * @param {string|null} authorName - The staff member's name
+       * @param {HTMLElement} messagesContainer - The messages container
+       * @returns {HTMLElement} The created message element
+       */
+      addStaff: function(text, authorName, messagesContainer) {
+        // Rendered like an assistant reply, with a label saying who wrote it
+        const messageElement = this.add(text, 'assistant', messagesContainer);
+        messageElement.classList.add('staff');
+        const staffLabel = window.shopChatConfig?.staffLabel || 'Store team';
+        messageElement.dataset.staffLabel = authorName ? `${authorName} · ${staffLabel}` : staffLabel;
+        return messageElement;
+      },
+
+      /**
+       * Add a status notice, such as the conversation being handed to staff
+       * @param {string} text - Notice text
+       * @param {HTMLElement} messagesContainer - The messages container
+       * @returns {HTMLElement} The created notice element
+       */
+      addNotice: function(text, messagesContainer) {
+        const noticeElement = document.createElement('div');
+        noticeElement.classList.add('shop-ai-message', 'notice');
+        noticeElement.textContent = text;
+        messagesContainer.appendChild(noticeElement);
+        ShopAIChat.UI.scrollToBottom();
+        return noticeElement;
+      },
+
+      /**
+       * Mark an assistant message as stopped before it finished
+       * @param {HTMLElement} messageElement - The message element
+       */
+      markInterrupted: function(messageElement) {
+        messageElement.classList.add('interrupted');
+        messageElement.dataset.interruptedLabel = window.shopChatConfig?.stoppedLabel || 'Stopped';
+      },
+
       /**
        * Add a tool use message to the chat with expandable arguments
        * @param {string} toolMessage - Tool use message content
@@ -384,107 +460,491 @@
      * Text formatting and markdown handling
      */
     Formatting: {
+      /**
+       * URL schemes links may use; anything else (javascript:, data:, ...) is rendered as plain text
+       */
+      allowedProtocols: ['http:', 'https:', 'mailto:', 'tel:'],
+
       /**
        * Format message content with markdown and links
+       * The markdown is tokenized and rendered as DOM nodes, so model output never reaches innerHTML.
        * @param {HTMLElement} element - The element to format
        */
       formatMessageContent: function(element) {
         if (!element || !element.dataset.rawText) return;
 
-        const rawText = element.dataset.rawText;
-
-        // Process the text with various Markdown features
-        let processedText = rawText;
-
-        // Process Markdown links
-        const markdownLinkRegex = /\[([^\]]+)\]\(([^)]+)\)/g;
-        processedText = processedText.replace(markdownLinkRegex, (match, text, url) => {
-          // Check if it's an auth URL
-          if (url.includes('shopify.com/authentication') &&
-             (url.includes('oauth/authorize') || url.includes('authentication'))) {
-            // Store the auth URL in a global variable for later use - this avoids issues with onclick handlers
-            window.shopAuthUrl = url;
-            // Just return normal link that will be handled by the document click handler
-            return '<a href="#auth" class="shop-auth-trigger">' + text + '</a>';
-          }
-          // If it's a checkout link, replace the text
-          else if (url.includes('/cart') || url.includes('checkout')) {
-            return '<a href="' + url + '" target="_blank" rel="noopener noreferrer">click here to proceed to checkout</a>';
-          } else {
-            // For normal links, preserve the original text
-            return '<a href="' + url + '" target="_blank" rel="noopener noreferrer">' + text + '</a>';
-          }
-        });
+        element.replaceChildren(this.renderMarkdown(element.dataset.rawText));
+      },
+
+      /**
+       * Render Markdown text as DOM nodes
+       * @param {string} text - Markdown text to render
+       * @returns {DocumentFragment} The rendered content
+       */
+      renderMarkdown: function(text) {
+        const fragment = document.createDocumentFragment();
+        const blocks = this.tokenizeBlocks(text.replace(/\r\n?/g, '\n').split('\n'));
 
-        // Convert text to HTML with proper list handling
-        processedText = this.convertMarkdownToHtml(processedText);
+        for (const block of blocks) {
+          fragment.appendChild(this.renderBlock(block));
+        }
 
-        // Apply the formatted HTML
-        element.innerHTML = processedText;
+        return fragment;
       },
 
       /**
-       * Convert Markdown text to HTML with list support
-       * @param {string} text - Markdown text to convert
-       * @returns {string} HTML content
+       * Split lines into block tokens (headings, code, tables, lists, rules and paragraphs)
+       * @param {Array<string>} lines - The lines to tokenize
+       * @returns {Array<Object>} Block tokens
        */
-      convertMarkdownToHtml: function(text) {
-        text = text.replace(/(\*\*|__)(.*?)\1/g, '<strong>$2</strong>');
-        const lines = text.split('\n');
-        let currentList = null;
-        let listItems = [];
-        let htmlContent = '';
-        let startNumber = 1;
+      tokenizeBlocks: function(lines) {
+        const blocks = [];
+        let i = 0;
 
-        for (let i = 0; i < lines.length; i++) {
+        while (i < lines.length) {
           const line = lines[i];
-          const unorderedMatch = line.match(/^\s*([-*])\s+(.*)/);
-          const orderedMatch = line.match(/^\s*(\d+)[\.)]\s+(.*)/);
-
-          if (unorderedMatch) {
-            if (currentList !== 'ul') {
-              if (currentList === 'ol') {
-                htmlContent += `<ol start="${startNumber}">` + listItems.join('') + '</ol>';
-                listItems = [];
+
+          if (line.trim() === '') {
+            i++;
+            continue;
+          }
+
+          // Fenced code block; an unclosed fence runs to the end (e.g. while streaming)
+          const fence = line.match(/^\s*(```|~~~)/);
+          if (fence) {
+            const codeLines = [];
+            i++;
+            while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+              codeLines.push(lines[i]);
+              i++;
+            }
+            i++;
+            blocks.push({ type: 'code', text: codeLines.join('\n') });
+            continue;
+          }
+
+          const heading = line.match(/^\s*(#{1,6})\s+(.*?)\s*#*\s*$/);
+          if (heading) {
+            blocks.push({ type: 'heading', level: heading[1].length, text: heading[2] });
+            i++;
+            continue;
+          }
+
+          if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+            blocks.push({ type: 'rule' });
+            i++;
+            continue;
+          }
+
+          if (line.includes('|') && i + 1 < lines.length && this.isTableSeparator(lines[i + 1])) {
+            const table = {
+              type: 'table',
+              header: this.splitTableRow(line),
+              align: this.splitTableRow(lines[i + 1]).map(cell => {
+                const left = cell.startsWith(':');
+                const right = cell.endsWith(':');
+                return left && right ? 'center' : right ? 'right' : left ? 'left' : '';
+              }),
+              rows: []
+            };
+            i += 2;
+            while (i < lines.length && lines[i].includes('|') && lines[i].trim() !== '') {
+              table.rows.push(this.splitTableRow(lines[i]));
+              i++;
+            }
+            blocks.push(table);
+            continue;
+          }
+
+          if (this.matchListItem(line)) {
+            const listLines = [];
+            while (i < lines.length) {
+              const current = lines[i];
+              if (current.trim() === '') {
+                // A blank line only continues the list if another item follows
+                const next = lines[i + 1];
+                if (next !== undefined && this.matchListItem(next)) {
+                  i++;
+                  continue;
+                }
+                break;
               }
-              currentList = 'ul';
-            }
-            listItems.push('<li>' + unorderedMatch[2] + '</li>');
-          } else if (orderedMatch) {
-            if (currentList !== 'ol') {
-              if (currentList === 'ul') {
-                htmlContent += '<ul>' + listItems.join('') + '</ul>';
-                listItems = [];
+              if (!this.matchListItem(current) && !/^\s+/.test(current) && listLines.length > 0 &&
+                  this.startsBlock(current, lines[i + 1])) {
+                break;
               }
-              currentList = 'ol';
-              startNumber = parseInt(orderedMatch[1], 10);
+              listLines.push(current);
+              i++;
             }
-            listItems.push('<li>' + orderedMatch[2] + '</li>');
+            blocks.push(this.parseList(listLines));
+            continue;
+          }
+
+          // Paragraph: consecutive lines until a blank line or another block starts
+          const paragraphLines = [line];
+          i++;
+          while (i < lines.length && lines[i].trim() !== '' && !this.startsBlock(lines[i], lines[i + 1])) {
+            paragraphLines.push(lines[i]);
+            i++;
+          }
+          blocks.push({ type: 'paragraph', text: paragraphLines.join('\n') });
+        }
+
+        return blocks;
+      },
+
+      /**
+       * Check whether a line starts a block other than a paragraph
+       * @param {string} line - The line to check
+       * @param {string} nextLine - The following line (tables need their separator row)
+       * @returns {boolean} True if the line starts a new block
+       */
+      startsBlock: function(line, nextLine) {
+        return /^\s*(```|~~~|#{1,6}\s)/.test(line) ||
+          /^\s*([-*_])(\s*\1){2,}\s*$/.test(line) ||
+          Boolean(this.matchListItem(line)) ||
+          (line.includes('|') && nextLine !== undefined && this.isTableSeparator(nextLine));
+      },
+
+      /**
+       * Match a list item line
+       * @param {string} line - The line to match
+       * @returns {Object|null} Indent, list type, start number and text, or null
+       */
+      matchListItem: function(line) {
+        const match = line.match(/^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/);
+        if (!match) return null;
+
+        const ordered = /\d/.test(match[2]);
+        return {
+          indent: match[1].replace(/\t/g, '    ').length,
+          ordered: ordered,
+          start: ordered ? parseInt(match[2], 10) : 1,
+          text: match[3]
+        };
+      },
+
+      /**
+       * Build a nested list token from list lines, using indentation for nesting
+       * @param {Array<string>} lines - Lines belonging to the list
+       * @returns {Object} The list token
+       */
+      parseList: function(lines) {
+        const first = this.matchListItem(lines[0]);
+        const root = { type: 'list', ordered: first.ordered, start: first.start, items: [] };
+        const stack = [{ indent: first.indent, list: root }];
+
+        for (const line of lines) {
+          const item = this.matchListItem(line);
+
+          if (!item) {
+            // Continuation of the previous item
+            const items = stack[stack.length - 1].list.items;
+            if (items.length > 0) {
+              items[items.length - 1].text += '\n' + line.trim();
+            }
+            continue;
+          }
+
+          while (stack.length > 1 && item.indent < stack[stack.length - 1].indent) {
+            stack.pop();
+          }
+
+          const top = stack[stack.length - 1];
+          const parentItems = top.list.items;
+
+          if (item.indent > top.indent && parentItems.length > 0) {
+            const nested = { type: 'list', ordered: item.ordered, start: item.start, items: [] };
+            parentItems[parentItems.length - 1].children.push(nested);
+            stack.push({ indent: item.indent, list: nested });
+          }
+
+          stack[stack.length - 1].list.items.push({ text: item.text, children: [] });
+        }
+
+        return root;
+      },
+
+      /**
+       * Check whether a line is a table header separator such as `| --- | :-: |`
+       * @param {string} line - The line to check
+       * @returns {boolean} True if the line is a separator row
+       */
+      isTableSeparator: function(line) {
+        return /^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/.test(line) && line.includes('-');
+      },
+
+      /**
+       * Split a table row into trimmed cell texts
+       * @param {string} line - The table row
+       * @returns {Array<string>} Cell texts
+       */
+      splitTableRow: function(line) {
+        let row = line.trim();
+        if (row.startsWith('|')) row = row.slice(1);
+        if (row.endsWith('|') && !row.endsWith('\\|')) row = row.slice(0, -1);
+
+        // Split on unescaped pipes (no lookbehind, which older Safari can't parse)
+        const cells = [''];
+        for (let i = 0; i < row.length; i++) {
+          if (row[i] === '\\' && row[i + 1] === '|') {
+            cells[cells.length - 1] += '|';
+            i++;
+          } else if (row[i] === '|') {
+            cells.push('');
           } else {
-            if (currentList) {
-              htmlContent += currentList === 'ul'
-                ? '<ul>' + listItems.join('') + '</ul>'
-                : `<ol start="${startNumber}">` + listItems.join('') + '</ol>';
-              listItems = [];
-              currentList = null;
+            cells[cells.length - 1] += row[i];
+          }
+        }
+
+        return cells.map(cell => cell.trim());
+      },
+
+      /**
+       * Render a block token as a DOM node
+       * @param {Object} block - The block token
+       * @returns {Node} The rendered node
+       */
+      renderBlock: function(block) {
+        switch (block.type) {
+          case 'heading': {
+            // Headings inside a chat bubble stay small; h1/h2 map to h3
+            const heading = document.createElement(`h${Math.max(3, Math.min(block.level + 1, 6))}`);
+            this.renderInline(block.text, heading);
+            return heading;
+          }
+
+          case 'code': {
+            const pre = document.createElement('pre');
+            const code = document.createElement('code');
+            code.textContent = block.text;
+            pre.appendChild(code);
+            return pre;
+          }
+
+          case 'rule':
+            return document.createElement('hr');
+
+          case 'table': {
+            const wrapper = document.createElement('div');
+            wrapper.classList.add('shop-ai-table-wrapper');
+            const table = document.createElement('table');
+            const thead = document.createElement('thead');
+            const tbody = document.createElement('tbody');
+
+            const appendRow = (section, cells, cellTag) => {
+              const tr = document.createElement('tr');
+              block.header.forEach((_, index) => {
+                const cell = document.createElement(cellTag);
+                if (block.align[index]) {
+                  cell.style.textAlign = block.align[index];
+                }
+                this.renderInline(cells[index] || '', cell);
+                tr.appendChild(cell);
+              });
+              section.appendChild(tr);
+            };
+
+            appendRow(thead, block.header, 'th');
+            block.rows.forEach(row => appendRow(tbody, row, 'td'));
+
+            table.appendChild(thead);
+            table.appendChild(tbody);
+            wrapper.appendChild(table);
+            return wrapper;
+          }
+
+          case 'list': {
+            const list = document.createElement(block.ordered ? 'ol' : 'ul');
+            if (block.ordered && block.start !== 1) {
+              list.start = block.start;
             }
 
-            if (line.trim() === '') {
-              htmlContent += '<br>';
-            } else {
-              htmlContent += '<p>' + line + '</p>';
+            for (const item of block.items) {
+              const li = document.createElement('li');
+              this.renderInline(item.text, li);
+              item.children.forEach(child => li.appendChild(this.renderBlock(child)));
+              list.appendChild(li);
             }
+            return list;
+          }
+
+          default: {
+            const paragraph = document.createElement('p');
+            this.renderInline(block.text, paragraph);
+            return paragraph;
           }
         }
+      },
+
+      /**
+       * Render inline Markdown (code, links, bold, italic, line breaks) into a parent node
+       * @param {string} text - Inline Markdown text
+       * @param {Node} parent - The node to append to
+       */
+      renderInline: function(text, parent) {
+        let buffer = '';
+        let i = 0;
+
+        const flush = () => {
+          if (buffer) {
+            parent.appendChild(document.createTextNode(buffer));
+            buffer = '';
+          }
+        };
+
+        while (i < text.length) {
+          const char = text[i];
+          const rest = text.slice(i);
+
+          // Backslash escapes a punctuation character
+          if (char === '\\' && /[\\`*_[\]()#+\-.!|~]/.test(text[i + 1] || '')) {
+            buffer += text[i + 1];
+            i += 2;
+            continue;
+          }
 
-        if (currentList) {
-          htmlContent += currentList === 'ul'
-            ? '<ul>' + listItems.join('') + '</ul>'
-            : `<ol start="${startNumber}">` + listItems.join('') + '</ol>';
+          if (char === '\n') {
+            flush();
+            parent.appendChild(document.createElement('br'));
+            i++;
+            continue;
+          }
+
+          if (char === '`') {
+            const end = text.indexOf('`', i + 1);
+            if (end > i + 1) {
+              flush();
+              const code = document.createElement('code');
+              code.textContent = text.slice(i + 1, end);
+              parent.appendChild(code);
+              i = end + 1;
+              continue;
+            }
+          }
+
+          if (char === '[') {
+            const link = rest.match(/^\[((?:[^\]\\]|\\.)+)\]\(\s*<?([^\s<>()]*(?:\([^\s()]*\)[^\s<>()]*)*)>?(?:\s+"[^"]*")?\s*\)/);
+            if (link) {
+              flush();
+              parent.appendChild(this.createLink(link[1], link[2]));
+              i += link[0].length;
+              continue;
+            }
+          }
+
+          // Bare URLs, without trailing punctuation
+          if (char === 'h' && /^https?:\/\//.test(rest) && !/[\w/]/.test(text[i - 1] || '')) {
+            const url = rest.match(/^https?:\/\/[^\s<>"]*[^\s<>".,:;!?'")\]]/);
+            if (url) {
+              flush();
+              parent.appendChild(this.createLink(url[0], url[0], true));
+              i += url[0].length;
+              continue;
+            }
+          }
+
+          if (rest.startsWith('**') || rest.startsWith('__')) {
+            const delimiter = rest.slice(0, 2);
+            const end = text.indexOf(delimiter, i + 2);
+            if (end > i + 2) {
+              flush();
+              const strong = document.createElement('strong');
+              this.renderInline(text.slice(i + 2, end), strong);
+              parent.appendChild(strong);
+              i = end + 2;
+              continue;
+            }
+          }
+
+          // Single * or _ is emphasis; _ only at word boundaries so snake_case stays intact
+          if ((char === '*' || (char === '_' && !/\w/.test(text[i - 1] || ''))) && text[i + 1] && !/\s/.test(text[i + 1])) {
+            let end = text.indexOf(char, i + 1);
+            while (end !== -1 && (text[end + 1] === char || /\s/.test(text[end - 1]) ||
+                   (char === '_' && /\w/.test(text[end + 1] || '')))) {
+              end = text.indexOf(char, end + 2);
+            }
+            if (end > i + 1) {
+              flush();
+              const em = document.createElement('em');
+              this.renderInline(text.slice(i + 1, end), em);
+              parent.appendChild(em);
+              i = end + 1;
+              continue;
+            }
+          }
+
+          buffer += char;
+          i++;
+        }
+
+        flush();
+      },
+
+      /**
+       * Resolve a link URL, rejecting schemes outside the allowlist
+       * @param {string} url - The URL from the message
+       * @returns {string|null} The absolute URL, or null if it isn't allowed
+       */
+      sanitizeUrl: function(url) {
+        try {
+          const parsed = new URL(url.trim(), window.location.href);
+          return this.allowedProtocols.includes(parsed.protocol) ? parsed.href : null;
+        } catch (e) {
+          return null;
+        }
+      },
+
+      /**
+       * Create a link element for a Markdown or bare link
+       * @param {string} text - Link text (inline Markdown)
+       * @param {string} url - Link URL
+       * @param {boolean} isBareUrl - Whether the text is the URL itself, shown verbatim
+       * @returns {Node} The link, or plain text if the URL isn't allowed
+       */
+      createLink: function(text, url, isBareUrl) {
+        const href = this.sanitizeUrl(url);
+        const fragment = document.createDocumentFragment();
+        const renderText = (parent) => {
+          if (isBareUrl) {
+            parent.appendChild(document.createTextNode(text));
+          } else {
+            this.renderInline(text, parent);
+          }
+        };
+
+        if (!href) {
+          renderText(fragment);
+          return fragment;
         }
 
-        htmlContent = htmlContent.replace(/<\/p><p>/g, '</p>\n<p>');
-        return htmlContent;
+        const link = document.createElement('a');
+
+        // Check if it's an auth URL
+        if (href.includes('shopify.com/authentication') &&
+           (href.includes('oauth/authorize') || href.includes('authentication'))) {
+          // Store the auth URL in a global variable for later use - this avoids issues with onclick handlers
+          window.shopAuthUrl = href;
+          // Just return normal link that will be handled by the document click handler
+          link.href = '#auth';
+          link.classList.add('shop-auth-trigger');
+          renderText(link);
+          return link;
+        }
+
+        link.href = href;
+        link.target = '_blank';
+        link.rel = 'noopener noreferrer';
+
+        // If it's a checkout link, replace the text
+        if (href.includes('/cart') || href.includes('checkout')) {
+          link.textContent = 'click here to proceed to checkout';
+        } else {
+          // For normal links, preserve the original text
+          renderText(link);
+        }
+
+        return link;
       }
     },
 
@@ -492,42 +952,219 @@
      * API communication and data handling
      */
     API: {
+      /**
+       * Get the chat endpoint URL (the app proxy path on the storefront)
+       * @returns {string} The chat endpoint URL
+       */
+      getChatUrl: function() {
+        return window.shopChatConfig?.chatUrl || '/apps/chat';
+      },
+
+      /**
+       * Controller for the reply that is currently streaming
+       */
+      streamController: null,
+
+      /**
+       * State of the reply that is currently streaming (turn and last event IDs)
+       */
+      activeStream: null,
+
+      /**
+       * Reconnection settings for dropped streams
+       */
+      reconnect: {
+        maxAttempts: 5,
+        baseDelayMs: 1000,
+        maxDelayMs: 8000
+      },
+
+      /**
+       * Stop the reply that is currently streaming
+       * The server stops the model and any tool calls and keeps the text received so far.
+       */
+      stopStreaming: function() {
+        const stream = this.activeStream;
+
+        if (stream && stream.turnId) {
+          fetch(`${this.getChatUrl()}/stop`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            keepalive: true,
+            body: JSON.stringify({
+              conversation_id: stream.conversationId,
+              turn_id: stream.turnId
+            })
+          }).catch(function(error) {
+            console.error('Error stopping reply:', error);
+          });
+        }
+
+        if (this.streamController) {
+          this.streamController.abort();
+        }
+      },
+
+      /**
+       * Build an error from a failed response, keeping the server's message if it sent one
+       * @param {Response} response - The failed response
+       * @returns {Promise<Error>} The error
+       */
+      responseError: async function(response) {
+        const error = new Error('Chat request failed: ' + response.status);
+        error.status = response.status;
+
+        // Rate limited: the server says how long to wait before sending again
+        const retryAfter = parseInt(response.headers.get('Retry-After'), 10);
+        if (response.status === 429 && retryAfter > 0) {
+          error.retryAfterMs = retryAfter * 1000;
+        }
+
+        try {
+          // Show the server's message when it explains why (e.g. the assistant is unavailable)
+          error.displayMessage = (await response.json()).error;
+        } catch (e) {
+          // Not a JSON error body
+        }
+        return error;
+      },
+
+      /**
+       * Read SSE frames from a response until it ends, tracking the last event ID
+       * @param {Response} response - The streaming response
+       * @param {Object} stream - State of the current reply
+       * @param {Function} onData - Called with each parsed event
+       * @returns {Promise<boolean>} True if any events were received
+       */
+      readEventStream: async function(response, stream, onData) {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let received = false;
+
+        while (true) {
+          const { value, done } = await reader.read();
+          if (done) break;
+
+          buffer += decoder.decode(value, { stream: true });
+          const frames = buffer.split('\n\n');
+          buffer = frames.pop() || '';
+
+          for (const frame of frames) {
+            let data = null;
+
+            // Lines starting with ':' are heartbeat comments
+            for (const line of frame.split('\n')) {
+              if (line.startsWith('id: ')) {
+                stream.lastEventId = line.slice(4);
+              } else if (line.startsWith('data: ')) {
+                data = line.slice(6);
+              }
+            }
+
+            if (data === null) continue;
+            received = true;
+
+            try {
+              onData(JSON.parse(data));
+            } catch (e) {
+              console.error('Error parsing event data:', e, frame);
+            }
+          }
+        }
+
+        return received;
+      },
+
+      /**
+       * Reconnect to a reply after a dropped connection
+       * @param {Object} stream - State of the current reply
+       * @param {AbortSignal} signal - Aborted when the shopper stops the reply
+       * @returns {Promise<Response>} The resumed streaming response
+       */
+      resumeStream: async function(stream, signal) {
+        const params = new URLSearchParams({
+          conversation_id: stream.conversationId,
+          last_event_id: stream.lastEventId
+        });
+
+        const response = await fetch(`${this.getChatUrl()}/resume?${params}`, {
+          method: 'GET',
+          headers: {
+            'Accept': 'text/event-stream',
+            'Last-Event-ID': stream.lastEventId
+          },
+          signal: signal
+        });
+
+        if (!response.ok) {
+          const error = await this.responseError(response);
+          // The reply is gone (finished long ago or served by another instance); retrying won't help
+          error.permanent = response.status === 404;
+          throw error;
+        }
+
+        return response;
+      },
+
       /**
        * Stream a response from the API
+       * Dropped connections are resumed from the last received event.
        * @param {string} userMessage - User's message text
        * @param {string} conversationId - Conversation ID for context
        * @param {HTMLElement} messagesContainer - The messages container
        */
       streamResponse: async function(userMessage, conversationId, messagesContainer) {
-        let currentMessageElement = null;
+        const streamController = new AbortController();
+        const stream = {
+          conversationId: conversationId,
+          turnId: null,
+          lastEventId: null,
+          completed: false,
+          currentMessageElement: null
+        };
+        this.streamController = streamController;
+        this.activeStream = stream;
+        ShopAIChat.UI.setStreaming(true);
+
+        const onData = (data) => {
+          if (data.type === 'id') {
+            stream.conversationId = data.conversation_id || stream.conversationId;
+            stream.turnId = data.turn_id || null;
+          } else if (data.type === 'done') {
+            stream.completed = true;
+          }
+
+          this.handleStreamEvent(data, stream.currentMessageElement, messagesContainer, userMessage,
+            (newElement) => { stream.currentMessageElement = newElement; });
+        };
 
         try {
           const promptType = window.shopChatConfig?.promptType || "standardAssistant";
 
-          // Get the shop domain
-          const shopDomain = window.Shopify?.shop || 'restorair.myshopify.com';
-
+          // The shop is derived server-side from the signed app proxy request
           const requestBody = JSON.stringify({
             message: userMessage,
             conversation_id: conversationId,
             prompt_type: promptType,
-            shop: shopDomain
+            context: await ShopAIChat.Context.get()
           });
 
-          const streamUrl = 'https://rachat.vercel.app/chat';
+          const streamUrl = ShopAIChat.API.getChatUrl();
 
-          const response = await fetch(streamUrl, {
+          let response = await fetch(streamUrl, {
             method: 'POST',
             headers: {
               'Content-Type': 'application/json',
               'Accept': 'text/event-stream'
             },
-            body: requestBody
+            body: requestBody,
+            signal: streamController.signal
           });
 
-          const reader = response.body.getReader();
-          const decoder = new TextDecoder();
-          let buffer = '';
+          if (!response.ok) {
+            throw await this.responseError(response);
+          }
 
           // Create initial message element
           let messageElement = document.createElement('div');
@@ -535,34 +1172,70 @@
           messageElement.textContent = '';
           messageElement.dataset.rawText = '';
           messagesContainer.appendChild(messageElement);
-          currentMessageElement = messageElement;
+          stream.currentMessageElement = messageElement;
 
-          // Process the stream
+          // Process the stream, reconnecting until the server says the turn is done
+          let attempt = 0;
           while (true) {
-            const { value, done } = await reader.read();
-            if (done) break;
-
-            buffer += decoder.decode(value, { stream: true });
-            const lines = buffer.split('\n\n');
-            buffer = lines.pop() || '';
-
-            for (const line of lines) {
-              if (line.startsWith('data: ')) {
-                try {
-                  const data = JSON.parse(line.slice(6));
-                  this.handleStreamEvent(data, currentMessageElement, messagesContainer, userMessage,
-                    (newElement) => { currentMessageElement = newElement; });
-                } catch (e) {
-                  console.error('Error parsing event data:', e, line);
+            if (response) {
+              try {
+                if (await this.readEventStream(response, stream, onData)) {
+                  attempt = 0;
                 }
+              } catch (error) {
+                if (error.name === 'AbortError') throw error;
+                console.warn('Chat stream interrupted:', error);
               }
+
+              if (stream.completed) break;
+              response = null;
+            }
+
+            if (!stream.lastEventId || attempt >= this.reconnect.maxAttempts) {
+              throw new Error('Chat stream lost');
+            }
+
+            const delay = Math.min(this.reconnect.baseDelayMs * Math.pow(2, attempt), this.reconnect.maxDelayMs);
+            attempt++;
+            console.log(`Reconnecting chat stream in ${delay}ms (attempt ${attempt})`);
+            await new Promise(resolve => setTimeout(resolve, delay));
+            streamController.signal.throwIfAborted();
+
+            try {
+              response = await this.resumeStream(stream, streamController.signal);
+            } catch (error) {
+              if (error.name === 'AbortError' || error.permanent) throw error;
+              console.warn('Chat stream reconnect failed:', error);
             }
           }
         } catch (error) {
-          console.error('Error in streaming:', error);
+          const currentMessageElement = stream.currentMessageElement;
           ShopAIChat.UI.removeTypingIndicator();
-          ShopAIChat.Message.add("Sorry, I couldn't process your request. Please try again later.",
+
+          if (error.name === 'AbortError') {
+            // Stopped by the shopper: keep what arrived and mark it as cut short
+            if (currentMessageElement && currentMessageElement.dataset.rawText) {
+              ShopAIChat.Formatting.formatMessageContent(currentMessageElement);
+              ShopAIChat.Message.markInterrupted(currentMessageElement);
+            } else if (currentMessageElement) {
+              currentMessageElement.remove();
+            }
+            return;
+          }
+
+          console.error('Error in streaming:', error);
+          ShopAIChat.Message.add(error.displayMessage || "Sorry, I couldn't process your request. Please try again later.",
             'assistant', messagesContainer);
+
+          if (error.retryAfterMs) {
+            ShopAIChat.UI.pauseInput(error.retryAfterMs);
+          }
+        } finally {
+          if (this.streamController === streamController) {
+            this.streamController = null;
+            this.activeStream = null;
+            ShopAIChat.UI.setStreaming(false);
+          }
         }
       },
 
@@ -590,8 +1263,7 @@
                 data.chunk.includes('Claude cares about') ||
                 data.chunk.includes('Claude never starts') ||
                 data.chunk.includes('Claude does not use') ||
-                data.chunk.includes('</long_conversation_reminder>') ||
-                data.chunk.includes('<')) {
+                data.chunk.includes('</long_conversation_reminder>')) {
               break;
             }
 
@@ -636,6 +1308,15 @@
             sessionStorage.setItem('shopAiLastMessage', userMessage || '');
             break;
 
+          case 'handoff':
+            ShopAIChat.UI.removeTypingIndicator();
+            // The assistant stayed quiet because staff own the conversation
+            if (currentMessageElement && !currentMessageElement.dataset.rawText) {
+              currentMessageElement.remove();
+            }
+            ShopAIChat.Handoff.update(data.status, messagesContainer, { announce: true });
+            break;
+
           case 'products':
           case 'product_results':
             if (data.products && data.products.length > 0) {
@@ -665,6 +1346,30 @@
         }
       },
 
+      /**
+       * Report a widget interaction to the analytics endpoint
+       * Failures are ignored; analytics must never interrupt the shopper.
+       * @param {string} type - The event type
+       * @param {Object} data - Event details
+       */
+      trackEvent: function(type, data) {
+        try {
+          fetch(`${ShopAIChat.API.getChatUrl()}/events`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            // Keep the request alive when the click navigates away
+            keepalive: true,
+            body: JSON.stringify({
+              type: type,
+              conversation_id: sessionStorage.getItem('shopAiConversationId'),
+              ...data
+            })
+          }).catch(function() {});
+        } catch (error) {
+          // Ignore analytics failures
+        }
+      },
+
       /**
        * Fetch chat history from the server
        * @param {string} conversationId - Conversation ID
@@ -677,15 +1382,14 @@
           loadingMessage.textContent = "Loading conversation history...";
           messagesContainer.appendChild(loadingMessage);
 
-          const historyUrl = `https://rachat.vercel.app/chat?history=true&conversation_id=${encodeURIComponent(conversationId)}`;
+          const historyUrl = `${ShopAIChat.API.getChatUrl()}?history=true&conversation_id=${encodeURIComponent(conversationId)}`;
 
           const response = await fetch(historyUrl, {
             method: 'GET',
             headers: {
               'Accept': 'application/json',
               'Content-Type': 'application/json'
-            },
-            mode: 'cors'
+            }
           });
 
           if (!response.ok) {
@@ -702,21 +1406,30 @@
           }
 
           data.messages.forEach(message => {
+            ShopAIChat.Handoff.track(message);
+
             try {
               const messageContents = JSON.parse(message.content);
               for (const contentBlock of messageContents) {
                 if (contentBlock.type === 'text') {
                   const text = contentBlock.text;
 
+                  if (message.role === 'staff') {
+                    ShopAIChat.Message.addStaff(text, message.authorName, messagesContainer);
+                    continue;
+                  }
+
                   if (text.includes('<long_conversation_reminder>') ||
                       text.includes('Claude cares about') ||
                       text.includes('Claude never starts') ||
-                      text.includes('Claude does not use emojis') ||
-                      text.includes('<') && text.includes('>')) {
+                      text.includes('Claude does not use emojis')) {
                     continue;
                   }
 
-                  ShopAIChat.Message.add(text, message.role, messagesContainer);
+                  const messageElement = ShopAIChat.Message.add(text, message.role, messagesContainer);
+                  if (message.interrupted) {
+                    ShopAIChat.Message.markInterrupted(messageElement);
+                  }
                 }
               }
             } catch (e) {
@@ -734,6 +1447,7 @@
           });
 
           ShopAIChat.UI.scrollToBottom();
+          ShopAIChat.Handoff.update(data.status, messagesContainer);
 
         } catch (error) {
           console.error('Error fetching chat history:', error);
@@ -823,7 +1537,7 @@
           attemptCount++;
 
           try {
-            const tokenUrl = 'https://rachat.vercel.app/chat/auth/token-status?conversation_id=' +
+            const tokenUrl = ShopAIChat.API.getChatUrl() + '/auth/token-status?conversation_id=' +
               encodeURIComponent(conversationId);
             const response = await fetch(tokenUrl);
 
@@ -898,6 +1612,12 @@
           titleLink.href = product.url;
           titleLink.target = '_blank';
           titleLink.textContent = product.title;
+          titleLink.addEventListener('click', function() {
+            ShopAIChat.API.trackEvent('product_click', {
+              product_id: product.id,
+              product_title: product.title
+            });
+          });
           title.textContent = '';
           title.appendChild(titleLink);
         }
@@ -909,26 +1629,451 @@
         price.textContent = product.price;
         info.appendChild(price);
 
+        const variants = Array.isArray(product.variants) ? product.variants : [];
+
+        if (variants.length > 0) {
+          info.appendChild(this.createCartForm(product, variants, price));
+        } else {
+          // Without variant IDs the assistant has to add the product through its cart tools
+          const button = document.createElement('button');
+          button.classList.add('shop-ai-add-to-cart');
+          button.textContent = 'Add to Cart';
+          button.dataset.productId = product.id;
+
+          button.addEventListener('click', function() {
+            const input = document.querySelector('.shop-ai-chat-input input');
+            if (input) {
+              input.value = `Add ${product.title} to my cart`;
+              const sendButton = document.querySelector('.shop-ai-chat-send');
+              if (sendButton) {
+                sendButton.click();
+              }
+            }
+          });
+
+          info.appendChild(button);
+        }
+
+        card.appendChild(info);
+
+        return card;
+      },
+
+      /**
+       * Create the variant picker, quantity input and add-to-cart button for a card
+       * @param {Object} product - Product data
+       * @param {Array} variants - The product's variants
+       * @param {HTMLElement} priceElement - Price element updated when the variant changes
+       * @returns {HTMLElement} The form element
+       */
+      createCartForm: function(product, variants, priceElement) {
+        const form = document.createElement('form');
+        form.classList.add('shop-ai-cart-form');
+
+        let select = null;
+        const firstAvailable = variants.find(variant => variant.available) || variants[0];
+
+        // Products with only the default variant don't need a picker
+        if (variants.length > 1) {
+          select = document.createElement('select');
+          select.classList.add('shop-ai-variant-select');
+          select.setAttribute('aria-label', `Options for ${product.title}`);
+
+          variants.forEach(variant => {
+            const option = document.createElement('option');
+            option.value = variant.id;
+            option.textContent = variant.available ? variant.title : `${variant.title} (sold out)`;
+            option.disabled = !variant.available;
+            option.selected = variant === firstAvailable;
+            select.appendChild(option);
+          });
+
+          select.addEventListener('change', () => {
+            const variant = variants.find(v => v.id === select.value);
+            if (variant && variant.price) {
+              priceElement.textContent = variant.price;
+            }
+          });
+
+          form.appendChild(select);
+        }
+
+        if (firstAvailable.price) {
+          priceElement.textContent = firstAvailable.price;
+        }
+
+        const controls = document.createElement('div');
+        controls.classList.add('shop-ai-cart-controls');
+
+        const quantity = document.createElement('input');
+        quantity.type = 'number';
+        quantity.classList.add('shop-ai-quantity');
+        quantity.min = '1';
+        quantity.max = '99';
+        quantity.value = '1';
+        quantity.setAttribute('aria-label', `Quantity of ${product.title}`);
+        controls.appendChild(quantity);
+
         const button = document.createElement('button');
+        button.type = 'submit';
         button.classList.add('shop-ai-add-to-cart');
         button.textContent = 'Add to Cart';
         button.dataset.productId = product.id;
+        button.disabled = !variants.some(variant => variant.available);
+        controls.appendChild(button);
+
+        form.appendChild(controls);
+
+        const status = document.createElement('p');
+        status.classList.add('shop-ai-cart-status');
+        status.setAttribute('role', 'status');
+        form.appendChild(status);
+
+        form.addEventListener('submit', async (event) => {
+          event.preventDefault();
+
+          const variant = select ? variants.find(v => v.id === select.value) : firstAvailable;
+          const count = Math.min(Math.max(parseInt(quantity.value, 10) || 1, 1), 99);
+          quantity.value = String(count);
+
+          button.disabled = true;
+          button.textContent = 'Adding…';
+          status.textContent = '';
+          status.classList.remove('error');
+
+          try {
+            await ShopAIChat.Cart.add(product, variant, count);
+            button.textContent = 'Added ✓';
+            setTimeout(() => {
+              button.textContent = 'Add to Cart';
+              button.disabled = false;
+            }, 2000);
+          } catch (error) {
+            console.error('Error adding to cart:', error);
+            status.textContent = error.displayMessage || "Sorry, this item couldn't be added to your cart.";
+            status.classList.add('error');
+            button.textContent = 'Add to Cart';
+            button.disabled = false;
+          }
+        });
+
+        return form;
+      }
+    },
+
+    /**
+     * Conversations handed to the store's staff
+     * While staff own a conversation the assistant stays quiet, and the widget polls
+     * the history endpoint for staff replies.
+     */
+    Handoff: {
+      pollIntervalMs: 5000,
+      status: 'bot',
+      // Creation time of the newest message seen, so polls only fetch what's new
+      since: null,
+      seenIds: new Set(),
+      pollTimer: null,
+
+      /**
+       * Check whether staff are waiting to take, or have taken, the conversation
+       * @param {string} status - The conversation status
+       * @returns {boolean} True if the widget should poll for staff replies
+       */
+      isActive: function(status) {
+        return status === 'pending_human' || status === 'human';
+      },
+
+      /**
+       * Remember a message that is already on screen
+       * @param {Object} message - Message from the history endpoint
+       */
+      track: function(message) {
+        if (message.id) {
+          this.seenIds.add(message.id);
+        }
+        if (message.createdAt && (!this.since || message.createdAt > this.since)) {
+          this.since = message.createdAt;
+        }
+      },
+
+      /**
+       * Apply a conversation status from the server
+       * @param {string} status - The conversation status
+       * @param {HTMLElement} messagesContainer - The messages container
+       * @param {Object} [options] - Update options
+       * @param {boolean} [options.announce] - Tell the shopper when the conversation was just handed over
+       */
+      update: function(status, messagesContainer, options = {}) {
+        const previousStatus = this.status;
+        this.status = status || 'bot';
+
+        if (options.announce && this.status === 'pending_human' && previousStatus !== 'pending_human') {
+          ShopAIChat.Message.addNotice(
+            window.shopChatConfig?.handoffNotice || "A member of our team will reply here shortly.",
+            messagesContainer
+          );
+        }
 
-        button.addEventListener('click', function() {
-          const input = document.querySelector('.shop-ai-chat-input input');
-          if (input) {
-            input.value = `Add ${product.title} to my cart`;
-            const sendButton = document.querySelector('.shop-ai-chat-send');
-            if (sendButton) {
-              sendButton.click();
+        if (this.isActive(this.status)) {
+          this.startPolling(messagesContainer);
+        } else {
+          this.stopPolling();
+        }
+      },
+
+      /**
+       * Start polling for staff replies
+       * @param {HTMLElement} messagesContainer - The messages container
+       */
+      startPolling: function(messagesContainer) {
+        if (this.pollTimer) return;
+        this.pollTimer = setTimeout(() => this.poll(messagesContainer), this.pollIntervalMs);
+      },
+
+      /**
+       * Stop polling for staff replies
+       */
+      stopPolling: function() {
+        clearTimeout(this.pollTimer);
+        this.pollTimer = null;
+      },
+
+      /**
+       * Forget the conversation, e.g. when the shopper clears the chat
+       */
+      reset: function() {
+        this.stopPolling();
+        this.status = 'bot';
+        this.since = null;
+        this.seenIds.clear();
+      },
+
+      /**
+       * Fetch new messages and show the staff replies among them
+       * @param {HTMLElement} messagesContainer - The messages container
+       */
+      poll: async function(messagesContainer) {
+        this.pollTimer = null;
+
+        const conversationId = sessionStorage.getItem('shopAiConversationId');
+        if (!conversationId) return;
+
+        try {
+          const params = new URLSearchParams({ history: 'true', conversation_id: conversationId });
+          if (this.since) {
+            params.set('since', this.since);
+          }
+
+          const response = await fetch(`${ShopAIChat.API.getChatUrl()}?${params}`, {
+            headers: { 'Accept': 'application/json' }
+          });
+
+          if (!response.ok) {
+            throw new Error('Failed to poll for staff replies: ' + response.status);
+          }
+
+          const data = await response.json();
+
+          // The shopper cleared the chat while the request was in flight
+          if (sessionStorage.getItem('shopAiConversationId') !== conversationId) return;
+
+          for (const message of data.messages || []) {
+            if (this.seenIds.has(message.id)) continue;
+            this.track(message);
+
+            if (message.role !== 'staff') continue;
+
+            try {
+              for (const block of JSON.parse(message.content)) {
+                if (block.type === 'text' && block.text) {
+                  ShopAIChat.Message.addStaff(block.text, message.authorName, messagesContainer);
+                }
+              }
+            } catch (e) {
+              ShopAIChat.Message.addStaff(message.content, message.authorName, messagesContainer);
             }
           }
+
+          this.update(data.status, messagesContainer);
+        } catch (error) {
+          console.error('Error polling for staff replies:', error);
+          this.startPolling(messagesContainer);
+        }
+      }
+    },
+
+    /**
+     * Storefront page and cart context sent with each message
+     */
+    Context: {
+      /**
+       * Build the context for the current page
+       * Starts from what the theme block rendered and refreshes the parts that change
+       * without a page load: the selected variant and the cart.
+       * @returns {Promise<Object|null>} The page context
+       */
+      get: async function() {
+        const base = window.shopChatConfig?.pageContext;
+        if (!base) return null;
+
+        const context = {
+          template: base.template,
+          product: null,
+          collection: base.collection,
+          cart: base.cart,
+          customerLoggedIn: base.customerLoggedIn
+        };
+
+        if (base.product) {
+          // Themes keep ?variant= in sync with the selected options
+          const selectedId = new URLSearchParams(window.location.search).get('variant');
+          const selected = selectedId && (base.product.variants || []).find(variant => String(variant.id) === selectedId);
+
+          context.product = {
+            handle: base.product.handle,
+            title: base.product.title,
+            variantId: selected ? selected.id : base.product.variantId,
+            variantTitle: selected ? selected.title : base.product.variantTitle
+          };
+        }
+
+        const cart = await ShopAIChat.Cart.fetchCart();
+        if (cart) {
+          context.cart = {
+            itemCount: cart.item_count,
+            totalPrice: (cart.total_price / 100).toFixed(2),
+            currency: cart.currency,
+            items: cart.items.slice(0, 20).map(item => ({
+              variantId: item.variant_id,
+              title: item.product_title,
+              variantTitle: item.variant_title,
+              quantity: item.quantity
+            }))
+          };
+        }
+
+        return context;
+      }
+    },
+
+    /**
+     * Storefront cart integration
+     */
+    Cart: {
+      /**
+       * Get the storefront root, which includes the locale prefix on translated storefronts
+       * @returns {string} The root path ending in a slash
+       */
+      getRoot: function() {
+        return window.Shopify?.routes?.root || '/';
+      },
+
+      /**
+       * Fetch the current cart
+       * @returns {Promise<Object|null>} The cart, or null if it couldn't be loaded
+       */
+      fetchCart: async function() {
+        try {
+          const response = await fetch(`${this.getRoot()}cart.js`, { headers: { 'Accept': 'application/json' } });
+          if (!response.ok) return null;
+          return await response.json();
+        } catch (error) {
+          console.error('Error fetching cart:', error);
+          return null;
+        }
+      },
+
+      /**
+       * Add a variant to the storefront cart, refresh the theme's cart UI and tell the assistant
+       * @param {Object} product - Product data
+       * @param {Object} variant - The selected variant
+       * @param {number} quantity - Quantity to add
+       * @returns {Promise<Object>} The added line item
+       */
+      add: async function(product, variant, quantity) {
+        const response = await fetch(`${this.getRoot()}cart/add.js`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'Accept': 'application/json'
+          },
+          body: JSON.stringify({ items: [{ id: Number(variant.id), quantity: quantity }] })
         });
 
-        info.appendChild(button);
-        card.appendChild(info);
+        if (!response.ok) {
+          const error = new Error('Add to cart failed: ' + response.status);
+          try {
+            // e.g. 422 "You can't add more of this item to the cart"
+            const body = await response.json();
+            error.displayMessage = body.description || body.message;
+          } catch (e) {
+            // Not a JSON error body
+          }
+          throw error;
+        }
 
-        return card;
+        const item = await response.json();
+
+        this.refresh(item);
+        this.notifyAssistant(product, variant, quantity);
+
+        return item;
+      },
+
+      /**
+       * Tell the theme the cart changed so drawers and count bubbles update
+       * Covers Dawn-based themes (pub/sub), themes listening for `cart:refresh` or
+       * `cart:build`, and emits `shop-ai-chat:cart-updated` for custom integrations.
+       * @param {Object} item - The added line item
+       */
+      refresh: async function(item) {
+        const cart = await this.fetchCart();
+
+        const detail = { cart: cart, item: item, source: 'shop-ai-chat' };
+
+        if (typeof window.publish === 'function' && window.PUB_SUB_EVENTS?.cartUpdate) {
+          window.publish(window.PUB_SUB_EVENTS.cartUpdate, {
+            source: 'shop-ai-chat',
+            productVariantId: item?.variant_id,
+            cartData: cart
+          });
+        }
+
+        document.documentElement.dispatchEvent(new CustomEvent('cart:refresh', { bubbles: true, detail: detail }));
+        document.dispatchEvent(new CustomEvent('cart:build', { detail: detail }));
+        document.dispatchEvent(new CustomEvent('shop-ai-chat:cart-updated', { detail: detail }));
+
+        if (cart) {
+          document.querySelectorAll('[data-cart-count]').forEach(element => {
+            element.textContent = cart.item_count;
+          });
+        }
+      },
+
+      /**
+       * Record the addition in the conversation so the assistant knows what is in the cart
+       * @param {Object} product - Product data
+       * @param {Object} variant - The selected variant
+       * @param {number} quantity - Quantity added
+       */
+      notifyAssistant: function(product, variant, quantity) {
+        const conversationId = sessionStorage.getItem('shopAiConversationId');
+        if (!conversationId) return;
+
+        fetch(`${ShopAIChat.API.getChatUrl()}/cart`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          keepalive: true,
+          body: JSON.stringify({
+            conversation_id: conversationId,
+            variant_id: variant.id,
+            quantity: quantity,
+            product_title: product.title,
+            variant_title: variant.title
+          })
+        }).catch(function(error) {
+          console.error('Error reporting cart update:', error);
+        });
       }
     },
 
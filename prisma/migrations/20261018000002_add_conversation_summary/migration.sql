@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "Conversation" ADD COLUMN "summary" TEXT;
+ALTER TABLE "Conversation" ADD COLUMN "summarizedThrough" DATETIME;
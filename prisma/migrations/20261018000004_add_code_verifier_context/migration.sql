@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "CodeVerifier" ADD COLUMN "conversationId" TEXT;
+ALTER TABLE "CodeVerifier" ADD COLUMN "shop" TEXT;
+ALTER TABLE "CodeVerifier" ADD COLUMN "returnUrl" TEXT;
+ALTER TABLE "CodeVerifier" ADD COLUMN "consumedAt" DATETIME;
@@ -0,0 +1,33 @@
+-- AlterTable
+ALTER TABLE "Conversation" ADD COLUMN "shop" TEXT;
+ALTER TABLE "Conversation" ADD COLUMN "customerId" TEXT;
+
+-- CreateIndex
+CREATE INDEX "Conversation_shop_customerId_idx" ON "Conversation"("shop", "customerId");
+
+-- CreateTable
+CREATE TABLE "CustomerDataExport" (
+  "id" TEXT NOT NULL PRIMARY KEY,
+  "shop" TEXT NOT NULL,
+  "customerId" TEXT NOT NULL,
+  "dataRequestId" TEXT,
+  "bundle" TEXT NOT NULL,
+  "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateIndex
+CREATE INDEX "CustomerDataExport_shop_customerId_idx" ON "CustomerDataExport"("shop", "customerId");
+
+-- CreateTable
+CREATE TABLE "ComplianceAuditLog" (
+  "id" TEXT NOT NULL PRIMARY KEY,
+  "shop" TEXT NOT NULL,
+  "topic" TEXT NOT NULL,
+  "action" TEXT NOT NULL,
+  "customerId" TEXT,
+  "details" TEXT,
+  "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateIndex
+CREATE INDEX "ComplianceAuditLog_shop_idx" ON "ComplianceAuditLog"("shop");
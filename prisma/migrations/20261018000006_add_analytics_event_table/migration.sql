@@ -0,0 +1,14 @@
+-- CreateTable
+CREATE TABLE "AnalyticsEvent" (
+  "id" TEXT NOT NULL PRIMARY KEY,
+  "shop" TEXT NOT NULL,
+  "conversationId" TEXT,
+  "type" TEXT NOT NULL,
+  "name" TEXT,
+  "query" TEXT,
+  "metadata" TEXT,
+  "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateIndex
+CREATE INDEX "AnalyticsEvent_shop_type_createdAt_idx" ON "AnalyticsEvent"("shop", "type", "createdAt");
@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "Message" ADD COLUMN "model" TEXT;
+ALTER TABLE "Message" ADD COLUMN "inputTokens" INTEGER;
+ALTER TABLE "Message" ADD COLUMN "outputTokens" INTEGER;
+ALTER TABLE "Message" ADD COLUMN "cacheCreationTokens" INTEGER;
+ALTER TABLE "Message" ADD COLUMN "cacheReadTokens" INTEGER;
+ALTER TABLE "Message" ADD COLUMN "costUsd" REAL;
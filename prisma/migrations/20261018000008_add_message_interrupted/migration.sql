@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "Message" ADD COLUMN "interrupted" BOOLEAN NOT NULL DEFAULT false;
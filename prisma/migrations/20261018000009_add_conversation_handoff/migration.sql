@@ -0,0 +1,10 @@
+-- AlterTable
+ALTER TABLE "Conversation" ADD COLUMN "status" TEXT NOT NULL DEFAULT 'bot';
+ALTER TABLE "Conversation" ADD COLUMN "escalatedAt" DATETIME;
+ALTER TABLE "Conversation" ADD COLUMN "escalationReason" TEXT;
+
+-- AlterTable
+ALTER TABLE "Message" ADD COLUMN "authorName" TEXT;
+
+-- CreateIndex
+CREATE INDEX "Conversation_shop_status_idx" ON "Conversation"("shop", "status");
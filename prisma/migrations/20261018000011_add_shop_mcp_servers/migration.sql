@@ -0,0 +1,25 @@
+-- CreateTable
+CREATE TABLE "ShopMcpServer" (
+  "id" TEXT NOT NULL PRIMARY KEY,
+  "shop" TEXT NOT NULL,
+  "name" TEXT NOT NULL,
+  "slug" TEXT NOT NULL,
+  "url" TEXT NOT NULL,
+  "authType" TEXT NOT NULL DEFAULT 'none',
+  "authHeaderName" TEXT,
+  "authHeaderValue" TEXT,
+  "oauthTokenUrl" TEXT,
+  "oauthClientId" TEXT,
+  "oauthClientSecret" TEXT,
+  "oauthScope" TEXT,
+  "enabledTools" TEXT,
+  "enabled" BOOLEAN NOT NULL DEFAULT true,
+  "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateIndex
+CREATE INDEX "ShopMcpServer_shop_idx" ON "ShopMcpServer"("shop");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ShopMcpServer_shop_slug_key" ON "ShopMcpServer"("shop", "slug");
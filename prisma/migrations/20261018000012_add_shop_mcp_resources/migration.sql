@@ -0,0 +1,15 @@
+-- CreateTable
+CREATE TABLE "ShopMcpResource" (
+  "id" TEXT NOT NULL PRIMARY KEY,
+  "shop" TEXT NOT NULL,
+  "server" TEXT NOT NULL,
+  "uri" TEXT NOT NULL,
+  "name" TEXT NOT NULL,
+  "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateIndex
+CREATE INDEX "ShopMcpResource_shop_idx" ON "ShopMcpResource"("shop");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ShopMcpResource_shop_server_uri_key" ON "ShopMcpResource"("shop", "server", "uri");
@@ -0,0 +1,110 @@
+/**
+ * Re-encrypts stored secrets under the active encryption key
+ *
+ * Run after deploying encryption (to encrypt existing plaintext rows) and after
+ * adding a new key to DATA_ENCRYPTION_KEYS (to rotate rows off the old key):
+ *
+ *   npm run secrets:reencrypt [-- --dry-run]
+ *
+ * Once no rows reference an old key id, it can be removed from the environment.
+ */
+import prismaClient from "@prisma/client";
+import { isEncryptionConfigured, reencryptSecret } from "../app/services/encryption.server.js";
+
+// @prisma/client is CommonJS, so its named exports aren't visible to plain Node ESM
+const { PrismaClient } = prismaClient;
+
+const BATCH_SIZE = 100;
+
+// Secret columns per model; contexts must match SECRET_CONTEXTS in app/db.server.js
+const SECRET_COLUMNS = {
+  codeVerifier: { verifier: "CodeVerifier.verifier" },
+  customerToken: {
+    accessToken: "CustomerToken.accessToken",
+    refreshToken: "CustomerToken.refreshToken"
+  },
+  shopMcpServer: {
+    authHeaderValue: "ShopMcpServer.authHeaderValue",
+    oauthClientSecret: "ShopMcpServer.oauthClientSecret"
+  },
+  customerDataExport: { bundle: "CustomerDataExport.bundle" }
+};
+
+/**
+ * Re-encrypts the secret columns of every row of a model
+ * @param {PrismaClient} prisma - Prisma client
+ * @param {string} model - Prisma model name
+ * @param {Object} columns - Column name to encryption context
+ * @param {boolean} dryRun - Count changes without writing them
+ * @returns {Promise<{scanned: number, updated: number}>} Counts
+ */
+async function reencryptModel(prisma, model, columns, dryRun) {
+  const select = { id: true };
+  for (const column of Object.keys(columns)) {
+    select[column] = true;
+  }
+
+  let scanned = 0;
+  let updated = 0;
+  let cursor = null;
+
+  for (;;) {
+    const rows = await prisma[model].findMany({
+      select,
+      orderBy: { id: "asc" },
+      take: BATCH_SIZE,
+      ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {})
+    });
+
+    if (rows.length === 0) break;
+
+    for (const row of rows) {
+      const data = {};
+      for (const [column, context] of Object.entries(columns)) {
+        const value = reencryptSecret(row[column], context);
+        if (value !== null) {
+          data[column] = value;
+        }
+      }
+
+      if (Object.keys(data).length > 0) {
+        if (!dryRun) {
+          await prisma[model].update({ where: { id: row.id }, data });
+        }
+        updated++;
+      }
+    }
+
+    scanned += rows.length;
+    cursor = rows[rows.length - 1].id;
+  }
+
+  return { scanned, updated };
+}
+
+async function main() {
+  const dryRun = process.argv.includes("--dry-run");
+
+  if (!isEncryptionConfigured()) {
+    console.warn("DATA_ENCRYPTION_KEYS is not set; nothing to re-encrypt");
+    if (process.env.NODE_ENV === "production") {
+      process.exitCode = 1;
+    }
+    return;
+  }
+
+  const prisma = new PrismaClient();
+  try {
+    for (const [model, columns] of Object.entries(SECRET_COLUMNS)) {
+      const { scanned, updated } = await reencryptModel(prisma, model, columns, dryRun);
+      console.log(`${model}: ${updated} of ${scanned} rows ${dryRun ? "need" : "were"} re-encrypted`);
+    }
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+main().catch((error) => {
+  console.error("Failed to re-encrypt secrets:", error);
+  process.exit(1);
+});
@@ -0,0 +1,129 @@
+// @vitest-environment jsdom
+/* eslint-disable no-script-url -- these tests check that script URLs are never linked */
+import { readFileSync } from "node:fs";
+import { dirname, resolve } from "node:path";
+import { fileURLToPath } from "node:url";
+import { afterEach, describe, expect, it, vi } from "vitest";
+
+/**
+ * The widget script from the theme extension; it has no exports, so it's run as the storefront would
+ */
+const WIDGET_SOURCE = readFileSync(
+  resolve(dirname(fileURLToPath(import.meta.url)), "../extensions/chat-bubble/assets/chat.js"),
+  "utf8"
+);
+
+const WIDGET_MARKUP = `
+  <div class="shop-ai-chat-container">
+    <div class="shop-ai-chat-bubble"></div>
+    <div class="shop-ai-chat-window">
+      <button class="shop-ai-chat-close"></button>
+      <div class="shop-ai-chat-messages"></div>
+      <div class="shop-ai-chat-input"><input type="text"></div>
+      <button class="shop-ai-chat-send"></button>
+    </div>
+  </div>
+`;
+
+/**
+ * Renders an assistant reply the way the widget does when it restores history
+ * @param {string} text - Markdown from the model
+ * @returns {Promise<Object>} What the shopper sees: { text, html, links }
+ */
+async function showReply(text) {
+  document.body.innerHTML = WIDGET_MARKUP;
+  window.shopChatConfig = { chatUrl: "/apps/chat" };
+  sessionStorage.setItem("shopAiConversationId", "c1");
+
+  vi.stubGlobal("fetch", vi.fn(async () => new Response(JSON.stringify({
+    status: "bot",
+    messages: [{ id: "m1", role: "assistant", content: JSON.stringify([{ type: "text", text }]) }]
+  }))));
+
+  // Run the widget and start it without firing DOMContentLoaded for earlier runs
+  let start;
+  vi.spyOn(document, "addEventListener").mockImplementation((type, listener) => {
+    if (type === "DOMContentLoaded") start = listener;
+  });
+  // eslint-disable-next-line no-new-func -- the widget is a classic script without exports
+  new Function(WIDGET_SOURCE)();
+  start();
+
+  // The loading placeholder is replaced once the history arrives
+  const element = await vi.waitUntil(() => document.querySelector(".shop-ai-message.assistant[data-raw-text]"));
+
+  return {
+    text: element.textContent,
+    tags: [...element.querySelectorAll("*")].map(node => node.tagName.toLowerCase()),
+    links: [...element.querySelectorAll("a")].map(link => ({
+      href: link.getAttribute("href"),
+      text: link.textContent,
+      target: link.target,
+      rel: link.rel
+    }))
+  };
+}
+
+describe("chat markdown links", () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+    vi.unstubAllGlobals();
+    sessionStorage.clear();
+  });
+
+  it("links allowed schemes", async () => {
+    const { links } = await showReply("[Tee](https://shop.example/products/tee), [mail](mailto:help@shop.example) and [call](tel:+15550100)");
+
+    expect(links.map(link => link.href)).toEqual([
+      "https://shop.example/products/tee",
+      "mailto:help@shop.example",
+      "tel:+15550100"
+    ]);
+  });
+
+  it("opens links in a new tab without an opener", async () => {
+    const { links } = await showReply("[Tee](https://shop.example/products/tee)");
+
+    expect(links).toEqual([{
+      href: "https://shop.example/products/tee",
+      text: "Tee",
+      target: "_blank",
+      rel: "noopener noreferrer"
+    }]);
+  });
+
+  it("resolves relative links against the page", async () => {
+    const { links } = await showReply("[FAQ](/pages/faq)");
+    expect(links[0].href).toBe(new URL("/pages/faq", window.location.href).href);
+  });
+
+  it.each([
+    "javascript:alert(1)",
+    "JavaScript:alert(1)",
+    "  javascript:alert(1)",
+    "java\tscript:alert(1)",
+    "data:text/html,<script>alert(1)</script>",
+    "vbscript:msgbox(1)",
+    "file:///etc/passwd"
+  ])("renders %j links as plain text", async (url) => {
+    const { text, links } = await showReply(`Click [here](${url}) now`);
+
+    expect(links).toEqual([]);
+    expect(text).toMatch(/^Click .*here.* now$/);
+  });
+
+  it("links bare URLs", async () => {
+    const { links } = await showReply("See https://shop.example/pages/sizes for sizes");
+
+    expect(links.map(({ href, text }) => ({ href, text }))).toEqual([
+      { href: "https://shop.example/pages/sizes", text: "https://shop.example/pages/sizes" }
+    ]);
+  });
+
+  it("never renders HTML from the model", async () => {
+    const { text, tags } = await showReply('<img src=x onerror="alert(1)"> **bold** <a href="javascript:alert(1)">x</a>');
+
+    expect(tags).toEqual(["p", "strong"]);
+    expect(text).toContain('<img src=x onerror="alert(1)">');
+  });
+});
@@ -0,0 +1,9 @@
+import { defineConfig } from "vitest/config";
+
+// Unit tests run without the Remix plugin, so they don't need the dev server setup in vite.config.js
+export default defineConfig({
+  test: {
+    include: ["app/**/*.test.js", "test/**/*.test.js"],
+    environment: "node",
+  },
+});